@@ -1,6 +1,12 @@
 // src/config/config.js
 require('dotenv').config();
 
+// '8-11,18-21' -> [[8, 11], [18, 21]]
+const parseHourRanges = (value) => value
+  .split(',')
+  .map(range => range.split('-').map(Number))
+  .filter(range => range.length === 2 && range.every(Number.isFinite));
+
 module.exports = {
   env: process.env.NODE_ENV || 'development',
   port: process.env.PORT || 3000,
@@ -21,7 +27,9 @@ module.exports = {
     secret: process.env.JWT_SECRET || 'your-secret-key',
     accessExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
     refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
-    issuer: process.env.JWT_ISSUER || 'support-app'
+    issuer: process.env.JWT_ISSUER || 'support-app',
+    // Reject access tokens issued before server-side sessions existed (no sid claim)
+    requireSession: process.env.JWT_REQUIRE_SESSION === 'true'
   },
   
   // AWS S3 configuration
@@ -53,6 +61,293 @@ module.exports = {
     workingDays: [1, 2, 3, 4, 5]  // Monday to Friday
   },
   
+  // Booking cancellation fee schedule (percentages of the booking amount)
+  cancellation: {
+    freeWindowHours: parseFloat(process.env.CANCELLATION_FREE_WINDOW_HOURS) || 2,
+    lateCancellationPercent: parseFloat(process.env.CANCELLATION_LATE_PERCENT) || 10,
+    enRoutePercent: parseFloat(process.env.CANCELLATION_EN_ROUTE_PERCENT) || 25,
+    arrivedPercent: parseFloat(process.env.CANCELLATION_ARRIVED_PERCENT) || 50,
+    minimumFee: parseFloat(process.env.CANCELLATION_MINIMUM_FEE) || 50
+  },
+
+  // Booking rescheduling limits
+  rescheduling: {
+    maxReschedules: parseInt(process.env.RESCHEDULE_MAX_COUNT) || 2,
+    minHoursBeforeScheduled: parseFloat(process.env.RESCHEDULE_MIN_HOURS_BEFORE) || 3,
+    proposalExpiryHours: parseFloat(process.env.RESCHEDULE_PROPOSAL_EXPIRY_HOURS) || 12
+  },
+
+  // Bookable time slots (see services/slot.service.js), built from the schedules of qualified
+  // professionals within searchRadiusKm of the customer
+  slots: {
+    intervalMinutes: parseInt(process.env.SLOT_INTERVAL_MINUTES) || 30,
+    searchRadiusKm: parseFloat(process.env.SLOT_SEARCH_RADIUS_KM) || 10,
+    maxProfessionals: parseInt(process.env.SLOT_MAX_PROFESSIONALS) || 50,
+    // Slots start at least minLeadMinutes from now and at most horizonDays ahead
+    minLeadMinutes: parseInt(process.env.SLOT_MIN_LEAD_MINUTES) || 60,
+    horizonDays: parseInt(process.env.SLOT_HORIZON_DAYS) || 30,
+    // Kept free on each side of a professional's other appointments: the travel time from
+    // where they are to the customer, and at least minTravelBufferMinutes
+    minTravelBufferMinutes: parseInt(process.env.SLOT_MIN_TRAVEL_BUFFER_MINUTES) || 15,
+    // Professionals' schedules (days, working hours, blocks, appointments) and slot times are in
+    // this timezone
+    timezone: process.env.SCHEDULE_TIMEZONE || 'Asia/Kolkata'
+  },
+
+  // Booking price before discounts (see services/pricing.service.js). Wallet credit can pay up to
+  // walletMaxPercent of what is left after a promo code.
+  pricing: {
+    emergencyFee: parseFloat(process.env.EMERGENCY_FEE ?? '200'),
+    walletMaxPercent: parseFloat(process.env.WALLET_MAX_PERCENT ?? '100'),
+    // A quote's price is held for the booking made with it for this long
+    quoteValidityMinutes: parseFloat(process.env.PRICE_QUOTE_VALIDITY_MINUTES) || 10
+  },
+
+  // Surge on the service price (see services/surge.service.js). The factors multiply together and
+  // the result is capped at maxMultiplier; admin overrides (/api/admin/surge-overrides) replace it.
+  surge: {
+    enabled: process.env.SURGE_ENABLED !== 'false',
+    // Demand and supply are counted per geohash cell of this precision (5 is about 5 x 5 km)
+    geohashPrecision: parseInt(process.env.SURGE_GEOHASH_PRECISION) || 5,
+    // Demand is bookings still looking for a professional, made in the last demandWindowMinutes;
+    // supply is available professionals in the cell. Above ratioThreshold requests per
+    // professional, each extra request per professional adds multiplierPerRatio.
+    demandWindowMinutes: parseFloat(process.env.SURGE_DEMAND_WINDOW_MINUTES) || 30,
+    ratioThreshold: parseFloat(process.env.SURGE_RATIO_THRESHOLD ?? '1'),
+    multiplierPerRatio: parseFloat(process.env.SURGE_MULTIPLIER_PER_RATIO ?? '0.25'),
+    // Hour ranges in the surge timezone, end exclusive; '22-6' wraps past midnight
+    peakHours: parseHourRanges(process.env.SURGE_PEAK_HOURS || '8-11,18-21'),
+    peakMultiplier: parseFloat(process.env.SURGE_PEAK_MULTIPLIER ?? '1.1'),
+    nightHours: parseHourRanges(process.env.SURGE_NIGHT_HOURS || '22-6'),
+    nightMultiplier: parseFloat(process.env.SURGE_NIGHT_MULTIPLIER ?? '1.25'),
+    weekendMultiplier: parseFloat(process.env.SURGE_WEEKEND_MULTIPLIER ?? '1.1'),
+    // Dates as YYYY-MM-DD
+    holidays: (process.env.SURGE_HOLIDAYS || '').split(',').map(date => date.trim()).filter(Boolean),
+    holidayMultiplier: parseFloat(process.env.SURGE_HOLIDAY_MULTIPLIER ?? '1.2'),
+    // Bookings for within this many hours of being made
+    urgentWithinHours: parseFloat(process.env.SURGE_URGENT_WITHIN_HOURS ?? '2'),
+    urgentMultiplier: parseFloat(process.env.SURGE_URGENT_MULTIPLIER ?? '1.15'),
+    maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 2,
+    timezone: process.env.SURGE_TIMEZONE || 'Asia/Kolkata'
+  },
+
+  // Wallet credit for the referrer and the referred customer once the latter's first booking is paid
+  referrals: {
+    referrerCredit: parseFloat(process.env.REFERRAL_REFERRER_CREDIT ?? '100'),
+    refereeCredit: parseFloat(process.env.REFERRAL_REFEREE_CREDIT ?? '50')
+  },
+
+  // Platform commission when no commission rule matches (rules are managed at /api/admin/commission-rules)
+  commission: {
+    defaultPercent: parseFloat(process.env.COMMISSION_DEFAULT_PERCENT) || 15
+  },
+
+  // Commission owed on cash jobs (see services/commission-collection.service.js). Day counts are
+  // relative to the commission due date; negative reminder offsets are before it.
+  commissionCollection: {
+    dueDays: parseInt(process.env.COMMISSION_DUE_DAYS) || 7,
+    jobEnabled: process.env.COMMISSION_DUNNING_ENABLED !== 'false',
+    jobIntervalMinutes: parseFloat(process.env.COMMISSION_DUNNING_INTERVAL_MINUTES) || 60,
+    reminderOffsetsDays: (process.env.COMMISSION_REMINDER_OFFSETS_DAYS || '-2,0,1,3,7').split(',').map(Number),
+    // Overdue reminders also go out by SMS
+    smsReminders: process.env.COMMISSION_SMS_REMINDERS !== 'false',
+    // Late fee: flat plus a percentage of the commission, charged once overdue by lateFeeAfterDays
+    // and again every lateFeeRepeatDays (0 charges once), at most lateFeeMaxCharges times
+    lateFeeFlat: parseFloat(process.env.COMMISSION_LATE_FEE_FLAT ?? '25'),
+    lateFeePercent: parseFloat(process.env.COMMISSION_LATE_FEE_PERCENT ?? '5'),
+    lateFeeAfterDays: parseFloat(process.env.COMMISSION_LATE_FEE_AFTER_DAYS ?? '1'),
+    lateFeeRepeatDays: parseFloat(process.env.COMMISSION_LATE_FEE_REPEAT_DAYS ?? '7'),
+    lateFeeMaxCharges: parseInt(process.env.COMMISSION_LATE_FEE_MAX_CHARGES ?? '3'),
+    // Settle overdue commission from what the platform owes the professional for online jobs
+    autoOffset: process.env.COMMISSION_AUTO_OFFSET !== 'false',
+    // Holds once the oldest unpaid commission is this many days overdue (0 disables)
+    unavailableAfterDays: parseFloat(process.env.COMMISSION_UNAVAILABLE_AFTER_DAYS ?? '3'),
+    suspendAfterDays: parseFloat(process.env.COMMISSION_SUSPEND_AFTER_DAYS ?? '15')
+  },
+
+  // GST on platform commission and TDS on professional payouts (see services/tax.service.js)
+  tax: {
+    // State the platform is GST-registered in: commission GST is CGST + SGST for professionals in
+    // this state and IGST for everyone else
+    platformState: process.env.TAX_PLATFORM_STATE || 'Karnataka',
+    platformGstin: process.env.TAX_PLATFORM_GSTIN || '',
+    // Commission rates already include GST; the tax is split out of them, not added on top
+    gstRatePercent: parseFloat(process.env.TAX_GST_RATE_PERCENT) || 18,
+    tdsSection: process.env.TAX_TDS_SECTION || '194-O',
+    tdsRatePercent: parseFloat(process.env.TAX_TDS_RATE_PERCENT) || 1,
+    // Rate when the professional has not given a PAN
+    tdsNoPanRatePercent: parseFloat(process.env.TAX_TDS_NO_PAN_RATE_PERCENT) || 5,
+    // No TDS until a professional's payouts in the financial year go above this
+    tdsAnnualThreshold: parseFloat(process.env.TAX_TDS_ANNUAL_THRESHOLD) || 500000,
+    // Customer invoices are issued by the platform, which pays the GST on the services it
+    // arranges; booking prices include that GST (see services/invoice.service.js)
+    platformLegalName: process.env.TAX_PLATFORM_LEGAL_NAME || '',
+    platformAddress: process.env.TAX_PLATFORM_ADDRESS || '',
+    serviceGstRatePercent: parseFloat(process.env.TAX_SERVICE_GST_RATE_PERCENT) || 18,
+    invoicePrefix: process.env.TAX_INVOICE_PREFIX || 'INV',
+    creditNotePrefix: process.env.TAX_CREDIT_NOTE_PREFIX || 'CN'
+  },
+
+  // Bank bulk-upload files for professional payouts (/api/admin/payout-batches)
+  payouts: {
+    // Platform current account the bank debits
+    debitAccountNumber: process.env.PAYOUT_DEBIT_ACCOUNT_NUMBER || '',
+    defaultMode: process.env.PAYOUT_DEFAULT_MODE || 'NEFT',
+    // Banks cap IMPS per transfer; larger withdrawals must go by NEFT
+    impsMaxAmount: parseFloat(process.env.PAYOUT_IMPS_MAX_AMOUNT) || 500000
+  },
+
+  // Razorpay webhooks (POST /api/payments/webhooks/razorpay)
+  razorpay: {
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+    // An event left in 'processing' this long (e.g. the server died mid-way) is processed again on redelivery
+    webhookStaleMinutes: parseFloat(process.env.RAZORPAY_WEBHOOK_STALE_MINUTES) || 5
+  },
+
+  // Rating aggregation: a review loses half its weight every halfLifeDays
+  ratings: {
+    halfLifeDays: parseFloat(process.env.RATING_HALF_LIFE_DAYS) || 180
+  },
+
+  // Sequential dispatch: each offer waits offerTimeoutSeconds, radius widens in waves (km)
+  dispatch: {
+    offerTimeoutSeconds: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 30,
+    radiusWavesKm: (process.env.DISPATCH_RADIUS_WAVES_KM || '5,10,25').split(',').map(Number),
+    emergencyRadiusWavesKm: (process.env.DISPATCH_EMERGENCY_RADIUS_WAVES_KM || '10,25,50').split(',').map(Number),
+    candidatesPerWave: parseInt(process.env.DISPATCH_CANDIDATES_PER_WAVE) || 10,
+    // Offer timers live on the instance that made the offer; every instance also sweeps for
+    // offers past their expiry, so one whose instance died still times out
+    sweepIntervalSeconds: parseInt(process.env.DISPATCH_SWEEP_INTERVAL_SECONDS) || 30
+  },
+
+  // Location breadcrumbs of professionals working a booking (see services/location-history.service.js)
+  tracking: {
+    breadcrumbRetentionDays: parseFloat(process.env.TRACKING_BREADCRUMB_RETENTION_DAYS) || 30,
+    // Left out of routes and distances: points less accurate than maxAccuracyMeters, points
+    // within minSegmentMeters of the last kept point (standing still) and jumps faster than maxSpeedKmh
+    maxAccuracyMeters: parseFloat(process.env.TRACKING_MAX_ACCURACY_METERS) || 100,
+    minSegmentMeters: parseFloat(process.env.TRACKING_MIN_SEGMENT_METERS) || 10,
+    maxSpeedKmh: parseFloat(process.env.TRACKING_MAX_SPEED_KMH) || 150,
+    // Most points a route request returns; longer routes are thinned evenly
+    maxRoutePoints: parseInt(process.env.TRACKING_MAX_ROUTE_POINTS) || 1000
+  },
+
+  // Geofence around each booking location (see services/geofence.service.js)
+  geofence: {
+    // A fix counts as inside within arrivalRadiusMeters and as outside beyond
+    // departureRadiusMeters, each only when its reported accuracy cannot put it on the other
+    // side; fixes less accurate than maxAccuracyMeters are ignored
+    arrivalRadiusMeters: parseFloat(process.env.GEOFENCE_ARRIVAL_RADIUS_METERS) || 100,
+    departureRadiusMeters: parseFloat(process.env.GEOFENCE_DEPARTURE_RADIUS_METERS) || 250,
+    maxAccuracyMeters: parseFloat(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 150,
+    // Consecutive fixes on the other side before arriving or leaving
+    confirmations: parseInt(process.env.GEOFENCE_CONFIRMATIONS) || 2,
+    // Starting or completing work further than this from the address is flagged
+    offSiteWarningMeters: parseFloat(process.env.GEOFENCE_OFF_SITE_WARNING_METERS) || 300,
+    // Last known locations older than this are not used for the off-site check
+    locationMaxAgeMinutes: parseFloat(process.env.GEOFENCE_LOCATION_MAX_AGE_MINUTES) || 10,
+    // Time on site under this share of the service's estimated duration is flagged
+    minTimeOnSiteRatio: parseFloat(process.env.GEOFENCE_MIN_TIME_ON_SITE_RATIO ?? '0.25')
+  },
+
+  // Travel time estimates (see services/eta.service.js). 'osrm' or 'graphhopper' ask the
+  // routing server at routingUrl, which can be a local stand-in (src/scripts/routing-stand-in.js);
+  // 'heuristic' or a failed request falls back to the straight-line distance times detourFactor
+  // at the speed professionals have averaged at that hour of day.
+  eta: {
+    provider: process.env.ETA_PROVIDER || (process.env.ROUTING_URL ? 'osrm' : 'heuristic'),
+    routingUrl: process.env.ROUTING_URL,
+    routingProfile: process.env.ROUTING_PROFILE,
+    routingApiKey: process.env.ROUTING_API_KEY,
+    routingTimeoutMs: parseInt(process.env.ROUTING_TIMEOUT_MS) || 2000,
+    defaultSpeedKmh: parseFloat(process.env.ETA_DEFAULT_SPEED_KMH) || 30,
+    detourFactor: parseFloat(process.env.ETA_DETOUR_FACTOR) || 1.3,
+    // Hourly speeds come from trips that arrived in the last historyDays, in this timezone; hours
+    // with fewer than minTrips trips use defaultSpeedKmh
+    historyDays: parseInt(process.env.ETA_HISTORY_DAYS) || 28,
+    minTrips: parseInt(process.env.ETA_MIN_TRIPS) || 5,
+    historyRefreshMinutes: parseFloat(process.env.ETA_HISTORY_REFRESH_MINUTES) || 60,
+    timezone: process.env.ETA_TIMEZONE || 'Asia/Kolkata',
+    // Location updates recalculate a booking's ETA at most every minRecalcSeconds, unless the
+    // professional has moved minRecalcMeters since the last estimate
+    minRecalcSeconds: parseInt(process.env.ETA_MIN_RECALC_SECONDS) || 60,
+    minRecalcMeters: parseFloat(process.env.ETA_MIN_RECALC_METERS) || 500,
+    // The customer is told when the expected arrival moves by notifyChangeMinutes or more
+    notifyChangeMinutes: parseFloat(process.env.ETA_NOTIFY_CHANGE_MINUTES) || 5
+  },
+
+  // Socket.IO across several instances (see services/socket-registry.service.js). With
+  // REDIS_URL set, room broadcasts go through the Redis adapter and the connection and tracking
+  // session registries live in Redis; without it everything stays in this process.
+  socket: {
+    redisAdapter: Boolean(process.env.REDIS_URL) && process.env.SOCKET_REDIS_ADAPTER !== 'false',
+    keyPrefix: process.env.SOCKET_REDIS_PREFIX || 'sahayak:socket',
+    // Each instance refreshes its heartbeat this often; registry entries of an instance whose
+    // heartbeat is older than instanceTtlSeconds (it crashed) are dropped
+    heartbeatSeconds: parseInt(process.env.SOCKET_HEARTBEAT_SECONDS) || 15,
+    instanceTtlSeconds: parseInt(process.env.SOCKET_INSTANCE_TTL_SECONDS) || 45,
+    // How often a connection's lastActivity is written back
+    activityWriteSeconds: parseInt(process.env.SOCKET_ACTIVITY_WRITE_SECONDS) || 30
+  },
+
+  // OTP delivery: 'twilio' (Verify) or 'local' (codes generated and hashed in Mongo).
+  // The fallback provider is used when the primary fails to send.
+  otp: {
+    provider: process.env.OTP_PROVIDER || (process.env.TWILIO_VERIFY_SID ? 'twilio' : 'local'),
+    fallbackProvider: process.env.OTP_FALLBACK_PROVIDER || 'local',
+    codeLength: parseInt(process.env.OTP_CODE_LENGTH) || 6,
+    expiryMinutes: parseFloat(process.env.OTP_EXPIRY_MINUTES) || 10,
+    maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+    resendCooldownSeconds: parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 30,
+    // A phone that used up its attempts cannot get a new code for lockMinutes, and no phone
+    // gets more than maxSendsPerWindow codes in sendWindowMinutes
+    lockMinutes: parseFloat(process.env.OTP_LOCK_MINUTES) || 15,
+    maxSendsPerWindow: parseInt(process.env.OTP_MAX_SENDS_PER_WINDOW) || 5,
+    sendWindowMinutes: parseFloat(process.env.OTP_SEND_WINDOW_MINUTES) || 60,
+    hashSecret: process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || 'your-secret-key',
+    // Local codes are written to the log instead of sent by SMS only with OTP_LOG_CODES=true,
+    // and the server refuses to start that way unless NODE_ENV is development or test
+    logCodes: process.env.OTP_LOG_CODES === 'true',
+    // Fixed local code for CI; only honoured when NODE_ENV is development or test
+    fixedCode: ['development', 'test'].includes(process.env.NODE_ENV)
+      ? process.env.OTP_FIXED_CODE
+      : undefined
+  },
+
+  // Admin permissions (catalogue and presets live in config/permissions.js)
+  adminPermissions: {
+    // Admins created before presets existed (no preset, no permissions) have no access until
+    // they are assigned one (src/scripts/assign-admin-presets.js). ADMIN_LEGACY_FULL_ACCESS=true
+    // gives them full access instead, as a stopgap while migrating.
+    legacyFullAccess: process.env.ADMIN_LEGACY_FULL_ACCESS === 'true'
+  },
+
+  // Admin reports
+  reports: {
+    // Day/week/month buckets are cut in this timezone
+    timezone: process.env.REPORT_TIMEZONE || 'Asia/Kolkata',
+    // Support ticket SLA targets in hours, per ticket priority
+    supportSla: {
+      firstResponseHours: {
+        high: parseFloat(process.env.SLA_FIRST_RESPONSE_HIGH_HOURS) || 2,
+        medium: parseFloat(process.env.SLA_FIRST_RESPONSE_MEDIUM_HOURS) || 8,
+        low: parseFloat(process.env.SLA_FIRST_RESPONSE_LOW_HOURS) || 24
+      },
+      resolutionHours: {
+        high: parseFloat(process.env.SLA_RESOLUTION_HIGH_HOURS) || 24,
+        medium: parseFloat(process.env.SLA_RESOLUTION_MEDIUM_HOURS) || 72,
+        low: parseFloat(process.env.SLA_RESOLUTION_LOW_HOURS) || 120
+      }
+    },
+    // Upper bound for rows returned as JSON; exports stream everything
+    maxJsonRows: parseInt(process.env.REPORT_MAX_JSON_ROWS) || 1000
+  },
+
+  // Audit log
+  audit: {
+    exportMaxRows: parseInt(process.env.AUDIT_EXPORT_MAX_ROWS) || 50000
+  },
+
   // File upload limits
   fileUpload: {
     maxSize: process.env.MAX_FILE_SIZE || 5 * 1024 * 1024, // 5MB
@@ -0,0 +1,66 @@
+// src/config/gst.js
+// Reference data for GST invoices
+
+// GST state codes, printed with the place of supply and the first two digits of a GSTIN
+const STATES = {
+  '01': 'Jammu and Kashmir',
+  '02': 'Himachal Pradesh',
+  '03': 'Punjab',
+  '04': 'Chandigarh',
+  '05': 'Uttarakhand',
+  '06': 'Haryana',
+  '07': 'Delhi',
+  '08': 'Rajasthan',
+  '09': 'Uttar Pradesh',
+  '10': 'Bihar',
+  '11': 'Sikkim',
+  '12': 'Arunachal Pradesh',
+  '13': 'Nagaland',
+  '14': 'Manipur',
+  '15': 'Mizoram',
+  '16': 'Tripura',
+  '17': 'Meghalaya',
+  '18': 'Assam',
+  '19': 'West Bengal',
+  '20': 'Jharkhand',
+  '21': 'Odisha',
+  '22': 'Chhattisgarh',
+  '23': 'Madhya Pradesh',
+  '24': 'Gujarat',
+  '26': 'Dadra and Nagar Haveli and Daman and Diu',
+  '27': 'Maharashtra',
+  '29': 'Karnataka',
+  '30': 'Goa',
+  '31': 'Lakshadweep',
+  '32': 'Kerala',
+  '33': 'Tamil Nadu',
+  '34': 'Puducherry',
+  '35': 'Andaman and Nicobar Islands',
+  '36': 'Telangana',
+  '37': 'Andhra Pradesh',
+  '38': 'Ladakh'
+};
+
+// SAC (services accounting code) per service category
+const SAC_CODES = {
+  plumbing: '995465',
+  electrical: '995461',
+  carpentry: '995476',
+  cleaning: '998533',
+  painting: '995473',
+  landscaping: '998597',
+  moving: '996511',
+  pest_control: '998531',
+  appliance_repair: '998719',
+  hvac: '995464',
+  tiling: '995474'
+};
+
+// Maintenance and repair services, for categories without their own code
+const DEFAULT_SAC_CODE = '9987';
+
+module.exports = {
+  STATES,
+  SAC_CODES,
+  DEFAULT_SAC_CODE
+};
@@ -0,0 +1,83 @@
+// src/config/permissions.js
+
+// Every permission an admin can hold. Routes check these keys via requirePermission().
+const PERMISSIONS = {
+  'dashboard.view': 'View dashboard statistics',
+  'reports.view': 'View admin reports',
+  'reports.export': 'Export admin reports',
+  'professionals.view': 'View professionals pending onboarding',
+  'professionals.onboard': 'Create professionals on their behalf',
+  'professionals.approve': 'Approve or reject professional onboarding',
+  'documents.view': 'View professional documents',
+  'documents.verify': 'Verify or reject professional documents',
+  'services.view': 'View service templates',
+  'services.manage': 'Create, edit, disable and delete service templates',
+  'bookings.manage': 'Intervene in bookings (no-shows, disputes)',
+  'payments.view': 'View payments and commission dues',
+  'payments.refund': 'Refund payments',
+  'commission.manage': 'Create, edit and delete commission rules',
+  'commission.collect': 'Settle commission dues and run commission dunning',
+  'promotions.manage': 'Create, edit and delete promo codes',
+  'pricing.manage': 'Create, edit and delete surge pricing overrides',
+  'withdrawals.approve': 'Approve and pay out professional withdrawals',
+  'ledger.reconcile': 'Post missing ledger entries found by reconciliation',
+  'webhooks.replay': 'Replay stored payment gateway webhook events',
+  'support.view': 'View and answer every support ticket',
+  'support.assign': 'Assign support tickets to agents',
+  'admins.manage': 'Manage other admins and their permissions',
+  'audit.view': 'Query and export the audit log'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Starting points for new admins; explicit permissions are added on top of the preset
+const ROLE_PRESETS = {
+  super_admin: {
+    label: 'Super admin',
+    permissions: ALL_PERMISSIONS
+  },
+  verifier: {
+    label: 'Verifier',
+    permissions: [
+      'dashboard.view',
+      'professionals.view',
+      'professionals.approve',
+      'documents.view',
+      'documents.verify'
+    ]
+  },
+  finance: {
+    label: 'Finance',
+    permissions: [
+      'dashboard.view',
+      'reports.view',
+      'reports.export',
+      'payments.view',
+      'payments.refund',
+      'commission.manage',
+      'commission.collect',
+      'promotions.manage',
+      'pricing.manage',
+      'withdrawals.approve',
+      'ledger.reconcile',
+      'webhooks.replay',
+      'audit.view'
+    ]
+  },
+  support_agent: {
+    label: 'Support agent',
+    permissions: [
+      'dashboard.view',
+      'bookings.manage',
+      'payments.view',
+      'support.view',
+      'support.assign'
+    ]
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PRESETS
+};
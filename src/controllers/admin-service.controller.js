@@ -1,5 +1,6 @@
 const Service = require('../models/service.model');
 const logger = require('../config/logger');
+const AuditService = require('../services/audit.service');
 const mongoose = require('mongoose');
 const Joi = require('joi');
 const fs = require('fs');
@@ -146,6 +147,14 @@ class AdminServiceController {
       });
       
       await newTemplate.save();
+
+      await AuditService.record({
+        action: 'service_template.create',
+        target: { type: 'Service', id: newTemplate._id },
+        before: null,
+        after: newTemplate,
+        context: AuditService.contextFromRequest(req)
+      });
       
       logger.info('Service template created successfully', { 
         serviceId: newTemplate._id,
@@ -221,8 +230,9 @@ class AdminServiceController {
         parsedBody.customizationOptions = JSON.parse(parsedBody.customizationOptions);
       }
       
+      const oldService = await Service.findById(id).lean();
+
       if (req.file) {
-        const oldService = await Service.findById(id);
         if (oldService && oldService.image) {
           const oldImagePath = path.join(__dirname, '..', oldService.image);
           if (fs.existsSync(oldImagePath)) {
@@ -263,6 +273,14 @@ class AdminServiceController {
         return res.status(404).json({ error: 'Service template not found' });
       }
       
+      await AuditService.record({
+        action: 'service_template.update',
+        target: { type: 'Service', id: updatedTemplate._id },
+        before: oldService,
+        after: updatedTemplate,
+        context: AuditService.contextFromRequest(req)
+      });
+
       logger.info('Service template updated successfully', { 
         serviceId: updatedTemplate._id,
         adminId: req.user._id 
@@ -407,6 +425,14 @@ class AdminServiceController {
         }
       }
       
+      await AuditService.record({
+        action: 'service_template.delete',
+        target: { type: 'Service', id: deletedTemplate._id },
+        before: deletedTemplate,
+        after: null,
+        context: AuditService.contextFromRequest(req)
+      });
+
       logger.info('Service template deleted successfully', { 
         serviceId: id,
         adminId: req.user._id 
@@ -448,6 +474,8 @@ class AdminServiceController {
         return res.status(400).json({ error: 'isActive must be a boolean value' });
       }
       
+      const previousTemplate = await Service.findById(id).select('isActive').lean();
+
       const updatedTemplate = await Service.findByIdAndUpdate(
         id,
         {
@@ -462,6 +490,15 @@ class AdminServiceController {
         return res.status(404).json({ error: 'Service template not found' });
       }
       
+      await AuditService.record({
+        action: isActive ? 'service_template.activate' : 'service_template.deactivate',
+        target: { type: 'Service', id: updatedTemplate._id },
+        before: previousTemplate,
+        after: updatedTemplate,
+        paths: ['isActive'],
+        context: AuditService.contextFromRequest(req)
+      });
+
       logger.info('Service template status updated', { 
         serviceId: id, 
         status: isActive ? 'active' : 'inactive',
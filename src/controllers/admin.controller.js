@@ -3,6 +3,13 @@ const Professional = require('../models/professional.model');
 const Service = require('../models/service.model');
 const Booking = require('../models/booking.model'); // Assuming you have this model
 const logger = require('../config/logger');
+const AdminPermissionService = require('../services/admin-permission.service');
+const AuditService = require('../services/audit.service');
+const ReportService = require('../services/report.service');
+const LedgerService = require('../services/ledger.service');
+const RazorpayWebhookService = require('../services/razorpay-webhook.service');
+const TaxService = require('../services/tax.service');
+const { generatePdf } = require('../utils/pdf');
 
 const getDashboardStats = async (req, res) => {
   try {
@@ -69,52 +76,272 @@ const updateProfile = async (req, res) => {
   }
 };
 
+const getReportErrorStatus = (error) => {
+  if (error.message.startsWith('Unknown report type')) return 404;
+  if (error.message.startsWith('Invalid')) return 400;
+  return 500;
+};
+
+const listReports = async (req, res) => {
+  res.json({ reports: ReportService.listReports() });
+};
+
 const getReportData = async (req, res) => {
   try {
-    const { timeFrame } = req.query;
-    const reportType = req.params.reportType;
-    
-    const endDate = new Date();
-    let startDate = new Date();
-    
-    switch (timeFrame) {
-      case 'week': startDate.setDate(endDate.getDate() - 7); break;
-      case 'month': startDate.setMonth(endDate.getMonth() - 1); break;
-      case 'quarter': startDate.setMonth(endDate.getMonth() - 3); break;
-      case 'year': startDate.setFullYear(endDate.getFullYear() - 1); break;
-      default: startDate.setMonth(endDate.getMonth() - 1);
-    }
+    const report = await ReportService.run(req.params.reportType, req.query);
+    res.json(report);
+  } catch (error) {
+    logger.error(`Error generating ${req.params.reportType} report:`, error);
+    const status = getReportErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to generate report' : error.message });
+  }
+};
 
-    let reportData = {};
+const exportReport = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    const rows = await ReportService.export(req.params.reportType, req.query, format, res);
 
-    if (reportType === 'professional_onboarding') {
-      const totalProfessionals = await Professional.countDocuments();
-      const newRegistrations = await Professional.countDocuments({ createdAt: { $gte: startDate, $lte: endDate } });
-      const completedOnboarding = await Professional.countDocuments({ status: 'verified', updatedAt: { $gte: startDate, $lte: endDate } });
+    await AuditService.record({
+      action: 'report.export',
+      target: { type: 'Admin', id: req.user._id },
+      metadata: { reportType: req.params.reportType, format, rows, query: req.query },
+      context: AuditService.contextFromRequest(req)
+    });
+  } catch (error) {
+    logger.error('Error exporting report:', error);
 
-      reportData = { totalProfessionals, newRegistrations, completedOnboarding };
+    // Failed mid-stream: the client gets a truncated file, end it rather than append JSON
+    if (res.headersSent) {
+      return res.destroy(error);
     }
 
-    res.json(reportData);
+    const status = getReportErrorStatus(error);
+    res.status(status).json({ error: status === 500 ? 'Failed to export report' : error.message });
+  }
+};
+
+const getPermissionCatalogue = async (req, res) => {
+  res.json(AdminPermissionService.getCatalogue());
+};
+
+const getMyPermissions = async (req, res) => {
+  res.json(AdminPermissionService.formatAdmin(req.user));
+};
+
+const listAdmins = async (req, res) => {
+  try {
+    const admins = await AdminPermissionService.listAdmins();
+    res.json({ admins });
   } catch (error) {
-    logger.error(`Error generating ${req.params.reportType} report:`, error);
-    res.status(500).json({ error: 'Failed to generate report' });
+    logger.error('Error listing admins:', error);
+    res.status(500).json({ error: 'Failed to list admins' });
   }
 };
 
-const exportReport = async (req, res) => {
+const updateAdminPermissions = async (req, res) => {
+  try {
+    const { preset, permissions, grant, revoke } = req.body;
+
+    const admin = await AdminPermissionService.updateAdminPermissions(req.user._id, req.params.adminId, {
+      preset,
+      permissions,
+      grant,
+      revoke
+    }, AuditService.contextFromRequest(req));
+
+    res.json({
+      message: 'Admin permissions updated successfully',
+      admin
+    });
+  } catch (error) {
+    logger.error('Error updating admin permissions:', error);
+
+    let status = 400;
+    if (error.message.includes('not found')) status = 404;
+    else if (error.message.includes('Not authorized')) status = 403;
+
+    res.status(status).json({ error: error.message || 'Failed to update admin permissions' });
+  }
+};
+
+const AUDIT_FILTER_KEYS = ['action', 'actorId', 'actorRole', 'targetType', 'targetId', 'requestId', 'from', 'to'];
+
+const pickAuditFilters = (query) => {
+  const filters = {};
+  for (const key of AUDIT_FILTER_KEYS) {
+    if (typeof query[key] === 'string' && query[key]) filters[key] = query[key];
+  }
+  return filters;
+};
+
+const getAuditLogs = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const result = await AuditService.query(pickAuditFilters(req.query), { page, limit });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error querying audit logs:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: status === 400 ? error.message : 'Failed to query audit logs' });
+  }
+};
+
+const exportAuditLogs = async (req, res) => {
+  let filters;
+  try {
+    filters = pickAuditFilters(req.query);
+    AuditService.buildQuery(filters);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
-    const { reportType, timeFrame } = req.params;
-    
-    const csvData = "placeholder,csv,data";
-    
     res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=${reportType}_${timeFrame}_${Date.now()}.csv`);
-    
-    res.send(csvData);
+    res.setHeader('Content-Disposition', `attachment; filename=audit_log_${Date.now()}.csv`);
+
+    const rows = await AuditService.exportCsv(filters, res);
+
+    // Exporting the audit log is itself an auditable action
+    await AuditService.record({
+      action: 'audit_log.export',
+      target: { type: 'Admin', id: req.user._id },
+      metadata: { filters, rows },
+      context: AuditService.contextFromRequest(req)
+    });
+
+    res.end();
   } catch (error) {
-    logger.error('Error exporting report:', error);
-    res.status(500).json({ error: 'Failed to export report' });
+    logger.error('Error exporting audit logs:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export audit logs' });
+    }
+    res.end();
+  }
+};
+
+const getProfessionalLedger = async (req, res) => {
+  try {
+    const { professionalId } = req.params;
+    const { from, to, page, limit } = req.query;
+
+    const professional = await Professional.findById(professionalId).select('name employeeId phone city');
+    if (!professional) {
+      return res.status(404).json({ error: 'Professional not found' });
+    }
+
+    const statement = await LedgerService.getStatement(professional._id, { from, to, page, limit });
+    res.json({ professional, ...statement });
+  } catch (error) {
+    logger.error('Error fetching professional ledger:', error);
+    if (error.name === 'CastError') {
+      return res.status(400).json({ error: 'Invalid professional ID' });
+    }
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: status === 400 ? error.message : 'Failed to fetch ledger' });
+  }
+};
+
+const getProfessionalTaxStatement = async (req, res) => {
+  try {
+    const { professionalId, financialYear } = req.params;
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'Invalid format, expected json, csv or pdf' });
+    }
+
+    const statement = await TaxService.getAnnualStatement(professionalId, financialYear);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${TaxService.statementFileName(statement, 'csv')}"`);
+      return res.send(TaxService.statementToCsv(statement));
+    }
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${TaxService.statementFileName(statement, 'pdf')}"`);
+      return res.send(await generatePdf(statement, 'tax_statement'));
+    }
+
+    res.json(statement);
+  } catch (error) {
+    logger.error('Error fetching tax statement:', error);
+    let status = 500;
+    if (error.message.startsWith('Invalid')) status = 400;
+    if (error.message.includes('not found')) status = 404;
+    res.status(status).json({ error: status === 500 ? 'Failed to fetch tax statement' : error.message });
+  }
+};
+
+const getLedgerReconciliation = async (req, res) => {
+  try {
+    const { professional, from, to } = req.query;
+    const result = await LedgerService.reconcile({ professional, from, to });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error reconciling ledger:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: status === 400 ? error.message : 'Failed to reconcile ledger' });
+  }
+};
+
+const repairLedger = async (req, res) => {
+  try {
+    const { professional, from, to } = req.body || {};
+    const result = await LedgerService.reconcile({ professional, from, to, repair: true });
+
+    await AuditService.record({
+      action: 'ledger.repair',
+      target: { type: 'Admin', id: req.user._id },
+      metadata: {
+        filters: { professional, from, to },
+        repaired: result.repaired,
+        remainingMismatches: result.mismatches.length
+      },
+      context: AuditService.contextFromRequest(req)
+    });
+
+    res.json(result);
+  } catch (error) {
+    logger.error('Error repairing ledger:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: status === 400 ? error.message : 'Failed to repair ledger' });
+  }
+};
+
+const listWebhookEvents = async (req, res) => {
+  try {
+    const { status, event, payment, page, limit } = req.query;
+    const result = await RazorpayWebhookService.listEvents({ status, event, payment, page, limit });
+    res.json(result);
+  } catch (error) {
+    logger.error('Error listing webhook events:', error);
+    const status = error.message.startsWith('Invalid') ? 400 : 500;
+    res.status(status).json({ error: status === 400 ? error.message : 'Failed to list webhook events' });
+  }
+};
+
+const replayWebhookEvent = async (req, res) => {
+  const context = AuditService.contextFromRequest(req);
+
+  try {
+    const result = await RazorpayWebhookService.replay(req.params.id, context);
+
+    await AuditService.record({
+      action: 'webhook_event.replay',
+      target: { type: 'WebhookEvent', id: result.event._id },
+      metadata: { event: result.event.event, outcome: result.event.outcome, payment: result.event.payment },
+      context
+    });
+
+    res.json({ event: result.event });
+  } catch (error) {
+    logger.error('Error replaying webhook event:', error);
+    let status = 500;
+    if (error.message.startsWith('Invalid')) status = 400;
+    if (error.message.includes('not found')) status = 404;
+    res.status(status).json({ error: status === 500 ? `Failed to replay webhook event: ${error.message}` : error.message });
   }
 };
 
@@ -122,6 +349,19 @@ const exportReport = async (req, res) => {
 module.exports = {
   getDashboardStats,
   updateProfile,
+  listReports,
   getReportData,
-  exportReport
+  exportReport,
+  getPermissionCatalogue,
+  getMyPermissions,
+  listAdmins,
+  updateAdminPermissions,
+  getAuditLogs,
+  exportAuditLogs,
+  getProfessionalLedger,
+  getProfessionalTaxStatement,
+  getLedgerReconciliation,
+  repairLedger,
+  listWebhookEvents,
+  replayWebhookEvent
 };
@@ -1,5 +1,5 @@
 const Admin = require('../models/admin.model');
-const jwt = require('jsonwebtoken');
+const SessionService = require('../services/session.service');
 const otpService = require('../services/otp.service');
 
 exports.sendOtp = async (req, res) => {
@@ -16,7 +16,7 @@ exports.sendOtp = async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized access' });
     }
 
-    // ✅ Send OTP via Twilio or Firebase
+    // ✅ Send OTP via the configured provider
     const { sessionId } = await otpService.sendOtp(phone);
 
     res.json({
@@ -25,7 +25,7 @@ exports.sendOtp = async (req, res) => {
     });
   } catch (error) {
     console.error('Error sending OTP:', error);
-    res.status(500).json({ error: error.message });
+    res.status(otpService.getErrorStatus(error)).json({ error: error.message });
   }
 };
 
@@ -52,20 +52,15 @@ exports.verifyOtp = async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized access' });
     }
 
-    // ✅ Generate JWT token
-    const token = jwt.sign(
-      {
-        id: admin._id,
-        phone: admin.phone,
-        role: 'admin'
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // ✅ Open a session and issue access + refresh tokens
+    const tokens = await SessionService.createSession(admin, 'admin', {
+      id: admin._id,
+      phone: admin.phone
+    }, req);
 
     res.json({
       message: 'OTP verified successfully',
-      token,
+      ...tokens,
       user: {
         ...admin.toObject(),
         role: 'admin'
@@ -73,6 +68,6 @@ exports.verifyOtp = async (req, res) => {
     });
   } catch (error) {
     console.error('Verify OTP error:', error);
-    res.status(500).json({ error: error.message || 'OTP verification failed' });
+    res.status(otpService.getErrorStatus(error)).json({ error: error.message || 'OTP verification failed' });
   }
 };
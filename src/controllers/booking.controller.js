@@ -3,8 +3,21 @@ const Booking = require('../models/booking.model');
 const Service = require('../models/service.model');
 const Professional = require('../models/professional.model');
 const EnhancedBookingService = require('../services/BookingService'); // Use exact filename
+const ScheduleService = require('../services/schedule.service');
+const SlotService = require('../services/slot.service');
+const RatingService = require('../services/rating.service');
+const DispatchService = require('../services/dispatch.service');
+const BookingStateService = require('../services/booking-state.service');
+const CommissionService = require('../services/commission.service');
+const InvoiceService = require('../services/invoice.service');
+const PricingService = require('../services/pricing.service');
+const LocationHistoryService = require('../services/location-history.service');
+const GeofenceService = require('../services/geofence.service');
+const EtaService = require('../services/eta.service');
+const { generatePdf } = require('../utils/pdf');
+const { ACTIVE_STATUSES, ON_SITE_STATUSES, BOOKING_STATUSES } = BookingStateService;
 // const logger = require('../config/logger'); // Comment out if not available
-const twilioService = require('../services/twilio.service');
+const otpService = require('../services/otp.service');
 const User = require('../models/user.model');
 
 class BookingController {
@@ -18,7 +31,7 @@ async createBooking(req, res) {
     console.log('🌍 [BOOKING-API] User IP:', req.ip);
     
     try {
-      const { serviceId, location, scheduledDate, isEmergency, notes } = req.body;
+      const { serviceId, location, scheduledDate, isEmergency, notes, promoCode, useWallet, quoteId } = req.body;
 
       // Enhanced validation
       if (!serviceId || !location?.coordinates || !scheduledDate) {
@@ -77,7 +90,7 @@ async createBooking(req, res) {
         }
         
         // Check if scheduled time is within service hours (e.g., 6 AM to 10 PM)
-        const hour = scheduledTime.getHours();
+        const hour = Math.floor(ScheduleService.timeToMinutes(ScheduleService.toTimeString(scheduledTime)) / 60);
         if (hour < 6 || hour > 22) {
           return res.status(400).json({
             success: false,
@@ -109,7 +122,10 @@ async createBooking(req, res) {
         },
         scheduledDate,
         isEmergency: isEmergency || false,
-        notes: notes || ''
+        notes: notes || '',
+        promoCode,
+        useWallet: useWallet === true,
+        quoteId
       };
       
       const booking = await EnhancedBookingService.createBooking(bookingData, req.user._id);
@@ -126,6 +142,7 @@ async createBooking(req, res) {
             status: booking.status,
             scheduledDate: booking.scheduledDate,
             totalAmount: booking.totalAmount,
+            pricing: booking.pricing,
             verificationCode: booking.verificationCode,
             isEmergency: booking.isEmergency,
             location: booking.location,
@@ -174,6 +191,70 @@ async createBooking(req, res) {
       }
     }
   }
+  /**
+   * Price a booking before making it, with an optional promo code and wallet credit. The price
+   * before discounts is held for a booking made with the returned quoteId until it expires.
+   */
+  async getQuote(req, res) {
+    try {
+      const { serviceId, location, scheduledDate, isEmergency, promoCode, useWallet } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid service ID format'
+        });
+      }
+
+      const coordinates = location?.coordinates;
+      if (!Array.isArray(coordinates) || coordinates.length !== 2 || !coordinates.every(Number.isFinite) ||
+          Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid location coordinates. Expected [longitude, latitude]'
+        });
+      }
+
+      // Emergency bookings are for now, whatever the request says
+      const scheduledFor = isEmergency === true ? new Date() : new Date(scheduledDate);
+      if (isNaN(scheduledFor.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid scheduledDate'
+        });
+      }
+
+      const service = await Service.findById(serviceId);
+      if (!service) {
+        return res.status(404).json({
+          success: false,
+          message: 'Service not found'
+        });
+      }
+
+      const quote = await PricingService.createQuote(req.user._id, {
+        service,
+        location: { coordinates },
+        scheduledDate: scheduledFor,
+        isEmergency: isEmergency === true,
+        promoCode,
+        useWallet: useWallet === true
+      });
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      console.error('❌ Booking quote failed:', error);
+      const statusCode = error.message.includes('Invalid') ? 400 : 500;
+      res.status(statusCode).json({
+        success: false,
+        message: statusCode === 400 ? error.message : 'Failed to price booking'
+      });
+    }
+  }
+
   /**
    * Professional accepts booking
    */
@@ -228,6 +309,7 @@ async acceptBooking(req, res) {
     // Option 2: If you don't have a separate service, implement the logic here:
     const session = await mongoose.startSession();
     session.startTransaction();
+    let heldAppointment = null;
 
     try {
       // Convert to ObjectId explicitly
@@ -239,7 +321,7 @@ async acceptBooking(req, res) {
       // Find booking
       const booking = await Booking.findById(bookingObjectId)
         .populate('user', 'name phone currentLocation')
-        .populate('service', 'name category pricing')
+        .populate('service', 'name category pricing estimatedDuration')
         .session(session);
       
       console.log(`🔍 [BOOKING-API] Booking found: ${!!booking}`);
@@ -256,8 +338,8 @@ async acceptBooking(req, res) {
       console.log(`📋 [BOOKING-API] Current booking status: ${booking.status}`);
       console.log(`📋 [BOOKING-API] Current booking professional: ${booking.professional}`);
       
-      // Check if booking is still pending
-      if (booking.status !== 'pending') {
+      // Check if booking can still be accepted
+      if (!BookingStateService.getAllowedTransitions(booking.status, 'professional').includes('accepted')) {
         await session.abortTransaction();
         return res.status(400).json({
           success: false,
@@ -276,7 +358,7 @@ async acceptBooking(req, res) {
       
       // Find professional
      const professional = await Professional.findById(professionalObjectId)
-  .select('name phone rating specializations isAvailable currentLocation currentBooking')
+  .select('name phone ratings specializations isAvailable currentLocation currentBooking')
   .session(session);
 
 if (!professional) {
@@ -315,6 +397,7 @@ if (!professional.isAvailable) {
       // Calculate initial ETA and distance
       let initialETA = null;
       let initialDistance = null;
+      let initialEstimate = null;
       
       if (professional.currentLocation && professional.currentLocation.coordinates && 
           booking.location && booking.location.coordinates) {
@@ -339,8 +422,8 @@ if (!professional.isAvailable) {
           booking.location.coordinates[0]  // Booking lng
         );
         
-        // Calculate ETA (assuming average speed of 30 km/h)
-        initialETA = Math.round((initialDistance / 30) * 60);
+        initialEstimate = await EtaService.estimate(professional.currentLocation.coordinates, booking.location.coordinates);
+        initialETA = initialEstimate.minutes;
         
         console.log('📏 [BOOKING-API] Initial distance:', initialDistance.toFixed(2), 'km');
         console.log('⏱️ [BOOKING-API] Initial ETA:', initialETA, 'minutes');
@@ -348,9 +431,24 @@ if (!professional.isAvailable) {
         console.log('⚠️ [BOOKING-API] Professional or booking location not available for ETA calculation');
       }
       
+      // Only the professional holding the current dispatch offer may accept
+      try {
+        DispatchService.markAccepted(booking, professionalObjectId);
+      } catch (dispatchError) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: dispatchError.message
+        });
+      }
+      
       // Update booking
       booking.professional = professionalObjectId;
-      booking.status = 'accepted';
+      BookingStateService.transition(booking, 'accepted', {
+        actorId: professionalObjectId,
+        role: 'professional',
+        location: professional.currentLocation
+      });
       booking.acceptedAt = new Date();
       
       // Initialize tracking data
@@ -367,10 +465,20 @@ if (!professional.isAvailable) {
           coordinates: professional.currentLocation.coordinates,
           timestamp: new Date()
         };
-        booking.tracking.eta = initialETA;
+        if (initialEstimate) {
+          EtaService.applyEstimate(booking, initialEstimate, professional.currentLocation.coordinates);
+        }
         booking.tracking.distance = initialDistance;
       }
       
+      // A scheduled booking's time is held on this professional's Schedule first, so two bookings
+      // cannot both be accepted into the same time. Held outside the transaction; released below
+      // if the booking is not accepted.
+      if (!booking.isEmergency) {
+        await SlotService.holdWith(booking, booking.service, professionalObjectId, { customerName: booking.user?.name });
+        heldAppointment = booking.slot.appointment;
+      }
+      
       console.log('💾 [BOOKING-API] Saving booking...');
       await booking.save({ session });
       console.log('✅ [BOOKING-API] Booking saved');
@@ -406,8 +514,17 @@ console.log('✅ [BOOKING-API] Professional updated');
       await session.commitTransaction();
       console.log('✅ [BOOKING-API] Transaction committed');
       
+      DispatchService.clearTimer(bookingObjectId);
+      
+      // Only now let a slot held with another professional go. An emergency booking has no slot
+      // and is only cached on the professional's schedule.
+      await (heldAppointment ? SlotService.confirmHold(booking) : ScheduleService.upsertAppointment(booking))
+        .catch(error => {
+          console.error('⚠️ [BOOKING-API] Schedule sync failed (non-critical):', error.message);
+        });
+      
       // Populate professional details for response
-      await booking.populate('professional', 'name phone rating currentLocation');
+      await booking.populate('professional', 'name phone ratings currentLocation');
       
       console.log('✅ [BOOKING-API] Booking accepted successfully:', booking._id);
       
@@ -440,6 +557,11 @@ console.log('✅ [BOOKING-API] Professional updated');
       
     } catch (error) {
       await session.abortTransaction();
+      if (heldAppointment) {
+        await SlotService.release(bookingId, { only: heldAppointment }).catch(releaseError => {
+          console.error('❌ [BOOKING-API] Error releasing slot hold:', releaseError);
+        });
+      }
       throw error;
     } finally {
       session.endSession();
@@ -503,12 +625,12 @@ console.log('✅ [BOOKING-API] Professional updated');
       if (req.userRole === 'user') {
         query = {
           user: req.user._id,
-          status: { $in: ['pending', 'accepted', 'in_progress'] }
+          status: { $in: ['pending', ...ACTIVE_STATUSES] }
         };
       } else if (req.userRole === 'professional') {
         query = {
           professional: req.user._id,
-          status: { $in: ['accepted', 'in_progress'] }
+          status: { $in: ACTIVE_STATUSES }
         };
       }
 
@@ -517,7 +639,7 @@ console.log('✅ [BOOKING-API] Professional updated');
       // Find booking with timeout protection
       const findBookingPromise = Booking.findOne(query)
         .populate('service', 'name category pricing estimatedDuration')
-        .populate('professional', 'name phone rating currentLocation')
+        .populate('professional', 'name phone ratings currentLocation')
         .populate('user', 'name phone')
         .lean();
       
@@ -561,7 +683,7 @@ console.log('✅ [BOOKING-API] Professional updated');
           _id: booking.professional._id.toString(),
           name: booking.professional.name,
           phone: booking.professional.phone,
-          rating: booking.professional.rating || 0,
+          rating: booking.professional.ratings?.average || 0,
           currentLocation: booking.professional.currentLocation
         };
         
@@ -573,10 +695,11 @@ console.log('✅ [BOOKING-API] Professional updated');
             booking.location.coordinates[1],
             booking.location.coordinates[0]
           );
+          const { eta } = await EtaService.refresh(booking, booking.professional.currentLocation.coordinates);
           
           response.realTimeTracking = {
             distance: distance,
-            eta: this.calculateETA(distance),
+            eta: eta,
             lastUpdate: booking.professional.currentLocation.timestamp || booking.tracking?.lastUpdate
           };
         }
@@ -588,7 +711,7 @@ console.log('✅ [BOOKING-API] Professional updated');
         };
         
         // Share verification code with professional during service
-        if (booking.status === 'in_progress') {
+        if (ON_SITE_STATUSES.includes(booking.status)) {
           response.verificationCode = booking.verificationCode;
         }
       }
@@ -648,7 +771,12 @@ console.log('✅ [BOOKING-API] Professional updated');
       // Build query for available bookings
       let query = {
         status: 'pending',
-        professional: { $exists: false }
+        professional: { $exists: false },
+        // Dispatched bookings are only visible to the professional holding the current offer
+        $or: [
+          { 'dispatch.status': { $exists: false } },
+          { 'dispatch.currentOffer.professional': professional._id }
+        ]
       };
 
       // Filter by specializations
@@ -697,7 +825,7 @@ console.log('✅ [BOOKING-API] Professional updated');
           
           // Add distance to booking for client
           booking.distanceFromYou = distance;
-          booking.estimatedETA = this.calculateETA(distance);
+          booking.estimatedETA = EtaService.estimateFromDistance(distance);
           
           return distance <= radius;
         });
@@ -773,16 +901,6 @@ calculateDistance(lat1, lon1, lat2, lon2) {
   }
 
 
-  /**
-   * Utility method to calculate ETA
-   */
-calculateETA(distance, averageSpeed = 30) {
-    if (!distance || distance <= 0) return 0;
-    const timeInMinutes = Math.round((distance / averageSpeed) * 60);
-    return Math.max(1, timeInMinutes);
-  }
-
-
 
 /**
  * Get booking details by ID
@@ -802,7 +920,7 @@ async getBookingById(req, res) {
 
       const booking = await Booking.findById(bookingId)
         .populate('service', 'name category pricing estimatedDuration description')
-        .populate('professional', 'name phone rating currentLocation')
+        .populate('professional', 'name phone ratings currentLocation')
         .populate('user', 'name phone')
         .lean();
       
@@ -849,7 +967,7 @@ async getBookingById(req, res) {
           _id: booking.professional._id,
           name: booking.professional.name,
           phone: booking.professional.phone,
-          rating: booking.professional.rating || 0,
+          rating: booking.professional.ratings?.average || 0,
           currentLocation: booking.professional.currentLocation
         };
       }
@@ -861,7 +979,7 @@ async getBookingById(req, res) {
           phone: booking.user.phone
         };
         
-        if (booking.status === 'in_progress') {
+        if (ON_SITE_STATUSES.includes(booking.status)) {
           response.verificationCode = booking.verificationCode;
         }
       }
@@ -907,7 +1025,7 @@ async getBookingById(req, res) {
       }
 
       // Add status filter if provided
-      if (status && ['pending', 'accepted', 'in_progress', 'completed', 'cancelled'].includes(status)) {
+      if (status && BOOKING_STATUSES.includes(status)) {
         query.status = status;
       }
 
@@ -997,7 +1115,7 @@ async getBookingById(req, res) {
         });
       }
 
-      const booking = await EnhancedBookingService.completeService(bookingId, req.user._id, verificationCode);
+      const booking = await EnhancedBookingService.completeService(bookingId, req.user._id, verificationCode, req.body.location);
 
       console.log('✅ [BOOKING-API] Booking completed successfully');
 
@@ -1009,8 +1127,10 @@ async getBookingById(req, res) {
             _id: booking._id,
             status: booking.status,
             completedAt: booking.completedAt,
-            paymentStatus: booking.paymentStatus
-          }
+            paymentStatus: booking.paymentStatus,
+            timeOnSiteMinutes: booking.geofence?.timeOnSiteMinutes
+          },
+          warning: booking.$locals.geofenceWarning
         }
       });
       
@@ -1033,6 +1153,38 @@ async getBookingById(req, res) {
     }
   }
 
+  /**
+   * Professional declines the booking currently offered to them; it moves on to the next candidate
+   */
+  async declineBooking(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { reason } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      await EnhancedBookingService.declineBooking(bookingId, req.user._id, reason);
+
+      res.json({
+        success: true,
+        message: 'Booking declined'
+      });
+    } catch (error) {
+      console.error('❌ Decline booking failed:', error);
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Not authorized') ? 403 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to decline booking'
+      });
+    }
+  }
+
   /**
    * Cancel a booking
    */
@@ -1041,7 +1193,14 @@ async getBookingById(req, res) {
       const { bookingId } = req.params;
       const { reason } = req.body;
 
-      const booking = await BookingService.cancelBooking(bookingId, req.user._id, req.userRole, reason);
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      const booking = await EnhancedBookingService.cancelBooking(bookingId, req.user._id, req.userRole, reason);
 
       res.json({
         success: true,
@@ -1049,18 +1208,52 @@ async getBookingById(req, res) {
         booking: {
           _id: booking._id,
           status: booking.status,
-          cancelledAt: booking.cancelledAt
+          cancelledAt: booking.cancelledAt,
+          cancellation: booking.cancellation
         }
       });
     } catch (error) {
       console.error('❌ Cancel booking failed:', error);
-      res.status(error.message.includes('not found') ? 404 : 400).json({ 
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Not authorized') ? 403 : 400;
+      res.status(statusCode).json({ 
         success: false, 
         message: error.message || 'Failed to cancel booking' 
       });
     }
   }
 
+  /**
+   * Preview the cancellation fee and refund for a booking
+   */
+  async getCancellationQuote(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      const quote = await EnhancedBookingService.getCancellationQuote(bookingId, req.user._id, req.userRole);
+
+      res.json({
+        success: true,
+        data: quote
+      });
+    } catch (error) {
+      console.error('❌ Cancellation quote failed:', error);
+      const statusCode = error.message.includes('not found') ? 404 :
+                        error.message.includes('Not authorized') ? 403 : 400;
+      res.status(statusCode).json({
+        success: false,
+        message: error.message || 'Failed to get cancellation quote'
+      });
+    }
+  }
+
   /**
    * Reschedule a booking
    */
@@ -1076,26 +1269,98 @@ async getBookingById(req, res) {
         });
       }
 
-      const booking = await BookingService.rescheduleBooking(bookingId, req.user._id, scheduledDate, reason);
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      const { booking, requiresApproval } = await EnhancedBookingService.rescheduleBooking(
+        bookingId,
+        req.user._id,
+        req.userRole,
+        scheduledDate,
+        reason
+      );
 
       res.json({
         success: true,
-        message: 'Booking rescheduled successfully',
+        message: requiresApproval
+          ? 'Reschedule request sent for approval'
+          : 'Booking rescheduled successfully',
+        requiresApproval,
         booking: {
           _id: booking._id,
           scheduledDate: booking.scheduledDate,
+          pendingReschedule: booking.pendingReschedule,
+          rescheduleCount: booking.rescheduleCount,
           reschedulingHistory: booking.reschedulingHistory
         }
       });
     } catch (error) {
       console.error('❌ Reschedule booking failed:', error);
-      res.status(error.message.includes('not found') ? 404 : 400).json({ 
+      res.status(this.getRescheduleErrorStatus(error)).json({ 
         success: false, 
         message: error.message || 'Failed to reschedule booking' 
       });
     }
   }
 
+  /**
+   * Accept, reject or withdraw a pending reschedule request
+   */
+  async respondToReschedule(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { action, note } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      if (!action) {
+        return res.status(400).json({
+          success: false,
+          message: 'Action is required (accept, reject or withdraw)'
+        });
+      }
+
+      const booking = await EnhancedBookingService.respondToReschedule(bookingId, req.user._id, req.userRole, action, note);
+
+      res.json({
+        success: true,
+        message: `Reschedule request ${action === 'accept' ? 'accepted' : action === 'reject' ? 'rejected' : 'withdrawn'}`,
+        booking: {
+          _id: booking._id,
+          scheduledDate: booking.scheduledDate,
+          rescheduleCount: booking.rescheduleCount,
+          reschedulingHistory: booking.reschedulingHistory
+        }
+      });
+    } catch (error) {
+      console.error('❌ Reschedule response failed:', error);
+      res.status(this.getRescheduleErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to respond to reschedule request'
+      });
+    }
+  }
+
+  /**
+   * Map reschedule errors to HTTP status codes
+   * @private
+   */
+  getRescheduleErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('Not authorized')) return 403;
+    if (error.message.includes('not available') || error.message.includes('already pending')) return 409;
+    return 400;
+  }
+
   /**
    * Update ETA for a booking
    */
@@ -1145,7 +1410,7 @@ async getBookingById(req, res) {
         });
       }
 
-      const booking = await BookingService.rateBooking(bookingId, req.user._id, rating, review);
+      const booking = await EnhancedBookingService.rateBooking(bookingId, req.user._id, rating, review);
 
       res.json({
         success: true,
@@ -1154,13 +1419,93 @@ async getBookingById(req, res) {
       });
     } catch (error) {
       console.error('❌ Rate booking failed:', error);
-      res.status(error.message.includes('not found') ? 404 : 400).json({ 
+      res.status(this.getRatingErrorStatus(error)).json({ 
         success: false, 
         message: error.message || 'Failed to rate booking' 
       });
     }
   }
 
+  /**
+   * Professional replies publicly to the customer's review
+   */
+  async replyToReview(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { reply } = req.body;
+
+      if (!reply || !reply.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reply text is required'
+        });
+      }
+
+      if (reply.length > 500) {
+        return res.status(400).json({
+          success: false,
+          message: 'Reply cannot exceed 500 characters'
+        });
+      }
+
+      const booking = await RatingService.replyToReview(bookingId, req.user._id, reply);
+
+      res.json({
+        success: true,
+        message: 'Reply posted successfully',
+        rating: booking.rating
+      });
+    } catch (error) {
+      console.error('❌ Reply to review failed:', error);
+      res.status(this.getRatingErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to post reply'
+      });
+    }
+  }
+
+  /**
+   * Professional rates the customer for a completed booking
+   */
+  async rateCustomer(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { rating, review } = req.body;
+
+      if (!rating || rating < 1 || rating > 5) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rating must be between 1 and 5'
+        });
+      }
+
+      const booking = await RatingService.rateCustomer(bookingId, req.user._id, rating, review);
+
+      res.json({
+        success: true,
+        message: 'Customer rated successfully',
+        customerRating: booking.customerRating
+      });
+    } catch (error) {
+      console.error('❌ Rate customer failed:', error);
+      res.status(this.getRatingErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to rate customer'
+      });
+    }
+  }
+
+  /**
+   * Map rating errors to HTTP status codes
+   * @private
+   */
+  getRatingErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('Not authorized')) return 403;
+    if (error.message.includes('already')) return 409;
+    return 400;
+  }
+
   /**
    * Start a service
    */
@@ -1194,7 +1539,8 @@ async startService(req, res) {
     // ✅ CORRECT: Call SERVICE method with direct parameters
     const booking = await EnhancedBookingService.startService(
       bookingId,        // ← Direct parameter
-      professionalId    // ← Direct parameter
+      professionalId,   // ← Direct parameter
+      req.body?.location
     );
     
     console.log('✅ [BOOKING-CONTROLLER] Service started successfully');
@@ -1228,7 +1574,15 @@ async startService(req, res) {
       });
     }
     
-    if (error.message.includes('cannot start') || 
+    if (error.message.includes('Not authorized')) {
+      return res.status(403).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('cannot move') || 
+        error.message.includes('already') ||
         error.message.includes('not assigned')) {
       return res.status(400).json({
         success: false,
@@ -1261,7 +1615,7 @@ async startService(req, res) {
         });
       }
 
-      const booking = await EnhancedBookingService.professionalArrived(bookingId, req.user._id);
+      const booking = await EnhancedBookingService.professionalArrived(bookingId, req.user._id, req.body?.location);
 
       console.log('✅ [BOOKING-API] Arrival marked successfully');
 
@@ -1271,6 +1625,7 @@ async startService(req, res) {
         data: {
           booking: {
             _id: booking._id,
+            status: booking.status,
             tracking: {
               arrivedAt: booking.tracking.arrivedAt,
               eta: booking.tracking.eta
@@ -1292,6 +1647,218 @@ async startService(req, res) {
     }
   }
 
+  /**
+   * Professional starts working after arrival
+   */
+  async beginWork(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      const booking = await EnhancedBookingService.beginWork(bookingId, req.user._id, req.body?.location);
+
+      res.json({
+        success: true,
+        message: 'Work started',
+        data: {
+          booking: {
+            _id: booking._id,
+            status: booking.status,
+            workStartedAt: booking.tracking?.workStartedAt
+          },
+          warning: booking.$locals.geofenceWarning
+        }
+      });
+    } catch (error) {
+      console.error('❌ [BOOKING-API] Begin work error:', error);
+      res.status(this.getTransitionErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to start work'
+      });
+    }
+  }
+
+  /**
+   * Report a no-show: professionals report absent customers, admins can record either party
+   */
+  async markNoShow(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { party, reason, location } = req.body;
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      const booking = await EnhancedBookingService.markNoShow(bookingId, req.user._id, req.userRole, {
+        party,
+        reason,
+        location
+      });
+
+      res.json({
+        success: true,
+        message: 'No-show recorded',
+        data: {
+          booking: {
+            _id: booking._id,
+            status: booking.status,
+            noShow: booking.noShow
+          }
+        }
+      });
+    } catch (error) {
+      console.error('❌ [BOOKING-API] No-show error:', error);
+      res.status(this.getTransitionErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to record no-show'
+      });
+    }
+  }
+
+  /**
+   * Audited status timeline of a booking
+   */
+  async getBookingTimeline(req, res) {
+    try {
+      const { bookingId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      const timeline = await EnhancedBookingService.getTimeline(bookingId, req.user._id, req.userRole);
+
+      res.json({
+        success: true,
+        data: timeline
+      });
+    } catch (error) {
+      console.error('❌ [BOOKING-API] Get timeline error:', error);
+      res.status(this.getTransitionErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to get booking timeline'
+      });
+    }
+  }
+
+  /**
+   * Download the GST invoice for a paid booking (Customer only). PDF by default, ?format=json
+   * returns the invoice with the numbers of its credit notes.
+   */
+  async getInvoice(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const format = req.query.format || 'pdf';
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+      if (!['pdf', 'json'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid format, expected pdf or json'
+        });
+      }
+
+      const { invoice, creditNotes } = await InvoiceService.getBookingDocuments(bookingId, req.user._id);
+
+      if (format === 'json') {
+        return res.json({
+          success: true,
+          data: {
+            invoice,
+            creditNotes: creditNotes.map(creditNote => ({
+              id: creditNote._id,
+              number: creditNote.number,
+              issuedAt: creditNote.issuedAt,
+              total: creditNote.totals.total,
+              reason: creditNote.reason
+            }))
+          }
+        });
+      }
+
+      const pdfBuffer = await generatePdf(invoice.toObject(), 'tax_invoice');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${InvoiceService.fileName(invoice)}`);
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error('❌ [BOOKING-API] Get invoice error:', error);
+      res.status(this.getTransitionErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to get invoice'
+      });
+    }
+  }
+
+  /**
+   * Download a credit note issued for a refund on the booking (Customer only)
+   */
+  async getCreditNote(req, res) {
+    try {
+      const { bookingId, creditNoteId } = req.params;
+      const format = req.query.format || 'pdf';
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId) || !mongoose.Types.ObjectId.isValid(creditNoteId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking or credit note ID format'
+        });
+      }
+
+      const { creditNotes } = await InvoiceService.getBookingDocuments(bookingId, req.user._id);
+      const creditNote = creditNotes.find(note => note._id.toString() === creditNoteId);
+      if (!creditNote) {
+        return res.status(404).json({
+          success: false,
+          message: 'Credit note not found'
+        });
+      }
+
+      if (format === 'json') {
+        return res.json({ success: true, data: creditNote });
+      }
+
+      const pdfBuffer = await generatePdf(creditNote.toObject(), 'credit_note');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${InvoiceService.fileName(creditNote)}`);
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error('❌ [BOOKING-API] Get credit note error:', error);
+      res.status(this.getTransitionErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to get credit note'
+      });
+    }
+  }
+
+  /**
+   * Map state machine errors to HTTP status codes
+   * @private
+   */
+  getTransitionErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('Not authorized') || error.message.includes('not assigned')) return 403;
+    if (error.message.includes('cannot move') || error.message.includes('already')) return 409;
+    return 400;
+  }
+
   /**
    * Create emergency booking
    */
@@ -1350,7 +1917,7 @@ async startService(req, res) {
     const booking = await Booking.findOne({
       _id: bookingId,
       professional: professionalId,
-      status: 'in_progress' // ✅ NOT completed
+      status: { $in: ON_SITE_STATUSES } // ✅ NOT completed
     }).populate('user', 'name phone email');
 
     if (!booking) {
@@ -1368,7 +1935,7 @@ async startService(req, res) {
     }
 
     // Send OTP to customer
-    const otpResult = await twilioService.sendOtp(booking.user.phone);
+    const otpResult = await otpService.sendOtp(booking.user.phone, { purpose: 'service_completion' });
 
     // ❌ DO NOT mark as completed here
     // ✅ Only store OTP session for verification
@@ -1383,15 +1950,16 @@ async startService(req, res) {
       data: {
         sessionId: otpResult.sessionId,
         customerPhone: booking.user.phone.replace(/(\d{2})\d{6}(\d{2})/, '$1******$2'),
-        expiresIn: 600
+        expiresIn: otpResult.expiresIn
       }
     });
 
   } catch (error) {
     console.error('❌ [BOOKING-API] Error sending OTP:', error);
-    res.status(500).json({
+    const statusCode = otpService.getErrorStatus(error);
+    res.status(statusCode).json({
       success: false,
-      message: 'Failed to send OTP',
+      message: statusCode === 429 ? error.message : 'Failed to send OTP',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -1439,8 +2007,8 @@ async verifyServiceCompletionOTP(req, res) {
     const booking = await Booking.findOne({
       _id: bookingId,
       professional: professionalId,
-      status: 'in_progress' // ✅ Must be in_progress
-    }).populate('user', 'name phone email').populate('service', 'name category pricing');
+      status: { $in: ON_SITE_STATUSES } // ✅ Must be on site
+    }).populate('user', 'name phone email').populate('service', 'name category pricing estimatedDuration');
 
     if (!booking) {
       return res.status(404).json({
@@ -1479,8 +2047,8 @@ async verifyServiceCompletionOTP(req, res) {
       });
     }
 
-    // Verify OTP using Twilio Verify API
-    const isValid = await twilioService.verifyOtp(booking.user.phone, otp);
+    // Verify OTP with the provider that issued it
+    const isValid = await otpService.verifyOtp(booking.user.phone, otp, { purpose: 'service_completion' });
 
     if (!isValid) {
       booking.completionOTPAttempts = (booking.completionOTPAttempts || 0) + 1;
@@ -1496,7 +2064,10 @@ async verifyServiceCompletionOTP(req, res) {
     console.log('✅ [BOOKING-API] OTP verified successfully');
 
     // ✅ CRITICAL: NOW mark service as completed
-    booking.status = 'completed';
+    BookingStateService.transition(booking, 'completed', {
+      actorId: professionalId,
+      role: 'professional'
+    });
     booking.completedAt = new Date();
     booking.completionOTPVerifiedAt = new Date();
     
@@ -1511,31 +2082,17 @@ async verifyServiceCompletionOTP(req, res) {
         booking.tracking.totalServiceTime = Math.round(serviceTime);
       }
     }
+
+    GeofenceService.checkOnSite(booking, req.body.location, 'complete');
+    await GeofenceService.recordTimeOnSite(booking);
     
     await booking.save();
 
-    // Calculate payment breakdown
-    const serviceAmount = booking.totalAmount || booking.service?.pricing?.basePrice || 0;
+    // Calculate payment breakdown; the booking's promo discount is taken off the price before discounts
+    const serviceAmount = booking.pricing?.subtotal ?? (booking.totalAmount || booking.service?.pricing?.basePrice || 0);
     const additionalCharges = booking.additionalCharges || [];
     
-    const additionalAmount = additionalCharges.reduce(
-      (sum, charge) => sum + (charge.amount || 0),
-      0
-    );
-    const totalAmount = serviceAmount + additionalAmount;
-    const commissionRate = 0.15;
-    const platformCommission = Math.round(totalAmount * commissionRate * 100) / 100;
-    const professionalPayout = Math.round((totalAmount - platformCommission) * 100) / 100;
-
-    const paymentBreakdown = {
-      serviceAmount: parseFloat(serviceAmount.toFixed(2)),
-      additionalAmount: parseFloat(additionalAmount.toFixed(2)),
-      totalAmount: parseFloat(totalAmount.toFixed(2)),
-      platformCommission: parseFloat(platformCommission.toFixed(2)),
-      professionalPayout: parseFloat(professionalPayout.toFixed(2)),
-      commissionRate,
-      additionalCharges
-    };
+    const paymentBreakdown = await this.calculatePaymentBreakdown(booking, serviceAmount, additionalCharges);
 
     res.status(200).json({
       success: true,
@@ -1549,17 +2106,20 @@ async verifyServiceCompletionOTP(req, res) {
             isActive: false,
             trackingEnded: booking.tracking?.trackingEnded,
             totalServiceTime: booking.tracking?.totalServiceTime
-          }
+          },
+          timeOnSiteMinutes: booking.geofence?.timeOnSiteMinutes
         },
-        paymentBreakdown
+        paymentBreakdown,
+        warning: booking.$locals.geofenceWarning
       }
     });
 
   } catch (error) {
     console.error('❌ [BOOKING-API] Error verifying OTP:', error);
-    res.status(500).json({
+    const statusCode = otpService.getErrorStatus(error);
+    res.status(statusCode).json({
       success: false,
-      message: 'Failed to verify OTP',
+      message: statusCode === 429 ? error.message : 'Failed to verify OTP',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -1573,7 +2133,7 @@ async verifyServiceCompletionOTP(req, res) {
     const booking = await Booking.findOne({
       _id: bookingId,
       professional: professionalId,
-      status: { $in: ['accepted', 'in_progress'] }
+      status: { $in: ACTIVE_STATUSES }
     });
 
     if (!booking) {
@@ -1593,12 +2153,34 @@ async verifyServiceCompletionOTP(req, res) {
 
     await booking.save();
 
+    const { eta } = await EtaService.refresh(booking, [parseFloat(longitude), parseFloat(latitude)]);
+
+    try {
+      await LocationHistoryService.record(booking, professionalId, {
+        coordinates: [parseFloat(longitude), parseFloat(latitude)],
+        accuracy,
+        heading,
+        speed
+      }, 'rest');
+    } catch (historyError) {
+      console.error('⚠️ Breadcrumb not recorded (non-critical):', historyError.message);
+    }
+
+    try {
+      await GeofenceService.check(booking, professionalId, {
+        coordinates: [parseFloat(longitude), parseFloat(latitude)],
+        accuracy
+      });
+    } catch (geofenceError) {
+      console.error('⚠️ Geofence check failed (non-critical):', geofenceError.message);
+    }
+
     res.status(200).json({
       success: true,
       message: 'Location updated',
       tracking: {
         distance: booking.tracking.distance,
-        eta: booking.tracking.eta
+        eta
       }
     });
 
@@ -1634,7 +2216,7 @@ async verifyServiceCompletionOTP(req, res) {
       const booking = await Booking.findOne({
         _id: bookingId,
         professional: professionalId,
-        status: 'in_progress'
+        status: { $in: ON_SITE_STATUSES }
       }).populate('user', 'name phone email');
 
       if (!booking) {
@@ -1658,7 +2240,7 @@ async verifyServiceCompletionOTP(req, res) {
       }
 
       // Send new OTP
-      const otpResult = await twilioService.sendOtp(booking.user.phone);
+      const otpResult = await otpService.sendOtp(booking.user.phone, { purpose: 'service_completion' });
 
       // Update booking
       booking.completionOTPSession = otpResult.sessionId;
@@ -1673,40 +2255,35 @@ async verifyServiceCompletionOTP(req, res) {
         message: 'OTP resent successfully',
         data: {
           sessionId: otpResult.sessionId,
-          expiresIn: 600
+          expiresIn: otpResult.expiresIn
         }
       });
 
     } catch (error) {
       console.error('❌ [BOOKING-API] Error resending OTP:', error);
-      res.status(500).json({
+      const statusCode = otpService.getErrorStatus(error);
+      res.status(statusCode).json({
         success: false,
-        message: 'Failed to resend OTP',
+        message: statusCode === 429 ? error.message : 'Failed to resend OTP',
         error: process.env.NODE_ENV === 'development' ? error.message : undefined
       });
     }
   }
 
   /**
-   * Helper function to calculate payment breakdown
+   * Helper function to calculate payment breakdown under the booking's commission rule
    * @private
    */
-  calculatePaymentBreakdown(serviceAmount, additionalCharges = [], commissionRate = 0.15) {
-    const additionalAmount = additionalCharges.reduce(
-      (sum, charge) => sum + (charge.amount || 0),
-      0
-    );
-    const totalAmount = serviceAmount + additionalAmount;
-    const platformCommission = Math.round(totalAmount * commissionRate * 100) / 100;
-    const professionalPayout = Math.round((totalAmount - platformCommission) * 100) / 100;
+  async calculatePaymentBreakdown(booking, serviceAmount, additionalCharges = [], paymentMethod) {
+    const { commissionRule, ...breakdown } = await CommissionService.calculateBreakdown(booking, {
+      serviceAmount,
+      additionalCharges,
+      paymentMethod
+    });
 
     return {
-      serviceAmount: parseFloat(serviceAmount.toFixed(2)),
-      additionalAmount: parseFloat(additionalAmount.toFixed(2)),
-      totalAmount: parseFloat(totalAmount.toFixed(2)),
-      platformCommission: parseFloat(platformCommission.toFixed(2)),
-      professionalPayout: parseFloat(professionalPayout.toFixed(2)),
-      commissionRate,
+      ...breakdown,
+      commissionRule: { name: commissionRule.name, ratePercent: commissionRule.ratePercent },
       additionalCharges
     };
   }
@@ -0,0 +1,98 @@
+const Joi = require('joi');
+const CommissionCollectionService = require('../services/commission-collection.service');
+const AuditService = require('../services/audit.service');
+const logger = require('../config/logger');
+
+const settleSchema = Joi.object({
+  method: Joi.string().valid('direct', 'offset').required(),
+  paymentIds: Joi.array().items(Joi.string().hex().length(24)).min(1)
+});
+
+class CommissionCollectionController {
+  getErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.startsWith('Invalid')) return 400;
+    return 500;
+  }
+
+  sendError(res, error, fallback) {
+    const status = this.getErrorStatus(error);
+    res.status(status).json({
+      error: status === 500 ? fallback : error.message
+    });
+  }
+
+  async getDashboard(req, res) {
+    try {
+      const { overdueOnly, hold, page, limit } = req.query;
+      const dashboard = await CommissionCollectionService.getDuesDashboard({
+        overdueOnly: overdueOnly === 'true',
+        hold,
+        page,
+        limit
+      });
+      res.json({ success: true, ...dashboard });
+    } catch (error) {
+      logger.error('Error building commission dues dashboard:', error);
+      this.sendError(res, error, 'Failed to load commission dues');
+    }
+  }
+
+  async getProfessionalDues(req, res) {
+    try {
+      const dues = await CommissionCollectionService.getCommissionDues(req.params.professionalId);
+      res.json({ success: true, ...dues });
+    } catch (error) {
+      logger.error('Error fetching commission dues:', error);
+      this.sendError(res, error, 'Failed to fetch commission dues');
+    }
+  }
+
+  /**
+   * Record commission the professional paid outside the app, or offset it against their
+   * online earnings
+   */
+  async settleDues(req, res) {
+    try {
+      const { error, value } = settleSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: 'Invalid settlement', details: error.details[0].message });
+      }
+
+      const result = await CommissionCollectionService.settleDues(
+        req.params.professionalId,
+        value,
+        AuditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: result.settled.length
+          ? `Settled ₹${result.amount} across ${result.settled.length} payments`
+          : 'Nothing to settle',
+        ...result
+      });
+    } catch (error) {
+      logger.error('Error settling commission dues:', error);
+      this.sendError(res, error, 'Failed to settle commission dues');
+    }
+  }
+
+  /**
+   * Run the dunning job now instead of waiting for its next interval
+   */
+  async runDunning(req, res) {
+    try {
+      const summary = await CommissionCollectionService.runDunning();
+      if (!summary) {
+        return res.status(409).json({ error: 'A dunning run is already in progress' });
+      }
+      res.json({ success: true, summary });
+    } catch (error) {
+      logger.error('Error running commission dunning:', error);
+      this.sendError(res, error, 'Failed to run commission dunning');
+    }
+  }
+}
+
+module.exports = new CommissionCollectionController();
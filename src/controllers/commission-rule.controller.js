@@ -0,0 +1,172 @@
+const Joi = require('joi');
+const CommissionService = require('../services/commission.service');
+const CommissionRule = require('../models/commission-rule.model');
+const AuditService = require('../services/audit.service');
+const logger = require('../config/logger');
+
+const conditionsSchema = Joi.object({
+  categories: Joi.array().items(Joi.string().valid(...CommissionRule.SERVICE_CATEGORIES)),
+  cities: Joi.array().items(Joi.string().trim().min(1)),
+  tiers: Joi.array().items(Joi.string().valid(...CommissionRule.PROFESSIONAL_TIERS)),
+  paymentMethods: Joi.array().items(Joi.string().valid(...CommissionRule.PAYMENT_METHODS)),
+  isEmergency: Joi.boolean().allow(null)
+});
+
+const ruleFields = {
+  name: Joi.string().trim().min(3).max(100),
+  description: Joi.string().allow('').trim().max(500),
+  kind: Joi.string().valid('standard', 'promotional'),
+  ratePercent: Joi.number().min(0).max(100),
+  conditions: conditionsSchema,
+  priority: Joi.number().integer(),
+  effectiveFrom: Joi.date(),
+  effectiveTo: Joi.date().allow(null),
+  isActive: Joi.boolean()
+};
+
+const createRuleSchema = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  ratePercent: ruleFields.ratePercent.required()
+});
+
+const updateRuleSchema = Joi.object(ruleFields).min(1);
+
+const resolveQuerySchema = Joi.object({
+  bookingId: Joi.string().hex().length(24),
+  category: Joi.string().valid(...CommissionRule.SERVICE_CATEGORIES),
+  city: Joi.string().trim(),
+  tier: Joi.string().valid(...CommissionRule.PROFESSIONAL_TIERS),
+  paymentMethod: Joi.string().valid(...CommissionRule.PAYMENT_METHODS),
+  isEmergency: Joi.boolean(),
+  at: Joi.date()
+});
+
+class CommissionRuleController {
+  getErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('cannot be deleted')) return 409;
+    if (error.name === 'ValidationError' ||
+        error.message.startsWith('Invalid') ||
+        error.message.includes('effectiveTo')) return 400;
+    return 500;
+  }
+
+  sendError(res, error, fallback) {
+    const status = this.getErrorStatus(error);
+    res.status(status).json({
+      error: status === 500 ? fallback : error.message
+    });
+  }
+
+  async listRules(req, res) {
+    try {
+      const { status, kind } = req.query;
+      const rules = await CommissionService.listRules({ status, kind });
+
+      res.json({
+        success: true,
+        defaultRatePercent: CommissionService.toSnapshot(null).ratePercent,
+        rules
+      });
+    } catch (error) {
+      logger.error('Error listing commission rules:', error);
+      this.sendError(res, error, 'Failed to list commission rules');
+    }
+  }
+
+  async getRule(req, res) {
+    try {
+      const rule = await CommissionService.getRule(req.params.id);
+      res.json({ success: true, rule });
+    } catch (error) {
+      logger.error('Error fetching commission rule:', error);
+      this.sendError(res, error, 'Failed to fetch commission rule');
+    }
+  }
+
+  /**
+   * Which rule, and which rate, a booking (or a hypothetical one) would get right now or at `at`
+   */
+  async resolveRule(req, res) {
+    try {
+      const { error, value } = resolveQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid query', details: error.details[0].message });
+      }
+
+      const at = value.at || new Date();
+      const context = value.bookingId
+        ? await CommissionService.getBookingContext(value.bookingId, value.paymentMethod, at)
+        : { tier: 'standard', isEmergency: false, ...value, at };
+
+      const commissionRule = await CommissionService.resolve(context);
+
+      res.json({ success: true, context, commissionRule });
+    } catch (error) {
+      logger.error('Error resolving commission rule:', error);
+      this.sendError(res, error, 'Failed to resolve commission rule');
+    }
+  }
+
+  async createRule(req, res) {
+    try {
+      const { error, value } = createRuleSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid commission rule', details: error.details[0].message });
+      }
+
+      const rule = await CommissionService.createRule(value, req.user._id, AuditService.contextFromRequest(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Commission rule created successfully',
+        rule
+      });
+    } catch (error) {
+      logger.error('Error creating commission rule:', error);
+      this.sendError(res, error, 'Failed to create commission rule');
+    }
+  }
+
+  async updateRule(req, res) {
+    try {
+      const { error, value } = updateRuleSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid commission rule', details: error.details[0].message });
+      }
+
+      const rule = await CommissionService.updateRule(
+        req.params.id,
+        value,
+        req.user._id,
+        AuditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Commission rule updated successfully',
+        rule
+      });
+    } catch (error) {
+      logger.error('Error updating commission rule:', error);
+      this.sendError(res, error, 'Failed to update commission rule');
+    }
+  }
+
+  async deleteRule(req, res) {
+    try {
+      await CommissionService.deleteRule(req.params.id, req.user._id, AuditService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'Commission rule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting commission rule:', error);
+      this.sendError(res, error, 'Failed to delete commission rule');
+    }
+  }
+}
+
+module.exports = new CommissionRuleController();
@@ -2,6 +2,7 @@
 
 const Professional = require('../models/professional.model');
 const { sendNotification } = require('../services/notification.service');
+const AuditService = require('../services/audit.service');
 const logger = require('../config/logger');
 const mongoose = require('mongoose');
 
@@ -122,6 +123,11 @@ const verifyDocument = async (req, res) => {
     const documentType = document.type;
     console.log(`Found document: ${documentType} (${documentId})`);
 
+    const auditBefore = {
+      document: { status: document.status, remarks: document.remarks },
+      documentsStatus: { [documentType]: professional.documentsStatus?.[documentType] }
+    };
+
     // Calculate new status
     const newStatus = isValid ? 'approved' : 'rejected';
     console.log(`Updating document status to: ${newStatus}`);
@@ -152,6 +158,18 @@ const verifyDocument = async (req, res) => {
       if (!professional) {
         throw new Error('Failed to update document status');
       }
+
+      await AuditService.record({
+        action: isValid ? 'document.approve' : 'document.reject',
+        target: { type: 'Professional', id: professional._id },
+        before: auditBefore,
+        after: {
+          document: { status: newStatus, remarks: remarks || document.remarks },
+          documentsStatus: { [documentType]: newStatus }
+        },
+        metadata: { documentId, documentType },
+        context: AuditService.contextFromRequest(req)
+      });
     } catch (updateError) {
       console.error('Error updating document status:', updateError);
       return res.status(updateError.name === 'MongoTimeoutError' ? 504 : 500).json({
@@ -4,6 +4,9 @@ const Booking = require('../models/booking.model');
 const Transaction = require('../models/transaction.model');
 const PaymentMethod = require('../models/paymentMethod.model');
 const Withdrawal = require('../models/withdrawal.model');
+const Payment = require('../models/payment.model');
+const LedgerService = require('../services/ledger.service');
+const TaxService = require('../services/tax.service');
 const { generatePdf } = require('../utils/pdf');
 
 /**
@@ -275,6 +278,12 @@ exports.getTransactionDetails = async (req, res) => {
       });
     }
     
+    // Commission comes from the payment, which keeps the rule and rate it was charged under
+    const payment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+    }).select('platformCommission professionalPayout paymentMethod commissionRule tax');
+    
     // Format response
     const response = {
       id: booking._id,
@@ -288,12 +297,22 @@ exports.getTransactionDetails = async (req, res) => {
         phone: booking.user.phone
       },
       amount: booking.totalAmount,
-      commissionFee: booking.totalAmount * 0.15, // Assuming 15% platform fee
-      netAmount: booking.totalAmount * 0.85,
+      commissionFee: payment ? payment.platformCommission : null,
+      commissionRatePercent: payment?.commissionRule?.ratePercent ?? null,
+      // GST included in the commission fee
+      commissionTax: payment?.tax?.computedAt
+        ? {
+            taxableValue: payment.tax.taxableValue,
+            supplyType: payment.tax.supplyType,
+            lines: payment.tax.lines,
+            totalTax: payment.tax.totalTax
+          }
+        : null,
+      netAmount: payment ? payment.professionalPayout : null,
       date: booking.completedAt,
       scheduledDate: booking.scheduledDate,
       paymentStatus: booking.paymentStatus,
-      paymentMethod: 'Online Payment', // Default payment method
+      paymentMethod: payment ? payment.paymentMethod : null,
       rating: booking.rating || null,
       invoiceAvailable: true
     };
@@ -342,6 +361,11 @@ exports.generateInvoice = async (req, res) => {
         details: 'Could not find transaction with the provided ID'
       });
     }
+
+    const payment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+    }).select('platformCommission professionalPayout tax');
     
     // Prepare invoice data
     const invoiceData = {
@@ -380,6 +404,15 @@ exports.generateInvoice = async (req, res) => {
       subtotal: booking.totalAmount,
       tax: 0, // Assuming no tax
       total: booking.totalAmount,
+      // What the platform kept, and the GST included in it
+      platformCommission: payment?.tax?.computedAt
+        ? {
+            amount: payment.platformCommission,
+            taxableValue: payment.tax.taxableValue,
+            taxLines: payment.tax.lines,
+            netEarnings: payment.professionalPayout
+          }
+        : null,
       notes: 'Thank you for your business!'
     };
     
@@ -418,42 +451,18 @@ exports.getAvailableBalance = async (req, res) => {
       });
     }
     
-    // Get completed bookings with paid status
-    const completedBookings = await Booking.find({
-      professional: professional._id,
-      status: 'completed',
-      paymentStatus: 'paid'
-    });
-    
-    // Calculate total earnings
-    const totalEarnings = completedBookings.reduce((sum, booking) => sum + booking.totalAmount, 0);
-    
-    // Get total withdrawals
-    const withdrawals = await Withdrawal.find({
-      professional: professional._id,
-      status: { $in: ['processing', 'completed'] }
-    });
-    
-    const totalWithdrawals = withdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    
-    // Calculate available balance
-    const availableBalance = totalEarnings * 0.85 - totalWithdrawals; // Assuming 15% platform fee
-    
-    // Get pending withdrawals
-    const pendingWithdrawals = await Withdrawal.find({
-      professional: professional._id,
-      status: 'processing'
-    });
-    
-    const pendingAmount = pendingWithdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
+    const balances = await LedgerService.getBalances(professional._id);
     
     res.status(200).json({
-      availableBalance: Math.max(0, availableBalance),
-      pendingWithdrawals: pendingAmount,
-      totalEarnings,
-      platformFee: totalEarnings * 0.15,
-      netEarnings: totalEarnings * 0.85,
-      totalWithdrawn: totalWithdrawals
+      availableBalance: balances.available,
+      balance: balances.balance,
+      pendingWithdrawals: balances.payoutsInProcessing,
+      totalEarnings: balances.earnings,
+      platformFee: balances.platformFees,
+      adjustments: balances.adjustments,
+      netEarnings: balances.netEarnings,
+      commissionDue: balances.commissionDue,
+      totalWithdrawn: balances.withdrawn
     });
   } catch (error) {
     console.error('Get available balance error:', error);
@@ -464,6 +473,105 @@ exports.getAvailableBalance = async (req, res) => {
   }
 };
 
+/**
+ * Get ledger statement with opening, running and closing balance
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+exports.getStatement = async (req, res) => {
+  try {
+    const { from, to, page, limit } = req.query;
+
+    // Find professional by userId
+    const professional = await Professional.findOne({ userId: req.user.userId });
+
+    if (!professional) {
+      return res.status(404).json({
+        error: 'Professional profile not found',
+        details: 'Could not find professional profile for this user'
+      });
+    }
+
+    const statement = await LedgerService.getStatement(professional._id, { from, to, page, limit });
+
+    res.status(200).json(statement);
+  } catch (error) {
+    console.error('Get statement error:', error);
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: 'Invalid date',
+        details: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get statement',
+      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get annual tax statement (GST on commission, TDS on payouts) as JSON, CSV or PDF
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+exports.getTaxStatement = async (req, res) => {
+  try {
+    const { financialYear } = req.params;
+    const { format = 'json' } = req.query;
+
+    if (!['json', 'csv', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        details: 'Format must be one of: json, csv, pdf'
+      });
+    }
+
+    // Find professional by userId
+    const professional = await Professional.findOne({ userId: req.user.userId });
+
+    if (!professional) {
+      return res.status(404).json({
+        error: 'Professional profile not found',
+        details: 'Could not find professional profile for this user'
+      });
+    }
+
+    const statement = await TaxService.getAnnualStatement(professional._id, financialYear);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename=${TaxService.statementFileName(statement, 'csv')}`);
+      return res.send(TaxService.statementToCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      const pdfBuffer = await generatePdf(statement, 'tax_statement');
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename=${TaxService.statementFileName(statement, 'pdf')}`);
+      return res.send(pdfBuffer);
+    }
+
+    res.status(200).json(statement);
+  } catch (error) {
+    console.error('Get tax statement error:', error);
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        error: 'Invalid financial year',
+        details: error.message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get tax statement',
+      details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 /**
  * Get payment methods
  * @param {Object} req - Request object
@@ -736,22 +844,7 @@ exports.requestWithdrawal = async (req, res) => {
     }
     
     // Get available balance
-    const completedBookings = await Booking.find({
-      professional: professional._id,
-      status: 'completed',
-      paymentStatus: 'paid'
-    });
-    
-    const totalEarnings = completedBookings.reduce((sum, booking) => sum + booking.totalAmount, 0);
-    
-    const withdrawals = await Withdrawal.find({
-      professional: professional._id,
-      status: { $in: ['processing', 'completed'] }
-    });
-    
-    const totalWithdrawals = withdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0);
-    
-    const availableBalance = totalEarnings * 0.85 - totalWithdrawals;
+    const { available: availableBalance } = await LedgerService.getBalances(professional._id);
     
     // Check if amount is available
     if (amount > availableBalance) {
@@ -766,11 +859,25 @@ exports.requestWithdrawal = async (req, res) => {
       professional: professional._id,
       amount,
       paymentMethod: paymentMethodId,
-      status: 'processing',
+      status: 'pending',
       requestedAt: new Date()
     });
     
     await withdrawal.save();
+    await LedgerService.syncWithdrawal(withdrawal);
+    
+    // Two requests racing past the balance check would leave the balance negative; undo this one
+    const { balance } = await LedgerService.getBalances(professional._id);
+    if (balance < 0) {
+      await Withdrawal.markAsCancelled(withdrawal._id, 'Cancelled: insufficient balance', {
+        actorId: professional._id,
+        actorRole: 'professional'
+      });
+      return res.status(409).json({
+        error: 'Insufficient balance',
+        details: 'Another withdrawal used the available balance, please try again'
+      });
+    }
     
     res.status(201).json({
       message: 'Withdrawal request submitted successfully',
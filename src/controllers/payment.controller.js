@@ -1,12 +1,16 @@
 // controllers/payment.controller.js
 const PaymentService = require('../services/payment.service');
+const AuditService = require('../services/audit.service');
+const CommissionService = require('../services/commission.service');
+const CommissionCollectionService = require('../services/commission-collection.service');
+const RazorpayWebhookService = require('../services/razorpay-webhook.service');
 const Payment = require('../models/payment.model');
 const Booking = require('../models/booking.model');
+const config = require('../config/config');
 const mongoose = require('mongoose');
 
 
 const Razorpay = require('razorpay'); // ✅ ADD THIS
-const crypto = require('crypto'); // ✅ ADD THIS (for signature verification)
 
 // ✅ Initialize Razorpay instance
 const razorpay = new Razorpay({
@@ -162,23 +166,20 @@ async completeBooking(req, res) {
     }
 
     // Complete the service using existing service
-    const booking = await EnhancedBookingService.completeService(bookingId, req.user._id, verificationCode);
+    const booking = await EnhancedBookingService.completeService(bookingId, req.user._id, verificationCode, req.body.location);
 
     console.log('✅ [BOOKING-API] Booking completed successfully');
 
-    // Prepare payment options for the user
-    const totalAdditionalAmount = additionalCharges.reduce((sum, charge) => sum + charge.amount, 0);
-    const totalServiceAmount = serviceAmount + totalAdditionalAmount;
-    const platformCommission = totalServiceAmount * 0.15;
-    const professionalPayout = totalServiceAmount - platformCommission;
-
-    const paymentBreakdown = {
-      serviceAmount: serviceAmount,
-      additionalAmount: totalAdditionalAmount,
-      totalAmount: totalServiceAmount,
-      platformCommission: Math.round(platformCommission * 100) / 100,
-      professionalPayout: Math.round(professionalPayout * 100) / 100
-    };
+    // Prepare payment options for the user; the commission rule may depend on the method chosen
+    const { commissionRule, ...paymentBreakdown } = await CommissionService.calculateBreakdown(booking, {
+      serviceAmount,
+      additionalCharges
+    });
+    const cashBreakdown = await CommissionService.calculateBreakdown(booking, {
+      serviceAmount,
+      additionalCharges,
+      paymentMethod: 'cash'
+    });
 
     res.json({
       success: true,
@@ -188,8 +189,10 @@ async completeBooking(req, res) {
           _id: booking._id,
           status: booking.status,
           completedAt: booking.completedAt,
-          paymentStatus: 'pending'
+          paymentStatus: 'pending',
+          timeOnSiteMinutes: booking.geofence?.timeOnSiteMinutes
         },
+        warning: booking.$locals.geofenceWarning,
         paymentRequired: true,
         paymentBreakdown,
         additionalCharges,
@@ -208,7 +211,7 @@ async completeBooking(req, res) {
             method: 'cash',
             description: 'Pay cash to the professional',
             processingTime: 'Instant',
-            note: 'Professional will pay 15% platform commission later'
+            note: `Professional will pay ${cashBreakdown.commissionRule.ratePercent}% platform commission later`
           }
         },
         nextSteps: {
@@ -332,6 +335,53 @@ async completeBooking(req, res) {
     }
   }
   
+  /**
+   * Razorpay webhook. Answers 2xx once an event is stored and applied (or known already), and 5xx
+   * when applying it failed so Razorpay delivers it again.
+   */
+  async handleRazorpayWebhook(req, res) {
+    const signature = req.headers['x-razorpay-signature'];
+    
+    try {
+      if (!RazorpayWebhookService.verifySignature(req.rawBody, signature)) {
+        console.warn('⚠️ [PAYMENT-API] Razorpay webhook with invalid signature rejected');
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook signature'
+        });
+      }
+      
+      if (!req.body?.event || !req.body?.payload) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid webhook payload'
+        });
+      }
+      
+      const eventId = RazorpayWebhookService.getEventId(req.headers['x-razorpay-event-id'], req.rawBody);
+      const result = await RazorpayWebhookService.receive(eventId, req.body, {
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        requestId: req.requestId
+      });
+      
+      res.json({
+        success: true,
+        duplicate: result.duplicate,
+        status: result.event?.status,
+        outcome: result.event?.outcome
+      });
+      
+    } catch (error) {
+      console.error('❌ [PAYMENT-API] Razorpay webhook processing failed:', error);
+      
+      res.status(500).json({
+        success: false,
+        message: 'Webhook processing failed'
+      });
+    }
+  }
+  
   /**
    * Verify UPI payment
    */
@@ -781,7 +831,7 @@ async deletePaymentMethod(req, res) {
       }
       
       const { paymentId } = req.params;
-      const { refundAmount, reason } = req.body;
+      const { refundAmount, reason, reasonCode = 'other' } = req.body;
       
       if (!refundAmount || !reason) {
         return res.status(400).json({
@@ -790,16 +840,32 @@ async deletePaymentMethod(req, res) {
         });
       }
       
-      const payment = await PaymentService.processRefund(paymentId, refundAmount, reason);
+      const { payment, refund } = await PaymentService.processRefund(
+        paymentId,
+        refundAmount,
+        reason,
+        AuditService.contextFromRequest(req),
+        { reasonCode }
+      );
       
       res.json({
         success: true,
-        message: 'Refund processed successfully',
+        message: refund.status === 'processed' ? 'Refund processed successfully' : 'Refund initiated',
         data: {
           paymentId: payment._id,
-          refundAmount: payment.refundDetails.amount,
-          refundId: payment.refundDetails.refundId,
-          processedAt: payment.refundDetails.processedAt
+          paymentStatus: payment.status,
+          refund: {
+            id: refund._id,
+            amount: refund.amount,
+            reasonCode: refund.reasonCode,
+            status: refund.status,
+            gatewayRefundId: refund.gatewayRefundId,
+            commissionReversed: refund.commissionReversed,
+            payoutReversed: refund.payoutReversed,
+            processedAt: refund.processedAt
+          },
+          refundedAmount: payment.refundedAmount,
+          refundableAmount: payment.refundableAmount
         }
       });
       
@@ -808,7 +874,10 @@ async deletePaymentMethod(req, res) {
       
       const statusCode = error.message.includes('not found') ? 404 :
                          error.message.includes('cannot exceed') ? 400 :
-                         error.message.includes('only refund') ? 400 : 500;
+                         error.message.startsWith('Invalid') ? 400 :
+                         error.message.includes('only refund') ? 400 :
+                         error.message.includes('another refund') ? 409 :
+                         error.message.includes('at the gateway') ? 502 : 500;
       
       res.status(statusCode).json({
         success: false,
@@ -817,6 +886,64 @@ async deletePaymentMethod(req, res) {
     }
   }
   
+  /**
+   * Refunds of a payment with the amount still refundable (customer, professional or admin)
+   */
+  async getRefunds(req, res) {
+    try {
+      const { paymentId } = req.params;
+      
+      if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid payment ID'
+        });
+      }
+      
+      const payment = await Payment.findById(paymentId);
+      
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+      
+      const isAuthorized = payment.user.toString() === req.user._id.toString() ||
+                          payment.professional.toString() === req.user._id.toString() ||
+                          req.userRole === 'admin';
+      
+      if (!isAuthorized) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this payment'
+        });
+      }
+      
+      const data = PaymentService.formatRefunds(payment);
+      
+      if (req.params.refundId) {
+        const refund = data.refunds.find(item => item.id.toString() === req.params.refundId);
+        if (!refund) {
+          return res.status(404).json({
+            success: false,
+            message: 'Refund not found'
+          });
+        }
+        return res.json({ success: true, data: { ...data, refunds: undefined, refund } });
+      }
+      
+      res.json({ success: true, data });
+      
+    } catch (error) {
+      console.error('❌ [PAYMENT-API] Get refunds failed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get refunds'
+      });
+    }
+  }
+  
   /**
    * Get professional commission dues
    */
@@ -877,25 +1004,20 @@ async deletePaymentMethod(req, res) {
         });
       }
       
-      // Update commission status for selected payments
-      const result = await Payment.updateMany(
-        {
-          _id: { $in: paymentIds },
-          professional: req.user._id,
-          commissionStatus: 'pending'
-        },
-        {
-          commissionStatus: 'collected',
-          commissionCollectedAt: new Date()
-        }
+      // Saving each payment posts it to the ledger; settling overdue dues lifts any dunning hold
+      const { settled, amount } = await CommissionCollectionService.settleDues(
+        req.user._id,
+        { method: 'direct', paymentIds },
+        AuditService.contextFromRequest(req)
       );
       
       res.json({
         success: true,
         message: 'Commission payment recorded successfully',
         data: {
-          paymentsUpdated: result.modifiedCount,
-          totalAmount
+          paymentsUpdated: settled.length,
+          totalAmount,
+          amountSettled: amount
         }
       });
       
@@ -907,6 +1029,52 @@ async deletePaymentMethod(req, res) {
       });
     }
   }
+  
+  /**
+   * Settle commission dues from online-job earnings (Professional)
+   */
+  async offsetCommission(req, res) {
+    try {
+      const { paymentIds } = req.body || {};
+      
+      if (paymentIds !== undefined && !Array.isArray(paymentIds)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Payment IDs must be an array'
+        });
+      }
+      
+      const { settled, amount } = await CommissionCollectionService.settleDues(
+        req.user._id,
+        { method: 'offset', paymentIds },
+        AuditService.contextFromRequest(req)
+      );
+      
+      if (settled.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Your online earnings do not cover any of these dues'
+        });
+      }
+      
+      res.json({
+        success: true,
+        message: `₹${amount} of commission offset against your earnings`,
+        data: {
+          paymentsUpdated: settled.length,
+          amountSettled: amount,
+          settled
+        }
+      });
+      
+    } catch (error) {
+      console.error('❌ [PAYMENT-API] Commission offset failed:', error);
+      res.status(error.message.startsWith('Invalid') ? 400 : 500).json({
+        success: false,
+        message: error.message.startsWith('Invalid') ? error.message : 'Failed to offset commission'
+      });
+    }
+  }
 
 async createRazorpayOrder(req, res) {
   try {
@@ -924,24 +1092,19 @@ async createRazorpayOrder(req, res) {
       });
     }
 
-    // ✅ FIXED: Calculate breakdown inline
-    const additionalAmount = additionalCharges.reduce(
-      (sum, charge) => sum + (charge.amount || 0),
-      0
-    );
-    const totalAmount = serviceAmount + additionalAmount;
-    const commissionRate = 0.15;
-    const platformCommission = Math.round(totalAmount * commissionRate * 100) / 100;
-    const professionalPayout = Math.round((totalAmount - platformCommission) * 100) / 100;
-
-    const breakdown = {
+    // Calculate breakdown under the commission rule that applies to this booking
+    const breakdown = await CommissionService.calculateBreakdown(booking, {
       serviceAmount,
-      additionalAmount,
-      totalAmount,
-      platformCommission,
-      professionalPayout,
-      commissionRate,
-    };
+      additionalCharges,
+      paymentMethod: 'online',
+    });
+
+    if (breakdown.amountDue <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Wallet credit covers this booking, nothing to pay online. Use /api/payments/initiate instead.',
+      });
+    }
 
     // Create payment record
     const payment = await Payment.create({
@@ -953,6 +1116,8 @@ async createRazorpayOrder(req, res) {
       totalAmount: breakdown.totalAmount,
       platformCommission: breakdown.platformCommission,
       professionalPayout: breakdown.professionalPayout,
+      commissionRule: breakdown.commissionRule,
+      discounts: breakdown.discounts,
       paymentMethod: 'online',
       paymentType: 'razorpay',
       additionalCharges,
@@ -961,7 +1126,7 @@ async createRazorpayOrder(req, res) {
 
     // Create Razorpay order
     const options = {
-      amount: Math.round(breakdown.totalAmount * 100), // Amount in paise
+      amount: Math.round(breakdown.amountDue * 100), // Amount in paise
       currency: 'INR',
       receipt: `rcpt_${payment._id}`,
       notes: {
@@ -979,7 +1144,7 @@ async createRazorpayOrder(req, res) {
     res.status(200).json({
       success: true,
       orderId: razorpayOrder.id,
-      amount: breakdown.totalAmount,
+      amount: breakdown.amountDue,
       razorpayKeyId: process.env.RAZORPAY_KEY_ID,
       customerEmail: booking.user.email,
       customerPhone: booking.user.phone,
@@ -996,72 +1161,6 @@ async createRazorpayOrder(req, res) {
   }
 }
 
-  // Verify Razorpay payment
-  async verifyRazorpayPayment(req, res) {
-    try {
-      const {
-        bookingId,
-        orderId,
-        paymentId,
-        signature,
-        amount,
-      } = req.body;
-
-      // Verify signature
-      const generatedSignature = crypto
-        .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-        .update(`${orderId}|${paymentId}`)
-        .digest('hex');
-
-      if (generatedSignature !== signature) {
-        return res.status(400).json({
-          success: false,
-          message: 'Payment verification failed',
-        });
-      }
-
-      // Find payment
-      const payment = await Payment.findOne({
-        booking: bookingId,
-        razorpayOrderId: orderId,
-      });
-
-      if (!payment) {
-        return res.status(404).json({
-          success: false,
-          message: 'Payment not found',
-        });
-      }
-
-      // Update payment
-      payment.razorpayPaymentId = paymentId;
-      payment.razorpaySignature = signature;
-      payment.status = 'completed';
-      payment.completedAt = new Date();
-      await payment.save();
-
-      // Update booking status
-      await Booking.findByIdAndUpdate(bookingId, {
-        paymentStatus: 'completed',
-        status: 'completed',
-      });
-
-      res.status(200).json({
-        success: true,
-        message: 'Payment verified successfully',
-        paymentId: payment._id,
-        professionalPayout: payment.professionalPayout,
-      });
-    } catch (error) {
-      console.error('Verify Razorpay payment error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Payment verification failed',
-        error: error.message,
-      });
-    }
-  }
-
   // Process company UPI payment
   async processCompanyUPIPayment(req, res) {
     try {
@@ -1084,25 +1183,12 @@ async createRazorpayOrder(req, res) {
         });
       }
 
-      // Calculate breakdown
-      // ✅ Use this everywhere instead of this.calculatePaymentBreakdown()
-const additionalAmount = additionalCharges.reduce(
-  (sum, charge) => sum + (charge.amount || 0),
-  0
-);
-const totalAmount = serviceAmount + additionalAmount;
-const commissionRate = 0.15;
-const platformCommission = Math.round(totalAmount * commissionRate * 100) / 100;
-const professionalPayout = Math.round((totalAmount - platformCommission) * 100) / 100;
-
-const breakdown = {
-  serviceAmount,
-  additionalAmount,
-  totalAmount,
-  platformCommission,
-  professionalPayout,
-  commissionRate,
-};
+      // Calculate breakdown under the commission rule that applies to this booking
+      const breakdown = await CommissionService.calculateBreakdown(booking, {
+        serviceAmount,
+        additionalCharges,
+        paymentMethod: 'upi',
+      });
 
       // Create payment record
       const payment = await Payment.create({
@@ -1114,6 +1200,8 @@ const breakdown = {
         totalAmount: breakdown.totalAmount,
         platformCommission: breakdown.platformCommission,
         professionalPayout: breakdown.professionalPayout,
+        commissionRule: breakdown.commissionRule,
+        discounts: breakdown.discounts,
         paymentMethod: 'upi',
         paymentType: 'upi_direct',
         upiTransactionId: transactionId,
@@ -1181,29 +1269,16 @@ const breakdown = {
         });
       }
 
-      // Calculate breakdown
-      // ✅ Use this everywhere instead of this.calculatePaymentBreakdown()
-const additionalAmount = additionalCharges.reduce(
-  (sum, charge) => sum + (charge.amount || 0),
-  0
-);
-const totalAmount = serviceAmount + additionalAmount;
-const commissionRate = 0.15;
-const platformCommission = Math.round(totalAmount * commissionRate * 100) / 100;
-const professionalPayout = Math.round((totalAmount - platformCommission) * 100) / 100;
-
-const breakdown = {
-  serviceAmount,
-  additionalAmount,
-  totalAmount,
-  platformCommission,
-  professionalPayout,
-  commissionRate,
-};
-
-      // Calculate commission due date (7 days from now)
+      // Calculate breakdown under the commission rule that applies to this booking
+      const breakdown = await CommissionService.calculateBreakdown(booking, {
+        serviceAmount,
+        additionalCharges,
+        paymentMethod: 'upi',
+      });
+
+      // Calculate commission due date
       const commissionDueDate = new Date();
-      commissionDueDate.setDate(commissionDueDate.getDate() + 7);
+      commissionDueDate.setDate(commissionDueDate.getDate() + config.commissionCollection.dueDays);
 
       // Create payment record
       const payment = await Payment.create({
@@ -1215,6 +1290,8 @@ const breakdown = {
         totalAmount: breakdown.totalAmount,
         platformCommission: breakdown.platformCommission,
         professionalPayout: breakdown.professionalPayout,
+        commissionRule: breakdown.commissionRule,
+        discounts: breakdown.discounts,
         paymentMethod: 'upi',
         paymentType: 'upi_direct',
         upiId: paymentMethod.upiId,
@@ -1235,6 +1312,7 @@ const breakdown = {
         success: true,
         message: 'Professional UPI payment processed successfully',
         paymentId: payment._id,
+        amountCollected: payment.amountDue,
         commissionDue: payment.platformCommission,
         commissionDueDate,
         professionalUpiId: paymentMethod.upiId,
@@ -1271,29 +1349,16 @@ const breakdown = {
         });
       }
 
-      // Calculate breakdown
-      // ✅ Use this everywhere instead of this.calculatePaymentBreakdown()
-const additionalAmount = additionalCharges.reduce(
-  (sum, charge) => sum + (charge.amount || 0),
-  0
-);
-const totalAmount = serviceAmount + additionalAmount;
-const commissionRate = 0.15;
-const platformCommission = Math.round(totalAmount * commissionRate * 100) / 100;
-const professionalPayout = Math.round((totalAmount - platformCommission) * 100) / 100;
-
-const breakdown = {
-  serviceAmount,
-  additionalAmount,
-  totalAmount,
-  platformCommission,
-  professionalPayout,
-  commissionRate,
-};
-
-      // Calculate commission due date (7 days from now)
+      // Calculate breakdown under the commission rule that applies to this booking
+      const breakdown = await CommissionService.calculateBreakdown(booking, {
+        serviceAmount,
+        additionalCharges,
+        paymentMethod: 'cash',
+      });
+
+      // Calculate commission due date
       const commissionDueDate = new Date();
-      commissionDueDate.setDate(commissionDueDate.getDate() + 7);
+      commissionDueDate.setDate(commissionDueDate.getDate() + config.commissionCollection.dueDays);
 
       // Create payment record
       const payment = await Payment.create({
@@ -1305,6 +1370,8 @@ const breakdown = {
         totalAmount: breakdown.totalAmount,
         platformCommission: breakdown.platformCommission,
         professionalPayout: breakdown.professionalPayout,
+        commissionRule: breakdown.commissionRule,
+        discounts: breakdown.discounts,
         paymentMethod: 'cash',
         paymentType: 'cash_on_delivery',
         additionalCharges,
@@ -1326,6 +1393,7 @@ const breakdown = {
         success: true,
         message: 'Cash payment processed successfully',
         paymentId: payment._id,
+        amountCollected: payment.amountDue,
         commissionDue: payment.platformCommission,
         commissionDueDate,
       });
@@ -1339,48 +1407,27 @@ const breakdown = {
     }
   }
 
-  // Get commission dues for professional
+  // Get commission dues for professional (admins pass the professional in the path)
   async getCommissionDues(req, res) {
     try {
-      const professionalId = req.user.professionalId || req.params.professionalId;
+      const professionalId = req.params.professionalId || req.user._id;
 
-      const dues = await Payment.find({
-        professional: professionalId,
-        commissionStatus: 'pending',
-        status: 'completed',
-      }).populate('booking');
-
-      const totalCommissionDue = dues.reduce(
-        (sum, payment) => sum + payment.platformCommission,
-        0
-      );
-
-      const overduePayments = dues.filter(
-        (payment) => new Date() > new Date(payment.commissionDueDate)
-      );
-
-      const overdueAmount = overduePayments.reduce(
-        (sum, payment) => sum + payment.platformCommission,
-        0
-      );
+      // Refunds reverse part of the commission and late fees add to it, so amounts are what is owed now
+      const dues = await CommissionCollectionService.getCommissionDues(professionalId);
 
       res.status(200).json({
         success: true,
-        totalCommissionDue,
-        overdueAmount,
-        pendingPayments: dues.length,
-        dues: dues.map((payment) => ({
-          id: payment._id,
-          bookingId: payment.booking._id,
-          amount: payment.platformCommission,
-          dueDate: payment.commissionDueDate,
-          isOverdue: new Date() > new Date(payment.commissionDueDate),
-          paymentDate: payment.completedAt,
-        })),
+        totalCommissionDue: dues.totalCommissionDue,
+        overdueAmount: dues.overdueAmount,
+        lateFees: dues.lateFees,
+        pendingPayments: dues.pendingPayments,
+        offsetAvailable: dues.offsetAvailable,
+        hold: dues.hold,
+        dues: dues.dues,
       });
     } catch (error) {
       console.error('Get commission dues error:', error);
-      res.status(500).json({
+      res.status(error.message.startsWith('Invalid') ? 400 : error.message.includes('not found') ? 404 : 500).json({
         success: false,
         message: 'Failed to fetch commission dues',
         error: error.message,
@@ -1388,26 +1435,6 @@ const breakdown = {
     }
   }
 
-  // Helper function to calculate payment breakdown
-  calculatePaymentBreakdown(serviceAmount, additionalCharges = [], commissionRate = 0.15) {
-    const additionalAmount = additionalCharges.reduce(
-      (sum, charge) => sum + charge.amount,
-      0
-    );
-    const totalAmount = serviceAmount + additionalAmount;
-    const platformCommission = Math.round(totalAmount * commissionRate * 100) / 100;
-    const professionalPayout = Math.round((totalAmount - platformCommission) * 100) / 100;
-
-    return {
-      serviceAmount,
-      additionalAmount,
-      totalAmount,
-      platformCommission,
-      professionalPayout,
-      commissionRate,
-    };
-  }
-
 }
 
 module.exports = new PaymentController();
\ No newline at end of file
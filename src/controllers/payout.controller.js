@@ -0,0 +1,235 @@
+const Joi = require('joi');
+const PayoutService = require('../services/payout.service');
+const PayoutBatch = require('../models/payout-batch.model');
+const AuditService = require('../services/audit.service');
+const logger = require('../config/logger');
+
+const approveSchema = Joi.object({
+  fees: Joi.number().min(0),
+  adminNotes: Joi.string().allow('').trim().max(500)
+});
+
+const reasonSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+const markPaidSchema = Joi.object({
+  transactionId: Joi.string().trim().min(4).max(50).required()
+});
+
+const createBatchSchema = Joi.object({
+  withdrawalIds: Joi.array().items(Joi.string().hex().length(24)).min(1),
+  mode: Joi.string().valid(...PayoutBatch.MODES),
+  notes: Joi.string().allow('').trim().max(500)
+});
+
+class PayoutController {
+  getErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('cannot be') ||
+        error.message.includes('changed by another request') ||
+        error.message.startsWith('Another withdrawal') ||
+        error.message.startsWith('Insufficient')) return 409;
+    if (error.message.startsWith('Invalid')) return 400;
+    return 500;
+  }
+
+  sendError(res, error, fallback) {
+    const status = this.getErrorStatus(error);
+    res.status(status).json({
+      error: status === 500 ? fallback : error.message
+    });
+  }
+
+  // --- Withdrawals ---
+
+  async listWithdrawals(req, res) {
+    try {
+      const { status, professional, batch, from, to, page, limit } = req.query;
+      const result = await PayoutService.listWithdrawals({ status, professional, batch, from, to, page, limit });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error listing withdrawals:', error);
+      this.sendError(res, error, 'Failed to list withdrawals');
+    }
+  }
+
+  async getWithdrawal(req, res) {
+    try {
+      const withdrawal = await PayoutService.getWithdrawal(req.params.id);
+      res.json({ success: true, withdrawal });
+    } catch (error) {
+      logger.error('Error fetching withdrawal:', error);
+      this.sendError(res, error, 'Failed to fetch withdrawal');
+    }
+  }
+
+  async approveWithdrawal(req, res) {
+    try {
+      const { error, value } = approveSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: 'Invalid approval', details: error.details[0].message });
+      }
+
+      const withdrawal = await PayoutService.approve(req.params.id, req.user._id, value, AuditService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'Withdrawal approved',
+        withdrawal: PayoutService.formatWithdrawal(withdrawal)
+      });
+    } catch (error) {
+      logger.error('Error approving withdrawal:', error);
+      this.sendError(res, error, 'Failed to approve withdrawal');
+    }
+  }
+
+  async rejectWithdrawal(req, res) {
+    try {
+      const { error, value } = reasonSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: 'Invalid rejection', details: error.details[0].message });
+      }
+
+      const withdrawal = await PayoutService.reject(req.params.id, req.user._id, value.reason, AuditService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'Withdrawal rejected, the amount is back in the professional\'s balance',
+        withdrawal: PayoutService.formatWithdrawal(withdrawal)
+      });
+    } catch (error) {
+      logger.error('Error rejecting withdrawal:', error);
+      this.sendError(res, error, 'Failed to reject withdrawal');
+    }
+  }
+
+  async markWithdrawalPaid(req, res) {
+    try {
+      const { error, value } = markPaidSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: 'Invalid payout', details: error.details[0].message });
+      }
+
+      const withdrawal = await PayoutService.markPaid(
+        req.params.id,
+        req.user._id,
+        value.transactionId,
+        AuditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Withdrawal marked paid',
+        withdrawal: PayoutService.formatWithdrawal(withdrawal)
+      });
+    } catch (error) {
+      logger.error('Error marking withdrawal paid:', error);
+      this.sendError(res, error, 'Failed to mark withdrawal paid');
+    }
+  }
+
+  async markWithdrawalFailed(req, res) {
+    try {
+      const { error, value } = reasonSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: 'Invalid failure', details: error.details[0].message });
+      }
+
+      const withdrawal = await PayoutService.markFailed(req.params.id, req.user._id, value.reason, AuditService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'Withdrawal marked failed, the amount is back in the professional\'s balance',
+        withdrawal: PayoutService.formatWithdrawal(withdrawal)
+      });
+    } catch (error) {
+      logger.error('Error marking withdrawal failed:', error);
+      this.sendError(res, error, 'Failed to mark withdrawal failed');
+    }
+  }
+
+  // --- Batches ---
+
+  async listBatches(req, res) {
+    try {
+      const { status, page, limit } = req.query;
+      const result = await PayoutService.listBatches({ status, page, limit });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error listing payout batches:', error);
+      this.sendError(res, error, 'Failed to list payout batches');
+    }
+  }
+
+  async getBatch(req, res) {
+    try {
+      const batch = await PayoutService.getBatch(req.params.id);
+      res.json({ success: true, batch });
+    } catch (error) {
+      logger.error('Error fetching payout batch:', error);
+      this.sendError(res, error, 'Failed to fetch payout batch');
+    }
+  }
+
+  async createBatch(req, res) {
+    try {
+      const { error, value } = createBatchSchema.validate(req.body || {});
+      if (error) {
+        return res.status(400).json({ error: 'Invalid batch', details: error.details[0].message });
+      }
+
+      const { batch, skipped } = await PayoutService.createBatch(value, req.user._id, AuditService.contextFromRequest(req));
+
+      res.status(201).json({
+        success: true,
+        message: `Payout batch ${batch.batchNumber} created with ${batch.count} withdrawals`,
+        batch,
+        skipped
+      });
+    } catch (error) {
+      logger.error('Error creating payout batch:', error);
+      this.sendError(res, error, 'Failed to create payout batch');
+    }
+  }
+
+  async exportBatch(req, res) {
+    try {
+      const { fileName, csv } = await PayoutService.exportBatch(req.params.id, req.user._id, AuditService.contextFromRequest(req));
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      res.send(csv);
+    } catch (error) {
+      logger.error('Error exporting payout batch:', error);
+      this.sendError(res, error, 'Failed to export payout batch');
+    }
+  }
+
+  /**
+   * Accepts the bank's file as a multipart upload ('file') or as JSON { csv, fileName }
+   */
+  async importConfirmation(req, res) {
+    try {
+      const csv = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+      if (!csv) {
+        return res.status(400).json({ error: 'Invalid confirmation file', details: 'Upload the bank file as "file" or send it as "csv"' });
+      }
+
+      const result = await PayoutService.importConfirmation(
+        req.params.id,
+        csv,
+        { fileName: req.file?.originalname || req.body?.fileName },
+        req.user._id,
+        AuditService.contextFromRequest(req)
+      );
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error importing payout confirmation:', error);
+      this.sendError(res, error, 'Failed to import payout confirmation');
+    }
+  }
+}
+
+module.exports = new PayoutController();
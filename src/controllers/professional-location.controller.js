@@ -1,7 +1,10 @@
 // src/controllers/professional-location.controller.js
 const Professional = require('../models/professional.model');
+const Booking = require('../models/booking.model');
+const { ACTIVE_STATUSES } = require('../services/booking-state.service');
 const GeospatialService = require('../services/geospatial.service');
 const SocketService = require('../services/socket.service');
+const EtaService = require('../services/eta.service');
 const logger = require('../config/logger');
 
 class ProfessionalLocationController {
@@ -36,7 +39,8 @@ class ProfessionalLocationController {
     };
     
     if (isAvailable !== undefined) {
-      professional.isAvailable = isAvailable;
+      // Overdue commission keeps the professional off new jobs until it is settled
+      professional.isAvailable = isAvailable && !professional.commissionHold?.level;
     }
     
     await professional.save();
@@ -44,7 +48,7 @@ class ProfessionalLocationController {
     // CRITICAL: If professional has active booking, broadcast location via socket
     const activeBooking = await Booking.findOne({
       professional: professional._id,
-      status: { $in: ['accepted', 'in_progress'] }
+      status: { $in: ACTIVE_STATUSES }
     }).populate('user', '_id name phone');
     
     if (activeBooking) {
@@ -62,8 +66,7 @@ class ProfessionalLocationController {
           activeBooking.location.coordinates[0]
         );
         
-        const calculatedSpeed = speed && speed > 1 ? (speed * 3.6) : 30;
-        const eta = Math.round((distance / calculatedSpeed) * 60);
+        const { eta } = await EtaService.refresh(activeBooking, coordinates);
         
         const locationUpdate = {
           bookingId: activeBooking._id.toString(),
@@ -93,7 +96,11 @@ class ProfessionalLocationController {
       message: 'Location updated successfully',
       data: {
         currentLocation: professional.currentLocation,
-        isAvailable: professional.isAvailable
+        isAvailable: professional.isAvailable,
+        ...(professional.commissionHold?.level && {
+          commissionHold: professional.commissionHold,
+          availabilityMessage: 'Settle your overdue commission to receive new jobs'
+        })
       }
     });
     
@@ -222,8 +229,7 @@ class ProfessionalLocationController {
    * @returns {string} Estimated arrival time text
    */
   static getEstimatedArrivalText(distanceKm) {
-    // Assume average speed of 30 km/h in urban areas
-    const timeInMinutes = Math.round((distanceKm / 30) * 60);
+    const timeInMinutes = EtaService.estimateFromDistance(distanceKm);
     
     if (timeInMinutes < 1) {
       return 'Less than a minute';
@@ -6,6 +6,7 @@ const ProfessionalOnboardingService = require('../services/professional-onboardi
 // const NotificationService = require('../services/notification.service'); // Comment if not available
 // const GeospatialService = require('../services/geospatial.service'); // Comment if not available
 const logger = require('../config/logger');
+const AuditService = require('../services/audit.service');
 const createError = require('http-errors');
 const { generatePresignedUrls } = require('../utils/fileUpload');
 
@@ -204,7 +205,8 @@ class ProfessionalOnboardingController {
         documentId,
         req.user._id,
         isValid,
-        remarks
+        remarks,
+        AuditService.contextFromRequest(req)
       );
       
       console.log('✅ [ONBOARD] Document verification completed:', isValid ? 'approved' : 'rejected');
@@ -456,6 +458,8 @@ class ProfessionalOnboardingController {
         });
       }
       
+      const auditBefore = professional.toObject();
+
       // Update professional status
       professional.status = 'verified';
       professional.onboardingStep = 'completed';
@@ -468,6 +472,16 @@ class ProfessionalOnboardingController {
       }
       
       await professional.save();
+
+      await AuditService.record({
+        action: 'professional.approve',
+        target: { type: 'Professional', id: professional._id },
+        before: auditBefore,
+        after: professional,
+        paths: ['status', 'onboardingStep', 'employeeId'],
+        metadata: remarks ? { remarks } : undefined,
+        context: AuditService.contextFromRequest(req)
+      });
       
       console.log('✅ [ONBOARD] Professional approved successfully:', professional.employeeId);
       
@@ -513,11 +527,22 @@ class ProfessionalOnboardingController {
         });
       }
       
+      const auditBefore = professional.toObject();
+
       // Update professional status
       professional.status = 'rejected';
       professional.rejectionReason = reason || 'Application rejected by admin';
       
       await professional.save();
+
+      await AuditService.record({
+        action: 'professional.reject',
+        target: { type: 'Professional', id: professional._id },
+        before: auditBefore,
+        after: professional,
+        paths: ['status', 'rejectionReason'],
+        context: AuditService.contextFromRequest(req)
+      });
       
       console.log('❌ [ONBOARD] Professional rejected successfully');
       
@@ -238,9 +238,10 @@ class ProfessionalServiceController {
 
       // Check if service is being used in active bookings
       const Booking = require('../models/booking.model');
+      const { ACTIVE_STATUSES } = require('../services/booking-state.service');
       const activeBookings = await Booking.countDocuments({
         service: id,
-        status: { $in: ['pending', 'accepted', 'in_progress'] }
+        status: { $in: ['pending', ...ACTIVE_STATUSES] }
       });
 
       if (activeBookings > 0) {
@@ -1,6 +1,7 @@
 const Professional = require('../models/professional.model');
 const { sendNotification } = require('../services/notification.service');
 const logger = require('../config/logger'); 
+const RatingService = require('../services/rating.service');
 
 const getProfessionals =  async (req, res) => {
   try {
@@ -453,6 +454,38 @@ const updateProfessionalProfile = async (req, res) => {
   }
 };
 
+const getProfessionalRatings = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid professional ID format' });
+    }
+
+    const ratings = await RatingService.getRatingBreakdown(req.params.id);
+
+    res.json({ success: true, data: ratings });
+  } catch (error) {
+    logger.error('Error fetching professional ratings:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      error: error.message.includes('not found') ? error.message : 'Failed to fetch ratings'
+    });
+  }
+};
+
+const getProfessionalReviews = async (req, res) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ error: 'Invalid professional ID format' });
+    }
+
+    const { page = 1, limit = 10, score } = req.query;
+    const result = await RatingService.getProfessionalReviews(req.params.id, { page, limit, score });
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    logger.error('Error fetching professional reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+};
 
 module.exports = {
     getProfessionals,
@@ -462,5 +495,7 @@ module.exports = {
     updateProfessionalLocation,
     updateProfessionalProfile,
     getProfessionalById,
-    updateProfessionalStatus
+    updateProfessionalStatus,
+    getProfessionalRatings,
+    getProfessionalReviews
   };
\ No newline at end of file
@@ -1,4 +1,4 @@
-const jwt = require('jsonwebtoken');
+const SessionService = require('../services/session.service');
 const Professional = require('../models/professional.model');
 const otpService = require('../services/otp.service');
 const { sendEmail } = require('../services/email.service');
@@ -25,7 +25,7 @@ class ProfessionalAuthController {
       });
     } catch (error) {
       console.error('Send OTP error:', error);
-      res.status(error.status || 500).json({ error: error.message });
+      res.status(error.status || otpService.getErrorStatus(error)).json({ error: error.message });
     }
   }
 
@@ -93,21 +93,16 @@ class ProfessionalAuthController {
         }
       }
   
-      // ✅ Generate JWT token
-      const token = jwt.sign(
-        {
-          id: professional._id,  // Use _id directly
-          userId: professional.userId,
-          role: 'professional',
-          phone: professional.phone
-        },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      // ✅ Open a session and issue access + refresh tokens
+      const tokens = await SessionService.createSession(professional, 'professional', {
+        id: professional._id,  // Use _id directly
+        userId: professional.userId,
+        phone: professional.phone
+      }, req);
   
       return res.status(200).json({
         message: "OTP verified successfully",
-        token,
+        ...tokens,
         user: {
           _id: professional._id,  // Include _id in the response
           userId: professional.userId,
@@ -121,7 +116,7 @@ class ProfessionalAuthController {
   
     } catch (error) {
       console.error('Professional verify OTP error:', error);
-      return res.status(500).json({ error: error.message || "Internal server error" });
+      return res.status(otpService.getErrorStatus(error)).json({ error: error.message || "Internal server error" });
     }
   }
   
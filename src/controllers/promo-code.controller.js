@@ -0,0 +1,133 @@
+const Joi = require('joi');
+const PromoService = require('../services/promo.service');
+const PromoCode = require('../models/promo-code.model');
+const AuditService = require('../services/audit.service');
+const logger = require('../config/logger');
+
+const promoFields = {
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]+$/).min(3).max(30),
+  description: Joi.string().allow('').trim().max(500),
+  discountType: Joi.string().valid('percent', 'flat'),
+  value: Joi.number().positive(),
+  maxDiscount: Joi.number().positive().allow(null),
+  minOrderValue: Joi.number().min(0),
+  categories: Joi.array().items(Joi.string().valid(...PromoCode.SERVICE_CATEGORIES)),
+  startsAt: Joi.date(),
+  expiresAt: Joi.date().allow(null),
+  usageLimit: Joi.number().integer().min(1).allow(null),
+  perUserLimit: Joi.number().integer().min(1),
+  firstBookingOnly: Joi.boolean(),
+  isActive: Joi.boolean()
+};
+
+const createPromoSchema = Joi.object({
+  ...promoFields,
+  code: promoFields.code.required(),
+  discountType: promoFields.discountType.required(),
+  value: promoFields.value.required()
+});
+
+// The code itself is what customers type, so it cannot change once issued
+const { code, ...updatableFields } = promoFields;
+const updatePromoSchema = Joi.object(updatableFields).min(1);
+
+class PromoCodeController {
+  getErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.code === 11000 ||
+        error.message.includes('already exists') ||
+        error.message.includes('cannot be deleted')) return 409;
+    if (error.name === 'ValidationError' || error.message.startsWith('Invalid')) return 400;
+    return 500;
+  }
+
+  sendError(res, error, fallback) {
+    const status = this.getErrorStatus(error);
+    res.status(status).json({
+      error: status === 500 ? fallback : error.message
+    });
+  }
+
+  async listPromoCodes(req, res) {
+    try {
+      const { status, page, limit } = req.query;
+      const result = await PromoService.listPromoCodes({ status, page, limit });
+
+      res.json({ success: true, ...result });
+    } catch (error) {
+      logger.error('Error listing promo codes:', error);
+      this.sendError(res, error, 'Failed to list promo codes');
+    }
+  }
+
+  async getPromoCode(req, res) {
+    try {
+      const details = await PromoService.getPromoCodeDetails(req.params.id);
+      res.json({ success: true, ...details });
+    } catch (error) {
+      logger.error('Error fetching promo code:', error);
+      this.sendError(res, error, 'Failed to fetch promo code');
+    }
+  }
+
+  async createPromoCode(req, res) {
+    try {
+      const { error, value } = createPromoSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid promo code', details: error.details[0].message });
+      }
+
+      const promoCode = await PromoService.createPromoCode(value, req.user._id, AuditService.contextFromRequest(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Promo code created successfully',
+        promoCode
+      });
+    } catch (error) {
+      logger.error('Error creating promo code:', error);
+      this.sendError(res, error, 'Failed to create promo code');
+    }
+  }
+
+  async updatePromoCode(req, res) {
+    try {
+      const { error, value } = updatePromoSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid promo code', details: error.details[0].message });
+      }
+
+      const promoCode = await PromoService.updatePromoCode(
+        req.params.id,
+        value,
+        req.user._id,
+        AuditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Promo code updated successfully',
+        promoCode
+      });
+    } catch (error) {
+      logger.error('Error updating promo code:', error);
+      this.sendError(res, error, 'Failed to update promo code');
+    }
+  }
+
+  async deletePromoCode(req, res) {
+    try {
+      await PromoService.deletePromoCode(req.params.id, req.user._id, AuditService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'Promo code deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting promo code:', error);
+      this.sendError(res, error, 'Failed to delete promo code');
+    }
+  }
+}
+
+module.exports = new PromoCodeController();
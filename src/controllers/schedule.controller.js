@@ -2,6 +2,7 @@
 const Schedule = require('../models/schedule.model');
 const Booking = require('../models/booking.model');
 const Professional = require('../models/professional.model');
+const ScheduleService = require('../services/schedule.service');
 
 // Helper function to properly handle dates
 function createDateRange(dateString) {
@@ -27,6 +28,15 @@ function createDateRange(dateString) {
   return { startOfDay, endOfDay };
 }
 
+// Bookings fall on a day by the schedule timezone, unlike the Schedule documents above, which are
+// stored at UTC midnight of their day
+function bookingDayRange(dateString) {
+  return {
+    startOfDay: ScheduleService.timeOnDay(dateString, 0),
+    endOfDay: new Date(ScheduleService.timeOnDay(dateString, 24 * 60).getTime() - 1)
+  };
+}
+
 // Helper function to get or create schedule with proper date handling
 async function getOrCreateScheduleWithDateFix(professionalId, dateString) {
   console.log('📅 [SCHEDULE-HELPER] Getting/creating schedule for:', { professionalId, dateString });
@@ -104,7 +114,7 @@ class ScheduleController {
       }
       
       // Get actual bookings for this date
-      const { startOfDay, endOfDay } = createDateRange(date);
+      const { startOfDay, endOfDay } = bookingDayRange(date);
       
       let bookings = [];
       try {
@@ -137,15 +147,16 @@ class ScheduleController {
       
       // Get marked dates for calendar (next 30 days from the requested date)
       const baseDate = new Date(date + 'T00:00:00.000Z');
-      const thirtyDaysLater = new Date(baseDate.getTime() + 30 * 24 * 60 * 60 * 1000);
+      const { startOfDay: upcomingFrom } = bookingDayRange(date);
+      const upcomingUntil = ScheduleService.timeOnDay(date, 31 * 24 * 60);
       
       let upcomingBookings = [];
       try {
         upcomingBookings = await Booking.find({
           professional: professionalId,
           scheduledDate: {
-            $gte: baseDate,
-            $lte: thirtyDaysLater
+            $gte: upcomingFrom,
+            $lt: upcomingUntil
           },
           status: { $nin: ['cancelled'] }
         }).select('scheduledDate');
@@ -159,7 +170,7 @@ class ScheduleController {
       const dateMap = new Map();
       
       upcomingBookings.forEach(booking => {
-        const dateKey = booking.scheduledDate.toISOString().split('T')[0];
+        const dateKey = ScheduleService.toDateKey(booking.scheduledDate);
         if (!dateMap.has(dateKey)) {
           dateMap.set(dateKey, {
             date: dateKey,
@@ -251,8 +262,8 @@ class ScheduleController {
         });
       }
       
-      const { startOfDay: start } = createDateRange(startDate);
-      const { endOfDay: end } = createDateRange(endDate);
+      const { startOfDay: start } = bookingDayRange(startDate);
+      const { endOfDay: end } = bookingDayRange(endDate);
       
       let bookings = [];
       try {
@@ -280,7 +291,7 @@ class ScheduleController {
         status: booking.status,
         address: booking.serviceAddress || booking.address || 'Address not provided',
         totalAmount: booking.totalAmount || 0,
-        date: booking.scheduledDate.toISOString().split('T')[0]
+        date: ScheduleService.toDateKey(booking.scheduledDate)
       }));
       
       console.log('✅ [APPOINTMENTS] Appointments retrieved successfully');
@@ -756,7 +767,7 @@ class ScheduleController {
       // Check for existing bookings
       let hasConflict = false;
       try {
-        const { startOfDay, endOfDay } = createDateRange(date);
+        const { startOfDay, endOfDay } = bookingDayRange(date);
         
         const conflictingBookings = await Booking.find({
           professional: professionalId,
@@ -768,10 +779,10 @@ class ScheduleController {
         });
         
         hasConflict = conflictingBookings.some(booking => {
-          const bookingStart = booking.scheduledDate.toTimeString().substring(0, 5);
+          const bookingStart = ScheduleService.toTimeString(booking.scheduledDate);
           const bookingEnd = booking.scheduledEndTime ? 
-            booking.scheduledEndTime.toTimeString().substring(0, 5) : 
-            new Date(booking.scheduledDate.getTime() + 60 * 60 * 1000).toTimeString().substring(0, 5);
+            ScheduleService.toTimeString(booking.scheduledEndTime) : 
+            ScheduleService.toTimeString(new Date(booking.scheduledDate.getTime() + 60 * 60 * 1000));
           
           return (startTime >= bookingStart && startTime < bookingEnd) ||
                  (endTime > bookingStart && endTime <= bookingEnd) ||
@@ -1,4 +1,5 @@
 const Service = require('../models/service.model');
+const SlotService = require('../services/slot.service');
 const Joi = require('joi');
 
 // ✅ Helper function to get full image URL
@@ -134,6 +135,30 @@ const getServiceDetails = async (req, res) => {
   }
 };
 
+// Bookable time slots for a service on a day, at the customer's location
+const getServiceSlots = async (req, res) => {
+  try {
+    const { date } = req.query;
+    const latitude = parseFloat(req.query.lat);
+    const longitude = parseFloat(req.query.lng);
+
+    if (!date || !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+        latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return res.status(400).json({ error: 'date (YYYY-MM-DD), lat and lng are required' });
+    }
+
+    const service = await Service.findById(req.params.id);
+    if (!service) {
+      return res.status(404).json({ error: 'Service not found' });
+    }
+
+    const slots = await SlotService.getSlots(service, { date, coordinates: [longitude, latitude] });
+    res.json(slots);
+  } catch (error) {
+    res.status(error.message.startsWith('Invalid date') ? 400 : 500).json({ error: error.message });
+  }
+};
+
 // Get top rated services
 const getTopRatedServices = async (req, res) => {
   try {
@@ -224,6 +249,7 @@ module.exports = {
   getServices,
   getServicesByCategory,
   getServiceDetails,
+  getServiceSlots,
   getTopRatedServices,
   searchServices,
   updateService,
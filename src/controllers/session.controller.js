@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const SessionService = require('../services/session.service');
+
+class SessionController {
+  getErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('refresh token') ||
+        error.message.includes('revoked') ||
+        error.message.includes('Account')) return 401;
+    return 500;
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh pair
+   */
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'refreshToken is required'
+        });
+      }
+
+      const tokens = await SessionService.refresh(refreshToken, req);
+
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: tokens
+      });
+    } catch (error) {
+      console.error('❌ [SESSION-API] Refresh error:', error.message);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to refresh token'
+      });
+    }
+  }
+
+  /**
+   * Active sessions of the authenticated account, newest activity first
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await SessionService.listSessions(req.user._id, req.userRole, req.sessionId);
+
+      res.json({
+        success: true,
+        data: sessions
+      });
+    } catch (error) {
+      console.error('❌ [SESSION-API] List sessions error:', error.message);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to fetch sessions'
+      });
+    }
+  }
+
+  async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid session ID'
+        });
+      }
+
+      const result = await SessionService.revokeSession(req.user._id, req.userRole, id);
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ [SESSION-API] Revoke session error:', error.message);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to revoke session'
+      });
+    }
+  }
+
+  /**
+   * Log out the session the request was made with
+   */
+  async logout(req, res) {
+    try {
+      if (!req.sessionId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Token is not bound to a session'
+        });
+      }
+
+      await SessionService.revokeSession(req.user._id, req.userRole, req.sessionId, 'logout');
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('❌ [SESSION-API] Logout error:', error.message);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to log out'
+      });
+    }
+  }
+
+  /**
+   * Log out every session of the account, or every other one with keepCurrent
+   */
+  async logoutAll(req, res) {
+    try {
+      const keepCurrent = req.body?.keepCurrent === true;
+
+      const result = await SessionService.revokeAllSessions(req.user._id, req.userRole, {
+        exceptSessionId: keepCurrent ? req.sessionId : undefined
+      });
+
+      res.json({
+        success: true,
+        message: 'Logged out of all sessions',
+        data: result
+      });
+    } catch (error) {
+      console.error('❌ [SESSION-API] Logout all error:', error.message);
+      res.status(this.getErrorStatus(error)).json({
+        success: false,
+        message: error.message || 'Failed to log out of all sessions'
+      });
+    }
+  }
+}
+
+module.exports = new SessionController();
@@ -1,5 +1,7 @@
 // src/controllers/support.controller.js
+const mongoose = require('mongoose');
 const SupportService = require('../services/support.service');
+const AuditService = require('../services/audit.service');
 const logger = require('../config/logger');
 
 class SupportController {
@@ -254,6 +256,48 @@ class SupportController {
     }
   }
 
+  /**
+   * Assign a ticket to an admin
+   * @param {Object} req - Request object
+   * @param {Object} res - Response object
+   */
+  async assignTicket(req, res) {
+    try {
+      const { id } = req.params;
+      const { adminId } = req.body;
+
+      if (!adminId || !mongoose.Types.ObjectId.isValid(adminId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid adminId is required'
+        });
+      }
+
+      const ticket = await SupportService.assignTicket(id, adminId, AuditService.contextFromRequest(req));
+
+      res.status(200).json({
+        success: true,
+        message: 'Ticket assigned successfully',
+        ticket
+      });
+    } catch (error) {
+      logger.error('Assign ticket error:', error);
+
+      if (error.message === 'Ticket not found' || error.message === 'Admin not found') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to assign ticket',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Close a support ticket
    * @param {Object} req - Request object
@@ -0,0 +1,153 @@
+const Joi = require('joi');
+const SurgeService = require('../services/surge.service');
+const SurgeOverride = require('../models/surge-override.model');
+const AuditService = require('../services/audit.service');
+const logger = require('../config/logger');
+
+const overrideFields = {
+  name: Joi.string().trim().min(3).max(100),
+  reason: Joi.string().allow('').trim().max(500),
+  multiplier: Joi.number().min(1).max(10),
+  geohashes: Joi.array().items(Joi.string().trim().lowercase().pattern(/^[0-9b-hjkmnp-z]{1,12}$/)),
+  categories: Joi.array().items(Joi.string().valid(...SurgeOverride.SERVICE_CATEGORIES)),
+  startsAt: Joi.date(),
+  endsAt: Joi.date().allow(null),
+  isActive: Joi.boolean()
+};
+
+const createOverrideSchema = Joi.object({
+  ...overrideFields,
+  name: overrideFields.name.required(),
+  multiplier: overrideFields.multiplier.required()
+});
+
+const updateOverrideSchema = Joi.object(overrideFields).min(1);
+
+const previewQuerySchema = Joi.object({
+  longitude: Joi.number().min(-180).max(180).required(),
+  latitude: Joi.number().min(-90).max(90).required(),
+  category: Joi.string().valid(...SurgeOverride.SERVICE_CATEGORIES),
+  scheduledDate: Joi.date()
+});
+
+class SurgeOverrideController {
+  getErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('cannot be deleted')) return 409;
+    if (error.name === 'ValidationError' || error.message.startsWith('Invalid')) return 400;
+    return 500;
+  }
+
+  sendError(res, error, fallback) {
+    const status = this.getErrorStatus(error);
+    res.status(status).json({
+      error: status === 500 ? fallback : error.message
+    });
+  }
+
+  async listOverrides(req, res) {
+    try {
+      const overrides = await SurgeService.listOverrides({ status: req.query.status });
+      res.json({ success: true, overrides });
+    } catch (error) {
+      logger.error('Error listing surge overrides:', error);
+      this.sendError(res, error, 'Failed to list surge overrides');
+    }
+  }
+
+  async getOverride(req, res) {
+    try {
+      const override = await SurgeService.getOverride(req.params.id);
+      res.json({ success: true, override });
+    } catch (error) {
+      logger.error('Error fetching surge override:', error);
+      this.sendError(res, error, 'Failed to fetch surge override');
+    }
+  }
+
+  /**
+   * The surge a booking at a location would get right now, with the cell's demand and supply
+   */
+  async previewSurge(req, res) {
+    try {
+      const { error, value } = previewQuerySchema.validate(req.query);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid query', details: error.details[0].message });
+      }
+
+      const now = new Date();
+      const surge = await SurgeService.getSurge({
+        coordinates: [value.longitude, value.latitude],
+        category: value.category,
+        scheduledDate: value.scheduledDate || now,
+        now
+      });
+
+      res.json({ success: true, surge });
+    } catch (error) {
+      logger.error('Error previewing surge:', error);
+      this.sendError(res, error, 'Failed to preview surge');
+    }
+  }
+
+  async createOverride(req, res) {
+    try {
+      const { error, value } = createOverrideSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid surge override', details: error.details[0].message });
+      }
+
+      const override = await SurgeService.createOverride(value, req.user._id, AuditService.contextFromRequest(req));
+
+      res.status(201).json({
+        success: true,
+        message: 'Surge override created successfully',
+        override
+      });
+    } catch (error) {
+      logger.error('Error creating surge override:', error);
+      this.sendError(res, error, 'Failed to create surge override');
+    }
+  }
+
+  async updateOverride(req, res) {
+    try {
+      const { error, value } = updateOverrideSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid surge override', details: error.details[0].message });
+      }
+
+      const override = await SurgeService.updateOverride(
+        req.params.id,
+        value,
+        req.user._id,
+        AuditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Surge override updated successfully',
+        override
+      });
+    } catch (error) {
+      logger.error('Error updating surge override:', error);
+      this.sendError(res, error, 'Failed to update surge override');
+    }
+  }
+
+  async deleteOverride(req, res) {
+    try {
+      await SurgeService.deleteOverride(req.params.id, req.user._id, AuditService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'Surge override deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting surge override:', error);
+      this.sendError(res, error, 'Failed to delete surge override');
+    }
+  }
+}
+
+module.exports = new SurgeOverrideController();
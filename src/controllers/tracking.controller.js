@@ -4,6 +4,10 @@ const Booking = require('../models/booking.model');
 const Professional = require('../models/professional.model');
 const User = require('../models/user.model');
 const logger = require('../config/logger');
+const { ACTIVE_STATUSES } = require('../services/booking-state.service');
+const LocationHistoryService = require('../services/location-history.service');
+const GeofenceService = require('../services/geofence.service');
+const EtaService = require('../services/eta.service');
 
 class TrackingController {
   /**
@@ -63,7 +67,7 @@ class TrackingController {
       }
       
       // Check booking status
-      if (!['accepted', 'in_progress'].includes(booking.status)) {
+      if (!ACTIVE_STATUSES.includes(booking.status)) {
         console.log('❌ [TRACKING] Invalid booking status:', booking.status);
         return res.status(400).json({
           success: false,
@@ -79,7 +83,8 @@ class TrackingController {
         booking.location.coordinates[1], booking.location.coordinates[0]
       );
       
-      const eta = this.calculateETA(distance, speed || 30);
+      // Throttled; saves the ETA and tells the customer about large changes
+      const { eta } = await EtaService.refresh(booking, [longitude, latitude]);
       
       console.log('📏 [TRACKING] Distance:', distance.toFixed(2), 'km');
       console.log('⏱️ [TRACKING] ETA:', eta, 'minutes');
@@ -99,7 +104,6 @@ class TrackingController {
         'tracking.lastLocation.type': 'Point',
         'tracking.lastLocation.coordinates': [longitude, latitude],
         'tracking.lastLocation.timestamp': new Date(),
-        'tracking.eta': eta,
         'tracking.distance': distance,
         'tracking.lastUpdate': new Date()
       };
@@ -109,6 +113,18 @@ class TrackingController {
       if (accuracy !== undefined) trackingUpdate['tracking.accuracy'] = accuracy;
       
       await Booking.findByIdAndUpdate(bookingId, trackingUpdate);
+
+      try {
+        await LocationHistoryService.record(booking, req.user._id, { coordinates: [longitude, latitude], accuracy, heading, speed }, 'rest');
+      } catch (historyError) {
+        console.error('⚠️ [TRACKING] Breadcrumb not recorded (non-critical):', historyError.message);
+      }
+
+      try {
+        await GeofenceService.check(booking, req.user._id, { coordinates: [longitude, latitude], accuracy });
+      } catch (geofenceError) {
+        console.error('⚠️ [TRACKING] Geofence check failed (non-critical):', geofenceError.message);
+      }
       
       console.log('✅ [TRACKING] Location updated successfully');
       
@@ -174,7 +190,7 @@ class TrackingController {
       // Find booking with populated data
       const booking = await Booking.findById(bookingId)
         .populate('user', 'name phone currentLocation')
-        .populate('professional', 'name phone currentLocation rating')
+        .populate('professional', 'name phone currentLocation ratings')
         .populate('service', 'name category estimatedDuration');
       
       if (!booking) {
@@ -208,7 +224,7 @@ class TrackingController {
           address: booking.location.address || 'Service location'
         },
         tracking: booking.tracking || {},
-        isTrackingActive: ['accepted', 'in_progress'].includes(booking.status)
+        isTrackingActive: ACTIVE_STATUSES.includes(booking.status)
       };
       
       // Add professional data for users
@@ -217,7 +233,7 @@ class TrackingController {
           _id: booking.professional._id,
           name: booking.professional.name,
           phone: booking.professional.phone,
-          rating: booking.professional.rating || 0,
+          rating: booking.professional.ratings?.average || 0,
           currentLocation: booking.professional.currentLocation || null
         };
         
@@ -229,6 +245,7 @@ class TrackingController {
             booking.location.coordinates[1],
             booking.location.coordinates[0]
           );
+          const { eta } = await EtaService.refresh(booking, booking.professional.currentLocation.coordinates);
           
           trackingData.realTimeTracking = {
             professionalLocation: {
@@ -236,7 +253,7 @@ class TrackingController {
               timestamp: booking.professional.currentLocation.timestamp || new Date()
             },
             distance: distance,
-            eta: this.calculateETA(distance),
+            eta: eta,
             isMoving: booking.tracking?.speed > 0.5 || false
           };
         }
@@ -266,6 +283,67 @@ class TrackingController {
     }
   }
   
+  /**
+   * Route the professional took on a booking, from the recorded breadcrumbs
+   */
+  async getRoute(req, res) {
+    try {
+      const { bookingId } = req.params;
+      const { format, phase } = req.query;
+
+      if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid booking ID format'
+        });
+      }
+
+      const booking = await Booking.findById(bookingId);
+
+      if (!booking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking not found'
+        });
+      }
+
+      const userId = req.user._id.toString();
+      const isAuthorized =
+        booking.user?.toString() === userId ||
+        booking.professional?.toString() === userId ||
+        req.userRole === 'admin';
+
+      if (!isAuthorized) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to view this booking tracking'
+        });
+      }
+
+      const route = await LocationHistoryService.getRoute(booking, { format, phase });
+
+      res.json({
+        success: true,
+        data: route
+      });
+
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('❌ [TRACKING] Error getting route:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get route',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
   /**
    * Start tracking when professional accepts booking
    */
@@ -295,7 +373,7 @@ class TrackingController {
       }
       
       // Check if booking is in correct status
-      if (booking.status !== 'accepted') {
+      if (!['accepted', 'en_route'].includes(booking.status)) {
         return res.status(400).json({
           success: false,
           message: `Cannot start tracking for booking with status: ${booking.status}`
@@ -305,6 +383,7 @@ class TrackingController {
       // Calculate initial ETA if professional has location
       let initialETA = null;
       let initialDistance = null;
+      let initialEstimate = null;
       
       if (booking.professional.currentLocation && booking.professional.currentLocation.coordinates) {
         initialDistance = this.calculateDistance(
@@ -313,7 +392,8 @@ class TrackingController {
           booking.location.coordinates[1],
           booking.location.coordinates[0]
         );
-        initialETA = this.calculateETA(initialDistance);
+        initialEstimate = await EtaService.estimate(booking.professional.currentLocation.coordinates, booking.location.coordinates);
+        initialETA = initialEstimate.minutes;
       }
       
       // Update booking with tracking initialization
@@ -324,6 +404,12 @@ class TrackingController {
         'tracking.distance': initialDistance
       };
       
+      if (initialEstimate) {
+        trackingData['tracking.etaCalculatedAt'] = new Date();
+        trackingData['tracking.etaOrigin'] = booking.professional.currentLocation.coordinates;
+        trackingData['tracking.etaProvider'] = initialEstimate.provider;
+      }
+      
       if (booking.professional.currentLocation) {
         trackingData['tracking.lastLocation'] = booking.professional.currentLocation;
       }
@@ -448,19 +534,6 @@ class TrackingController {
     return Math.round(distance * 100) / 100; // Round to 2 decimal places
   }
   
-  /**
-   * Calculate ETA based on distance and average speed
-   */
-  calculateETA(distance, averageSpeed = 30) {
-    if (!distance || distance <= 0) return 0;
-    
-    // Calculate time in minutes based on distance and average speed (km/h)
-    const timeInHours = distance / averageSpeed;
-    const timeInMinutes = Math.round(timeInHours * 60);
-    
-    return Math.max(1, timeInMinutes); // Minimum 1 minute
-  }
-  
   /**
    * Broadcast location update to relevant clients
    */
@@ -1,7 +1,7 @@
-const jwt = require('jsonwebtoken');
 const otpService = require('../services/otp.service');
+const SessionService = require('../services/session.service');
 const User = require('../models/user.model');
-const JWT_SECRET = process.env.JWT_SECRET;
+const ReferralService = require('../services/referral.service');
 
 // ✅ Send OTP
 const sendOtp = async (req, res) => {
@@ -20,20 +20,20 @@ const sendOtp = async (req, res) => {
     });
   } catch (error) {
     console.error('Send OTP error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(otpService.getErrorStatus(error)).json({ error: error.message });
   }
 };
 
 // ✅ Verify OTP and Generate Token
 const verifyOtp = async (req, res) => {
   try {
-    const { phone, otp, role } = req.body;
+    const { phone, otp, role, referralCode } = req.body;
 
     if (!phone || !otp || !role) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
-    // Verify OTP using Twilio
+    // Verify OTP with the provider that issued it
     const isValidOtp = await otpService.verifyOtp(phone, otp);
 
     if (!isValidOtp) {
@@ -41,6 +41,7 @@ const verifyOtp = async (req, res) => {
     }
 
     // ✅ Find or create user in database
+    const isNewUser = !(await User.exists({ phone }));
     const dbUser = await User.findOneAndUpdate(
       { phone },
       {
@@ -52,29 +53,35 @@ const verifyOtp = async (req, res) => {
       { upsert: true, new: true }
     );
 
-    // ✅ Generate JWT token
-    const token = jwt.sign(
-      {
-        id: dbUser._id,
-        userId: dbUser.userId,
-        phone: dbUser.phone,
-        role: dbUser.role,
-      },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // ✅ Open a session and issue access + refresh tokens
+    const tokens = await SessionService.createSession(dbUser, 'user', {
+      id: dbUser._id,
+      userId: dbUser.userId,
+      phone: dbUser.phone
+    }, req);
+
+    // A referral code entered at sign-up; a bad code does not block the login
+    let referral;
+    if (referralCode && isNewUser) {
+      try {
+        referral = { applied: true, ...await ReferralService.applyReferralCode(dbUser._id, referralCode) };
+      } catch (error) {
+        referral = { applied: false, error: error.message };
+      }
+    }
 
     res.json({
       message: 'OTP verified successfully',
-      token,
+      ...tokens,
       user: {
         ...dbUser.toJSON(),
         userId: dbUser.userId
-      }
+      },
+      referral
     });
   } catch (error) {
     console.error('Verify OTP error:', error);
-    res.status(500).json({ error: 'OTP verification failed', details: error.message });
+    res.status(otpService.getErrorStatus(error)).json({ error: 'OTP verification failed', details: error.message });
   }
 };
 
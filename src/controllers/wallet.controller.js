@@ -0,0 +1,67 @@
+const Joi = require('joi');
+const WalletService = require('../services/wallet.service');
+const ReferralService = require('../services/referral.service');
+const logger = require('../config/logger');
+
+const applyReferralSchema = Joi.object({
+  code: Joi.string().trim().min(1).max(30).required()
+});
+
+class WalletController {
+  getErrorStatus(error) {
+    if (error.message.includes('not found')) return 404;
+    if (error.name === 'ValidationError' || error.message.startsWith('Invalid')) return 400;
+    return 500;
+  }
+
+  sendError(res, error, fallback) {
+    const status = this.getErrorStatus(error);
+    res.status(status).json({
+      error: status === 500 ? fallback : error.message
+    });
+  }
+
+  async getWallet(req, res) {
+    try {
+      const { page, limit } = req.query;
+      const wallet = await WalletService.getWallet(req.user._id, { page, limit });
+
+      res.json({ success: true, ...wallet });
+    } catch (error) {
+      logger.error('Error fetching wallet:', error);
+      this.sendError(res, error, 'Failed to fetch wallet');
+    }
+  }
+
+  async getReferral(req, res) {
+    try {
+      const referral = await ReferralService.getReferralSummary(req.user._id);
+      res.json({ success: true, referral });
+    } catch (error) {
+      logger.error('Error fetching referral summary:', error);
+      this.sendError(res, error, 'Failed to fetch referral summary');
+    }
+  }
+
+  async applyReferral(req, res) {
+    try {
+      const { error, value } = applyReferralSchema.validate(req.body);
+      if (error) {
+        return res.status(400).json({ error: 'Invalid referral code', details: error.details[0].message });
+      }
+
+      const result = await ReferralService.applyReferralCode(req.user._id, value.code);
+
+      res.json({
+        success: true,
+        message: 'Referral code applied. You both get wallet credit when your first booking is paid.',
+        ...result
+      });
+    } catch (error) {
+      logger.error('Error applying referral code:', error);
+      this.sendError(res, error, 'Failed to apply referral code');
+    }
+  }
+}
+
+module.exports = new WalletController();
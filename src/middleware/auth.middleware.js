@@ -2,6 +2,8 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
 const Professional = require('../models/professional.model');
 const Admin = require('../models/admin.model');
+const SessionService = require('../services/session.service');
+const config = require('../config/config');
 
 // Map of role to model
 const MODEL_MAP = {
@@ -46,7 +48,7 @@ const auth = (allowedRoles = ['user', 'professional', 'admin']) => {
       // Verify token
       let decoded;
       try {
-        decoded = jwt.verify(token, process.env.JWT_SECRET);
+        decoded = jwt.verify(token, config.jwt.secret);
         console.log('✅ [AUTH] Token verified:', {
           role: decoded.role,
           userId: decoded.userId,
@@ -165,10 +167,30 @@ const auth = (allowedRoles = ['user', 'professional', 'admin']) => {
         });
       }
 
+      // Tokens bound to a session die with it (logout, logout-all, refresh token reuse)
+      if (decoded.sid) {
+        try {
+          await SessionService.assertSessionActive(decoded.sid, user._id);
+        } catch (sessionError) {
+          console.log('❌ [AUTH] Session rejected:', decoded.sid);
+          return res.status(401).json({
+            success: false,
+            message: sessionError.message
+          });
+        }
+      } else if (config.jwt.requireSession) {
+        console.log('❌ [AUTH] Token is not bound to a session');
+        return res.status(401).json({
+          success: false,
+          message: 'Session required, please log in again'
+        });
+      }
+
       // Attach user and token to request
       req.user = user;
       req.token = token;
       req.userRole = decoded.role;
+      req.sessionId = decoded.sid;
       
       console.log('✅ [AUTH] Auth middleware completed successfully');
       console.log('✅ [AUTH] Calling next()');
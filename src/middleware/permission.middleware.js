@@ -0,0 +1,30 @@
+const AdminPermissionService = require('../services/admin-permission.service');
+
+/**
+ * Require admin permissions on a route. Mount after auth(), e.g.
+ *   router.post('/:paymentId/refund', auth(['admin']), requirePermission('payments.refund'), ...)
+ * On routes shared with other roles only admins are checked; the role check stays with auth().
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (req.userRole !== 'admin') {
+      return next();
+    }
+
+    const granted = AdminPermissionService.getEffectivePermissions(req.user);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      console.log('❌ [PERMISSION] Admin', req.user._id, 'missing permissions:', missing);
+      return res.status(403).json({
+        success: false,
+        message: `Missing permission: ${missing.join(', ')}`
+      });
+    }
+
+    req.permissions = granted;
+    next();
+  };
+};
+
+module.exports = requirePermission;
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+/**
+ * Tag every request with an ID (taken from X-Request-Id when the caller or proxy sent a sane one)
+ * and echo it back, so log lines and audit entries can be tied to a single request.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.header('X-Request-Id');
+
+  req.requestId = incoming && /^[\w.:-]{1,128}$/.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+
+  res.setHeader('X-Request-Id', req.requestId);
+  next();
+};
+
+module.exports = requestId;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ALL_PERMISSIONS, ROLE_PRESETS } = require('../config/permissions');
 
 const adminSchema = new mongoose.Schema({
   name: String,
@@ -12,7 +13,20 @@ const adminSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
-  permissions: [String],
+  // Role preset; effective permissions are the preset's plus the explicit ones below
+  preset: {
+    type: String,
+    enum: Object.keys(ROLE_PRESETS)
+  },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS
+  }],
+  permissionsUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  permissionsUpdatedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const IMMUTABLE_MESSAGE = 'Audit log entries are immutable';
+
+// Append-only trail of admin and financial actions. Entries are never updated or deleted.
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'actor.model'
+    },
+    model: {
+      type: String,
+      enum: ['User', 'Professional', 'Admin']
+    },
+    // 'system' for automated flows without a human actor
+    role: {
+      type: String,
+      enum: ['user', 'professional', 'admin', 'system'],
+      required: true
+    }
+  },
+  // Dotted verb such as 'document.approve' or 'payment.refund'
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    }
+  },
+  // Field-level diff between the state before and after the action
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  requestId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ requestId: 1 });
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error(IMMUTABLE_MESSAGE));
+  }
+  next();
+});
+
+const rejectWrite = function(next) {
+  next(new Error(IMMUTABLE_MESSAGE));
+};
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectWrite);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, rejectWrite);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -20,6 +20,19 @@ const bookingSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Time slot held for a scheduled booking (services/slot.service.js): the professional whose
+  // Schedule holds it until someone accepts, the appointment there, and the buffer kept around it
+  slot: {
+    professional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professional'
+    },
+    appointment: mongoose.Schema.Types.ObjectId,
+    startTime: String,
+    endTime: String,
+    bufferMinutes: Number,
+    reservedAt: Date
+  },
   location: {
     type: {
       type: String,
@@ -45,13 +58,109 @@ const bookingSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'in_progress', 'completed', 'cancelled'],
+    enum: ['pending', 'accepted', 'en_route', 'arrived', 'in_progress', 'completed', 'cancelled', 'no_show'],
     default: 'pending'
   },
+  // Audited status history, one entry per transition (see services/booking-state.service.js)
+  timeline: [{
+    fromStatus: String,
+    status: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'timeline.actorModel'
+    },
+    actorModel: {
+      type: String,
+      enum: ['User', 'Professional', 'Admin']
+    },
+    // user, professional, admin or system
+    actorRole: String,
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    },
+    note: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  noShow: {
+    party: {
+      type: String,
+      enum: ['customer', 'professional']
+    },
+    reason: String,
+    reportedAt: Date
+  },
+  // Price after any promo discount; wallet credit pays part of it (see pricing below)
   totalAmount: {
     type: Number,
     required: true
   },
+  // How totalAmount was arrived at (services/pricing.service.js). Payments take the promo discount
+  // and wallet credit from here, so commission is worked out on the discounted price.
+  pricing: {
+    basePrice: Number,
+    // Surge on the base price when the booking was priced (see services/surge.service.js)
+    surge: {
+      multiplier: {
+        type: Number,
+        default: 1
+      },
+      amount: {
+        type: Number,
+        default: 0
+      },
+      factors: {
+        demand: Number,
+        timeOfDay: Number,
+        day: Number,
+        urgency: Number
+      },
+      capped: Boolean,
+      override: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SurgeOverride'
+      }
+    },
+    // Set when the booking was made with a price quote
+    quote: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceQuote'
+    },
+    emergencyFee: {
+      type: Number,
+      default: 0
+    },
+    // Base price plus surge and fees, before discounts
+    subtotal: Number,
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    promoCode: String,
+    promoDiscount: {
+      type: Number,
+      default: 0
+    },
+    // Taken from the customer's wallet when the booking was made
+    walletCredit: {
+      type: Number,
+      default: 0
+    },
+    // Left for the customer to pay at completion
+    payable: Number
+  },
   verificationCode: {
     type: String,
     required: true
@@ -106,10 +215,17 @@ const bookingSchema = new mongoose.Schema({
     },
     initialETA: Number,
     eta: Number,
+    // Kept by services/eta.service.js: when, from where and by which provider the ETA was last
+    // worked out, and the arrival time the customer was last given
+    etaCalculatedAt: Date,
+    etaOrigin: [Number],
+    etaProvider: String,
+    etaNotifiedArrival: Date,
     initialDistance: Number,
     distance: Number,
     startedAt: Date,
     arrivedAt: Date,
+    workStartedAt: Date,
     arrivalLocation: {
       type: {
         type: String,
@@ -124,11 +240,65 @@ const bookingSchema = new mongoose.Schema({
       default: false
     },
     lastUpdate: Date,
+    // Worked out on arrival from the location breadcrumbs (services/location-history.service.js):
+    // km along the path taken, minutes from setting off to arriving, and km/h
+    distanceTravelled: Number,
     totalTravelTime: Number,
     averageSpeed: Number
   },
+
+  // Geofence around the booking location (services/geofence.service.js): which side of it the
+  // professional is on, each visit, time on site and anything flagged for review
+  geofence: {
+    state: {
+      type: String,
+      enum: ['outside', 'inside'],
+      default: 'outside'
+    },
+    // Consecutive fixes on the other side so far
+    pendingCount: {
+      type: Number,
+      default: 0
+    },
+    visits: [{
+      _id: false,
+      enteredAt: Date,
+      leftAt: Date
+    }],
+    // Worked out on completion from the visits
+    timeOnSiteMinutes: Number,
+    flags: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: ['started_off_site', 'completed_off_site', 'left_during_service', 'short_time_on_site']
+      },
+      distanceMeters: Number,
+      note: String,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   
+  // Customer's review of the professional (one per completed booking)
   rating: {
+    score: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    review: String,
+    createdAt: Date,
+    reply: {
+      text: String,
+      createdAt: Date,
+      updatedAt: Date
+    }
+  },
+  // Professional's rating of the customer
+  customerRating: {
     score: {
       type: Number,
       min: 1,
@@ -139,7 +309,7 @@ const bookingSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'refunded', 'completed'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'completed'],
     default: 'pending'
   },
   completedAt: Date,
@@ -150,15 +320,101 @@ const bookingSchema = new mongoose.Schema({
   },
   cancelledByModel: {
     type: String,
-    enum: ['User', 'Professional']
+    enum: ['User', 'Professional', 'Admin']
   },
   cancellationReason: String,
+  cancellation: {
+    rule: String,
+    feePercentage: {
+      type: Number,
+      default: 0
+    },
+    fee: {
+      type: Number,
+      default: 0
+    },
+    hoursBeforeScheduled: Number,
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
+    refundStatus: {
+      type: String,
+      enum: ['not_applicable', 'pending', 'processed', 'failed'],
+      default: 'not_applicable'
+    },
+    refundId: String,
+    refundError: String,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    }
+  },
   isEmergency: {
     type: Boolean,
     default: false
   },
   acceptedAt: Date,
   notes: String,
+  // Sequential dispatch: the booking is offered to one professional at a time
+  dispatch: {
+    status: {
+      type: String,
+      enum: ['searching', 'offered', 'assigned', 'exhausted']
+    },
+    wave: {
+      type: Number,
+      default: 0
+    },
+    radiusKm: Number,
+    currentOffer: {
+      professional: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professional'
+      },
+      offeredAt: Date,
+      expiresAt: Date
+    },
+    attempts: [{
+      professional: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Professional'
+      },
+      wave: Number,
+      radiusKm: Number,
+      distance: Number,
+      score: Number,
+      offeredAt: Date,
+      respondedAt: Date,
+      outcome: {
+        type: String,
+        enum: ['offered', 'accepted', 'declined', 'timeout'],
+        default: 'offered'
+      },
+      declineReason: String
+    }],
+    startedAt: Date,
+    endedAt: Date
+  },
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  // Reschedule proposal waiting for the other party to accept or reject
+  pendingReschedule: {
+    proposedDate: Date,
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'pendingReschedule.proposedByModel'
+    },
+    proposedByModel: {
+      type: String,
+      enum: ['User', 'Professional']
+    },
+    reason: String,
+    proposedAt: Date,
+    expiresAt: Date
+  },
   reschedulingHistory: [{
     oldDate: Date,
     newDate: Date,
@@ -171,7 +427,22 @@ const bookingSchema = new mongoose.Schema({
       enum: ['User', 'Professional']
     },
     rescheduledAt: Date,
-    reason: String
+    reason: String,
+    status: {
+      type: String,
+      enum: ['accepted', 'rejected', 'withdrawn', 'expired'],
+      default: 'accepted'
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'reschedulingHistory.respondedByModel'
+    },
+    respondedByModel: {
+      type: String,
+      enum: ['User', 'Professional']
+    },
+    respondedAt: Date,
+    responseNote: String
   }]
 }, {
   timestamps: true
@@ -186,6 +457,11 @@ bookingSchema.index({ 'tracking.lastLocation': '2dsphere' });
 bookingSchema.index({ createdAt: -1 });
 bookingSchema.index({ isEmergency: -1, createdAt: 1 });
 bookingSchema.index({ completionOTPSession: 1 }); // NEW INDEX
+bookingSchema.index({ professional: 1, 'rating.createdAt': -1 });
+bookingSchema.index({ 'dispatch.currentOffer.professional': 1, status: 1 });
+bookingSchema.index({ status: 1, 'dispatch.status': 1 });
+// Offer sweep (services/dispatch.service.js)
+bookingSchema.index({ 'dispatch.currentOffer.expiresAt': 1 }, { sparse: true });
 
 // Virtual for calculated ETA
 bookingSchema.virtual('currentETA').get(function() {
@@ -198,7 +474,9 @@ bookingSchema.virtual('currentETA').get(function() {
     this.location.coordinates[0]
   );
   
-  return Math.round((distance / 30) * 60);
+  // Required here: the ETA service loads this model
+  const EtaService = require('../services/eta.service');
+  return EtaService.estimateFromDistance(distance);
 });
 
 // Instance methods
@@ -234,8 +512,8 @@ bookingSchema.methods.updateTracking = function(locationData) {
       this.location.coordinates[0]
     );
     
+    // The ETA is kept by services/eta.service.js
     this.tracking.distance = distance;
-    this.tracking.eta = Math.round((distance / (locationData.speed || 30)) * 60);
   }
   
   this.tracking.lastUpdate = new Date();
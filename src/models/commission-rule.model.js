@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Professional = require('./professional.model');
+const Service = require('./service.model');
+const Payment = require('./payment.model');
+
+const SERVICE_CATEGORIES = Service.schema.path('category').enumValues;
+const PROFESSIONAL_TIERS = Professional.schema.path('tier').enumValues;
+const PAYMENT_METHODS = Payment.schema.path('paymentMethod').enumValues;
+
+// Platform commission for the payments matching `conditions` while the rule is in effect.
+// An empty condition list matches everything. See services/commission.service.js for precedence.
+const commissionRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Promotional rules run for a bounded period and win over standard rules while they do
+  kind: {
+    type: String,
+    enum: ['standard', 'promotional'],
+    default: 'standard'
+  },
+  ratePercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  conditions: {
+    categories: {
+      type: [String],
+      enum: SERVICE_CATEGORIES,
+      default: undefined
+    },
+    // Matched case-insensitively against the professional's city
+    cities: {
+      type: [String],
+      default: undefined
+    },
+    tiers: {
+      type: [String],
+      enum: PROFESSIONAL_TIERS,
+      default: undefined
+    },
+    paymentMethods: {
+      type: [String],
+      enum: PAYMENT_METHODS,
+      default: undefined
+    },
+    // true: emergency bookings only, false: regular bookings only, unset: both
+    isEmergency: Boolean
+  },
+  // Higher priority wins among rules of the same kind
+  priority: {
+    type: Number,
+    default: 0
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Exclusive; open-ended when unset
+  effectiveTo: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+commissionRuleSchema.index({ isActive: 1, effectiveFrom: 1, effectiveTo: 1 });
+
+commissionRuleSchema.pre('validate', function(next) {
+  if (this.effectiveTo && this.effectiveTo <= this.effectiveFrom) {
+    return next(new Error('effectiveTo must be after effectiveFrom'));
+  }
+  if (this.kind === 'promotional' && !this.effectiveTo) {
+    return next(new Error('Promotional rules need an effectiveTo date'));
+  }
+  next();
+});
+
+const CommissionRule = mongoose.model('CommissionRule', commissionRuleSchema);
+
+CommissionRule.SERVICE_CATEGORIES = SERVICE_CATEGORIES;
+CommissionRule.PROFESSIONAL_TIERS = PROFESSIONAL_TIERS;
+CommissionRule.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = CommissionRule;
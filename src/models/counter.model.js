@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. 'invoice:2025-26'. Incremented atomically; pass the caller's session so
+// a number taken inside an aborted transaction is given back.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+counterSchema.statics.next = async function(name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['invoice', 'credit_note'];
+const TAX_COMPONENTS = ['CGST', 'SGST', 'IGST'];
+
+const taxLineSchema = new mongoose.Schema({
+  component: {
+    type: String,
+    enum: TAX_COMPONENTS
+  },
+  ratePercent: Number,
+  amount: Number
+}, { _id: false });
+
+const itemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sacCode: String,
+  quantity: {
+    type: Number,
+    default: 1
+  },
+  taxableValue: Number,
+  taxLines: [taxLineSchema],
+  // Taxable value plus tax
+  total: Number
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  address: String,
+  state: String,
+  stateCode: String,
+  phone: String,
+  email: String
+}, { _id: false });
+
+// A GST tax invoice for a payment, or a credit note for one of its refunds. Numbers run
+// without gaps per financial year and type (see InvoiceService.issue); documents are never
+// changed once issued.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // 'invoice:<paymentId>' or 'credit_note:<paymentId>:<refundId>'; one document per key
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // e.g. INV/25-26/00042
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true,
+    index: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional'
+  },
+  // Credit notes: the refund they document and the invoice they adjust
+  refund: mongoose.Schema.Types.ObjectId,
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalInvoiceNumber: String,
+  reason: String,
+  supplier: partySchema,
+  customer: partySchema,
+  // Service rendered on behalf of this professional
+  serviceProvider: {
+    name: String,
+    employeeId: String
+  },
+  placeOfSupply: {
+    state: String,
+    stateCode: String
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state']
+  },
+  items: [itemSchema],
+  totals: {
+    taxableValue: Number,
+    CGST: Number,
+    SGST: Number,
+    IGST: Number,
+    totalTax: Number,
+    total: Number
+  },
+  paymentMethod: String
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ type: 1, financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ originalInvoice: 1 });
+
+invoiceSchema.statics.TYPES = TYPES;
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Named locks shared by every instance, e.g. 'tds:<professional>:2025-26'. Taken by inserting the
+// document (or taking over an expired one) and given back by deleting it; one left behind by a
+// crashed instance is free again once it expires.
+const leaseSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+leaseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Take the lease for `ttlMs`. Returns the owner token to release it with, or null while another
+ * holder has it.
+ */
+leaseSchema.statics.acquire = async function(name, ttlMs) {
+  const owner = new mongoose.Types.ObjectId().toString();
+  const now = new Date();
+
+  try {
+    await this.updateOne(
+      { _id: name, expiresAt: { $lte: now } },
+      { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+      { upsert: true }
+    );
+    return owner;
+  } catch (error) {
+    // Held and not expired, so the upsert collided with it
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+leaseSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ _id: name, owner });
+};
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+module.exports = Lease;
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+const IMMUTABLE_MESSAGE = 'Ledger entries are immutable, post a correcting entry instead';
+
+// Accounts kept per professional. Earnings and adjustments are owed to the professional (credit
+// balances); commission receivable and payouts reduce what is owed (debit balances).
+const PROFESSIONAL_ACCOUNTS = ['earnings', 'commission_receivable', 'payouts', 'adjustments'];
+
+// Platform side of each posting; tds_payable is TDS withheld from payouts and owed to the government,
+// customer_wallets the wallet credit the platform owes customers (spent on payments, refunded back)
+const PLATFORM_ACCOUNTS = ['platform_cash', 'platform_revenue', 'payouts_payable', 'tds_payable', 'customer_wallets'];
+
+const ENTRY_TYPES = [
+  'payment_completed',
+  'payment_refund',
+  'commission_adjustment',
+  'commission_collected',
+  'commission_offset',
+  'commission_waived',
+  'commission_late_fee',
+  'withdrawal_requested',
+  'withdrawal_completed',
+  'withdrawal_released'
+];
+
+const lineSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    enum: [...PROFESSIONAL_ACCOUNTS, ...PLATFORM_ACCOUNTS],
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+// One balanced journal entry. All lines live in the same document so a posting is written atomically.
+const ledgerEntrySchema = new mongoose.Schema({
+  professional: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Professional',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ENTRY_TYPES,
+    required: true
+  },
+  // Idempotency key such as 'payment:<id>:completed'; posting the same event twice is a no-op
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  description: String,
+  lines: {
+    type: [lineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A ledger entry needs at least two lines'
+    }
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  },
+  metadata: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ professional: 1, postedAt: 1 });
+ledgerEntrySchema.index({ payment: 1 });
+ledgerEntrySchema.index({ withdrawal: 1 });
+ledgerEntrySchema.index({ type: 1, postedAt: -1 });
+
+// Amounts are in rupees; compare in paise so float noise cannot unbalance an entry
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+
+ledgerEntrySchema.pre('validate', function(next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error(`Ledger line on ${line.account} must have either a debit or a credit`));
+    }
+    debits += toPaise(line.debit);
+    credits += toPaise(line.credit);
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Unbalanced ledger entry: debits ${debits / 100} != credits ${credits / 100}`));
+  }
+  next();
+});
+
+ledgerEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error(IMMUTABLE_MESSAGE));
+  }
+  next();
+});
+
+const rejectWrite = function(next) {
+  next(new Error(IMMUTABLE_MESSAGE));
+};
+
+ledgerEntrySchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], rejectWrite);
+ledgerEntrySchema.pre('deleteOne', { document: true, query: false }, rejectWrite);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+LedgerEntry.PROFESSIONAL_ACCOUNTS = PROFESSIONAL_ACCOUNTS;
+LedgerEntry.PLATFORM_ACCOUNTS = PLATFORM_ACCOUNTS;
+LedgerEntry.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = LedgerEntry;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// One location report from a professional working a booking, kept as a time-series collection
+// and deleted after config.tracking.breadcrumbRetentionDays. Breadcrumbs are stored as reported;
+// services/location-history.service.js filters out GPS noise when it works out routes.
+const locationBreadcrumbSchema = new mongoose.Schema({
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true
+    },
+    professional: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Professional',
+      required: true
+    }
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  // Metres
+  accuracy: Number,
+  heading: Number,
+  // km/h as reported by the device
+  speed: Number,
+  // Booking status when the point was reported
+  status: String,
+  source: {
+    type: String,
+    enum: ['socket', 'rest'],
+    default: 'socket'
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: config.tracking.breadcrumbRetentionDays * 24 * 60 * 60,
+  versionKey: false
+});
+
+locationBreadcrumbSchema.index({ 'meta.booking': 1, recordedAt: 1 });
+
+module.exports = mongoose.model('LocationBreadcrumb', locationBreadcrumbSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One OTP request, whichever provider delivered it. Local codes are stored hashed only.
+const otpSessionSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'service_completion'],
+    default: 'login'
+  },
+  provider: {
+    type: String,
+    enum: ['twilio', 'local'],
+    required: true
+  },
+  codeHash: String,
+  providerSessionId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'expired', 'locked'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: Number,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: Date,
+  verifiedAt: Date,
+  lockedAt: Date
+}, {
+  timestamps: true
+});
+
+otpSessionSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep finished sessions for a day for support, then let Mongo remove them
+otpSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('OtpSession', otpSessionSchema);
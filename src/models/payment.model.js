@@ -1,5 +1,77 @@
 // models/payment.model.js
 const mongoose = require('mongoose');
+const config = require('../config/config');
+
+// Commission rate of this payment: the rule snapshot when present, else the configured default
+function getCommissionRate(payment) {
+  const ratePercent = payment.commissionRule?.ratePercent ?? config.commission.defaultPercent;
+  return ratePercent / 100;
+}
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const REFUND_REASON_CODES = [
+  'booking_cancelled',
+  'service_not_delivered',
+  'service_quality',
+  'overcharged',
+  'duplicate_payment',
+  'goodwill',
+  'gateway_initiated',
+  'other'
+];
+
+// One refund of (part of) a payment. Pending and processed refunds count against the refundable
+// amount; only processed ones reach the ledger. The commission and payout reversed are fixed when
+// the refund is created, pro rata to the payment's split.
+const refundSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reasonCode: {
+    type: String,
+    enum: REFUND_REASON_CODES,
+    required: true
+  },
+  reason: String,
+  initiatedBy: {
+    role: {
+      type: String,
+      enum: ['user', 'professional', 'admin', 'system'],
+      default: 'system'
+    },
+    id: mongoose.Schema.Types.ObjectId
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  // Razorpay refund id; manual refunds (cash, direct UPI) have none
+  gatewayRefundId: String,
+  commissionReversed: {
+    type: Number,
+    default: 0
+  },
+  payoutReversed: {
+    type: Number,
+    default: 0
+  },
+  // Part of the refund credited back to the customer's wallet rather than paid out, pro rata to
+  // the wallet's share of the payment
+  walletAmount: {
+    type: Number,
+    default: 0
+  },
+  failureReason: String,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+});
 
 const paymentSchema = new mongoose.Schema({
   booking: {
@@ -41,7 +113,7 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     required: true,
     default: function() {
-      return this.totalAmount * 0.15; // 15% commission
+      return Math.round(this.totalAmount * getCommissionRate(this) * 100) / 100;
     }
   },
   professionalPayout: {
@@ -52,6 +124,67 @@ const paymentSchema = new mongoose.Schema({
     }
   },
   
+  // Commission rule in force when the payment was created. Kept as a snapshot so later rule
+  // changes never alter historical payouts.
+  commissionRule: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionRule'
+    },
+    name: String,
+    kind: {
+      type: String,
+      enum: ['default', 'standard', 'promotional']
+    },
+    ratePercent: Number,
+    resolvedAt: Date
+  },
+
+  // Discounts taken from the booking's pricing. The promo discount lowers totalAmount, the base
+  // commission and payout are worked out on; wallet credit pays part of totalAmount, leaving
+  // amountDue for the payment method.
+  discounts: {
+    promo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    promoCode: String,
+    promoDiscount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    walletCredit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    resolvedAt: Date
+  },
+
+  // GST included in the platform commission, split by TaxService.paymentGst whenever the
+  // commission is set. CGST + SGST for professionals in the platform's state, IGST otherwise.
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    professionalState: String,
+    ratePercent: Number,
+    taxableValue: Number,
+    lines: [{
+      _id: false,
+      component: {
+        type: String,
+        enum: ['CGST', 'SGST', 'IGST']
+      },
+      ratePercent: Number,
+      amount: Number
+    }],
+    totalTax: Number,
+    computedAt: Date
+  },
+  
   // Payment method and details
   paymentMethod: {
     type: String,
@@ -83,7 +216,7 @@ const paymentSchema = new mongoose.Schema({
   // Payment status
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'refunded'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending',
     index: true
   },
@@ -96,6 +229,25 @@ const paymentSchema = new mongoose.Schema({
   },
   commissionDueDate: Date,
   commissionCollectedAt: Date,
+  // 'direct' when the professional paid the platform, 'offset' when it was deducted from what
+  // the platform owes them for online jobs
+  commissionCollectionMethod: {
+    type: String,
+    enum: ['direct', 'offset']
+  },
+  // Dunning (see services/commission-collection.service.js)
+  commissionLateFees: [{
+    amount: Number,
+    chargedAt: Date,
+    _id: false
+  }],
+  commissionReminders: [{
+    // Days relative to the due date the reminder was for
+    offsetDays: Number,
+    channels: [String],
+    sentAt: Date,
+    _id: false
+  }],
   
   // Additional charges breakdown
   additionalCharges: [{
@@ -120,7 +272,22 @@ const paymentSchema = new mongoose.Schema({
     gatewayResponse: Object
   }],
   
-  // Refund details
+  // Refunds, oldest first. The totals below are kept in step with them on save.
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  reversedCommission: {
+    type: Number,
+    default: 0
+  },
+  reversedPayout: {
+    type: Number,
+    default: 0
+  },
+  
+  // Single refund recorded before a payment could have several; read through getProcessedRefunds()
   refundDetails: {
     amount: Number,
     reason: String,
@@ -154,6 +321,7 @@ const paymentSchema = new mongoose.Schema({
 // Indexes for better performance
 paymentSchema.index({ booking: 1, status: 1 });
 paymentSchema.index({ professional: 1, commissionStatus: 1 });
+paymentSchema.index({ commissionStatus: 1, commissionDueDate: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ paymentMethod: 1, status: 1 });
 
@@ -162,35 +330,149 @@ paymentSchema.virtual('commissionPercentage').get(function() {
   return (this.platformCommission / this.totalAmount) * 100;
 });
 
+// Commission and payout left after processed refunds
+paymentSchema.virtual('netPlatformCommission').get(function() {
+  return round(this.platformCommission - (this.reversedCommission || 0));
+});
+
+paymentSchema.virtual('commissionLateFeeTotal').get(function() {
+  return round((this.commissionLateFees || []).reduce((sum, fee) => sum + fee.amount, 0));
+});
+
+// What the professional owes for this payment while its commission is pending
+paymentSchema.virtual('commissionOutstanding').get(function() {
+  return this.commissionStatus === 'pending' ? round(this.netPlatformCommission + this.commissionLateFeeTotal) : 0;
+});
+
+paymentSchema.virtual('netProfessionalPayout').get(function() {
+  return round(this.professionalPayout - (this.reversedPayout || 0));
+});
+
+// What the customer pays through the payment method once wallet credit is taken off
+paymentSchema.virtual('amountDue').get(function() {
+  return Math.max(round(this.totalAmount - (this.discounts?.walletCredit || 0)), 0);
+});
+
+// What can still be refunded; refunds in flight already count against it
+paymentSchema.virtual('refundableAmount').get(function() {
+  const committed = (this.refunds || [])
+    .filter(refund => refund.status !== 'failed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(round(this.totalAmount - committed - this.legacyRefundAmount()), 0);
+});
+
+// Every new payment records the commission rule that applies to it; callers that already
+// resolved one (for the breakdown they show) pass it in as commissionRule
+paymentSchema.pre('validate', async function() {
+  if (!this.isNew || this.commissionRule?.ratePercent != null) return;
+
+  const CommissionService = require('../services/commission.service');
+  const context = await CommissionService.getBookingContext(this.booking, this.paymentMethod);
+  this.commissionRule = await CommissionService.resolve(context);
+});
+
+// Likewise the booking's discounts, for callers that did not pass a breakdown's discounts
+paymentSchema.pre('validate', async function() {
+  if (!this.isNew || this.discounts?.resolvedAt) return;
+
+  const CommissionService = require('../services/commission.service');
+  const Booking = require('./booking.model');
+  const booking = await Booking.findById(this.booking?._id || this.booking).select('pricing').lean();
+  this.discounts = CommissionService.bookingDiscounts(booking);
+});
+
 // Pre-save middleware to calculate amounts
 paymentSchema.pre('save', function(next) {
-  if (this.isModified('serviceAmount') || this.isModified('additionalAmount')) {
-    this.totalAmount = this.serviceAmount + this.additionalAmount;
-    this.platformCommission = this.totalAmount * 0.15;
-    this.professionalPayout = this.totalAmount - this.platformCommission;
+  if (this.isModified('serviceAmount') || this.isModified('additionalAmount') || this.isModified('discounts')) {
+    // Discounts never exceed what they apply to
+    const grossAmount = round(this.serviceAmount + this.additionalAmount);
+    const promoDiscount = Math.min(this.discounts?.promoDiscount || 0, grossAmount);
+    this.totalAmount = round(grossAmount - promoDiscount);
+    if (this.discounts) {
+      this.discounts.promoDiscount = promoDiscount;
+      this.discounts.walletCredit = Math.min(this.discounts.walletCredit || 0, this.totalAmount);
+    }
+    this.platformCommission = Math.round(this.totalAmount * getCommissionRate(this) * 100) / 100;
+    this.professionalPayout = Math.round((this.totalAmount - this.platformCommission) * 100) / 100;
     
-    // Set commission due date (7 days for cash payments)
+    // Set commission due date for cash payments
     if (this.paymentMethod === 'cash' && !this.commissionDueDate) {
-      this.commissionDueDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+      this.commissionDueDate = new Date(Date.now() + config.commissionCollection.dueDays * 24 * 60 * 60 * 1000);
     }
   }
   next();
 });
 
-// Generate invoice number
+// GST follows the commission; payments from before GST was recorded get it on their next save
+paymentSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('platformCommission') && this.tax?.computedAt) return;
+
+  const TaxService = require('../services/tax.service');
+  this.tax = await TaxService.paymentGst(this);
+});
+
+// Refund totals and status follow the refunds list
 paymentSchema.pre('save', function(next) {
-  if (this.isNew && !this.invoice.invoiceNumber) {
-    const date = new Date();
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    
-    this.invoice.invoiceNumber = `INV-${year}${month}${day}-${random}`;
+  if (!this.isModified('refunds')) {
+    return next();
+  }
+  
+  const processed = this.getProcessedRefunds();
+  this.refundedAmount = round(processed.reduce((sum, refund) => sum + refund.amount, 0));
+  this.reversedCommission = round(processed.reduce((sum, refund) => sum + (refund.commissionReversed || 0), 0));
+  this.reversedPayout = round(processed.reduce((sum, refund) => sum + (refund.payoutReversed || 0), 0));
+  
+  if (['completed', 'partially_refunded', 'refunded'].includes(this.status)) {
+    if (this.refundedAmount <= 0) {
+      this.status = 'completed';
+    } else {
+      this.status = this.refundedAmount >= this.totalAmount ? 'refunded' : 'partially_refunded';
+    }
   }
   next();
 });
 
+// Remember whether this save touches anything the ledger records
+paymentSchema.pre('save', function(next) {
+  this.$locals.ledgerRelevant = this.isModified('status') ||
+    this.isModified('commissionStatus') ||
+    this.isModified('commissionLateFees') ||
+    this.isModified('refunds') ||
+    this.isModified('refundDetails') ||
+    this.isModified('platformCommission');
+  next();
+});
+
+// Post completion, refund and commission settlement to the ledger. The payment itself is already
+// saved, so a posting failure is logged and left for ledger reconciliation to pick up.
+paymentSchema.post('save', async function(doc) {
+  if (!doc.$locals.ledgerRelevant) return;
+
+  try {
+    const LedgerService = require('../services/ledger.service');
+    await LedgerService.syncPayment(doc);
+  } catch (error) {
+    console.error(`🚨 [LEDGER] Failed to post payment ${doc._id}:`, error.message);
+  }
+
+  // Invoices and credit notes are issued once the payment completes or a refund is processed.
+  // Anything missed here is issued when the customer next asks for the invoice.
+  try {
+    const InvoiceService = require('../services/invoice.service');
+    await InvoiceService.syncPayment(doc);
+  } catch (error) {
+    console.error(`🚨 [INVOICE] Failed to issue documents for payment ${doc._id}:`, error.message);
+  }
+
+  // Promo redemption, wallet credit returns and referral credits; also idempotent
+  try {
+    const PricingService = require('../services/pricing.service');
+    await PricingService.syncPayment(doc);
+  } catch (error) {
+    console.error(`🚨 [PRICING] Failed to settle discounts for payment ${doc._id}:`, error.message);
+  }
+});
+
 // Static methods
 paymentSchema.statics.createPaymentRequest = async function(bookingData) {
   const { booking, serviceAmount, additionalAmount = 0, paymentMethod } = bookingData;
@@ -221,6 +503,56 @@ paymentSchema.methods.addAdditionalCharge = function(description, amount, profes
   return this.save();
 };
 
+/**
+ * Processed refunds, including a refund recorded the old way in refundDetails (flagged `legacy`)
+ */
+paymentSchema.methods.getProcessedRefunds = function() {
+  const processed = (this.refunds || []).filter(refund => refund.status === 'processed');
+  
+  if (processed.length === 0 && this.refundDetails?.amount > 0) {
+    return [{
+      legacy: true,
+      amount: this.refundDetails.amount,
+      reason: this.refundDetails.reason,
+      gatewayRefundId: this.refundDetails.refundId,
+      processedAt: this.refundDetails.processedAt
+    }];
+  }
+  return processed;
+};
+
+paymentSchema.methods.legacyRefundAmount = function() {
+  return (this.refunds || []).length === 0 ? (this.refundDetails?.amount || 0) : 0;
+};
+
+/**
+ * Commission and payout a new refund of `amount` takes back, and how much of it goes back to the
+ * customer's wallet. Shares are pro rata; a refund that empties the payment takes whatever is
+ * left, so rounding never leaves a few paise behind.
+ */
+paymentSchema.methods.calculateRefundReversal = function(amount) {
+  const live = (this.refunds || []).filter(refund => refund.status !== 'failed');
+  const refundedBefore = live.reduce((sum, refund) => sum + refund.amount, 0);
+  const walletCredit = this.discounts?.walletCredit || 0;
+  
+  if (round(refundedBefore + amount) >= round(this.totalAmount)) {
+    const commissionReversed = round(this.platformCommission - live.reduce((sum, refund) => sum + refund.commissionReversed, 0));
+    return {
+      commissionReversed,
+      payoutReversed: round(amount - commissionReversed),
+      walletAmount: round(walletCredit - live.reduce((sum, refund) => sum + (refund.walletAmount || 0), 0))
+    };
+  }
+  
+  const share = (part) => this.totalAmount > 0 ? round(amount * part / this.totalAmount) : 0;
+  const payoutReversed = share(this.professionalPayout);
+  return {
+    commissionReversed: round(amount - payoutReversed),
+    payoutReversed,
+    walletAmount: share(walletCredit)
+  };
+};
+
 paymentSchema.methods.markAsCompleted = function(paymentDetails = {}) {
   this.status = 'completed';
   this.completedAt = new Date();
@@ -242,5 +574,7 @@ paymentSchema.methods.markAsCompleted = function(paymentDetails = {}) {
   return this.save();
 };
 
+paymentSchema.statics.REFUND_REASON_CODES = REFUND_REASON_CODES;
+
 const Payment = mongoose.model('Payment', paymentSchema);
 module.exports = Payment;
\ No newline at end of file
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+const MODES = ['NEFT', 'IMPS'];
+// created: withdrawals are in the batch and marked processing; exported: the bank file has been
+// downloaded; reconciled once every withdrawal is completed or failed
+const STATUSES = ['created', 'exported', 'partially_reconciled', 'reconciled'];
+
+// Result of one row of a bank confirmation file
+const confirmationResultSchema = new mongoose.Schema({
+  reference: String,
+  withdrawal: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  },
+  bankStatus: String,
+  utr: String,
+  // completed, failed, skipped (already settled or still pending at the bank) or unmatched
+  outcome: String,
+  message: String
+}, { _id: false });
+
+const confirmationImportSchema = new mongoose.Schema({
+  fileName: String,
+  importedAt: {
+    type: Date,
+    default: Date.now
+  },
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  completed: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  skipped: { type: Number, default: 0 },
+  unmatched: { type: Number, default: 0 },
+  results: [confirmationResultSchema]
+}, { _id: true });
+
+// A set of approved withdrawals paid out together through one bank bulk-upload file
+const payoutBatchSchema = new mongoose.Schema({
+  // PAY-YYYYMMDD-NNN, also the file name of the export
+  batchNumber: {
+    type: String,
+    unique: true
+  },
+  mode: {
+    type: String,
+    enum: MODES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'created',
+    index: true
+  },
+  withdrawals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Withdrawal'
+  }],
+  // Sum of the withdrawals' net amounts, i.e. what the bank file pays out
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  exportedAt: Date,
+  exportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  exportCount: {
+    type: Number,
+    default: 0
+  },
+  reconciledAt: Date,
+  confirmations: [confirmationImportSchema]
+}, {
+  timestamps: true
+});
+
+payoutBatchSchema.index({ createdAt: -1 });
+
+payoutBatchSchema.pre('save', async function(next) {
+  if (!this.isNew || this.batchNumber) {
+    return next();
+  }
+
+  const date = new Date();
+  const day = `${date.getFullYear()}${String(date.getMonth() + 1).padStart(2, '0')}${String(date.getDate()).padStart(2, '0')}`;
+  const sameDay = await this.constructor.countDocuments({ batchNumber: new RegExp(`^PAY-${day}-`) });
+
+  this.batchNumber = `PAY-${day}-${String(sameDay + 1).padStart(3, '0')}`;
+  next();
+});
+
+payoutBatchSchema.statics.MODES = MODES;
+payoutBatchSchema.statics.STATUSES = STATUSES;
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+
+module.exports = PayoutBatch;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Price offered to a customer before booking. A booking made with the quote before it expires
+// pays this price, whatever surge has done since; promo codes and wallet credit are applied on
+// top when booking. Quotes are deleted a day after they expire.
+const priceQuoteSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service',
+    required: true
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  geohash: {
+    type: String,
+    required: true
+  },
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  isEmergency: {
+    type: Boolean,
+    default: false
+  },
+  price: {
+    basePrice: {
+      type: Number,
+      required: true
+    },
+    surge: {
+      multiplier: {
+        type: Number,
+        default: 1
+      },
+      amount: {
+        type: Number,
+        default: 0
+      },
+      // Each factor's multiplier, before the cap
+      factors: {
+        demand: Number,
+        timeOfDay: Number,
+        day: Number,
+        urgency: Number
+      },
+      capped: Boolean,
+      override: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SurgeOverride'
+      }
+    },
+    emergencyFee: {
+      type: Number,
+      default: 0
+    },
+    subtotal: {
+      type: Number,
+      required: true
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when a booking is made with the quote; a quote is used at most once
+  usedAt: Date,
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+priceQuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+priceQuoteSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PriceQuote', priceQuoteSchema);
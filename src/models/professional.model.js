@@ -38,6 +38,13 @@ const professionalSchema = new mongoose.Schema({
   pincode: { 
     type: String 
   },
+  // Permanent Account Number; TDS on payouts is deducted at a higher rate without it
+  panNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{5}[0-9]{4}[A-Z]$/, 'Invalid PAN']
+  },
   status: { 
     type: String, 
     enum: ['registration_pending', 'document_pending', 'under_review', 'rejected', 'verified', 'suspended', 'inactive'], 
@@ -59,6 +66,19 @@ const professionalSchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Set while overdue cash commission keeps the professional off new jobs ('unavailable') or
+  // suspends the account; lifted once the overdue dues are settled
+  commissionHold: {
+    level: {
+      type: String,
+      enum: ['unavailable', 'suspended']
+    },
+    since: Date,
+    overdueAmount: Number,
+    oldestDueDate: Date,
+    // Status to restore when a suspension is lifted
+    previousStatus: String
+  },
   currentLocation: { 
     type: { 
       type: String, 
@@ -122,6 +142,37 @@ const professionalSchema = new mongoose.Schema({
     sparse: true,
     index: true
   },
+  // Commercial tier; commission rules can target it
+  tier: {
+    type: String,
+    enum: ['standard', 'silver', 'gold'],
+    default: 'standard'
+  },
+  // Time-decayed customer rating aggregate, maintained by RatingService
+  ratings: {
+    average: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5
+    },
+    simpleAverage: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    breakdown: {
+      1: { type: Number, default: 0 },
+      2: { type: Number, default: 0 },
+      3: { type: Number, default: 0 },
+      4: { type: Number, default: 0 },
+      5: { type: Number, default: 0 }
+    },
+    lastCalculatedAt: Date
+  },
   workingHours: {
     startTime: {
       type: String,
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const Service = require('./service.model');
+
+const SERVICE_CATEGORIES = Service.schema.path('category').enumValues;
+
+// A code customers enter at booking time for a discount on the booking amount. Limits are
+// enforced when a booking reserves the code (see services/promo.service.js).
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percent', 'flat'],
+    required: true
+  },
+  // Percentage of the booking amount, or rupees off
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Cap on a percentage discount; unset means no cap
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Service categories the code applies to; unset means all
+  categories: {
+    type: [String],
+    enum: SERVICE_CATEGORIES,
+    default: undefined
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Exclusive; never expires when unset
+  expiresAt: Date,
+  // Bookings that may use the code across all customers; unlimited when unset
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Only for customers without an earlier booking that went ahead
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Bookings holding a reservation or a redemption of the code
+  redemptionCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ isActive: 1, startsAt: 1, expiresAt: 1 });
+
+promoCodeSchema.pre('validate', function(next) {
+  if (this.discountType === 'percent' && this.value > 100) {
+    return next(new Error('Invalid promo code: a percentage discount cannot exceed 100'));
+  }
+  if (this.expiresAt && this.expiresAt <= this.startsAt) {
+    return next(new Error('Invalid promo code: expiresAt must be after startsAt'));
+  }
+  next();
+});
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+PromoCode.SERVICE_CATEGORIES = SERVICE_CATEGORIES;
+
+module.exports = PromoCode;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['reserved', 'redeemed', 'released'];
+
+// Use of a promo code by one booking. Reserved when the booking is made, redeemed once it is paid
+// and released (giving the use back) when it is cancelled first.
+const promoRedemptionSchema = new mongoose.Schema({
+  promo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'reserved'
+  },
+  redeemedAt: Date,
+  releasedAt: Date
+}, {
+  timestamps: true
+});
+
+promoRedemptionSchema.index({ promo: 1, user: 1, status: 1 });
+
+const PromoRedemption = mongoose.model('PromoRedemption', promoRedemptionSchema);
+
+PromoRedemption.STATUSES = STATUSES;
+
+module.exports = PromoRedemption;
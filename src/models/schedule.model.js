@@ -77,6 +77,7 @@ const scheduleSchema = new mongoose.Schema({
 // Compound indexes for better performance
 scheduleSchema.index({ professional: 1, date: 1 }, { unique: true });
 scheduleSchema.index({ date: 1, 'workingHours.isWorkingDay': 1 });
+scheduleSchema.index({ 'appointments.bookingId': 1 });
 
 // Static method to get or create schedule for a date
 scheduleSchema.statics.getOrCreateSchedule = async function(professionalId, date) {
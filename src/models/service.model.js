@@ -83,6 +83,12 @@ const serviceSchema = new mongoose.Schema({
       default: 0
     }
   },
+  // Expected job length in minutes, used for schedule conflict checks
+  estimatedDuration: {
+    type: Number,
+    min: 15,
+    default: 60
+  },
   serviceDetails: [serviceDetailSchema],
   customizationOptions: [customizationOptionSchema],
   isActive: {
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Server-side login session backing a refresh token. Access tokens carry the session ID (sid).
+const authSessionSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'subjectModel'
+  },
+  subjectModel: {
+    type: String,
+    required: true,
+    enum: ['User', 'Professional', 'Admin']
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: ['user', 'professional', 'admin']
+  },
+  // Claims re-issued in every access token of this session
+  claims: {
+    type: Object,
+    default: {}
+  },
+  // Hash of the only refresh token currently valid; older ones are treated as reuse
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  device: {
+    name: String,
+    platform: String,
+    userAgent: String
+  },
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRefreshedAt: Date,
+  refreshCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked_by_user', 'refresh_token_reuse', 'account_suspended']
+  }
+}, {
+  timestamps: true
+});
+
+authSessionSchema.index({ subject: 1, role: 1, revokedAt: 1 });
+// Drop sessions a month after they expire
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+authSessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
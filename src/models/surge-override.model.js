@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Service = require('./service.model');
+
+const SERVICE_CATEGORIES = Service.schema.path('category').enumValues;
+
+// Admin-set surge multiplier that replaces the computed one while in effect, e.g. to switch surge
+// off in an area (multiplier 1) or hold it at a level during an event. Not subject to the
+// configured cap. See services/surge.service.js for precedence.
+const surgeOverrideSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  },
+  multiplier: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 10
+  },
+  // Geohash prefixes the override covers; a short prefix covers a wider area. Empty matches everywhere.
+  geohashes: {
+    type: [String],
+    default: undefined,
+    set: values => values?.map(value => value.trim().toLowerCase())
+  },
+  categories: {
+    type: [String],
+    enum: SERVICE_CATEGORIES,
+    default: undefined
+  },
+  startsAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Exclusive; open-ended when unset
+  endsAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+surgeOverrideSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+surgeOverrideSchema.pre('validate', function(next) {
+  if (this.endsAt && this.endsAt <= this.startsAt) {
+    return next(new Error('Invalid surge override: endsAt must be after startsAt'));
+  }
+  if (this.geohashes?.some(hash => !/^[0-9b-hjkmnp-z]{1,12}$/.test(hash))) {
+    return next(new Error('Invalid surge override: geohashes must be valid geohash prefixes'));
+  }
+  next();
+});
+
+const SurgeOverride = mongoose.model('SurgeOverride', surgeOverrideSchema);
+
+SurgeOverride.SERVICE_CATEGORIES = SERVICE_CATEGORIES;
+
+module.exports = SurgeOverride;
@@ -69,9 +69,10 @@ const ticketSchema = new Schema({
     enum: ['user', 'professional', 'admin'],
     required: true
   },
+  // Admin handling the ticket
   assignedTo: {
     type: Schema.Types.ObjectId,
-    ref: 'User'
+    ref: 'Admin'
   },
   attachments: [attachmentSchema],
   closedAt: {
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const config = require('../config/config');
 
 const transactionSchema = new mongoose.Schema({
   booking: {
@@ -32,7 +33,7 @@ const transactionSchema = new mongoose.Schema({
   },
   paymentMethod: {
     type: String,
-    enum: ['credit_card', 'debit_card', 'upi', 'net_banking', 'wallet'],
+    enum: ['credit_card', 'debit_card', 'upi', 'net_banking', 'wallet', 'other'],
     required: true
   },
   paymentGateway: {
@@ -120,16 +121,15 @@ transactionSchema.index({ professional: 1, createdAt: -1 });
 transactionSchema.index({ user: 1, createdAt: -1 });
 transactionSchema.index({ booking: 1, type: 1 });
 
-// Add method to calculate platform fee
-transactionSchema.methods.calculatePlatformFee = function(amount) {
-  // Default platform fee is 15%
-  return amount * 0.15;
+// Add method to calculate platform fee; defaults to the configured commission when no rate is given
+transactionSchema.methods.calculatePlatformFee = function(amount, ratePercent = config.commission.defaultPercent) {
+  return amount * ratePercent / 100;
 };
 
 // Add method to calculate payout amount
-transactionSchema.methods.calculatePayoutAmount = function(amount) {
-  // Payout amount is amount minus platform fee (15%)
-  return amount * 0.85;
+transactionSchema.methods.calculatePayoutAmount = function(amount, ratePercent = config.commission.defaultPercent) {
+  // Payout amount is amount minus platform fee
+  return amount - this.calculatePlatformFee(amount, ratePercent);
 };
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
@@ -90,7 +90,30 @@ const userSchema = new mongoose.Schema({
     default: 0, 
     min: 0, 
     max: 5 
-  }
+  },
+  ratingCount: {
+    type: Number,
+    default: 0
+  },
+  // Credit spendable on bookings; every change is a WalletTransaction (see services/wallet.service.js)
+  walletBalance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Code this customer shares; generated on first request
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  referredAt: Date,
+  // Set when the referral credits for this customer's first paid booking were issued
+  referralRewardedAt: Date
 });
 
 function arrayLimit(val) {
@@ -98,5 +121,6 @@ function arrayLimit(val) {
 }
 
 userSchema.index({ currentLocation: '2dsphere' });
+userSchema.index({ referredBy: 1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Credits add to the customer's balance, debits take from it
+const TYPES = {
+  credit: ['referral_reward', 'referral_bonus', 'booking_release', 'refund'],
+  debit: ['booking_payment']
+};
+
+// One movement of a customer's wallet balance (User.walletBalance). Written in the same
+// transaction as the balance change; the reference makes each movement happen once.
+const walletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: Object.keys(TYPES),
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.values(TYPES).flat(),
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  // e.g. 'booking:<id>:wallet', 'refund:<refundId>', 'referral:<userId>:referrer'
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  description: String
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+
+walletTransactionSchema.pre('validate', function(next) {
+  if (this.type && !TYPES[this.direction]?.includes(this.type)) {
+    return next(new Error(`Wallet transaction type ${this.type} is not a ${this.direction}`));
+  }
+  next();
+});
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+WalletTransaction.TYPES = TYPES;
+
+module.exports = WalletTransaction;
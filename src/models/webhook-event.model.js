@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const PROVIDERS = ['razorpay'];
+const STATUSES = ['processing', 'processed', 'ignored', 'failed'];
+
+// One document per payment gateway webhook delivery, keyed by the gateway's event id, so a
+// redelivered event is recognised and skipped. The raw payload is kept for replays.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: PROVIDERS,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Gateway event name such as 'payment.captured'
+  event: {
+    type: String,
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'processing',
+    index: true
+  },
+  // Short description of what processing did, e.g. 'payment_completed' or 'payment_not_found'
+  outcome: String,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  lastError: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ createdAt: -1 });
+
+webhookEventSchema.statics.PROVIDERS = PROVIDERS;
+webhookEventSchema.statics.STATUSES = STATUSES;
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const AuditService = require('../services/audit.service');
+
+// pending -> approved -> processing (sent to the bank in a payout batch) -> completed | failed.
+// Admins can reject a pending withdrawal and mark an approved one paid without a batch; a failed
+// withdrawal can be approved again. Withdrawals from before approvals existed are 'processing'
+// without a payout batch and are treated as awaiting approval.
+const STATUSES = ['pending', 'approved', 'processing', 'completed', 'failed', 'rejected', 'cancelled'];
 
 const withdrawalSchema = new mongoose.Schema({
   professional: {
@@ -19,8 +26,8 @@ const withdrawalSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['processing', 'completed', 'failed', 'cancelled'],
-    default: 'processing',
+    enum: STATUSES,
+    default: 'pending',
     index: true
   },
   reference: {
@@ -32,6 +39,22 @@ const withdrawalSchema = new mongoose.Schema({
     default: Date.now,
     required: true
   },
+  approvedAt: {
+    type: Date
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  rejectedAt: {
+    type: Date
+  },
+  // Batch the withdrawal was last exported to the bank in
+  payoutBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch',
+    index: true
+  },
   processedAt: {
     type: Date
   },
@@ -68,6 +91,18 @@ const withdrawalSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // How taxDeducted was worked out when the withdrawal was approved (TaxService.withdrawalTds)
+  tds: {
+    section: String,
+    ratePercent: Number,
+    panAvailable: Boolean,
+    financialYear: String,
+    // The professional's payouts in the financial year including this one, and TDS already deducted on the others
+    yearToDateAmount: Number,
+    previouslyDeducted: Number,
+    threshold: Number,
+    computedAt: Date
+  },
   netAmount: {
     type: Number,
     get: function() {
@@ -106,59 +141,121 @@ withdrawalSchema.index({ professional: 1, requestedAt: -1 });
 withdrawalSchema.index({ status: 1, requestedAt: 1 });
 withdrawalSchema.index({ paymentMethod: 1, status: 1 });
 
-// Add static methods for status updates
-withdrawalSchema.statics.markAsProcessing = async function(id, admin) {
-  return this.findByIdAndUpdate(
-    id,
-    {
-      status: 'processing',
-      processedAt: new Date(),
-      processedBy: admin,
-      $set: { "remarks": "Your withdrawal request is being processed." }
-    },
-    { new: true }
-  );
+// Status changes are written to the audit log and the ledger; `context` carries the request's IP and ID
+const recordStatusChange = async (before, after, actorId, context = {}) => {
+  if (!after) return after;
+
+  await AuditService.record({
+    action: `withdrawal.${after.status}`,
+    target: { type: 'Withdrawal', id: after._id },
+    before,
+    after,
+    paths: ['status', 'approvedBy', 'processedBy', 'payoutBatch', 'fees', 'taxDeducted', 'transactionId', 'remarks', 'adminNotes'],
+    metadata: { professional: after.professional, amount: after.amount },
+    context: { actorId, actorRole: actorId ? 'admin' : undefined, ...context }
+  });
+
+  // The status is already updated, so a posting failure is left for ledger reconciliation
+  try {
+    const LedgerService = require('../services/ledger.service');
+    await LedgerService.syncWithdrawal(after);
+  } catch (error) {
+    console.error(`🚨 [LEDGER] Failed to post withdrawal ${after._id}:`, error.message);
+  }
+
+  return after;
 };
 
-withdrawalSchema.statics.markAsCompleted = async function(id, admin, transactionId) {
-  return this.findByIdAndUpdate(
-    id,
-    {
-      status: 'completed',
-      completedAt: new Date(),
-      processedBy: admin,
-      transactionId,
-      $set: { "remarks": "Your withdrawal has been completed successfully." }
-    },
+/**
+ * Move a withdrawal into `update.status` if it is currently in one of `from`. The write is
+ * conditional on the document not having changed since it was read, so when two admins act on
+ * the same withdrawal only one of them succeeds.
+ */
+withdrawalSchema.statics.transition = async function(id, from, update, actorId, context) {
+  const before = await this.findById(id).lean();
+  if (!before) {
+    throw new Error('Withdrawal not found');
+  }
+  if (!from.includes(before.status)) {
+    throw new Error(`Withdrawal is ${before.status} and cannot be ${update.status}`);
+  }
+
+  const updated = await this.findOneAndUpdate(
+    { _id: id, status: before.status, updatedAt: before.updatedAt },
+    update,
     { new: true }
   );
+  if (!updated) {
+    throw new Error('Withdrawal was changed by another request, please reload it');
+  }
+
+  return recordStatusChange(before, updated, actorId, context);
 };
 
-withdrawalSchema.statics.markAsFailed = async function(id, admin, reason) {
-  return this.findByIdAndUpdate(
-    id,
-    {
-      status: 'failed',
-      failedAt: new Date(),
-      processedBy: admin,
-      $set: { "remarks": reason || "Your withdrawal request could not be processed." }
-    },
-    { new: true }
-  );
+withdrawalSchema.statics.markAsApproved = async function(id, admin, { fees, taxDeducted, tds, adminNotes } = {}, context) {
+  const update = {
+    status: 'approved',
+    approvedAt: new Date(),
+    approvedBy: admin,
+    $set: { "remarks": "Your withdrawal has been approved and will be paid out shortly." }
+  };
+  if (fees !== undefined) update.fees = fees;
+  if (taxDeducted !== undefined) update.taxDeducted = taxDeducted;
+  if (tds !== undefined) update.tds = tds;
+  if (adminNotes !== undefined) update.adminNotes = adminNotes;
+
+  return this.transition(id, ['pending', 'processing', 'failed'], update, admin, context);
 };
 
-withdrawalSchema.statics.markAsCancelled = async function(id, reason) {
-  return this.findByIdAndUpdate(
-    id,
-    {
-      status: 'cancelled',
-      cancelledAt: new Date(),
-      $set: { "remarks": reason || "Your withdrawal request has been cancelled." }
-    },
-    { new: true }
-  );
+withdrawalSchema.statics.markAsRejected = async function(id, admin, reason, context) {
+  return this.transition(id, ['pending', 'processing'], {
+    status: 'rejected',
+    rejectedAt: new Date(),
+    processedBy: admin,
+    adminNotes: reason,
+    $set: { "remarks": reason || "Your withdrawal request has been rejected." }
+  }, admin, context);
 };
 
+withdrawalSchema.statics.markAsProcessing = async function(id, admin, payoutBatch, context) {
+  return this.transition(id, ['approved'], {
+    status: 'processing',
+    processedAt: new Date(),
+    processedBy: admin,
+    payoutBatch,
+    $set: { "remarks": "Your withdrawal request is being processed." }
+  }, admin, context);
+};
+
+withdrawalSchema.statics.markAsCompleted = async function(id, admin, transactionId, context) {
+  return this.transition(id, ['approved', 'processing'], {
+    status: 'completed',
+    completedAt: new Date(),
+    processedBy: admin,
+    transactionId,
+    $set: { "remarks": "Your withdrawal has been completed successfully." }
+  }, admin, context);
+};
+
+withdrawalSchema.statics.markAsFailed = async function(id, admin, reason, context) {
+  return this.transition(id, ['approved', 'processing'], {
+    status: 'failed',
+    failedAt: new Date(),
+    processedBy: admin,
+    $set: { "remarks": reason || "Your withdrawal request could not be processed." }
+  }, admin, context);
+};
+
+withdrawalSchema.statics.markAsCancelled = async function(id, reason, context = {}) {
+  return this.transition(id, ['pending', 'approved'], {
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    $set: { "remarks": reason || "Your withdrawal request has been cancelled." }
+  }, context.actorId, context);
+};
+
+withdrawalSchema.statics.STATUSES = STATUSES;
+
 const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
 
 module.exports = Withdrawal;
\ No newline at end of file
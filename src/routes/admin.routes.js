@@ -1,7 +1,21 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
+const commissionRuleController = require('../controllers/commission-rule.controller');
+const promoCodeController = require('../controllers/promo-code.controller');
+const surgeOverrideController = require('../controllers/surge-override.controller');
+const payoutController = require('../controllers/payout.controller');
+const commissionCollectionController = require('../controllers/commission-collection.controller');
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
+
+// Bank confirmation files for payout batches, kept in memory
+const confirmationUpload = multer({
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
 
 /**
  * @swagger
@@ -53,7 +67,7 @@ const auth = require('../middleware/auth.middleware');
  *         description: Server error
  */
 // FIXED: Using auth(['admin']) instead of auth.admin
-router.get('/dashboard/stats', auth(['admin']), adminController.getDashboardStats);
+router.get('/dashboard/stats', auth(['admin']), requirePermission('dashboard.view'), adminController.getDashboardStats);
 
 /**
  * @swagger
@@ -122,31 +136,88 @@ router.patch('/profile', auth(['admin']), adminController.updateProfile);
  *   description: Endpoints for fetching and exporting report data
  */
 
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ReportType:
+ *       name: reportType
+ *       in: path
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [bookings, revenue, cancellations, professional_utilisation, payout_liabilities, support_sla, professional_onboarding]
+ *     ReportTimeFrame:
+ *       name: timeFrame
+ *       in: query
+ *       required: false
+ *       schema:
+ *         type: string
+ *         enum: [today, week, month, quarter, year, custom]
+ *         default: month
+ *     ReportFrom:
+ *       name: from
+ *       in: query
+ *       required: false
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Start of a custom period (overrides timeFrame)
+ *     ReportTo:
+ *       name: to
+ *       in: query
+ *       required: false
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: End of a custom period (overrides timeFrame)
+ *     ReportFilters:
+ *       name: filters
+ *       in: query
+ *       required: false
+ *       style: form
+ *       explode: true
+ *       schema:
+ *         type: object
+ *         additionalProperties:
+ *           type: string
+ *       description: Report-specific filters such as groupBy, status, city or paymentMethod; see GET /api/admin/reports
+ */
+
+/**
+ * @swagger
+ * /api/admin/reports:
+ *   get:
+ *     summary: List report types with their filters
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Report types, descriptions and accepted filter values
+ *       "403":
+ *         description: Missing permission reports.view
+ */
+router.get('/reports', auth(['admin']), requirePermission('reports.view'), adminController.listReports);
+
 /**
  * @swagger
  * /api/admin/reports/{reportType}:
  *   get:
  *     summary: Get report data
- *     description: Fetches report data based on type and time frame.
+ *     description: |
+ *       Runs a report for a time frame (or from/to) and report-specific filters. At most
+ *       config.reports.maxJsonRows rows are returned (`truncated` is set when there are more);
+ *       totals always cover every row.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - name: reportType
- *         in: path
- *         required: true
- *         schema:
- *           type: string
- *           enum: [professional_onboarding, document_verification, service_usage]
- *         description: The type of report to fetch.
- *       - name: timeFrame
- *         in: query
- *         required: false
- *         schema:
- *           type: string
- *           enum: [week, month, quarter, year]
- *           example: "month"
- *         description: The timeframe for the report.
+ *       - $ref: '#/components/parameters/ReportType'
+ *       - $ref: '#/components/parameters/ReportTimeFrame'
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportFilters'
  *     responses:
  *       "200":
  *         description: Successfully retrieved report data
@@ -155,73 +226,1623 @@ router.patch('/profile', auth(['admin']), adminController.updateProfile);
  *             schema:
  *               type: object
  *               properties:
- *                 data:
+ *                 type:
+ *                   type: string
+ *                 title:
+ *                   type: string
+ *                 period:
+ *                   type: object
+ *                 filters:
+ *                   type: object
+ *                 columns:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       period:
+ *                       key:
  *                         type: string
- *                         example: "2024-03-01"
- *                       registrations:
- *                         type: integer
- *                         example: 10
- *                       completions:
- *                         type: integer
- *                         example: 5
- *                       completionRate:
- *                         type: number
- *                         example: 50
+ *                       header:
+ *                         type: string
+ *                       type:
+ *                         type: string
+ *                         enum: [string, number, currency, percent, boolean, date]
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 totals:
+ *                   type: object
+ *                 truncated:
+ *                   type: boolean
+ *       "400":
+ *         description: Invalid time frame, date or filter value
  *       "401":
  *         description: Authentication failed
  *       "403":
- *         description: Access denied - Admin role required
+ *         description: Missing permission reports.view
+ *       "404":
+ *         description: Unknown report type
  *       "500":
  *         description: Server error
  */
 // FIXED: Using auth(['admin']) instead of auth.admin
-router.get('/reports/:reportType', auth(['admin']), adminController.getReportData);
+router.get('/reports/:reportType', auth(['admin']), requirePermission('reports.view'), adminController.getReportData);
 
 /**
  * @swagger
  * /api/admin/reports/{reportType}/export:
  *   get:
  *     summary: Export report data
- *     description: Exports the requested report data as a CSV file.
+ *     description: Streams every row of the report as CSV or XLSX. Takes the same parameters as the JSON endpoint.
  *     tags: [Reports]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - name: reportType
- *         in: path
- *         required: true
- *         schema:
- *           type: string
- *           enum: [professional_onboarding, document_verification, service_usage]
- *       - name: timeFrame
+ *       - $ref: '#/components/parameters/ReportType'
+ *       - name: format
  *         in: query
  *         required: false
  *         schema:
  *           type: string
- *           enum: [week, month, quarter, year]
- *           example: "month"
+ *           enum: [csv, xlsx]
+ *           default: csv
+ *       - $ref: '#/components/parameters/ReportTimeFrame'
+ *       - $ref: '#/components/parameters/ReportFrom'
+ *       - $ref: '#/components/parameters/ReportTo'
+ *       - $ref: '#/components/parameters/ReportFilters'
  *     responses:
  *       "200":
- *         description: Successfully exported report data as CSV
+ *         description: Report file
  *         content:
  *           text/csv:
  *             schema:
  *               type: string
  *               format: binary
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       "400":
+ *         description: Invalid format, time frame, date or filter value
  *       "401":
  *         description: Authentication failed
  *       "403":
- *         description: Access denied - Admin role required
+ *         description: Missing permission reports.export
+ *       "404":
+ *         description: Unknown report type
  *       "500":
  *         description: Server error
  */
 // FIXED: Using auth(['admin']) instead of auth.admin
-router.get('/reports/:reportType/export', auth(['admin']), adminController.exportReport);
+router.get('/reports/:reportType/export', auth(['admin']), requirePermission('reports.export'), adminController.exportReport);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Permissions
+ *   description: Permission catalogue, role presets and per-admin access management
+ */
+
+/**
+ * @swagger
+ * /api/admin/permissions:
+ *   get:
+ *     summary: List every permission and the role presets
+ *     tags: [Admin Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Permission catalogue and presets (super_admin, verifier, finance, support_agent)
+ *       "401":
+ *         description: Authentication failed
+ */
+router.get('/permissions', auth(['admin']), adminController.getPermissionCatalogue);
+
+/**
+ * @swagger
+ * /api/admin/permissions/me:
+ *   get:
+ *     summary: Effective permissions of the authenticated admin
+ *     tags: [Admin Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Preset, explicit and effective permissions
+ *       "401":
+ *         description: Authentication failed
+ */
+router.get('/permissions/me', auth(['admin']), adminController.getMyPermissions);
+
+/**
+ * @swagger
+ * /api/admin/admins:
+ *   get:
+ *     summary: List admins with their permissions
+ *     tags: [Admin Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Admins with preset, explicit and effective permissions
+ *       "403":
+ *         description: Missing permission admins.manage
+ */
+router.get('/admins', auth(['admin']), requirePermission('admins.manage'), adminController.listAdmins);
+
+/**
+ * @swagger
+ * /api/admin/admins/{adminId}/permissions:
+ *   patch:
+ *     summary: Change another admin's preset or permissions
+ *     description: |
+ *       `permissions` replaces the admin's explicit permissions, `grant` and `revoke` adjust them.
+ *       Permissions coming from the preset cannot be revoked individually; change the preset instead.
+ *       Admins cannot change their own permissions.
+ *     tags: [Admin Permissions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adminId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               preset:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [super_admin, verifier, finance, support_agent]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["documents.verify"]
+ *               grant:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               revoke:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       "200":
+ *         description: Updated admin
+ *       "400":
+ *         description: Unknown permission or preset
+ *       "403":
+ *         description: Missing permission admins.manage, or attempting to edit own permissions
+ *       "404":
+ *         description: Admin not found
+ */
+router.patch('/admins/:adminId/permissions', auth(['admin']), requirePermission('admins.manage'), adminController.updateAdminPermissions);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Log
+ *   description: Append-only trail of admin and financial actions
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *       description: One action or a comma-separated list, e.g. document.approve,payment.refund
+ *     AuditActorId:
+ *       in: query
+ *       name: actorId
+ *       schema:
+ *         type: string
+ *     AuditActorRole:
+ *       in: query
+ *       name: actorRole
+ *       schema:
+ *         type: string
+ *         enum: [user, professional, admin, system]
+ *     AuditTargetType:
+ *       in: query
+ *       name: targetType
+ *       schema:
+ *         type: string
+ *         example: Payment
+ *     AuditTargetId:
+ *       in: query
+ *       name: targetId
+ *       schema:
+ *         type: string
+ *     AuditRequestId:
+ *       in: query
+ *       name: requestId
+ *       schema:
+ *         type: string
+ *     AuditFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: Query the audit log, newest first
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditActorId'
+ *       - $ref: '#/components/parameters/AuditActorRole'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       "200":
+ *         description: Entries with actor, action, target, field-level changes, IP and request ID
+ *       "400":
+ *         description: Invalid filter
+ *       "403":
+ *         description: Missing permission audit.view
+ */
+router.get('/audit-logs', auth(['admin']), requirePermission('audit.view'), adminController.getAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs/export:
+ *   get:
+ *     summary: Export matching audit log entries as CSV
+ *     description: Accepts the same filters as the query endpoint. The export itself is recorded in the audit log.
+ *     tags: [Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditActorId'
+ *       - $ref: '#/components/parameters/AuditActorRole'
+ *       - $ref: '#/components/parameters/AuditTargetType'
+ *       - $ref: '#/components/parameters/AuditTargetId'
+ *       - $ref: '#/components/parameters/AuditRequestId'
+ *       - $ref: '#/components/parameters/AuditFrom'
+ *       - $ref: '#/components/parameters/AuditTo'
+ *     responses:
+ *       "200":
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       "400":
+ *         description: Invalid filter
+ *       "403":
+ *         description: Missing permission audit.view
+ */
+router.get('/audit-logs/export', auth(['admin']), requirePermission('audit.view'), adminController.exportAuditLogs);
+
+/**
+ * @swagger
+ * /api/admin/ledger/professionals/{professionalId}:
+ *   get:
+ *     summary: Ledger statement and balances of a professional
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: professionalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       "200":
+ *         description: Opening balance, entries with running balance, closing balance
+ *       "400":
+ *         description: Invalid professional ID or date
+ *       "403":
+ *         description: Missing permission payments.view
+ *       "404":
+ *         description: Professional not found
+ */
+router.get('/ledger/professionals/:professionalId', auth(['admin']), requirePermission('payments.view'), adminController.getProfessionalLedger);
+
+/**
+ * @swagger
+ * /api/admin/professionals/{professionalId}/tax-statements/{financialYear}:
+ *   get:
+ *     summary: Annual GST and TDS statement of a professional
+ *     description: GST included in the platform commission on payments completed in the financial year (net of refunds), and TDS deducted from withdrawals paid in it.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: professionalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: financialYear
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 2025-26
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       "200":
+ *         description: Statement, or the CSV/PDF file
+ *       "400":
+ *         description: Invalid professional ID, financial year or format
+ *       "403":
+ *         description: Missing permission payments.view
+ *       "404":
+ *         description: Professional not found
+ */
+router.get('/professionals/:professionalId/tax-statements/:financialYear', auth(['admin']), requirePermission('payments.view'), adminController.getProfessionalTaxStatement);
+
+/**
+ * @swagger
+ * /api/admin/ledger/reconciliation:
+ *   get:
+ *     summary: Check the ledger against completed/refunded payments and withdrawals
+ *     description: Lists every payment or withdrawal whose ledger balances differ from what the document implies, and ledger entries for payments that are no longer completed or refunded.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: professional
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Only documents created at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       "200":
+ *         description: Reconciliation result with mismatches per account
+ *       "400":
+ *         description: Invalid filter
+ *       "403":
+ *         description: Missing permission payments.view
+ */
+router.get('/ledger/reconciliation', auth(['admin']), requirePermission('payments.view'), adminController.getLedgerReconciliation);
+
+/**
+ * @swagger
+ * /api/admin/ledger/reconciliation/repair:
+ *   post:
+ *     summary: Post missing ledger entries for mismatched payments and withdrawals
+ *     description: Posts whatever each mismatched document's current state implies and has not been posted, then checks again. Existing entries are never changed; remaining mismatches need a manual correcting entry.
+ *     tags: [Ledger]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               professional:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       "200":
+ *         description: Reconciliation result after repair, with the number of entries posted
+ *       "400":
+ *         description: Invalid filter
+ *       "403":
+ *         description: Missing permission ledger.reconcile
+ */
+router.post('/ledger/reconciliation/repair', auth(['admin']), requirePermission('ledger.reconcile'), adminController.repairLedger);
+
+/**
+ * @swagger
+ * /api/admin/webhook-events:
+ *   get:
+ *     summary: Razorpay webhook deliveries and what processing did with them
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [processing, processed, ignored, failed]
+ *       - in: query
+ *         name: event
+ *         description: Razorpay event name, e.g. payment.captured
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: payment
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       "200":
+ *         description: Events (without payload), newest first
+ *       "400":
+ *         description: Invalid payment ID
+ *       "403":
+ *         description: Missing permission payments.view
+ */
+router.get('/webhook-events', auth(['admin']), requirePermission('payments.view'), adminController.listWebhookEvents);
+
+/**
+ * @swagger
+ * /api/admin/webhook-events/{id}/replay:
+ *   post:
+ *     summary: Process a stored webhook event again
+ *     description: Re-applies the stored payload, e.g. after fixing whatever made it fail or a payment it referenced was missing. Handlers never move a payment backwards, so replaying an applied event changes nothing.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Event with its new status and outcome
+ *       "403":
+ *         description: Missing permission webhooks.replay
+ *       "404":
+ *         description: Webhook event not found
+ */
+router.post('/webhook-events/:id/replay', auth(['admin']), requirePermission('webhooks.replay'), adminController.replayWebhookEvent);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CommissionRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [standard, promotional]
+ *           description: Promotional rules need effectiveTo and win over standard rules while in effect
+ *         ratePercent:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 100
+ *         conditions:
+ *           type: object
+ *           description: Empty or missing lists match everything. On update the whole object is replaced.
+ *           properties:
+ *             categories:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             cities:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             tiers:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [standard, silver, gold]
+ *             paymentMethods:
+ *               type: array
+ *               items:
+ *                 type: string
+ *                 enum: [online, cash, upi]
+ *             isEmergency:
+ *               type: boolean
+ *               nullable: true
+ *         priority:
+ *           type: integer
+ *           description: Higher wins among rules of the same kind
+ *         effectiveFrom:
+ *           type: string
+ *           format: date-time
+ *         effectiveTo:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/commission-rules:
+ *   get:
+ *     summary: List commission rules in precedence order
+ *     description: Precedence is promotional over standard, then priority, then specificity, then the latest effectiveFrom. The configured default applies when no rule matches.
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, scheduled, expired, disabled]
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [standard, promotional]
+ *     responses:
+ *       "200":
+ *         description: Rules and the default rate
+ *       "403":
+ *         description: Missing permission payments.view
+ *   post:
+ *     summary: Create a commission rule
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRuleInput'
+ *     responses:
+ *       "201":
+ *         description: Rule created
+ *       "400":
+ *         description: Invalid rule
+ *       "403":
+ *         description: Missing permission commission.manage
+ */
+router.get('/commission-rules', auth(['admin']), requirePermission('payments.view'), commissionRuleController.listRules.bind(commissionRuleController));
+router.post('/commission-rules', auth(['admin']), requirePermission('commission.manage'), commissionRuleController.createRule.bind(commissionRuleController));
+
+/**
+ * @swagger
+ * /api/admin/commission-rules/resolve:
+ *   get:
+ *     summary: Preview which rule and rate apply
+ *     description: Pass bookingId to use an existing booking's category, professional city and tier and emergency flag, or give them directly.
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: city
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: tier
+ *         schema:
+ *           type: string
+ *           enum: [standard, silver, gold]
+ *       - in: query
+ *         name: paymentMethod
+ *         schema:
+ *           type: string
+ *           enum: [online, cash, upi]
+ *       - in: query
+ *         name: isEmergency
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: at
+ *         description: Point in time to evaluate effective dates at (defaults to now)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       "200":
+ *         description: Context used and the resolved rule snapshot
+ *       "400":
+ *         description: Invalid query
+ */
+router.get('/commission-rules/resolve', auth(['admin']), requirePermission('payments.view'), commissionRuleController.resolveRule.bind(commissionRuleController));
+
+/**
+ * @swagger
+ * /api/admin/commission-rules/{id}:
+ *   get:
+ *     summary: Get a commission rule
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: The rule
+ *       "404":
+ *         description: Rule not found
+ *   patch:
+ *     summary: Update a commission rule
+ *     description: Payments keep the rule snapshot they were created with, so changes only affect new payments.
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CommissionRuleInput'
+ *     responses:
+ *       "200":
+ *         description: Rule updated
+ *       "400":
+ *         description: Invalid rule
+ *       "404":
+ *         description: Rule not found
+ *   delete:
+ *     summary: Delete a commission rule that was never applied
+ *     tags: [Commission Rules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Rule deleted
+ *       "404":
+ *         description: Rule not found
+ *       "409":
+ *         description: Rule was applied to payments; disable it instead
+ */
+router.get('/commission-rules/:id', auth(['admin']), requirePermission('payments.view'), commissionRuleController.getRule.bind(commissionRuleController));
+router.patch('/commission-rules/:id', auth(['admin']), requirePermission('commission.manage'), commissionRuleController.updateRule.bind(commissionRuleController));
+router.delete('/commission-rules/:id', auth(['admin']), requirePermission('commission.manage'), commissionRuleController.deleteRule.bind(commissionRuleController));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promo Codes
+ *   description: Customer discount codes applied when booking
+ * components:
+ *   schemas:
+ *     PromoCodeInput:
+ *       type: object
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: What customers type; stored in upper case and cannot be changed after creation
+ *         description:
+ *           type: string
+ *         discountType:
+ *           type: string
+ *           enum: [percent, flat]
+ *         value:
+ *           type: number
+ *           description: Percentage (up to 100) or rupee amount
+ *         maxDiscount:
+ *           type: number
+ *           nullable: true
+ *           description: Cap on a percentage discount
+ *         minOrderValue:
+ *           type: number
+ *         categories:
+ *           type: array
+ *           description: Service categories the code is valid for; empty means all
+ *           items:
+ *             type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Total uses across all customers; null is unlimited
+ *         perUserLimit:
+ *           type: integer
+ *           default: 1
+ *         firstBookingOnly:
+ *           type: boolean
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/promo-codes:
+ *   get:
+ *     summary: List promo codes
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, scheduled, expired, disabled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: Promo codes and pagination
+ *       "403":
+ *         description: Missing permission payments.view
+ *   post:
+ *     summary: Create a promo code
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCodeInput'
+ *     responses:
+ *       "201":
+ *         description: Promo code created
+ *       "400":
+ *         description: Invalid promo code
+ *       "403":
+ *         description: Missing permission promotions.manage
+ *       "409":
+ *         description: Code already exists
+ */
+router.get('/promo-codes', auth(['admin']), requirePermission('payments.view'), promoCodeController.listPromoCodes.bind(promoCodeController));
+router.post('/promo-codes', auth(['admin']), requirePermission('promotions.manage'), promoCodeController.createPromoCode.bind(promoCodeController));
+
+/**
+ * @swagger
+ * /api/admin/promo-codes/{id}:
+ *   get:
+ *     summary: Get a promo code with its redemptions by status
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: The promo code and reserved, redeemed and released counts and discounts
+ *       "404":
+ *         description: Promo code not found
+ *   patch:
+ *     summary: Update a promo code
+ *     description: Bookings keep the discount they were given, so changes only affect new bookings.
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCodeInput'
+ *     responses:
+ *       "200":
+ *         description: Promo code updated
+ *       "400":
+ *         description: Invalid promo code
+ *       "404":
+ *         description: Promo code not found
+ *   delete:
+ *     summary: Delete a promo code that was never used
+ *     tags: [Promo Codes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Promo code deleted
+ *       "404":
+ *         description: Promo code not found
+ *       "409":
+ *         description: Code was used by bookings; disable it instead
+ */
+router.get('/promo-codes/:id', auth(['admin']), requirePermission('payments.view'), promoCodeController.getPromoCode.bind(promoCodeController));
+router.patch('/promo-codes/:id', auth(['admin']), requirePermission('promotions.manage'), promoCodeController.updatePromoCode.bind(promoCodeController));
+router.delete('/promo-codes/:id', auth(['admin']), requirePermission('promotions.manage'), promoCodeController.deletePromoCode.bind(promoCodeController));
+
+/**
+ * @swagger
+ * tags:
+ *   name: Surge Pricing
+ *   description: Demand, time and urgency surge on booking prices, and admin overrides
+ * components:
+ *   schemas:
+ *     SurgeOverrideInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         multiplier:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 10
+ *           description: Replaces the computed surge, including its cap; 1 switches surge off
+ *         geohashes:
+ *           type: array
+ *           description: Geohash prefixes covered; empty covers everywhere
+ *           items:
+ *             type: string
+ *             example: tdr1
+ *         categories:
+ *           type: array
+ *           description: Service categories covered; empty covers all
+ *           items:
+ *             type: string
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/surge-overrides:
+ *   get:
+ *     summary: List surge overrides
+ *     description: When several overrides cover a booking, the longest matching geohash wins, then category-specific ones, then the latest start.
+ *     tags: [Surge Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, scheduled, expired, disabled]
+ *     responses:
+ *       "200":
+ *         description: Overrides, latest start first
+ *       "403":
+ *         description: Missing permission payments.view
+ *   post:
+ *     summary: Create a surge override
+ *     tags: [Surge Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SurgeOverrideInput'
+ *     responses:
+ *       "201":
+ *         description: Override created
+ *       "400":
+ *         description: Invalid override
+ *       "403":
+ *         description: Missing permission pricing.manage
+ */
+router.get('/surge-overrides', auth(['admin']), requirePermission('payments.view'), surgeOverrideController.listOverrides.bind(surgeOverrideController));
+router.post('/surge-overrides', auth(['admin']), requirePermission('pricing.manage'), surgeOverrideController.createOverride.bind(surgeOverrideController));
+
+/**
+ * @swagger
+ * /api/admin/surge-overrides/preview:
+ *   get:
+ *     summary: Preview the surge a booking at a location would get now
+ *     description: Returns the multiplier, each factor, the geohash cell and its demand and supply, or the override that applies.
+ *     tags: [Surge Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: longitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: latitude
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: scheduledDate
+ *         description: Time of the service (defaults to now)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       "200":
+ *         description: Surge breakdown
+ *       "400":
+ *         description: Invalid query
+ */
+router.get('/surge-overrides/preview', auth(['admin']), requirePermission('payments.view'), surgeOverrideController.previewSurge.bind(surgeOverrideController));
+
+/**
+ * @swagger
+ * /api/admin/surge-overrides/{id}:
+ *   get:
+ *     summary: Get a surge override
+ *     tags: [Surge Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: The override
+ *       "404":
+ *         description: Override not found
+ *   patch:
+ *     summary: Update a surge override
+ *     description: Bookings and unexpired quotes keep the price they were given, so changes only affect new quotes and bookings.
+ *     tags: [Surge Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SurgeOverrideInput'
+ *     responses:
+ *       "200":
+ *         description: Override updated
+ *       "400":
+ *         description: Invalid override
+ *       "404":
+ *         description: Override not found
+ *   delete:
+ *     summary: Delete a surge override that never priced a booking
+ *     tags: [Surge Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Override deleted
+ *       "404":
+ *         description: Override not found
+ *       "409":
+ *         description: Override priced bookings; disable it instead
+ */
+router.get('/surge-overrides/:id', auth(['admin']), requirePermission('payments.view'), surgeOverrideController.getOverride.bind(surgeOverrideController));
+router.patch('/surge-overrides/:id', auth(['admin']), requirePermission('pricing.manage'), surgeOverrideController.updateOverride.bind(surgeOverrideController));
+router.delete('/surge-overrides/:id', auth(['admin']), requirePermission('pricing.manage'), surgeOverrideController.deleteOverride.bind(surgeOverrideController));
+
+/**
+ * @swagger
+ * /api/admin/commission-dues:
+ *   get:
+ *     summary: Dashboard of unpaid commission on cash jobs
+ *     description: Totals, ageing buckets (not_due, days_0_7, days_8_30, over_30) and one row per professional, most overdue first. Amounts include late fees.
+ *     tags: [Commission Dues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: overdueOnly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: hold
+ *         schema:
+ *           type: string
+ *           enum: [unavailable, suspended, none]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       "200":
+ *         description: Dues dashboard
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     totalDue:
+ *                       type: number
+ *                     overdueAmount:
+ *                       type: number
+ *                     lateFees:
+ *                       type: number
+ *                     professionals:
+ *                       type: integer
+ *                     onHold:
+ *                       type: object
+ *                 ageing:
+ *                   type: object
+ *                 professionals:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   type: object
+ *       "400":
+ *         description: Invalid filter
+ */
+router.get('/commission-dues', auth(['admin']), requirePermission('payments.view'), commissionCollectionController.getDashboard.bind(commissionCollectionController));
+
+/**
+ * @swagger
+ * /api/admin/commission-dues/run:
+ *   post:
+ *     summary: Run commission dunning now
+ *     description: Charges late fees, offsets overdue dues against online earnings, sends reminders and applies or lifts holds. The job also runs on its own every few minutes (COMMISSION_DUNNING_INTERVAL_MINUTES).
+ *     tags: [Commission Dues]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       "200":
+ *         description: Run summary
+ *       "409":
+ *         description: A run is already in progress
+ */
+router.post('/commission-dues/run', auth(['admin']), requirePermission('commission.collect'), commissionCollectionController.runDunning.bind(commissionCollectionController));
+
+/**
+ * @swagger
+ * /api/admin/commission-dues/{professionalId}:
+ *   get:
+ *     summary: A professional's unpaid commission, late fees and dunning hold
+ *     tags: [Commission Dues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: professionalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Dues, oldest first, with the amount that could be offset against online earnings
+ *       "404":
+ *         description: Professional not found
+ */
+router.get('/commission-dues/:professionalId', auth(['admin']), requirePermission('payments.view'), commissionCollectionController.getProfessionalDues.bind(commissionCollectionController));
+
+/**
+ * @swagger
+ * /api/admin/commission-dues/{professionalId}/settle:
+ *   post:
+ *     summary: Settle a professional's commission dues
+ *     description: "direct records commission paid outside the app; offset deducts it from what the platform owes the professional for online jobs (whole payments only, oldest first). Settling the overdue dues lifts any dunning hold."
+ *     tags: [Commission Dues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: professionalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [method]
+ *             properties:
+ *               method:
+ *                 type: string
+ *                 enum: [direct, offset]
+ *               paymentIds:
+ *                 type: array
+ *                 description: Payments to settle; all pending dues when omitted
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       "200":
+ *         description: Payments settled
+ *       "400":
+ *         description: Invalid settlement
+ *       "403":
+ *         description: Missing permission commission.collect
+ */
+router.post('/commission-dues/:professionalId/settle', auth(['admin']), requirePermission('commission.collect'), commissionCollectionController.settleDues.bind(commissionCollectionController));
+
+/**
+ * @swagger
+ * /api/admin/withdrawals:
+ *   get:
+ *     summary: Professional withdrawals for review and payout
+ *     description: Oldest request first. Withdrawals go pending → approved → processing (in a payout batch sent to the bank) → completed or failed; pending ones can be rejected.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: One status or a comma-separated list
+ *         schema:
+ *           type: string
+ *           example: pending,approved
+ *       - in: query
+ *         name: professional
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: batch
+ *         description: Payout batch ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       "200":
+ *         description: Withdrawals, with count and amount per status for the filter
+ *       "400":
+ *         description: Invalid filter
+ *       "403":
+ *         description: Missing permission payments.view
+ */
+router.get('/withdrawals', auth(['admin']), requirePermission('payments.view'), payoutController.listWithdrawals.bind(payoutController));
+
+/**
+ * @swagger
+ * /api/admin/withdrawals/{id}:
+ *   get:
+ *     summary: Withdrawal with the professional's current ledger balances
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Withdrawal details
+ *       "404":
+ *         description: Withdrawal not found
+ */
+router.get('/withdrawals/:id', auth(['admin']), requirePermission('payments.view'), payoutController.getWithdrawal.bind(payoutController));
+
+/**
+ * @swagger
+ * /api/admin/withdrawals/{id}/approve:
+ *   post:
+ *     summary: Approve a pending (or failed) withdrawal for payout
+ *     description: Approving a failed withdrawal again needs the professional's available balance to cover it.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fees:
+ *                 type: number
+ *                 description: Transfer fee kept by the platform, taken off the amount paid out
+ *               adminNotes:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: Withdrawal approved
+ *       "403":
+ *         description: Missing permission withdrawals.approve
+ *       "409":
+ *         description: Withdrawal is not awaiting approval, or the balance no longer covers it
+ * /api/admin/withdrawals/{id}/reject:
+ *   post:
+ *     summary: Reject a pending withdrawal and return the amount to the professional's balance
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Shown to the professional
+ *     responses:
+ *       "200":
+ *         description: Withdrawal rejected
+ *       "409":
+ *         description: Withdrawal is not pending
+ * /api/admin/withdrawals/{id}/mark-paid:
+ *   post:
+ *     summary: Record an approved or processing withdrawal as paid
+ *     description: For payouts made outside a batch file (e.g. UPI), or confirmed by the bank without a confirmation file.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [transactionId]
+ *             properties:
+ *               transactionId:
+ *                 type: string
+ *                 description: Bank UTR or UPI reference
+ *     responses:
+ *       "200":
+ *         description: Withdrawal completed
+ *       "409":
+ *         description: Withdrawal is not approved or processing
+ * /api/admin/withdrawals/{id}/mark-failed:
+ *   post:
+ *     summary: Record that paying a withdrawal failed and return the amount to the professional's balance
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: Withdrawal failed
+ *       "409":
+ *         description: Withdrawal is not approved or processing
+ */
+router.post('/withdrawals/:id/approve', auth(['admin']), requirePermission('withdrawals.approve'), payoutController.approveWithdrawal.bind(payoutController));
+router.post('/withdrawals/:id/reject', auth(['admin']), requirePermission('withdrawals.approve'), payoutController.rejectWithdrawal.bind(payoutController));
+router.post('/withdrawals/:id/mark-paid', auth(['admin']), requirePermission('withdrawals.approve'), payoutController.markWithdrawalPaid.bind(payoutController));
+router.post('/withdrawals/:id/mark-failed', auth(['admin']), requirePermission('withdrawals.approve'), payoutController.markWithdrawalFailed.bind(payoutController));
+
+/**
+ * @swagger
+ * /api/admin/payout-batches:
+ *   get:
+ *     summary: Payout batches, newest first
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [created, exported, partially_reconciled, reconciled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       "200":
+ *         description: Batches
+ *       "403":
+ *         description: Missing permission payments.view
+ *   post:
+ *     summary: Put approved withdrawals into a payout batch
+ *     description: The withdrawals move to processing. Only bank accounts can be paid by NEFT/IMPS, and IMPS is capped per transfer; withdrawals left out are listed as skipped and stay approved.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               withdrawalIds:
+ *                 type: array
+ *                 description: Defaults to every approved withdrawal
+ *                 items:
+ *                   type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [NEFT, IMPS]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       "201":
+ *         description: Batch created
+ *       "400":
+ *         description: No approved withdrawal can be paid by this mode
+ *       "403":
+ *         description: Missing permission withdrawals.approve
+ */
+router.get('/payout-batches', auth(['admin']), requirePermission('payments.view'), payoutController.listBatches.bind(payoutController));
+router.post('/payout-batches', auth(['admin']), requirePermission('withdrawals.approve'), payoutController.createBatch.bind(payoutController));
+
+/**
+ * @swagger
+ * /api/admin/payout-batches/{id}:
+ *   get:
+ *     summary: Payout batch with its withdrawals and confirmation imports
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: Batch details
+ *       "404":
+ *         description: Payout batch not found
+ * /api/admin/payout-batches/{id}/export:
+ *   get:
+ *     summary: Download the NEFT/IMPS bulk-upload CSV for a batch
+ *     description: "Columns: Payment Type, Debit Account No, Beneficiary Name, Beneficiary Account No, IFSC, Amount, Value Date, Payment Reference, Remarks. The payment reference is the withdrawal ID. Only withdrawals still waiting on the bank are included, so the file can be downloaded again."
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       "200":
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       "403":
+ *         description: Missing permission withdrawals.approve
+ * /api/admin/payout-batches/{id}/confirmation:
+ *   post:
+ *     summary: Import the bank's confirmation file for a batch
+ *     description: Rows are matched to withdrawals by payment reference. SUCCESS/PAID/PROCESSED rows complete the withdrawal with the UTR as transaction ID; FAILED/REJECTED/RETURNED rows fail it and return the amount to the professional's balance. Withdrawals already settled are skipped, so a file can be imported again.
+ *     tags: [Payouts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csv:
+ *                 type: string
+ *               fileName:
+ *                 type: string
+ *     responses:
+ *       "200":
+ *         description: Per-row results and a summary
+ *       "400":
+ *         description: Invalid confirmation file
+ *       "404":
+ *         description: Payout batch not found
+ */
+router.get('/payout-batches/:id', auth(['admin']), requirePermission('payments.view'), payoutController.getBatch.bind(payoutController));
+router.get('/payout-batches/:id/export', auth(['admin']), requirePermission('withdrawals.approve'), payoutController.exportBatch.bind(payoutController));
+router.post('/payout-batches/:id/confirmation', auth(['admin']), requirePermission('withdrawals.approve'), confirmationUpload.single('file'), payoutController.importConfirmation.bind(payoutController));
 
 // Debug route for testing admin auth
 router.get('/test-auth', auth(['admin']), (req, res) => {
@@ -2,6 +2,8 @@ const express = require('express');
 const userAuth = require('../controllers/userAuth.controller');
 const professionalAuth = require('../controllers/professionalAuth.controller');
 const adminAuth = require('../controllers/adminAuth.controller');
+const SessionController = require('../controllers/session.controller');
+const auth = require('../middleware/auth.middleware');
 const router = express.Router();
 
 
@@ -54,6 +56,10 @@ const router = express.Router();
  *                 error:
  *                   type: string
  *                   example: "Phone number is required"
+ *       429:
+ *         description: Resend cooldown has not passed yet
+ *       503:
+ *         description: No OTP provider could deliver the code
  *       500:
  *         description: Server error
  */
@@ -93,6 +99,9 @@ router.post('/user/send-otp', userAuth.sendOtp);
  *                 type: string
  *                 enum: [user]
  *                 example: "user"
+ *               referralCode:
+ *                 type: string
+ *                 description: A friend's referral code; only used when this creates a new account
  *     responses:
  *       200:
  *         description: User authenticated successfully
@@ -106,7 +115,15 @@ router.post('/user/send-otp', userAuth.sendOtp);
  *                   example: "OTP verified successfully"
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Exchange at /api/auth/refresh for a new token pair
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Access token lifetime in seconds
+ *                 sessionId:
+ *                   type: string
  *                 user:
  *                   type: object
  *                   properties:
@@ -114,6 +131,15 @@ router.post('/user/send-otp', userAuth.sendOtp);
  *                       type: string
  *                     role:
  *                       type: string
+ *                 referral:
+ *                   type: object
+ *                   description: Present when a referralCode was sent for a new account
+ *                   properties:
+ *                     applied:
+ *                       type: boolean
+ *                     error:
+ *                       type: string
+ *                       description: Why the code was not applied
  *       401:
  *         description: Invalid OTP or session
  *         content:
@@ -124,6 +150,8 @@ router.post('/user/send-otp', userAuth.sendOtp);
  *                 error:
  *                   type: string
  *                   example: "Invalid OTP or Session"
+ *       429:
+ *         description: Too many incorrect attempts, a new OTP must be requested
  *       500:
  *         description: Server error
  */
@@ -405,5 +433,118 @@ router.post('/professional/verify-otp', professionalAuth.verifyOtp);
 router.post('/admin/send-otp', adminAuth.sendOtp);
 router.post('/admin/verify-otp', adminAuth.verifyOtp);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: |
+ *       Refresh tokens rotate on every use. Presenting a token that was already
+ *       exchanged revokes the whole session.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *       400:
+ *         description: refreshToken missing
+ *       401:
+ *         description: Refresh token invalid, expired, reused or session revoked
+ */
+router.post('/refresh', SessionController.refresh.bind(SessionController));
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions of the authenticated account
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions with device, IP and last-seen time; the calling session is flagged current
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/sessions', auth(), SessionController.getSessions.bind(SessionController));
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the account's sessions
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found or already revoked
+ */
+router.delete('/sessions/:id', auth(), SessionController.revokeSession.bind(SessionController));
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current session
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *       400:
+ *         description: Token is not bound to a session
+ */
+router.post('/logout', auth(), SessionController.logout.bind(SessionController));
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out every session of the account
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keepCurrent:
+ *                 type: boolean
+ *                 description: Keep the session making this request
+ *     responses:
+ *       200:
+ *         description: Number of sessions revoked
+ */
+router.post('/logout-all', auth(), SessionController.logoutAll.bind(SessionController));
+
+
 
 module.exports = router; 
\ No newline at end of file
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
 const BookingController = require('../controllers/booking.controller');
 
 
@@ -85,6 +86,17 @@ const BookingController = require('../controllers/booking.controller');
  *         cancelledAt:
  *           type: string
  *           format: date-time
+ *     OffSiteWarning:
+ *       type: object
+ *       description: Present when the professional was far from the customer's address; the booking is flagged for review
+ *       properties:
+ *         code:
+ *           type: string
+ *           enum: [started_off_site, completed_off_site]
+ *         distanceMeters:
+ *           type: number
+ *         message:
+ *           type: string
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -140,12 +152,29 @@ const BookingController = require('../controllers/booking.controller');
  *               scheduledDate:
  *                 type: string
  *                 format: date-time
- *                 description: When the service should be performed
+ *                 description: >
+ *                   When the service should be performed: the start of a slot from
+ *                   GET /api/services/{id}/slots. Unless the booking is an emergency, the time is
+ *                   held with a professional free then.
  *                 example: "2025-05-28T10:00:00.000Z"
  *               isEmergency:
  *                 type: boolean
  *                 description: Whether this is an emergency booking
  *                 default: false
+ *               promoCode:
+ *                 type: string
+ *                 description: Promo code to apply; the booking is refused if it does not apply
+ *                 example: "FIRST50"
+ *               useWallet:
+ *                 type: boolean
+ *                 description: Pay as much as allowed from the customer's wallet balance
+ *                 default: false
+ *               quoteId:
+ *                 type: string
+ *                 description: >
+ *                   Quote from POST /api/bookings/quote. The booking gets the quoted price before
+ *                   discounts if it is for the same service, time, emergency flag and area and the
+ *                   quote has not expired or been used; otherwise it is refused.
  *     responses:
  *       201:
  *         description: Booking created successfully
@@ -166,9 +195,11 @@ const BookingController = require('../controllers/booking.controller');
  *                     booking:
  *                       $ref: '#/components/schemas/Booking'
  *       400:
- *         description: Bad request - missing required fields
+ *         description: Bad request - missing required fields, or the promo code or price quote does not apply
  *       404:
  *         description: Service not found
+ *       409:
+ *         description: No professional nearby is free at the scheduled time; pick another slot
  *       500:
  *         description: Internal server error
  */
@@ -177,6 +208,123 @@ router.post('/',
   BookingController.createBooking.bind(BookingController)
 );
 
+/**
+ * @swagger
+ * /api/bookings/quote:
+ *   post:
+ *     summary: Price a booking before making it
+ *     description: >
+ *       Service price plus surge and the emergency fee, less the promo discount, less wallet
+ *       credit. Surge depends on demand and supply near the location, the time of day and day of
+ *       the scheduled time, and how soon it is. The price before discounts is held until
+ *       expiresAt for a booking made with quoteId; the promo code and wallet balance are checked
+ *       again when booking.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serviceId
+ *               - location
+ *               - scheduledDate
+ *             properties:
+ *               serviceId:
+ *                 type: string
+ *               location:
+ *                 type: object
+ *                 required:
+ *                   - coordinates
+ *                 properties:
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                     example: [77.5946, 12.9716]
+ *               scheduledDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Ignored for emergency bookings, which are priced for now
+ *               isEmergency:
+ *                 type: boolean
+ *                 default: false
+ *               promoCode:
+ *                 type: string
+ *               useWallet:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Booking price
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     quoteId:
+ *                       type: string
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     basePrice:
+ *                       type: number
+ *                     surge:
+ *                       type: object
+ *                       properties:
+ *                         multiplier:
+ *                           type: number
+ *                           example: 1.25
+ *                         amount:
+ *                           type: number
+ *                         factors:
+ *                           type: object
+ *                           nullable: true
+ *                           description: Multiplier per factor before the cap; null when an admin override or no surge applies
+ *                           properties:
+ *                             demand:
+ *                               type: number
+ *                             timeOfDay:
+ *                               type: number
+ *                             day:
+ *                               type: number
+ *                             urgency:
+ *                               type: number
+ *                         capped:
+ *                           type: boolean
+ *                     emergencyFee:
+ *                       type: number
+ *                     subtotal:
+ *                       type: number
+ *                     promoCode:
+ *                       type: string
+ *                     promoDiscount:
+ *                       type: number
+ *                     totalAmount:
+ *                       type: number
+ *                       description: Price after the promo discount
+ *                     walletBalance:
+ *                       type: number
+ *                     walletCredit:
+ *                       type: number
+ *                     payable:
+ *                       type: number
+ *                       description: Left to pay after wallet credit
+ *       400:
+ *         description: Invalid service ID, location or scheduled date, or the promo code does not apply
+ *       404:
+ *         description: Service not found
+ */
+router.post('/quote', auth(['user']), BookingController.getQuote.bind(BookingController));
+
 /**
  * @swagger
  * /api/bookings/{bookingId}/accept:
@@ -225,12 +373,52 @@ router.post('/',
  *         description: Bad request or booking not available
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Booking is not currently offered to this professional, or the offer expired
  */
 router.post('/:bookingId/accept', 
   auth(['professional']), 
   BookingController.acceptBooking.bind(BookingController)
 );
 
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/decline:
+ *   post:
+ *     summary: Decline the booking currently offered to the professional
+ *     description: The decline is recorded on the booking and the offer moves on to the next-ranked professional.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the offered booking
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Too far away"
+ *     responses:
+ *       200:
+ *         description: Booking declined
+ *       403:
+ *         description: Booking is not currently offered to this professional
+ *       404:
+ *         description: Booking not found
+ */
+router.post('/:bookingId/decline', 
+  auth(['professional']), 
+  BookingController.declineBooking.bind(BookingController)
+);
+
 /**
  * @swagger
  * /api/bookings/active:
@@ -352,9 +540,17 @@ router.get('/history', auth(), BookingController.getBookingHistory.bind(BookingC
  *                 type: string
  *                 description: 6-digit verification code provided by customer
  *                 example: "123456"
+ *               location:
+ *                 type: object
+ *                 description: Current position; without it the last tracked location is used for the off-site check
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
  *     responses:
  *       200:
- *         description: Booking completed successfully
+ *         description: Booking completed successfully. Completing far from the customer's address returns a warning and flags the booking.
  *         content:
  *           application/json:
  *             schema:
@@ -377,6 +573,10 @@ router.get('/history', auth(), BookingController.getBookingHistory.bind(BookingC
  *                     completedAt:
  *                       type: string
  *                       format: date-time
+ *                     timeOnSiteMinutes:
+ *                       type: number
+ *                 warning:
+ *                   $ref: '#/components/schemas/OffSiteWarning'
  *       400:
  *         description: Invalid verification code or bad request
  *       404:
@@ -437,6 +637,18 @@ router.post('/:bookingId/complete',
  *                     cancelledAt:
  *                       type: string
  *                       format: date-time
+ *                     cancellation:
+ *                       type: object
+ *                       properties:
+ *                         rule:
+ *                           type: string
+ *                         fee:
+ *                           type: number
+ *                         refundAmount:
+ *                           type: number
+ *                         refundStatus:
+ *                           type: string
+ *                           enum: [not_applicable, pending, processed, failed]
  *       400:
  *         description: Cannot cancel booking in current status
  *       403:
@@ -446,11 +658,63 @@ router.post('/:bookingId/complete',
  */
 router.post('/:bookingId/cancel', auth(), BookingController.cancelBooking.bind(BookingController));
 
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/cancellation-quote:
+ *   get:
+ *     summary: Preview the cancellation fee and refund for a booking
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the booking
+ *     responses:
+ *       200:
+ *         description: Cancellation quote
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rule:
+ *                       type: string
+ *                       example: "accepted_within_window"
+ *                     feePercentage:
+ *                       type: number
+ *                       example: 10
+ *                     fee:
+ *                       type: number
+ *                       example: 50
+ *                     hoursBeforeScheduled:
+ *                       type: number
+ *                     refundableAmount:
+ *                       type: number
+ *       400:
+ *         description: Booking cannot be cancelled
+ *       403:
+ *         description: Not authorized to cancel this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:bookingId/cancellation-quote', auth(), BookingController.getCancellationQuote.bind(BookingController));
+
 /**
  * @swagger
  * /api/bookings/{bookingId}/start:
  *   post:
- *     summary: Start a service (Professional only)
+ *     summary: Set off for the customer (Professional only)
+ *     description: Moves the booking from accepted to en_route and enables live tracking.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -461,6 +725,20 @@ router.post('/:bookingId/cancel', auth(), BookingController.cancelBooking.bind(B
  *         schema:
  *           type: string
  *         description: ID of the booking to start
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               location:
+ *                 type: object
+ *                 description: Current position, recorded on the booking timeline
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
  *     responses:
  *       200:
  *         description: Service started successfully
@@ -505,6 +783,9 @@ router.post('/:bookingId/start',
  * /api/bookings/{bookingId}/arrived:
  *   post:
  *     summary: Mark professional as arrived (Professional only)
+ *     description: |
+ *       Arrival is also marked automatically when the professional's location updates enter the
+ *       geofence around the booking address; marking it again then changes nothing.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -553,6 +834,297 @@ router.post('/:bookingId/arrived',
   BookingController.professionalArrived.bind(BookingController)
 );
 
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/begin-work:
+ *   post:
+ *     summary: Start working after arrival (Professional only)
+ *     description: |
+ *       Moves the booking from arrived to in_progress. Starting far from the customer's address is
+ *       allowed but returns a warning and flags the booking.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the booking
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               location:
+ *                 type: object
+ *                 description: Current position, recorded on the booking timeline; without it the last tracked location is used for the off-site check
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Work started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     booking:
+ *                       type: object
+ *                     warning:
+ *                       $ref: '#/components/schemas/OffSiteWarning'
+ *       403:
+ *         description: Professional is not assigned to this booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking is not in the arrived status
+ */
+router.post('/:bookingId/begin-work', 
+  auth(['professional']), 
+  BookingController.beginWork.bind(BookingController)
+);
+
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/no-show:
+ *   post:
+ *     summary: Report a no-show (Professional or Admin)
+ *     description: Professionals can report an absent customer after arriving. Admins can record either party as absent while the booking is active.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the booking
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               party:
+ *                 type: string
+ *                 enum: [customer, professional]
+ *                 description: Absent party (admins only; professionals always report the customer)
+ *               reason:
+ *                 type: string
+ *                 example: "Customer not reachable at the door or by phone"
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: No-show recorded
+ *       403:
+ *         description: Not allowed to report a no-show for this booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Booking status does not allow a no-show
+ */
+router.post('/:bookingId/no-show', 
+  auth(['professional', 'admin']), 
+  requirePermission('bookings.manage'),
+  BookingController.markNoShow.bind(BookingController)
+);
+
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/timeline:
+ *   get:
+ *     summary: Get the audited status timeline of a booking
+ *     description: Every status transition with the actor, timestamp and location. Available to the booking's customer, its professional and admins.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the booking
+ *     responses:
+ *       200:
+ *         description: Booking timeline
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                     allowedTransitions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     timeline:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           fromStatus:
+ *                             type: string
+ *                           status:
+ *                             type: string
+ *                           actor:
+ *                             type: object
+ *                           actorRole:
+ *                             type: string
+ *                           location:
+ *                             type: object
+ *                           note:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *       403:
+ *         description: Not a party to this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:bookingId/timeline', auth(), BookingController.getBookingTimeline.bind(BookingController));
+
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/invoice:
+ *   get:
+ *     summary: Download the GST tax invoice for a booking (Customer only)
+ *     description: |
+ *       Sequentially numbered tax invoice with the platform's GSTIN, place of supply, SAC code
+ *       per line and a CGST/SGST or IGST summary. Issued once the booking's payment completes.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the booking
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *           default: pdf
+ *         description: PDF download, or the invoice as JSON with its credit notes
+ *     responses:
+ *       200:
+ *         description: Invoice
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     invoice:
+ *                       type: object
+ *                       properties:
+ *                         number:
+ *                           type: string
+ *                           example: INV/25-26/00042
+ *                         issuedAt:
+ *                           type: string
+ *                           format: date-time
+ *                         placeOfSupply:
+ *                           type: object
+ *                         supplyType:
+ *                           type: string
+ *                           enum: [intra_state, inter_state]
+ *                         items:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         totals:
+ *                           type: object
+ *                     creditNotes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           number:
+ *                             type: string
+ *                             example: CN/25-26/00007
+ *                           total:
+ *                             type: number
+ *       400:
+ *         description: Invalid booking ID or format
+ *       404:
+ *         description: Booking has no completed payment
+ */
+router.get('/:bookingId/invoice', auth(['user']), BookingController.getInvoice.bind(BookingController));
+
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/credit-notes/{creditNoteId}:
+ *   get:
+ *     summary: Download a credit note issued for a refund on the booking (Customer only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: Credit note
+ *       400:
+ *         description: Invalid ID
+ *       404:
+ *         description: Credit note not found
+ */
+router.get('/:bookingId/credit-notes/:creditNoteId', auth(['user']), BookingController.getCreditNote.bind(BookingController));
+
 /**
  * @swagger
  * /api/bookings/{bookingId}/rate:
@@ -612,17 +1184,110 @@ router.post('/:bookingId/arrived',
  *                       type: string
  *                       format: date-time
  *       400:
- *         description: Invalid rating or booking already rated
+ *         description: Invalid rating or booking not completed
+ *       403:
+ *         description: Not the customer of this booking
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Booking already rated
  */
 router.post('/:bookingId/rate', auth(['user']), BookingController.rateBooking.bind(BookingController));
 
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/rate/reply:
+ *   post:
+ *     summary: Post a public reply to the customer's review (Professional only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the reviewed booking
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reply
+ *             properties:
+ *               reply:
+ *                 type: string
+ *                 maxLength: 500
+ *                 example: "Thank you, glad the leak is fixed!"
+ *     responses:
+ *       200:
+ *         description: Reply posted successfully
+ *       400:
+ *         description: Missing reply or booking not reviewed yet
+ *       403:
+ *         description: Not the professional assigned to this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.post('/:bookingId/rate/reply', auth(['professional']), BookingController.replyToReview.bind(BookingController));
+
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/rate-customer:
+ *   post:
+ *     summary: Rate the customer of a completed booking (Professional only)
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the completed booking
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 example: 5
+ *               review:
+ *                 type: string
+ *                 example: "Clear instructions, easy access"
+ *     responses:
+ *       200:
+ *         description: Customer rated successfully
+ *       400:
+ *         description: Invalid rating or booking not completed
+ *       403:
+ *         description: Not the professional assigned to this booking
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Customer already rated for this booking
+ */
+router.post('/:bookingId/rate-customer', auth(['professional']), BookingController.rateCustomer.bind(BookingController));
+
 /**
  * @swagger
  * /api/bookings/{bookingId}/reschedule:
  *   post:
- *     summary: Reschedule a booking (Customer only)
+ *     summary: Reschedule a booking
+ *     description: |
+ *       Bookings without an assigned professional are moved immediately. Otherwise the new time is
+ *       checked against the professional's schedule and sent to the other party for approval.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
@@ -691,8 +1356,55 @@ router.post('/:bookingId/rate', auth(['user']), BookingController.rateBooking.bi
  *         description: Invalid date or booking cannot be rescheduled
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Professional is not available at the requested time or a request is already pending
  */
-router.post('/:bookingId/reschedule', auth(['user']), BookingController.rescheduleBooking.bind(BookingController));
+router.post('/:bookingId/reschedule', auth(['user', 'professional']), BookingController.rescheduleBooking.bind(BookingController));
+
+/**
+ * @swagger
+ * /api/bookings/{bookingId}/reschedule/respond:
+ *   post:
+ *     summary: Accept, reject or withdraw a pending reschedule request
+ *     description: The party that did not propose the new time accepts or rejects it; the proposer may withdraw it.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the booking
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [accept, reject, withdraw]
+ *               note:
+ *                 type: string
+ *                 example: "That time works for me"
+ *     responses:
+ *       200:
+ *         description: Reschedule request answered
+ *       400:
+ *         description: No pending request, request expired or invalid action
+ *       403:
+ *         description: Not authorized to answer this request
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: Professional is no longer available at the proposed time
+ */
+router.post('/:bookingId/reschedule/respond', auth(['user', 'professional']), BookingController.respondToReschedule.bind(BookingController));
 
 
 /**
@@ -1028,9 +1740,17 @@ router.post(
  *                 type: string
  *                 description: OTP code received from customer
  *                 example: "123456"
+ *               location:
+ *                 type: object
+ *                 description: Current position; without it the last tracked location is used for the off-site check
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
  *     responses:
  *       200:
- *         description: Service completed successfully
+ *         description: Service completed successfully, with time on site. Completing far from the customer's address returns data.warning (OffSiteWarning) and flags the booking.
  *       400:
  *         description: Invalid OTP
  *       404:
@@ -1041,7 +1761,7 @@ router.post(
 router.post(
   '/:bookingId/completion/verify-otp',
   auth(['professional']), 
-  BookingController.verifyServiceCompletionOTP
+  BookingController.verifyServiceCompletionOTP.bind(BookingController)
 );
 
 /**
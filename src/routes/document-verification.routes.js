@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
 const verifyDocument = require('../controllers/document-verification.controller');
 const { body, validationResult } = require('express-validator');
 
@@ -100,7 +101,8 @@ const validateVerificationRequest = [
 // Route handler for verifying documents
 router.post(
   '/api/professional/documents/verify',
-  auth, // Only admins can verify documents
+  auth(['admin']), // Only admins can verify documents
+  requirePermission('documents.verify'),
   validateVerificationRequest,
   verifyDocument
 );
@@ -1217,6 +1217,79 @@ router.post('/earnings/transactions/:id/invoice',auth(['professional']), earning
  */
 router.get('/earnings/available-balance', auth(['professional']), earningsController.getAvailableBalance);
 
+/**
+ * @swagger
+ * /api/professional/earnings/statement:
+ *   get:
+ *     summary: Get ledger statement
+ *     tags: [Earnings]
+ *     description: Ledger entries affecting the professional's balance (earnings, refunds, commission dues and withdrawals), oldest first, with opening, running and closing balance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Statement with openingBalance, entries, closingBalance and pagination
+ *       400:
+ *         description: Invalid from/to date
+ *       404:
+ *         description: Professional profile not found
+ */
+router.get('/earnings/statement', auth(['professional']), earningsController.getStatement);
+
+/**
+ * @swagger
+ * /api/professional/earnings/tax-statements/{financialYear}:
+ *   get:
+ *     summary: Get annual tax statement
+ *     tags: [Earnings]
+ *     description: GST included in the platform commission on payments completed in the financial year (CGST/SGST or IGST by the professional's state, net of refunds), and TDS deducted from withdrawals paid in it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: financialYear
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 2025-26
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Statement with gst and tds rows and totals, or the CSV/PDF file
+ *       400:
+ *         description: Invalid financial year or format
+ *       404:
+ *         description: Professional profile not found
+ */
+router.get('/earnings/tax-statements/:financialYear', auth(['professional']), earningsController.getTaxStatement);
+
 /**
  * @route GET /professional/earnings/payment-methods
  * @desc Get payment methods
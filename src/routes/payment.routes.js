@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
 const PaymentController = require('../controllers/payment.controller');
 
 /**
@@ -47,7 +48,7 @@ const PaymentController = require('../controllers/payment.controller');
  *           type: number
  *         platformCommission:
  *           type: number
- *           description: 15% platform commission
+ *           description: Platform commission under the rule that applied to the booking (see commissionRule on the payment)
  *         professionalPayout:
  *           type: number
  *           description: Amount professional receives
@@ -239,6 +240,48 @@ router.post('/:bookingId/charges', auth(['professional']), PaymentController.add
  */
 router.post('/razorpay/verify', auth(), PaymentController.verifyRazorpayPayment.bind(PaymentController));
 
+/**
+ * @swagger
+ * /api/payments/webhooks/razorpay:
+ *   post:
+ *     summary: Razorpay webhook
+ *     description: |
+ *       Called by Razorpay, not by apps. The body must be signed with RAZORPAY_WEBHOOK_SECRET
+ *       (x-razorpay-signature). Each x-razorpay-event-id is applied once; redeliveries are
+ *       acknowledged with duplicate true. Handles payment.captured, order.paid, payment.failed,
+ *       refund.processed and refund.failed; other events are stored and ignored.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: header
+ *         name: x-razorpay-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: x-razorpay-event-id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *               payload:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Event applied, ignored or already seen
+ *       400:
+ *         description: Invalid signature or payload
+ *       500:
+ *         description: Processing failed; Razorpay will retry
+ */
+router.post('/webhooks/razorpay', PaymentController.handleRazorpayWebhook.bind(PaymentController));
+
 /**
  * @swagger
  * /api/payments/{paymentId}/upi/verify:
@@ -386,20 +429,82 @@ router.get('/booking/:bookingId/summary', auth(), PaymentController.getPaymentSu
  *               refundAmount:
  *                 type: number
  *                 minimum: 1
+ *                 description: At most the payment's refundableAmount; a payment can be refunded in several steps
  *               reason:
  *                 type: string
  *                 example: "Service not satisfactory"
+ *               reasonCode:
+ *                 type: string
+ *                 enum: [booking_cancelled, service_not_delivered, service_quality, overcharged, duplicate_payment, goodwill, gateway_initiated, other]
+ *                 default: other
  *     responses:
  *       200:
- *         description: Refund processed successfully
+ *         description: Refund processed, or initiated and waiting for Razorpay
  *       400:
- *         description: Invalid refund data
+ *         description: Invalid refund data or amount above what is refundable
  *       403:
  *         description: Only admins can process refunds
  *       404:
  *         description: Payment not found
+ *       409:
+ *         description: Another refund changed the payment at the same time
+ *       502:
+ *         description: Razorpay rejected the refund
  */
-router.post('/:paymentId/refund', auth(['admin']), PaymentController.processRefund.bind(PaymentController));
+router.post('/:paymentId/refund', auth(['admin']), requirePermission('payments.refund'), PaymentController.processRefund.bind(PaymentController));
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/refunds:
+ *   get:
+ *     summary: Refunds of a payment and the amount still refundable
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Refunds with status (pending, processed, failed), refundedAmount and refundableAmount
+ *       403:
+ *         description: Not the customer or professional of this payment
+ *       404:
+ *         description: Payment not found
+ */
+router.get('/:paymentId/refunds', auth(), PaymentController.getRefunds.bind(PaymentController));
+
+/**
+ * @swagger
+ * /api/payments/{paymentId}/refunds/{refundId}:
+ *   get:
+ *     summary: Status of one refund
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The refund with the payment's refund totals
+ *       403:
+ *         description: Not the customer or professional of this payment
+ *       404:
+ *         description: Payment or refund not found
+ */
+router.get('/:paymentId/refunds/:refundId', auth(), PaymentController.getRefunds.bind(PaymentController));
 
 /**
  * @swagger
@@ -419,29 +524,45 @@ router.post('/:paymentId/refund', auth(['admin']), PaymentController.processRefu
  *               properties:
  *                 success:
  *                   type: boolean
- *                 data:
+ *                 totalCommissionDue:
+ *                   type: number
+ *                   description: Commission and late fees owed
+ *                 overdueAmount:
+ *                   type: number
+ *                 lateFees:
+ *                   type: number
+ *                 pendingPayments:
+ *                   type: number
+ *                   description: Number of payments with pending commission
+ *                 offsetAvailable:
+ *                   type: number
+ *                   description: Online-job earnings the dues can be offset against
+ *                 hold:
  *                   type: object
- *                   properties:
- *                     totalCommissionDue:
- *                       type: number
- *                       description: Total commission amount due
- *                     pendingPayments:
- *                       type: number
- *                       description: Number of payments with pending commission
- *                     dues:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           _id:
- *                             type: string
- *                           totalAmount:
- *                             type: number
- *                           platformCommission:
- *                             type: number
- *                           commissionDueDate:
- *                             type: string
- *                             format: date-time
+ *                   nullable: true
+ *                   description: Set while overdue dues keep the professional off new jobs (level unavailable) or suspended
+ *                 dues:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       bookingId:
+ *                         type: string
+ *                       commission:
+ *                         type: number
+ *                       lateFees:
+ *                         type: number
+ *                       amount:
+ *                         type: number
+ *                       dueDate:
+ *                         type: string
+ *                         format: date-time
+ *                       isOverdue:
+ *                         type: boolean
+ *                       daysOverdue:
+ *                         type: integer
  *       403:
  *         description: Only professionals can view commission dues
  */
@@ -483,6 +604,34 @@ router.get('/commission/dues', auth(['professional']), PaymentController.getComm
  */
 router.post('/commission/pay', auth(['professional']), PaymentController.payCommission.bind(PaymentController));
 
+/**
+ * @swagger
+ * /api/payments/commission/offset:
+ *   post:
+ *     summary: Settle commission dues from online-job earnings (Professional only)
+ *     description: Deducts whole payments' dues, oldest first, from what the platform owes the professional. Overdue dues are also offset automatically by the dunning job.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Payments to settle; all pending dues when omitted
+ *     responses:
+ *       200:
+ *         description: Dues offset
+ *       409:
+ *         description: Earnings do not cover any of the dues
+ */
+router.post('/commission/offset', auth(['professional']), PaymentController.offsetCommission.bind(PaymentController));
+
 /**
  * @swagger
  * /api/payments/razorpay/create-order:
@@ -525,22 +674,6 @@ router.post(
   PaymentController.createRazorpayOrder
 );
 
-/**
- * @swagger
- * /api/payments/razorpay/verify:
- *   post:
- *     summary: Verify Razorpay payment
- *     tags:
- *       - Payments
- *     security:
- *       - bearerAuth: []
- */
-router.post(
-  '/razorpay/verify',
- auth(['professional']),
-  PaymentController.verifyRazorpayPayment
-);
-
 // ============ UPI Payment Routes ============
 
 /**
@@ -627,7 +760,7 @@ router.get(
 router.get(
   '/commission/dues/:professionalId',
 auth(['admin']),
-  // Add isAdmin middleware if you have it
+  requirePermission('payments.view'),
   PaymentController.getCommissionDues
 );
 
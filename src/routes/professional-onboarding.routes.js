@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
 const validation = require('../middleware/validation');
 const ProfessionalOnboardingController = require('../controllers/professional-onboarding.controller');
 const professionalValidation = require('../middleware/professional-validation');
@@ -204,7 +205,8 @@ router.post(
  *                   "address": "123 Main St",
  *                   "city": "New York",
  *                   "state": "NY",
- *                   "pincode": "10001"
+ *                   "pincode": "10001",
+ *                   "panNumber": "ABCDE1234F"
  *                 }
  *             required:
  *               - step
@@ -393,6 +395,7 @@ router.post(
 router.post(
   '/documents/verify',
   auth(['admin']),
+  requirePermission('documents.verify'),
   professionalValidation.verifyDocument,
   ProfessionalOnboardingController.verifyDocument
 );
@@ -644,6 +647,7 @@ router.delete(
 router.get(
   '/admin/pending',
   auth(['admin']),
+  requirePermission('professionals.view'),
   ProfessionalOnboardingController.getPendingProfessionals
 );
 
@@ -708,6 +712,7 @@ router.get(
 router.post(
   '/admin/approve/:professionalId',
   auth(['admin']),
+  requirePermission('professionals.approve'),
   ProfessionalOnboardingController.approveProfessional
 );
 
@@ -764,6 +769,7 @@ router.post(
 router.post(
   '/admin/reject/:professionalId',
   auth(['admin']),
+  requirePermission('professionals.approve'),
   ProfessionalOnboardingController.rejectProfessional
 );
 
@@ -820,6 +826,7 @@ router.post(
 router.get(
   '/:id/documents',
   auth(['admin']),
+  requirePermission('documents.view'),
   ProfessionalOnboardingController.getProfessionalDocuments
 );
 
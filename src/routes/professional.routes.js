@@ -8,6 +8,7 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
 const multer = require('multer');
 const verifyDocument = require('../controllers/document-verification.controller');
 const { body, validationResult } = require('express-validator');
@@ -20,6 +21,8 @@ const {
   updateProfessionalLocation,
   updateProfessionalProfile,
   getProfessionalById,
+  getProfessionalRatings,
+  getProfessionalReviews,
 } = require('../controllers/professional.controller');
 
 const { ProfessionalService } = require('../services/professional.service');
@@ -94,6 +97,91 @@ router.get('/', getProfessionals);
  */
 router.get('/:id/availability', getProfessionalAvailability);
 
+/**
+ * @swagger
+ * /api/professionals/{id}/ratings:
+ *   get:
+ *     tags:
+ *       - Professional
+ *     summary: Get the rating aggregate and star breakdown of a professional
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the professional
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Time-decayed average, total count and count per star
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     average:
+ *                       type: number
+ *                       example: 4.62
+ *                     simpleAverage:
+ *                       type: number
+ *                     total:
+ *                       type: integer
+ *                     breakdown:
+ *                       type: object
+ *                       example: { "5": 40, "4": 8, "3": 1, "2": 0, "1": 1 }
+ *                     percentages:
+ *                       type: object
+ *       404:
+ *         description: Professional not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/ratings', getProfessionalRatings);
+
+/**
+ * @swagger
+ * /api/professionals/{id}/reviews:
+ *   get:
+ *     tags:
+ *       - Professional
+ *     summary: Get public reviews of a professional, newest first
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the professional
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: score
+ *         description: Only return reviews with this star score
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Paginated reviews including the professional's replies
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/reviews', getProfessionalReviews);
+
 /**
  * @swagger
  * /api/professionals/documents/validate:
@@ -588,7 +676,7 @@ router.get('/:id', auth(), getProfessionalById);
  *         description: Server error
  */
 // FIXED: Using auth(['admin']) for document access - only admins should see documents
-router.get('/:id/documents', auth(['admin']), async (req, res) => {
+router.get('/:id/documents', auth(['admin']), requirePermission('documents.view'), async (req, res) => {
   try {
     console.log('👨‍💼 [PROF-DOCS] Getting professional documents for ID:', req.params.id);
     
@@ -757,6 +845,7 @@ const validateVerificationRequest = [
 router.post(
   '/documents/verify',
   auth(['admin']), // Only admins can verify documents
+  requirePermission('documents.verify'),
   validateVerificationRequest,
   verifyDocument
 );
@@ -765,7 +854,7 @@ router.post(
 router.put('/profile', auth(['professional']), updateProfessionalProfile);
 
 // FIXED: Using auth(['admin']) for onboarding (assuming admin creates professionals)
-router.post('/onboard', auth(['admin']), async (req, res) => {
+router.post('/onboard', auth(['admin']), requirePermission('professionals.onboard'), async (req, res) => {
   try {
     console.log('👨‍💼 [PROF-ONBOARD] Admin onboarding new professional');
     
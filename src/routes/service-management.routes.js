@@ -4,6 +4,7 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
 const adminServiceController = require('../controllers/admin-service.controller');
 
 // ✅ Create uploads directory if it doesn't exist
@@ -97,6 +98,7 @@ const upload = multer({
 router.post(
   '/templates',
   auth(['admin']),
+  requirePermission('services.manage'),
   upload.single('image'),
   adminServiceController.createServiceTemplate
 );
@@ -140,6 +142,7 @@ router.post(
 router.get(
   '/templates',
   auth(['admin']),
+  requirePermission('services.view'),
   adminServiceController.listServiceTemplates
 );
 
@@ -166,6 +169,7 @@ router.get(
 router.get(
   '/templates/:id',
   auth(['admin']),
+  requirePermission('services.view'),
   adminServiceController.getServiceTemplate
 );
 
@@ -216,6 +220,7 @@ router.get(
 router.put(
   '/templates/:id',
   auth(['admin']),
+  requirePermission('services.manage'),
   upload.single('image'),
   adminServiceController.updateServiceTemplate
 );
@@ -243,6 +248,7 @@ router.put(
 router.delete(
   '/templates/:id',
   auth(['admin']),
+  requirePermission('services.manage'),
   adminServiceController.deleteServiceTemplate
 );
 
@@ -280,6 +286,7 @@ router.delete(
 router.patch(
   '/templates/:id/status',
   auth(['admin']),
+  requirePermission('services.manage'),
   adminServiceController.updateServiceStatus
 );
 
@@ -14,6 +14,7 @@ const {
   updateService,
   getServicesByCategory,
   getServiceDetails,
+  getServiceSlots,
   getTopRatedServices,
   searchServices
 } = require('../controllers/service.controller');
@@ -132,6 +133,89 @@ router.get('/category/:category', getServicesByCategory);
  */
 router.get('/:id', getServiceDetails);
 
+/**
+ * @swagger
+ * /api/services/{id}/slots:
+ *   get:
+ *     tags:
+ *       - Services
+ *     summary: Bookable time slots for a service
+ *     description: |
+ *       Slots on a day at the customer's location, built from the schedules of qualified
+ *       professionals nearby: working hours, blocked times, holidays and their appointments,
+ *       with the service's duration and a travel buffer around other appointments. A slot is
+ *       listed while at least one professional is free for it. Creating a booking with a slot's
+ *       start as scheduledDate holds it; if it was taken meanwhile the booking fails with 409.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the service
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         description: Day to list slots for (YYYY-MM-DD)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: lat
+ *         required: true
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: lng
+ *         required: true
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Open slots for the day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serviceId:
+ *                   type: string
+ *                 date:
+ *                   type: string
+ *                   format: date
+ *                 durationMinutes:
+ *                   type: number
+ *                 professionalsNearby:
+ *                   type: number
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       start:
+ *                         type: string
+ *                         format: date-time
+ *                       end:
+ *                         type: string
+ *                         format: date-time
+ *                       startTime:
+ *                         type: string
+ *                         example: "10:30"
+ *                       endTime:
+ *                         type: string
+ *                         example: "11:30"
+ *                       available:
+ *                         type: number
+ *                         description: Professionals free for this slot
+ *       400:
+ *         description: Missing location or invalid date
+ *       404:
+ *         description: Service not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id/slots', getServiceSlots);
+
 /**
  * @swagger
  * /api/services:
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const auth = require('../middleware/auth.middleware');
+const requirePermission = require('../middleware/permission.middleware');
 const SupportController = require('../controllers/support.controller');
 
 // Configure multer for file uploads
@@ -824,6 +825,82 @@ router.get('/faq-categories', SupportController.getFAQCategories);
  *               $ref: '#/components/schemas/Error'
  */
 
+/**
+ * @swagger
+ * /api/support/tickets/{id}/assign:
+ *   put:
+ *     summary: Assign a ticket to an admin
+ *     tags: [Support Tickets]
+ *     description: Admins with the support.assign permission only
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ticket ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - adminId
+ *             properties:
+ *               adminId:
+ *                 type: string
+ *                 example: 607f1f77bcf86cd799439011
+ *     responses:
+ *       200:
+ *         description: Ticket assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Ticket assigned successfully
+ *                 ticket:
+ *                   $ref: '#/components/schemas/Ticket'
+ *       400:
+ *         description: Missing or invalid adminId
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing permission support.assign
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ticket or admin not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
 /**
  * @swagger
  * /api/support/tickets/{id}/attachments:
@@ -1331,45 +1408,52 @@ router.get('/faqs/search', SupportController.searchFAQs);
 
 /**
  * @route GET /support/tickets
- * @desc Get support tickets
+ * @desc Get support tickets (admins see every ticket and need support.view)
  * @access Private
  */
-router.get('/tickets', auth.any, SupportController.getTickets);
+router.get('/tickets', auth.any(), requirePermission('support.view'), SupportController.getTickets);
 
 /**
  * @route GET /support/tickets/:id
  * @desc Get ticket details
  * @access Private
  */
-router.get('/tickets/:id', auth.any, SupportController.getTicketDetails);
+router.get('/tickets/:id', auth.any(), requirePermission('support.view'), SupportController.getTicketDetails);
 
 /**
  * @route POST /support/tickets
  * @desc Create a support ticket
  * @access Private
  */
-router.post('/tickets', auth.any, SupportController.createTicket);
+router.post('/tickets', auth.any(), SupportController.createTicket);
 
 /**
  * @route POST /support/tickets/:id/replies
  * @desc Add reply to a ticket
  * @access Private
  */
-router.post('/tickets/:id/replies', auth.any, SupportController.replyToTicket);
+router.post('/tickets/:id/replies', auth.any(), requirePermission('support.view'), SupportController.replyToTicket);
 
 /**
  * @route PUT /support/tickets/:id/close
  * @desc Close a support ticket
  * @access Private
  */
-router.put('/tickets/:id/close', auth.any, SupportController.closeTicket);
+router.put('/tickets/:id/close', auth.any(), requirePermission('support.view'), SupportController.closeTicket);
 
 /**
  * @route PUT /support/tickets/:id/reopen
  * @desc Reopen a support ticket
  * @access Private
  */
-router.put('/tickets/:id/reopen', auth.any, SupportController.reopenTicket);
+router.put('/tickets/:id/reopen', auth.any(), requirePermission('support.view'), SupportController.reopenTicket);
+
+/**
+ * @route PUT /support/tickets/:id/assign
+ * @desc Assign a ticket to an admin
+ * @access Admin (support.assign)
+ */
+router.put('/tickets/:id/assign', auth(['admin']), requirePermission('support.assign'), SupportController.assignTicket);
 
 /**
  * @route POST /support/tickets/:id/attachments
@@ -1378,7 +1462,8 @@ router.put('/tickets/:id/reopen', auth.any, SupportController.reopenTicket);
  */
 router.post(
   '/tickets/:id/attachments',
-  auth.any,
+  auth.any(),
+  requirePermission('support.view'),
   upload.single('file'),
   SupportController.uploadAttachment
 );
@@ -1395,7 +1480,7 @@ router.get('/common-issues', SupportController.getCommonIssues);
  * @desc Send feedback about the app
  * @access Private
  */
-router.post('/feedback', auth.any, SupportController.sendFeedback);
+router.post('/feedback', auth.any(), SupportController.sendFeedback);
 
 /**
  * @route GET /support/live-chat/availability
@@ -1409,6 +1494,6 @@ router.get('/live-chat/availability', SupportController.checkLiveChatAvailabilit
  * @desc Initiate a live chat session
  * @access Private
  */
-router.post('/live-chat/initiate', auth.any, SupportController.initiateLiveChat);
+router.post('/live-chat/initiate', auth.any(), SupportController.initiateLiveChat);
 
 module.exports = router;
\ No newline at end of file
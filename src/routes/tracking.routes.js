@@ -174,6 +174,117 @@ router.get('/:bookingId',
   TrackingController.getTrackingInfo.bind(TrackingController)
 );
 
+/**
+ * @swagger
+ * /api/tracking/{bookingId}/route:
+ *   get:
+ *     summary: Get the route the professional took on a booking
+ *     description: |
+ *       Built from the location updates recorded while the booking was active. Inaccurate fixes,
+ *       jitter and impossible jumps are left out, and long routes are thinned.
+ *     tags: [Tracking]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the booking
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [points, polyline]
+ *           default: points
+ *         description: Route as a list of points or an encoded polyline
+ *       - in: query
+ *         name: phase
+ *         schema:
+ *           type: string
+ *           enum: [all, travel, service]
+ *           default: all
+ *         description: Travel is setting off to arriving, service is arriving to completion
+ *     responses:
+ *       200:
+ *         description: Route retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bookingId:
+ *                       type: string
+ *                     phase:
+ *                       type: string
+ *                     format:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                       format: date-time
+ *                     to:
+ *                       type: string
+ *                       format: date-time
+ *                     destination:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         distanceKm:
+ *                           type: number
+ *                         durationMinutes:
+ *                           type: number
+ *                         averageSpeedKmh:
+ *                           type: number
+ *                         points:
+ *                           type: number
+ *                           description: Points on the route after filtering
+ *                         recorded:
+ *                           type: number
+ *                           description: Location updates recorded
+ *                     points:
+ *                       type: array
+ *                       description: Present when format is points
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           coordinates:
+ *                             type: array
+ *                             items:
+ *                               type: number
+ *                           recordedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           speed:
+ *                             type: number
+ *                           heading:
+ *                             type: number
+ *                           accuracy:
+ *                             type: number
+ *                     polyline:
+ *                       type: string
+ *                       description: Present when format is polyline
+ *       400:
+ *         description: Invalid format or phase
+ *       403:
+ *         description: Not authorized to view this booking
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/:bookingId/route',
+  auth(),
+  TrackingController.getRoute.bind(TrackingController)
+);
+
 /**
  * @swagger
  * /api/tracking/{bookingId}/start:
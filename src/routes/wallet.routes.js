@@ -0,0 +1,135 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth.middleware');
+const walletController = require('../controllers/wallet.controller');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Wallet
+ *   description: Customer wallet credit and referrals
+ */
+
+/**
+ * @swagger
+ * /api/wallet:
+ *   get:
+ *     summary: Wallet balance and transactions, newest first
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Balance, transactions and pagination
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 balance:
+ *                   type: number
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       direction:
+ *                         type: string
+ *                         enum: [credit, debit]
+ *                       type:
+ *                         type: string
+ *                         enum: [referral_reward, referral_bonus, booking_release, refund, booking_payment]
+ *                       amount:
+ *                         type: number
+ *                       balanceAfter:
+ *                         type: number
+ *                       description:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 pagination:
+ *                   type: object
+ */
+router.get('/', auth(['user']), walletController.getWallet.bind(walletController));
+
+/**
+ * @swagger
+ * /api/wallet/referral:
+ *   get:
+ *     summary: The customer's referral code and how their referrals are doing
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Referral summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 referral:
+ *                   type: object
+ *                   properties:
+ *                     referralCode:
+ *                       type: string
+ *                     referrerCredit:
+ *                       type: number
+ *                       description: Credit earned when a referred friend's first booking is paid
+ *                     refereeCredit:
+ *                       type: number
+ *                       description: Credit the referred friend gets
+ *                     referred:
+ *                       type: integer
+ *                     rewarded:
+ *                       type: integer
+ *                     pending:
+ *                       type: integer
+ *                     earned:
+ *                       type: number
+ */
+router.get('/referral', auth(['user']), walletController.getReferral.bind(walletController));
+
+/**
+ * @swagger
+ * /api/wallet/referral/apply:
+ *   post:
+ *     summary: Enter a friend's referral code
+ *     description: Allowed once, and only before the customer's first booking is paid.
+ *     tags: [Wallet]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Referral recorded
+ *       400:
+ *         description: Unknown or own code, a code was already applied, or a booking was already paid
+ */
+router.post('/referral/apply', auth(['user']), walletController.applyReferral.bind(walletController));
+
+module.exports = router;
@@ -0,0 +1,100 @@
+// scripts/assign-admin-presets.js
+//
+// Give admins created before permission presets existed a preset, so they keep the access they
+// need once ADMIN_LEGACY_FULL_ACCESS is off (the default).
+//
+//   node src/scripts/assign-admin-presets.js [--assign <email>=<preset>]... [--default <preset>] [--dry-run]
+//
+// Only admins whose access has never been configured (no preset, no explicit permissions, never
+// updated) are touched. Those named with --assign get that preset; the rest get --default, or
+// are left without access and listed when no default is given. Presets are the keys of
+// ROLE_PRESETS in src/config/permissions.js, e.g.
+//
+//   node src/scripts/assign-admin-presets.js --assign owner@example.com=super_admin --default support_agent
+//
+// Every change is written to the audit log as a system update. --dry-run only prints the plan.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { ROLE_PRESETS } = require('../config/permissions');
+
+function parseArgs(argv) {
+  const options = { assign: {}, defaultPreset: null, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--assign') {
+      const [email, preset] = (argv[++i] || '').split('=');
+      options.assign[email.trim().toLowerCase()] = preset;
+    } else if (arg === '--default') {
+      options.defaultPreset = argv[++i];
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const unknown = [...Object.values(options.assign), options.defaultPreset]
+    .filter(preset => preset && !ROLE_PRESETS[preset]);
+  if (unknown.length) {
+    console.error(`Unknown presets: ${unknown.join(', ')}. Known: ${Object.keys(ROLE_PRESETS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const Admin = require('../models/admin.model');
+  const AdminPermissionService = require('../services/admin-permission.service');
+  const AuditService = require('../services/audit.service');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    const legacy = admins.filter(admin => AdminPermissionService.isLegacyAdmin(admin));
+    console.log(`${legacy.length} of ${admins.length} admins have no preset or permissions`);
+
+    const unassigned = [];
+    for (const admin of legacy) {
+      const preset = options.assign[admin.email.toLowerCase()] || options.defaultPreset;
+      if (!preset) {
+        unassigned.push(admin.email);
+        continue;
+      }
+
+      console.log(`${options.dryRun ? 'Would assign' : 'Assigning'} ${preset} to ${admin.email}`);
+      if (options.dryRun) continue;
+
+      // Conditional, so an admin configured since the list was read is left alone
+      const result = await Admin.updateOne(
+        { _id: admin._id, preset: { $exists: false }, permissionsUpdatedAt: { $exists: false } },
+        { preset, permissionsUpdatedAt: new Date() }
+      );
+      if (result.modifiedCount === 0) {
+        console.log(`  ${admin.email} was configured meanwhile, skipped`);
+        continue;
+      }
+
+      await AuditService.record({
+        action: 'admin.permissions_update',
+        target: { type: 'Admin', id: admin._id },
+        before: { preset: undefined },
+        after: { preset },
+        metadata: { source: 'assign-admin-presets' }
+      });
+    }
+
+    if (unassigned.length) {
+      console.log(`No preset given for ${unassigned.length} admins, they have no access until assigned one:`);
+      unassigned.forEach(email => console.log(`  ${email}`));
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Assigning presets failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,151 @@
+// scripts/replay-razorpay-webhook.js
+//
+// Feed Razorpay webhook fixtures to the webhook handling without Razorpay.
+//
+//   node src/scripts/replay-razorpay-webhook.js <fixture.json>... [--set key=value]... [--url <url>] [--fresh]
+//
+// A fixture is a JSON file:
+//   {
+//     "description": "what the event simulates",
+//     "eventId": "evt_fixture_...",        // x-razorpay-event-id
+//     "body": { ...webhook body exactly as Razorpay sends it... }
+//   }
+// "{{name}}" placeholders anywhere in the body are filled from --set name=value; a string that is
+// just a placeholder takes the value's type, so "{{amount}}" with --set amount=49900 becomes 49900.
+//
+// Without --url the events go straight to RazorpayWebhookService against MONGODB_URI. With --url
+// they are signed with RAZORPAY_WEBHOOK_SECRET and POSTed, e.g. to
+// http://localhost:3000/api/payments/webhooks/razorpay.
+//
+// The eventId is fixed, so running a fixture twice exercises duplicate handling: the second run is
+// acknowledged as a duplicate and changes nothing. Pass --fresh to send it as a new event instead.
+require('dotenv').config();
+const fs = require('fs');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+function parseArgs(argv) {
+  const options = { files: [], values: {}, url: null, fresh: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--set') {
+      const [key, ...rest] = (argv[++i] || '').split('=');
+      options.values[key] = rest.join('=');
+    } else if (arg === '--url') {
+      options.url = argv[++i];
+    } else if (arg === '--fresh') {
+      options.fresh = true;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  return options;
+}
+
+function typed(value) {
+  return value !== '' && !isNaN(Number(value)) ? Number(value) : value;
+}
+
+function fillPlaceholders(node, values, missing) {
+  if (Array.isArray(node)) {
+    return node.map(child => fillPlaceholders(child, values, missing));
+  }
+  if (node && typeof node === 'object') {
+    return Object.fromEntries(
+      Object.entries(node).map(([key, child]) => [key, fillPlaceholders(child, values, missing)])
+    );
+  }
+  if (typeof node !== 'string') {
+    return node;
+  }
+
+  const whole = node.match(/^\{\{(\w+)\}\}$/);
+  if (whole) {
+    if (!(whole[1] in values)) missing.add(whole[1]);
+    return whole[1] in values ? typed(values[whole[1]]) : node;
+  }
+
+  return node.replace(PLACEHOLDER, (match, key) => {
+    if (!(key in values)) missing.add(key);
+    return key in values ? values[key] : match;
+  });
+}
+
+function loadFixture(file, options) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!fixture.eventId || !fixture.body?.event) {
+    throw new Error(`${file}: a fixture needs eventId and body.event`);
+  }
+
+  const missing = new Set();
+  const body = fillPlaceholders(fixture.body, options.values, missing);
+  if (missing.size) {
+    throw new Error(`${file}: missing --set for ${[...missing].join(', ')}`);
+  }
+
+  const eventId = options.fresh ? `${fixture.eventId}_${Date.now()}` : fixture.eventId;
+  return { file, eventId, body };
+}
+
+async function post(url, { eventId, body }) {
+  const rawBody = JSON.stringify(body);
+  const signature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_WEBHOOK_SECRET || '')
+    .update(rawBody)
+    .digest('hex');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-razorpay-event-id': eventId,
+      'x-razorpay-signature': signature
+    },
+    body: rawBody
+  });
+
+  return { status: response.status, body: await response.json().catch(() => null) };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.files.length) {
+    console.error('Usage: node src/scripts/replay-razorpay-webhook.js <fixture.json>... [--set key=value]... [--url <url>] [--fresh]');
+    process.exit(1);
+  }
+
+  const fixtures = options.files.map(file => loadFixture(file, options));
+
+  if (options.url) {
+    for (const fixture of fixtures) {
+      const result = await post(options.url, fixture);
+      console.log(`${fixture.body.event} ${fixture.eventId} -> ${result.status}`, result.body);
+    }
+    return;
+  }
+
+  const RazorpayWebhookService = require('../services/razorpay-webhook.service');
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    for (const fixture of fixtures) {
+      const result = await RazorpayWebhookService.receive(fixture.eventId, fixture.body, { requestId: 'webhook-fixture' });
+      console.log(`${fixture.body.event} ${fixture.eventId} ->`, {
+        duplicate: result.duplicate,
+        status: result.event?.status,
+        outcome: result.event?.outcome
+      });
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Replay failed:', error.message);
+  process.exit(1);
+});
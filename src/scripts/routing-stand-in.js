@@ -0,0 +1,120 @@
+// scripts/routing-stand-in.js
+//
+// Local stand-in for the routing server behind ETAs, for development and tests without OSRM or
+// GraphHopper.
+//
+//   node src/scripts/routing-stand-in.js [--port 5000] [--speed 25] [--detour 1.4] [--delay-ms 0] [--fail-rate 0]
+//
+// Then run the app with ROUTING_URL=http://localhost:5000 and ETA_PROVIDER=osrm or graphhopper.
+// It answers both APIs:
+//   GET /route/v1/<profile>/<lng>,<lat>;<lng>,<lat>   (OSRM)
+//   GET /route?point=<lat>,<lng>&point=<lat>,<lng>    (GraphHopper)
+// with the straight-line distance times --detour, driven at --speed km/h. --delay-ms slows every
+// answer and --fail-rate (0-1) makes that share of requests fail with a 500, to exercise the
+// timeout and the fallback to the heuristic.
+const http = require('http');
+const GeospatialService = require('../services/geospatial.service');
+
+function parseArgs(argv) {
+  const options = { port: 5000, speed: 25, detour: 1.4, delayMs: 0, failRate: 0 };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') {
+      options.port = parseInt(argv[++i]);
+    } else if (arg === '--speed') {
+      options.speed = parseFloat(argv[++i]);
+    } else if (arg === '--detour') {
+      options.detour = parseFloat(argv[++i]);
+    } else if (arg === '--delay-ms') {
+      options.delayMs = parseInt(argv[++i]);
+    } else if (arg === '--fail-rate') {
+      options.failRate = parseFloat(argv[++i]);
+    }
+  }
+
+  return options;
+}
+
+// [[lng, lat], [lng, lat]] from the request, or null
+function parsePoints(url) {
+  const osrm = url.pathname.match(/^\/route\/v1\/[^/]+\/([^/]+)$/);
+  if (osrm) {
+    const points = decodeURIComponent(osrm[1]).split(';').map(point => point.split(',').map(Number));
+    return { api: 'osrm', points };
+  }
+
+  if (url.pathname === '/route') {
+    const points = url.searchParams.getAll('point').map(point => point.split(',').map(Number).reverse());
+    return { api: 'graphhopper', points };
+  }
+
+  return null;
+}
+
+function route(points, options) {
+  let meters = 0;
+  for (let i = 1; i < points.length; i++) {
+    const [fromLng, fromLat] = points[i - 1];
+    const [toLng, toLat] = points[i];
+    meters += GeospatialService.calculateDistance(fromLat, fromLng, toLat, toLng) * 1000 * options.detour;
+  }
+  return { meters, seconds: meters / (options.speed / 3.6) };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const request = parsePoints(url);
+
+    setTimeout(() => {
+      if (!request) {
+        return send(res, 404, { code: 'InvalidUrl', message: `No route for ${url.pathname}` });
+      }
+
+      const valid = request.points.length >= 2 &&
+        request.points.every(point => point.length === 2 && point.every(Number.isFinite));
+      if (!valid) {
+        return request.api === 'osrm'
+          ? send(res, 400, { code: 'InvalidQuery', message: 'Expected at least two lng,lat points' })
+          : send(res, 400, { message: 'Expected at least two point=lat,lng parameters' });
+      }
+
+      if (Math.random() < options.failRate) {
+        return send(res, 500, { code: 'Error', message: 'Stand-in failure' });
+      }
+
+      const { meters, seconds } = route(request.points, options);
+      console.log(`${request.api} ${request.points.map(point => point.join(',')).join(' -> ')}: ${Math.round(meters)} m, ${Math.round(seconds)} s`);
+
+      if (request.api === 'osrm') {
+        send(res, 200, {
+          code: 'Ok',
+          routes: [{ duration: seconds, distance: meters, weight: seconds, weight_name: 'duration', legs: [] }],
+          waypoints: request.points.map(location => ({ location, name: '' }))
+        });
+      } else {
+        send(res, 200, {
+          paths: [{ time: Math.round(seconds * 1000), distance: meters, points_encoded: false }],
+          info: { copyrights: [] }
+        });
+      }
+    }, options.delayMs);
+  });
+
+  server.listen(options.port, () => {
+    console.log(`Routing stand-in on http://localhost:${options.port} (${options.speed} km/h, detour ${options.detour})`);
+  });
+
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}
+
+main();
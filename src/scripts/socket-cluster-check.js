@@ -0,0 +1,242 @@
+// scripts/socket-cluster-check.js
+//
+// Check that Socket.IO rooms and the socket registries work across several server instances.
+//
+//   REDIS_URL=redis://localhost:6379 node src/scripts/socket-cluster-check.js [--instances 3] [--port 4100]
+//
+// Starts the instances as separate processes on consecutive ports. Each is a bare Socket.IO
+// server attached to Redis through services/socket-registry.service.js, as the app is; a client
+// joins user:<id>, booking:<id> and tracking:<id> and is registered with a tracking session, as
+// the app's handlers do. One client connects to each instance, then the check
+//   - broadcasts from every instance to booking:*, tracking:* and each other client's user:* room
+//     and expects exactly the clients in the room to receive it, on whichever instance they are;
+//   - asks every instance for the connections and tracking sessions it can see and expects all
+//     of them.
+// Keys go under a prefix of their own and are removed afterwards. Exits non-zero if a check fails.
+//
+// Behind a load balancer the real server also needs sticky sessions for the polling transport;
+// the check connects over websocket only.
+const http = require('http');
+const { fork } = require('child_process');
+
+const BOOKING_ID = 'cluster-check-booking';
+const WAIT_MS = 3000;
+
+function parseArgs(argv) {
+  const options = { instances: 2, port: 4100, worker: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--instances') {
+      options.instances = parseInt(argv[++i]);
+    } else if (arg === '--port') {
+      options.port = parseInt(argv[++i]);
+    } else if (arg === '--worker') {
+      options.worker = true;
+    }
+  }
+
+  return options;
+}
+
+// ===== Instance (child process) =====
+
+async function runInstance() {
+  const { Server } = require('socket.io');
+  const SocketRegistry = require('../services/socket-registry.service');
+
+  const server = http.createServer();
+  const io = new Server(server);
+
+  if (!await SocketRegistry.attach(io)) {
+    process.send({ type: 'failed', message: 'Redis adapter not attached' });
+    process.exit(1);
+  }
+
+  io.on('connection', async (socket) => {
+    const { userId } = socket.handshake.auth;
+    socket.join([`user:${userId}`, `booking:${BOOKING_ID}`, `tracking:${BOOKING_ID}`]);
+
+    await SocketRegistry.addConnection(userId, { socketId: socket.id, role: 'user', userData: { name: userId } });
+    await SocketRegistry.addSession(userId, BOOKING_ID, {
+      userRole: 'user',
+      socketId: socket.id,
+      room: `tracking:${BOOKING_ID}`
+    });
+    socket.emit('registered');
+
+    socket.on('disconnect', async () => {
+      await SocketRegistry.removeSocketSessions(userId, socket.id);
+      await SocketRegistry.removeConnection(userId, socket.id);
+    });
+  });
+
+  process.on('message', async ({ id, type, room, payload }) => {
+    if (type === 'broadcast') {
+      io.to(room).emit('cluster_check', payload);
+      process.send({ id });
+    } else if (type === 'registry') {
+      process.send({
+        id,
+        connections: await SocketRegistry.listConnections(),
+        sessions: await SocketRegistry.listSessions()
+      });
+    } else if (type === 'stop') {
+      io.close();
+      await SocketRegistry.close();
+      process.send({ id }, () => process.exit(0));
+    }
+  });
+
+  server.listen(process.env.PORT, () => process.send({ type: 'ready' }));
+}
+
+// ===== Check (parent process) =====
+
+function startInstance(index, options, prefix) {
+  const child = fork(__filename, ['--worker'], {
+    env: {
+      ...process.env,
+      PORT: String(options.port + index),
+      INSTANCE_ID: `cluster-check-${index}`,
+      SOCKET_REDIS_PREFIX: prefix
+    }
+  });
+
+  let nextId = 0;
+  const pending = new Map();
+  child.on('message', (message) => {
+    if (pending.has(message.id)) {
+      pending.get(message.id)(message);
+      pending.delete(message.id);
+    }
+  });
+
+  const ready = new Promise((resolve, reject) => {
+    child.on('message', (message) => {
+      if (message.type === 'ready') resolve();
+      if (message.type === 'failed') reject(new Error(`instance ${index}: ${message.message}`));
+    });
+    child.on('exit', (code) => reject(new Error(`instance ${index} exited with code ${code}`)));
+  });
+
+  const request = (message) => new Promise((resolve) => {
+    const id = nextId++;
+    pending.set(id, resolve);
+    child.send({ ...message, id });
+  });
+
+  const stop = () => (child.connected ? request({ type: 'stop' }) : Promise.resolve());
+
+  return { index, child, ready, request, stop };
+}
+
+function connectClient(index, options) {
+  const { io } = require('socket.io-client');
+  const userId = `cluster-check-user-${index}`;
+  const socket = io(`http://localhost:${options.port + index}`, {
+    transports: ['websocket'],
+    auth: { userId },
+    reconnection: false
+  });
+  const received = [];
+  socket.on('cluster_check', payload => received.push(payload.id));
+
+  const registered = new Promise((resolve, reject) => {
+    socket.once('registered', resolve);
+    socket.once('connect_error', reject);
+  });
+
+  return { index, userId, socket, received, registered };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.worker) {
+    return runInstance();
+  }
+
+  if (!process.env.REDIS_URL) {
+    console.error('Usage: REDIS_URL=redis://localhost:6379 node src/scripts/socket-cluster-check.js [--instances 3] [--port 4100]');
+    process.exit(1);
+  }
+  if (!(options.instances >= 2)) {
+    console.error('--instances must be at least 2');
+    process.exit(1);
+  }
+
+  const prefix = `sahayak:socket-check:${process.pid}`;
+  const instances = Array.from({ length: options.instances }, (_, i) => startInstance(i, options, prefix));
+  const clients = [];
+  const failures = [];
+
+  try {
+    await Promise.all(instances.map(instance => instance.ready));
+    clients.push(...instances.map(instance => connectClient(instance.index, options)));
+    await Promise.all(clients.map(client => client.registered));
+
+    // Every instance broadcasts to the shared rooms and to each other client's own room
+    const expectations = [];
+    for (const instance of instances) {
+      const rooms = [
+        { room: `booking:${BOOKING_ID}`, to: clients },
+        { room: `tracking:${BOOKING_ID}`, to: clients },
+        ...clients
+          .filter(client => client.index !== instance.index)
+          .map(client => ({ room: `user:${client.userId}`, to: [client] }))
+      ];
+
+      for (const { room, to } of rooms) {
+        const id = `${instance.index}->${room}`;
+        await instance.request({ type: 'broadcast', room, payload: { id } });
+        expectations.push({ id, to });
+      }
+    }
+
+    await delay(WAIT_MS);
+
+    for (const { id, to } of expectations) {
+      for (const client of clients) {
+        const expected = to.includes(client);
+        const got = client.received.includes(id);
+        if (expected !== got) {
+          failures.push(`${id}: client on instance ${client.index} ${expected ? 'did not receive it' : 'received it'}`);
+        }
+      }
+    }
+    console.log(`Broadcasts: ${expectations.length} sent from ${instances.length} instances`);
+
+    for (const instance of instances) {
+      const { connections, sessions } = await instance.request({ type: 'registry' });
+      const seenConnections = new Set(connections.map(connection => connection.userId));
+      const seenSessions = new Set(sessions.map(session => session.userId));
+      console.log(`Instance ${instance.index} sees ${connections.length} connections, ${sessions.length} tracking sessions`);
+
+      for (const client of clients) {
+        if (!seenConnections.has(client.userId)) {
+          failures.push(`instance ${instance.index} does not list the connection of ${client.userId}`);
+        }
+        if (!seenSessions.has(client.userId)) {
+          failures.push(`instance ${instance.index} does not list the tracking session of ${client.userId}`);
+        }
+      }
+    }
+  } finally {
+    clients.forEach(client => client.socket.close());
+    await delay(200);
+    await Promise.all(instances.map(instance => instance.stop()));
+  }
+
+  if (failures.length) {
+    failures.forEach(failure => console.error(`FAIL ${failure}`));
+    process.exit(1);
+  }
+  console.log('All cross-instance checks passed');
+}
+
+main().catch(error => {
+  console.error('Cluster check failed:', error.message);
+  process.exit(1);
+});
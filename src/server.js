@@ -14,6 +14,8 @@ const documentVerificationRoutes = require('./routes/document-verification.route
 const supportRoutes = require('./routes/support.routes');
 const setupSwagger = require('./config/swagger');
 const logger = require('./config/logger');
+const requestId = require('./middleware/request-id.middleware');
+const auth = require('./middleware/auth.middleware');
 const http = require('http');
 const socketService = require('./services/socket.service');
 const locationRoutes = require('./routes/location.routes');
@@ -23,6 +25,12 @@ const scheduleRoutes = require('./routes/schedule.routes');
 const app = express();
 const server = http.createServer(app);
 const EnhancedSocketService = require('./services/socket.service');
+const DispatchService = require('./services/dispatch.service');
+const CommissionCollectionService = require('./services/commission-collection.service');
+const OtpService = require('./services/otp.service');
+
+// Refuse to start with OTPs going to the log outside development and test
+OtpService.assertSafeConfig();
 
 // ✅ FIXED: Comprehensive CORS configuration
 const corsOptions = {
@@ -45,8 +53,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id'],
+  exposedHeaders: ['Content-Length', 'X-Requested-With', 'X-Request-Id'],
   maxAge: 86400 // 24 hours
 };
 
@@ -57,7 +65,16 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 // Middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(requestId);
+app.use(express.json({
+  limit: '10mb',
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ✅ Serve static files for uploaded images
@@ -84,9 +101,6 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Initialize socket service
-socketService.initializeSocket(server);
-
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/services', require('./routes/service.routes'));
@@ -96,6 +110,7 @@ app.use('/api/professionals', require('./routes/professional-onboarding.routes')
 app.use('/api/professional', professionalLocationRoutes);
 app.use('/api/professional', earningRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/wallet', require('./routes/wallet.routes'));
 app.use('/api/professionals', require('./routes/document-verification.routes'));
 app.use('/api/location', require('./routes/location.routes'));
 app.use('/api/admin', servicemanagement); // ✅ FIXED: Service management routes now under /api/admin
@@ -103,25 +118,44 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/support', supportRoutes);
 app.use('/api/test', testRoutes);
 app.use('/api/professional/schedule', scheduleRoutes);
+
+// Socket connection status endpoint, covering every instance. Registered ahead of the tracking
+// routes so /:bookingId does not take it.
+app.get('/api/tracking/status', auth(['admin']), async (req, res) => {
+  try {
+    const [activeConnections, activeTrackingSessions] = await Promise.all([
+      EnhancedSocketService.getActiveConnections(),
+      EnhancedSocketService.getActiveTrackingSessions()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        activeConnections: activeConnections.length,
+        activeTrackingSessions: activeTrackingSessions.length,
+        connections: activeConnections,
+        trackingSessions: activeTrackingSessions
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting socket status:', error);
+    res.status(500).json({ success: false, message: 'Failed to get socket status' });
+  }
+});
+
 app.use('/api/tracking', trackingRoutes);
 
-// Socket connection status endpoint
-app.get('/api/tracking/status', (req, res) => {
-  const activeConnections = EnhancedSocketService.getActiveConnections();
-  const activeTrackingSessions = EnhancedSocketService.getActiveTrackingSessions();
-  
-  res.json({
-    success: true,
-    data: {
-      activeConnections: activeConnections.length,
-      activeTrackingSessions: activeTrackingSessions.length,
-      connections: activeConnections,
-      trackingSessions: activeTrackingSessions
-    }
+connectDB().then(() => {
+  // Re-arm sequential dispatch offers that were open when the server stopped
+  DispatchService.resumeDispatches().catch(error => {
+    logger.error('Error resuming booking dispatch:', error);
   });
-});
+  // Time out offers left behind by instances that stopped
+  DispatchService.start();
 
-connectDB();
+  // Commission reminders, late fees and holds for unpaid cash commission
+  CommissionCollectionService.start();
+});
 
 setupSwagger(app);
 
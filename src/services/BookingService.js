@@ -4,6 +4,17 @@ const Booking = require('../models/booking.model');
 const Professional = require('../models/professional.model');
 const Service = require('../models/service.model');
 const User = require('../models/user.model');
+const CancellationService = require('./cancellation.service');
+const RescheduleService = require('./reschedule.service');
+const ScheduleService = require('./schedule.service');
+const RatingService = require('./rating.service');
+const DispatchService = require('./dispatch.service');
+const BookingStateService = require('./booking-state.service');
+const PricingService = require('./pricing.service');
+const LocationHistoryService = require('./location-history.service');
+const GeofenceService = require('./geofence.service');
+const EtaService = require('./eta.service');
+const SlotService = require('./slot.service');
 const logger = require('../config/logger');
 
 class BookingService {
@@ -17,9 +28,10 @@ class BookingService {
     
     const session = await mongoose.startSession();
     session.startTransaction();
+    let heldSlotFor = null;
     
     try {
-      const { serviceId, location, scheduledDate, isEmergency, notes } = bookingData;
+      const { serviceId, location, scheduledDate, isEmergency, notes, promoCode, useWallet, quoteId } = bookingData;
       
       // Validate location data
       if (!location || !location.coordinates || !Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
@@ -63,21 +75,6 @@ class BookingService {
       // Generate unique verification code
       const verificationCode = this.generateVerificationCode();
       
-      // Calculate total amount
-      // Calculate total amount - FIXED
-let totalAmount = service.pricing?.amount || 
-                  service.pricing?.basePrice || 
-                  service.price || 
-                  0;
-
-if (isEmergency) {
-  totalAmount += 200; // Emergency fee
-}
-
-console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
-      
-      
-      
       // Create booking
       const booking = new Booking({
         user: userId,
@@ -88,7 +85,6 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
           coordinates: location.coordinates,
           address: location.address || `${latitude.toFixed(4)}, ${longitude.toFixed(4)}`
         },
-        totalAmount: totalAmount,
         verificationCode: verificationCode,
         isEmergency: isEmergency || false,
         status: 'pending',
@@ -99,30 +95,45 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
         }
       });
       
-      await booking.save({ session });
+      // Price it: service price, surge and emergency fee (held by the quote, if one was given),
+      // less the promo code and wallet credit
+      const pricing = await PricingService.applyToBooking(booking, service, { promoCode, useWallet, quoteId }, session);
+      booking.totalAmount = pricing.totalAmount;
+      booking.pricing = pricing;
       
-      console.log('✅ [BOOKING-SERVICE] Booking created with ID:', booking._id);
+      console.log('💰 [BOOKING-SERVICE] Total amount calculated:', pricing);
       
-      // Find nearby professionals for this service category
-      const nearbyProfessionals = await this.findNearbyProfessionals(
-        location.coordinates, 
-        service.category, 
-        isEmergency ? 50 : 25 // Larger radius for emergency
-      );
+      BookingStateService.start(booking, { actorId: userId, role: 'user', location: booking.location });
+      
+      // A scheduled booking holds its time with a professional free then, so the slot cannot be
+      // booked twice. Held outside the transaction; released below if the booking is not made.
+      if (!booking.isEmergency) {
+        await SlotService.reserve(booking, service, { customerName: user.name });
+        heldSlotFor = booking._id;
+      }
       
-      console.log(`👨‍🔧 [BOOKING-SERVICE] Found ${nearbyProfessionals.length} nearby professionals`);
+      await booking.save({ session });
+      
+      console.log('✅ [BOOKING-SERVICE] Booking created with ID:', booking._id);
       
       await session.commitTransaction();
       
-      // Send notifications to nearby professionals (async)
+      // Offer the booking to the best-matched professionals one at a time (async)
       setTimeout(() => {
-        this.notifyNearbyProfessionals(booking, nearbyProfessionals);
+        DispatchService.startDispatch(booking._id).catch(error => {
+          console.error('❌ [BOOKING-SERVICE] Error starting dispatch:', error);
+        });
       }, 100);
       
       return booking;
       
     } catch (error) {
       await session.abortTransaction();
+      if (heldSlotFor) {
+        await SlotService.release(heldSlotFor).catch(releaseError => {
+          console.error('❌ [BOOKING-SERVICE] Error releasing slot hold:', releaseError);
+        });
+      }
       console.error('❌ [BOOKING-SERVICE] Error creating booking:', error);
       throw error;
     } finally {
@@ -138,22 +149,21 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
     
     const session = await mongoose.startSession();
     session.startTransaction();
+    let heldAppointment = null;
     
     try {
       // Find booking
       const booking = await Booking.findById(bookingId)
         .populate('user', 'name phone currentLocation')
-        .populate('service', 'name category pricing')
+        .populate('service', 'name category pricing estimatedDuration')
         .session(session);
       
       if (!booking) {
         throw new Error('Booking not found');
       }
       
-      // Check if booking is still pending
-      if (booking.status !== 'pending') {
-        throw new Error(`Booking is already ${booking.status}`);
-      }
+      // Check if booking can still be accepted
+      BookingStateService.assertTransition(booking, 'accepted', 'professional');
       
       // Find professional
       const professional = await Professional.findById(professionalId).session(session);
@@ -176,6 +186,7 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
       // Calculate initial ETA and distance
       let initialETA = null;
       let initialDistance = null;
+      let initialEstimate = null;
       
       if (professional.currentLocation && professional.currentLocation.coordinates) {
         initialDistance = this.calculateDistance(
@@ -185,7 +196,8 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
           booking.location.coordinates[0]  // Booking lng
         );
         
-        initialETA = this.calculateETA(initialDistance);
+        initialEstimate = await EtaService.estimate(professional.currentLocation.coordinates, booking.location.coordinates);
+        initialETA = initialEstimate.minutes;
         
         console.log('📏 [BOOKING-SERVICE] Initial distance:', initialDistance.toFixed(2), 'km');
         console.log('⏱️ [BOOKING-SERVICE] Initial ETA:', initialETA, 'minutes');
@@ -193,9 +205,16 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
         console.log('⚠️ [BOOKING-SERVICE] Professional location not available for ETA calculation');
       }
       
+      // Only the professional holding the current dispatch offer may accept
+      DispatchService.markAccepted(booking, professionalId);
+      
       // Update booking
       booking.professional = professionalId;
-      booking.status = 'accepted';
+      BookingStateService.transition(booking, 'accepted', {
+        actorId: professionalId,
+        role: 'professional',
+        location: professional.currentLocation
+      });
       booking.acceptedAt = new Date();
       
       // Initialize tracking data
@@ -212,10 +231,20 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
           coordinates: professional.currentLocation.coordinates,
           timestamp: new Date()
         };
-        booking.tracking.eta = initialETA;
+        if (initialEstimate) {
+          EtaService.applyEstimate(booking, initialEstimate, professional.currentLocation.coordinates);
+        }
         booking.tracking.distance = initialDistance;
       }
       
+      // A scheduled booking's time is held on this professional's Schedule first, so two bookings
+      // cannot both be accepted into the same time. Held outside the transaction; released below
+      // if the booking is not accepted.
+      if (!booking.isEmergency) {
+        await SlotService.holdWith(booking, booking.service, professionalId, { customerName: booking.user?.name });
+        heldAppointment = booking.slot.appointment;
+      }
+      
       await booking.save({ session });
       
       // Update professional availability
@@ -230,6 +259,15 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
       
       await session.commitTransaction();
       
+      DispatchService.clearTimer(bookingId);
+      
+      // Only now let a slot held with another professional go. An emergency booking has no slot
+      // and is only cached on the professional's schedule.
+      await (heldAppointment ? SlotService.confirmHold(booking) : ScheduleService.upsertAppointment(booking))
+        .catch(error => {
+          console.error('⚠️ [BOOKING-SERVICE] Schedule sync failed (non-critical):', error.message);
+        });
+      
       // Send real-time notifications
       setTimeout(() => {
         this.notifyBookingAccepted(booking, professional, initialETA, initialDistance);
@@ -239,6 +277,11 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
       
     } catch (error) {
       await session.abortTransaction();
+      if (heldAppointment) {
+        await SlotService.release(bookingId, { only: heldAppointment }).catch(releaseError => {
+          console.error('❌ [BOOKING-SERVICE] Error releasing slot hold:', releaseError);
+        });
+      }
       console.error('❌ [BOOKING-SERVICE] Error accepting booking:', error);
       throw error;
     } finally {
@@ -247,9 +290,9 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
   }
   
   /**
-   * Start service and enable live tracking
+   * Professional sets off for the customer: booking goes en route and live tracking starts
    */
-  async startService(bookingId, professionalId) {
+  async startService(bookingId, professionalId, location) {
     console.log(`🚀 [BOOKING-SERVICE] Starting service for booking ${bookingId}`);
     
     try {
@@ -261,17 +304,17 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
         throw new Error('Booking not found');
       }
       
-      if (booking.status !== 'accepted') {
-        throw new Error(`Booking is ${booking.status}, cannot start service`);
-      }
-      
       // Verify professional authorization
       if (!booking.professional || booking.professional._id.toString() !== professionalId.toString()) {
         throw new Error('Professional is not assigned to this booking');
       }
       
       // Update booking status and tracking
-      booking.status = 'in_progress';
+      BookingStateService.transition(booking, 'en_route', {
+        actorId: professionalId,
+        role: 'professional',
+        location: location || booking.professional.currentLocation
+      });
       if (!booking.tracking) booking.tracking = {};
       
       booking.tracking.startedAt = new Date();
@@ -294,8 +337,11 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
           booking.location.coordinates[0]
         );
         
-        booking.tracking.eta = this.calculateETA(currentDistance);
+        const estimate = await EtaService.estimate(booking.professional.currentLocation.coordinates, booking.location.coordinates);
+        EtaService.applyEstimate(booking, estimate, booking.professional.currentLocation.coordinates);
         booking.tracking.distance = currentDistance;
+        // The customer is told this ETA when the service starts; later changes are measured from it
+        booking.tracking.etaNotifiedArrival = new Date(Date.now() + estimate.minutes * 60 * 1000);
       }
       
       await booking.save();
@@ -316,9 +362,10 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
   }
   
   /**
-   * Professional arrived at location
+   * Professional arrived at location. The geofence raises arrival as the 'system' role when the
+   * professional's location updates enter it (see services/geofence.service.js).
    */
-  async professionalArrived(bookingId, professionalId) {
+  async professionalArrived(bookingId, professionalId, location, { role = 'professional', note } = {}) {
     console.log(`[BOOKING-SERVICE] Professional arrived at booking ${bookingId}`);
     
     try {
@@ -330,13 +377,22 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
         throw new Error('Booking not found');
       }
       
-      if (booking.status !== 'in_progress') {
-        throw new Error(`Booking is ${booking.status}, not in progress`);
-      }
-      
       if (!booking.professional || booking.professional._id.toString() !== professionalId.toString()) {
         throw new Error('Professional is not assigned to this booking');
       }
+
+      // The geofence may have marked the arrival before the professional did, or another
+      // location update may have got there first
+      if (booking.status === 'arrived') {
+        return booking;
+      }
+      
+      BookingStateService.transition(booking, 'arrived', {
+        actorId: role === 'system' ? undefined : professionalId,
+        role,
+        location: location || booking.professional.currentLocation,
+        note
+      });
       
       // Update tracking info
       if (!booking.tracking) booking.tracking = {};
@@ -345,13 +401,22 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
       booking.tracking.eta = 0; // Professional has arrived
       
       // Record arrival location
-      if (booking.professional.currentLocation) {
+      const arrivalCoordinates = BookingStateService.normalizeLocation(location)?.coordinates ||
+        booking.professional.currentLocation?.coordinates;
+      if (arrivalCoordinates) {
         booking.tracking.arrivalLocation = {
           type: 'Point',
-          coordinates: booking.professional.currentLocation.coordinates,
+          coordinates: arrivalCoordinates,
           timestamp: new Date()
         };
       }
+
+      // Distance and time along the path actually driven since setting off
+      try {
+        await LocationHistoryService.recordTravel(booking);
+      } catch (historyError) {
+        logger.error('Failed to work out travel from breadcrumbs:', historyError);
+      }
       
       await booking.save();
       
@@ -370,10 +435,150 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
     }
   }
   
+  /**
+   * Professional starts the actual work after arriving
+   */
+  async beginWork(bookingId, professionalId, location) {
+    console.log(`🛠️ [BOOKING-SERVICE] Professional ${professionalId} beginning work on booking ${bookingId}`);
+    
+    try {
+      const booking = await Booking.findById(bookingId);
+      
+      if (!booking) {
+        throw new Error('Booking not found');
+      }
+      
+      if (!booking.professional || booking.professional.toString() !== professionalId.toString()) {
+        throw new Error('Professional is not assigned to this booking');
+      }
+      
+      BookingStateService.transition(booking, 'in_progress', {
+        actorId: professionalId,
+        role: 'professional',
+        location
+      });
+      
+      if (!booking.tracking) booking.tracking = {};
+      booking.tracking.workStartedAt = new Date();
+
+      // Not blocking: GPS can be off, but starting away from the address is flagged
+      GeofenceService.checkOnSite(booking, location, 'start');
+      
+      await booking.save();
+      
+      setTimeout(() => {
+        this.notifyStatusChange(booking, 'Work on your booking has started.');
+      }, 100);
+      
+      return booking;
+      
+    } catch (error) {
+      console.error('❌ [BOOKING-SERVICE] Error beginning work:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Record that the customer (reported by the professional) or either party (reported by support) did not show up.
+   * Ends tracking and releases the professional.
+   */
+  async markNoShow(bookingId, actorId, role, { party, reason, location } = {}) {
+    console.log(`🚷 [BOOKING-SERVICE] ${role} ${actorId} reporting no-show for booking ${bookingId}`);
+    
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    
+    try {
+      const booking = await Booking.findById(bookingId).session(session);
+      
+      if (!booking) {
+        throw new Error('Booking not found');
+      }
+      
+      if (role === 'professional' &&
+          (!booking.professional || booking.professional.toString() !== actorId.toString())) {
+        throw new Error('Not authorized: professional is not assigned to this booking');
+      }
+      
+      // A professional can only report the customer; support decides who was absent
+      const absentParty = role === 'professional' ? 'customer' : party;
+      if (!['customer', 'professional'].includes(absentParty)) {
+        throw new Error('Invalid no-show party. Use customer or professional');
+      }
+      
+      BookingStateService.transition(booking, 'no_show', {
+        actorId,
+        role,
+        location,
+        note: reason
+      });
+      
+      booking.noShow = {
+        party: absentParty,
+        reason: reason || '',
+        reportedAt: new Date()
+      };
+      
+      if (booking.tracking) {
+        booking.tracking.isActive = false;
+        booking.tracking.liveTrackingEnabled = false;
+        booking.tracking.trackingEnded = new Date();
+      }
+      
+      await booking.save({ session });
+      
+      if (booking.professional) {
+        await Professional.findByIdAndUpdate(
+          booking.professional,
+          {
+            isAvailable: true,
+            $unset: { currentBooking: 1 }
+          },
+          { session }
+        );
+      }
+      
+      await session.commitTransaction();
+      
+      ScheduleService.updateAppointmentStatus(booking).catch(error => {
+        console.error('⚠️ [BOOKING-SERVICE] Schedule sync failed (non-critical):', error.message);
+      });
+      
+      PricingService.releaseBooking(booking).catch(error => {
+        console.error('❌ [BOOKING-SERVICE] Releasing promo and wallet credit failed:', error);
+      });
+      
+      setTimeout(() => {
+        this.notifyStatusChange(
+          booking,
+          absentParty === 'customer'
+            ? 'The professional could not find you at the booking location.'
+            : 'The booking was closed because the professional did not arrive.'
+        );
+      }, 100);
+      
+      return booking;
+      
+    } catch (error) {
+      await session.abortTransaction();
+      console.error('❌ [BOOKING-SERVICE] Error recording no-show:', error);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+  
+  /**
+   * Audited status history of a booking
+   */
+  async getTimeline(bookingId, actorId, role) {
+    return BookingStateService.getTimeline(bookingId, actorId, role);
+  }
+  
   /**
    * Complete service with verification
    */
-  async completeService(bookingId, professionalId, verificationCode) {
+  async completeService(bookingId, professionalId, verificationCode, location) {
     const session = await mongoose.startSession();
     session.startTransaction();
     
@@ -385,22 +590,26 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
         throw new Error('Booking not found');
       }
       
-      if (booking.status !== 'in_progress') {
-        throw new Error(`Booking is ${booking.status}, not in progress`);
-      }
-      
       if (!booking.professional || booking.professional._id.toString() !== professionalId.toString()) {
         throw new Error('Professional is not assigned to this booking');
       }
       
+      BookingStateService.assertTransition(booking, 'completed', 'professional');
+      
       if (booking.verificationCode !== verificationCode) {
         throw new Error('Invalid verification code');
       }
       
       // Update booking
-      booking.status = 'completed';
+      BookingStateService.transition(booking, 'completed', {
+        actorId: professionalId,
+        role: 'professional'
+      });
       booking.completedAt = new Date();
       booking.paymentStatus = 'paid';
+
+      GeofenceService.checkOnSite(booking, location, 'complete');
+      await GeofenceService.recordTimeOnSite(booking, { session });
       
       // Stop tracking
       if (booking.tracking) {
@@ -442,37 +651,45 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
   }
   
   /**
-   * Find nearby professionals
+   * Professional declines the booking currently offered to them
    */
-  async findNearbyProfessionals(coordinates, serviceCategory, radiusKm = 25) {
-    try {
-      console.log(`[BOOKING-SERVICE] Finding professionals near ${coordinates} for ${serviceCategory}`);
-      
-      const [longitude, latitude] = coordinates;
-      
-      const professionals = await Professional.find({
-        specializations: serviceCategory,
-        isAvailable: true,
-        status: 'verified',
-        currentLocation: {
-          $near: {
-            $geometry: {
-              type: 'Point',
-              coordinates: [longitude, latitude]
-            },
-            $maxDistance: radiusKm * 1000 // Convert km to meters
-          }
-        }
-      }).limit(10);
-      
-      console.log(`Found ${professionals.length} nearby professionals`);
-      
-      return professionals;
-      
-    } catch (error) {
-      console.error('[BOOKING-SERVICE] Error finding nearby professionals:', error);
-      return [];
-    }
+  async declineBooking(bookingId, professionalId, reason) {
+    return DispatchService.declineOffer(bookingId, professionalId, reason);
+  }
+  
+  /**
+   * Cancel booking, applying the cancellation fee schedule and refunding any captured payment
+   */
+  async cancelBooking(bookingId, actorId, role, reason) {
+    return CancellationService.cancelBooking(bookingId, actorId, role, reason);
+  }
+  
+  /**
+   * Preview the cancellation fee for a booking
+   */
+  async getCancellationQuote(bookingId, actorId, role) {
+    return CancellationService.getCancellationQuote(bookingId, actorId, role);
+  }
+  
+  /**
+   * Propose a new time for a booking (applied directly while no professional is assigned)
+   */
+  async rescheduleBooking(bookingId, actorId, role, scheduledDate, reason) {
+    return RescheduleService.proposeReschedule(bookingId, actorId, role, scheduledDate, reason);
+  }
+  
+  /**
+   * Accept, reject or withdraw a pending reschedule proposal
+   */
+  async respondToReschedule(bookingId, actorId, role, action, note) {
+    return RescheduleService.respondToReschedule(bookingId, actorId, role, action, note);
+  }
+  
+  /**
+   * Customer rates the professional for a completed booking
+   */
+  async rateBooking(bookingId, userId, score, review) {
+    return RatingService.rateBooking(bookingId, userId, score, review);
   }
   
   /**
@@ -499,65 +716,6 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
     return Math.round(distance * 100) / 100;
   }
   
-  /**
-   * Calculate ETA based on distance
-   */
-  calculateETA(distance, averageSpeed = 30) {
-    if (!distance || distance <= 0) return 0;
-    
-    const timeInHours = distance / averageSpeed;
-    const timeInMinutes = Math.round(timeInHours * 60);
-    
-    return Math.max(1, timeInMinutes);
-  }
-  
-  /**
-   * Notify nearby professionals about new booking
-   */
-  notifyNearbyProfessionals(booking, professionals) {
-    try {
-      const EnhancedSocketService = require('./socket.service');
-      const io = EnhancedSocketService.getIO();
-      
-      if (!io || professionals.length === 0) return;
-      
-      const notificationData = {
-        bookingId: booking._id,
-        service: booking.service,
-        location: booking.location,
-        scheduledDate: booking.scheduledDate,
-        totalAmount: booking.totalAmount,
-        isEmergency: booking.isEmergency,
-        distance: null // Will be calculated per professional
-      };
-      
-      professionals.forEach(professional => {
-        // Calculate distance for this professional
-        if (professional.currentLocation?.coordinates) {
-          const distance = this.calculateDistance(
-            professional.currentLocation.coordinates[1],
-            professional.currentLocation.coordinates[0],
-            booking.location.coordinates[1],
-            booking.location.coordinates[0]
-          );
-          
-          const professionalNotification = {
-            ...notificationData,
-            distance: distance,
-            eta: this.calculateETA(distance)
-          };
-          
-          io.to(`user:${professional._id}`).emit('new_booking_available', professionalNotification);
-        }
-      });
-      
-      console.log(`[BOOKING-SERVICE] Notified ${professionals.length} professionals about new booking`);
-      
-    } catch (error) {
-      console.error('[BOOKING-SERVICE] Error notifying professionals:', error);
-    }
-  }
-  
   /**
    * Notify about booking acceptance
    */
@@ -575,7 +733,7 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
           _id: professional._id,
           name: professional.name,
           phone: professional.phone,
-          rating: professional.rating || 0,
+          rating: professional.ratings?.average || 0,
           currentLocation: professional.currentLocation
         },
         trackingInitialized: true,
@@ -617,7 +775,7 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
       
       const serviceStartData = {
         bookingId: booking._id,
-        status: 'in_progress',
+        status: booking.status,
         liveTrackingEnabled: true,
         trackingStarted: booking.tracking.startedAt,
         currentLocation: booking.tracking.lastLocation,
@@ -656,7 +814,7 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
       
       const arrivalData = {
         bookingId: booking._id,
-        status: 'professional_arrived',
+        status: booking.status,
         arrivedAt: booking.tracking.arrivedAt,
         eta: 0,
         message: 'The professional has arrived at your location!'
@@ -675,6 +833,42 @@ console.log('💰 [BOOKING-SERVICE] Total amount calculated:', totalAmount);
     }
   }
   
+  /**
+   * Notify both parties and the booking room about a status change without a dedicated event
+   */
+  notifyStatusChange(booking, message) {
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      const io = EnhancedSocketService.getIO();
+      
+      if (!io) return;
+      
+      const statusData = {
+        bookingId: booking._id,
+        status: booking.status,
+        message
+      };
+      
+      io.to(`user:${booking.user}`).emit('booking_status_update', statusData);
+      if (booking.professional) {
+        io.to(`user:${booking.professional}`).emit('booking_status_update', statusData);
+      }
+      io.to(`booking:${booking._id}`).emit('booking_update', statusData);
+      
+      if (BookingStateService.TERMINAL_STATUSES.includes(booking.status)) {
+        io.to(`tracking:${booking._id}`).emit('tracking_session_ended', {
+          bookingId: booking._id,
+          reason: `booking_${booking.status}`
+        });
+      }
+      
+      console.log(`[BOOKING-SERVICE] Status change notifications sent for ${booking._id}`);
+      
+    } catch (error) {
+      console.error('[BOOKING-SERVICE] Error sending status change notifications:', error);
+    }
+  }
+  
   /**
    * Notify about service completion
    */
@@ -0,0 +1,122 @@
+// services/admin-permission.service.js
+const Admin = require('../models/admin.model');
+const { PERMISSIONS, ALL_PERMISSIONS, ROLE_PRESETS } = require('../config/permissions');
+const config = require('../config/config');
+const AuditService = require('./audit.service');
+
+class AdminPermissionService {
+
+  /**
+   * Admin whose access has never been configured (see config.adminPermissions.legacyFullAccess)
+   */
+  isLegacyAdmin(admin) {
+    return !admin.preset && !admin.permissions?.length && !admin.permissionsUpdatedAt;
+  }
+
+  /**
+   * Preset permissions plus explicitly granted ones
+   */
+  getEffectivePermissions(admin) {
+    if (!admin) return [];
+
+    if (this.isLegacyAdmin(admin) && config.adminPermissions.legacyFullAccess) {
+      return [...ALL_PERMISSIONS];
+    }
+
+    const presetPermissions = admin.preset ? ROLE_PRESETS[admin.preset]?.permissions || [] : [];
+    return [...new Set([...presetPermissions, ...(admin.permissions || [])])];
+  }
+
+  hasPermissions(admin, required = []) {
+    const granted = this.getEffectivePermissions(admin);
+    return required.every(permission => granted.includes(permission));
+  }
+
+  getCatalogue() {
+    return {
+      permissions: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description })),
+      presets: Object.entries(ROLE_PRESETS).map(([key, preset]) => ({
+        key,
+        label: preset.label,
+        permissions: preset.permissions
+      }))
+    };
+  }
+
+  formatAdmin(admin) {
+    return {
+      _id: admin._id,
+      name: admin.name,
+      email: admin.email,
+      phone: admin.phone,
+      preset: admin.preset || null,
+      permissions: admin.permissions || [],
+      effectivePermissions: this.getEffectivePermissions(admin),
+      legacyAccess: this.isLegacyAdmin(admin) && config.adminPermissions.legacyFullAccess,
+      permissionsUpdatedAt: admin.permissionsUpdatedAt
+    };
+  }
+
+  async listAdmins() {
+    const admins = await Admin.find().select('-password').sort({ createdAt: 1 });
+    return admins.map(admin => this.formatAdmin(admin));
+  }
+
+  /**
+   * Change another admin's preset and/or explicit permissions.
+   * `permissions` replaces the explicit list; `grant` / `revoke` adjust it. Revoking only
+   * removes explicit grants, permissions that come from the preset stay.
+   */
+  async updateAdminPermissions(actorId, adminId, { preset, permissions, grant, revoke } = {}, auditContext = {}) {
+    // The actor holds admins.manage, so refusing self-edits also means someone can always manage admins
+    if (actorId.toString() === adminId.toString()) {
+      throw new Error('Not authorized: admins cannot change their own permissions');
+    }
+
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    const auditBefore = { preset: admin.preset, permissions: [...(admin.permissions || [])] };
+
+    const requested = [...(permissions || []), ...(grant || []), ...(revoke || [])];
+    const unknown = requested.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    }
+
+    if (preset !== undefined) {
+      if (preset !== null && !ROLE_PRESETS[preset]) {
+        throw new Error(`Unknown preset: ${preset}`);
+      }
+      admin.preset = preset || undefined;
+    }
+
+    let explicit = permissions ? [...permissions] : [...(admin.permissions || [])];
+    if (grant) explicit.push(...grant);
+    if (revoke) explicit = explicit.filter(permission => !revoke.includes(permission));
+    admin.permissions = [...new Set(explicit)];
+
+    admin.permissionsUpdatedBy = actorId;
+    admin.permissionsUpdatedAt = new Date();
+    await admin.save();
+
+    await AuditService.record({
+      action: 'admin.permissions_update',
+      target: { type: 'Admin', id: admin._id },
+      before: auditBefore,
+      after: { preset: admin.preset, permissions: [...admin.permissions] },
+      context: { actorId, actorRole: 'admin', ...auditContext }
+    });
+
+    console.log(`🛡️ [ADMIN-PERMISSIONS] Admin ${actorId} updated access of admin ${adminId}:`, {
+      preset: admin.preset,
+      permissions: admin.permissions
+    });
+
+    return this.formatAdmin(admin);
+  }
+}
+
+module.exports = new AdminPermissionService();
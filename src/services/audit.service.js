@@ -0,0 +1,218 @@
+// services/audit.service.js
+const mongoose = require('mongoose');
+const AuditLog = require('../models/audit-log.model');
+const { toCsvRow } = require('../utils/csv');
+const config = require('../config/config');
+
+const ROLE_MODEL_NAME_MAP = {
+  user: 'User',
+  professional: 'Professional',
+  admin: 'Admin'
+};
+
+// Bookkeeping fields that change on every write and would only add noise to a diff
+const IGNORED_PATHS = ['updatedAt', '__v'];
+
+const CSV_COLUMNS = [
+  'createdAt', 'action', 'actorRole', 'actorId', 'targetType', 'targetId',
+  'changes', 'metadata', 'ip', 'userAgent', 'requestId'
+];
+
+class AuditService {
+
+  /**
+   * Actor and request details for record(), taken from an authenticated request
+   */
+  contextFromRequest(req) {
+    return {
+      actorId: req.user?._id,
+      actorRole: req.userRole,
+      ip: req.ip,
+      userAgent: req.headers?.['user-agent'],
+      requestId: req.requestId
+    };
+  }
+
+  toPlain(value) {
+    if (!value) return {};
+    if (typeof value.toObject === 'function') {
+      return value.toObject({ depopulate: true, virtuals: false });
+    }
+    return value;
+  }
+
+  isPlainObject(value) {
+    return value !== null &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      !(value instanceof Date) &&
+      !(value instanceof mongoose.Types.ObjectId) &&
+      !Buffer.isBuffer(value);
+  }
+
+  flatten(value, prefix = '', result = {}) {
+    for (const [key, child] of Object.entries(value)) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (this.isPlainObject(child)) {
+        // Empty objects contribute no paths, so {} -> { amount: 50 } diffs as just `amount`
+        this.flatten(child, path, result);
+      } else {
+        result[path] = child;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Field-level diff of two snapshots (documents or plain objects). Arrays compare as a whole.
+   * Pass `paths` to limit the diff to the fields an action is about.
+   */
+  diff(before, after, { paths } = {}) {
+    const flatBefore = this.flatten(this.toPlain(before));
+    const flatAfter = this.flatten(this.toPlain(after));
+
+    const keys = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+    const changes = [];
+
+    for (const path of keys) {
+      if (IGNORED_PATHS.includes(path)) continue;
+      if (paths && !paths.some(allowed => path === allowed || path.startsWith(`${allowed}.`))) continue;
+
+      const oldValue = flatBefore[path];
+      const newValue = flatAfter[path];
+
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ path, before: oldValue, after: newValue });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Append an entry. Auditing must never undo the action it describes, so failures are
+   * logged loudly instead of thrown.
+   */
+  async record({ action, target, before, after, paths, metadata, context = {} }) {
+    try {
+      const role = context.actorRole || 'system';
+
+      const entry = await AuditLog.create({
+        actor: {
+          id: context.actorId,
+          model: ROLE_MODEL_NAME_MAP[role],
+          role
+        },
+        action,
+        target: {
+          type: target.type,
+          id: target.id
+        },
+        changes: this.diff(before, after, { paths }),
+        metadata,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        requestId: context.requestId
+      });
+
+      console.log(`📝 [AUDIT] ${action} on ${target.type} ${target.id} by ${role} ${context.actorId || ''}`.trim());
+      return entry;
+    } catch (error) {
+      console.error(`🚨 [AUDIT] Failed to record ${action} on ${target?.type} ${target?.id}:`, error.message);
+      return null;
+    }
+  }
+
+  buildQuery(filters = {}) {
+    for (const key of ['actorId', 'targetId']) {
+      if (filters[key] && !mongoose.Types.ObjectId.isValid(filters[key])) {
+        throw new Error(`Invalid ${key}`);
+      }
+    }
+    for (const key of ['from', 'to']) {
+      if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+        throw new Error(`Invalid ${key} date`);
+      }
+    }
+
+    const query = {};
+
+    if (filters.action) {
+      const actions = filters.action.split(',').map(action => action.trim()).filter(Boolean);
+      query.action = actions.length === 1 ? actions[0] : { $in: actions };
+    }
+    if (filters.actorId) query['actor.id'] = filters.actorId;
+    if (filters.actorRole) query['actor.role'] = filters.actorRole;
+    if (filters.targetType) query['target.type'] = filters.targetType;
+    if (filters.targetId) query['target.id'] = filters.targetId;
+    if (filters.requestId) query.requestId = filters.requestId;
+
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    return query;
+  }
+
+  async query(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = this.buildQuery(filters);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  /**
+   * Stream matching entries to `stream` as CSV, newest first, capped at config.audit.exportMaxRows
+   */
+  async exportCsv(filters, stream) {
+    const query = this.buildQuery(filters);
+    const cursor = AuditLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(config.audit.exportMaxRows)
+      .lean()
+      .cursor();
+
+    stream.write(toCsvRow(CSV_COLUMNS));
+
+    let count = 0;
+    for await (const entry of cursor) {
+      stream.write(toCsvRow([
+        entry.createdAt,
+        entry.action,
+        entry.actor?.role,
+        entry.actor?.id?.toString(),
+        entry.target?.type,
+        entry.target?.id?.toString(),
+        entry.changes?.length ? entry.changes : '',
+        entry.metadata,
+        entry.ip,
+        entry.userAgent,
+        entry.requestId
+      ]));
+      count++;
+    }
+
+    return count;
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,172 @@
+// services/booking-state.service.js
+const Booking = require('../models/booking.model');
+
+const ROLE_MODEL_MAP = {
+  user: 'User',
+  professional: 'Professional',
+  admin: 'Admin'
+};
+
+const BOOKING_STATUSES = [
+  'pending',
+  'accepted',
+  'en_route',
+  'arrived',
+  'in_progress',
+  'completed',
+  'cancelled',
+  'no_show'
+];
+
+// A professional is committed to the booking in these statuses
+const ACTIVE_STATUSES = ['accepted', 'en_route', 'arrived', 'in_progress'];
+
+// The professional is at the customer's location
+const ON_SITE_STATUSES = ['arrived', 'in_progress'];
+
+const TERMINAL_STATUSES = ['completed', 'cancelled', 'no_show'];
+
+/**
+ * Legal status transitions and the roles allowed to make them.
+ * A target status can have several rules when different roles may reach it from different states.
+ */
+const TRANSITIONS = [
+  { to: 'accepted', from: ['pending'], roles: ['professional'] },
+  { to: 'en_route', from: ['accepted'], roles: ['professional'] },
+  // The system marks arrival when the professional's location enters the booking's geofence
+  { to: 'arrived', from: ['en_route'], roles: ['professional', 'system'] },
+  { to: 'in_progress', from: ['arrived'], roles: ['professional'] },
+  // Completing straight from arrived keeps apps that never report the start of work working
+  { to: 'completed', from: ['arrived', 'in_progress'], roles: ['professional'] },
+  { to: 'cancelled', from: ['pending', ...ACTIVE_STATUSES], roles: ['user', 'professional', 'admin', 'system'] },
+  // The professional reports the customer absent; support can record either party as a no-show
+  { to: 'no_show', from: ['arrived'], roles: ['professional'] },
+  { to: 'no_show', from: ACTIVE_STATUSES, roles: ['admin'] }
+];
+
+class BookingStateService {
+
+  getAllowedTransitions(status, role) {
+    return [...new Set(
+      TRANSITIONS
+        .filter(rule => rule.from.includes(status) && (!role || rule.roles.includes(role)))
+        .map(rule => rule.to)
+    )];
+  }
+
+  /**
+   * Throw unless `role` may move the booking from its current status to `to`
+   */
+  assertTransition(booking, to, role) {
+    const from = booking.status;
+
+    if (from === to) {
+      throw new Error(`Booking is already ${to}`);
+    }
+
+    const rules = TRANSITIONS.filter(rule => rule.to === to && rule.from.includes(from));
+    if (rules.length === 0) {
+      throw new Error(`Booking is ${from}, cannot move to ${to}`);
+    }
+
+    if (!rules.some(rule => rule.roles.includes(role))) {
+      throw new Error(`Not authorized: ${role} cannot move a booking from ${from} to ${to}`);
+    }
+  }
+
+  /**
+   * Validate and apply a status change, appending it to the booking timeline.
+   * The caller saves the booking, so the change joins the caller's transaction.
+   */
+  transition(booking, to, { actorId, role, location, note } = {}) {
+    this.assertTransition(booking, to, role);
+
+    const from = booking.status;
+    booking.status = to;
+    booking.timeline.push(this.buildEntry(from, to, { actorId, role, location, note }));
+
+    console.log(`🔀 [BOOKING-STATE] Booking ${booking._id}: ${from} → ${to} by ${role}${actorId ? ` ${actorId}` : ''}`);
+
+    return booking;
+  }
+
+  /**
+   * Record the creation of a new booking as the first timeline entry
+   */
+  start(booking, { actorId, role = 'user', location, note } = {}) {
+    booking.status = 'pending';
+    booking.timeline.push(this.buildEntry(null, 'pending', { actorId, role, location, note }));
+    return booking;
+  }
+
+  buildEntry(from, to, { actorId, role, location, note }) {
+    return {
+      fromStatus: from || undefined,
+      status: to,
+      actor: actorId || undefined,
+      actorModel: ROLE_MODEL_MAP[role],
+      actorRole: role,
+      location: this.normalizeLocation(location),
+      note,
+      createdAt: new Date()
+    };
+  }
+
+  /**
+   * Accept a GeoJSON point or a { latitude, longitude } pair
+   */
+  normalizeLocation(location) {
+    if (!location) return undefined;
+
+    if (Array.isArray(location.coordinates) && location.coordinates.length === 2) {
+      return { type: 'Point', coordinates: location.coordinates };
+    }
+
+    if (location.latitude !== undefined && location.longitude !== undefined) {
+      return {
+        type: 'Point',
+        coordinates: [parseFloat(location.longitude), parseFloat(location.latitude)]
+      };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Full status history of a booking, for the parties and for support
+   */
+  async getTimeline(bookingId, actorId, role) {
+    const booking = await Booking.findById(bookingId)
+      .select('user professional status timeline createdAt')
+      .populate('timeline.actor', 'name phone email');
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (role === 'user' && booking.user.toString() !== actorId.toString()) {
+      throw new Error('Not authorized to view this booking');
+    }
+
+    if (role === 'professional' &&
+        (!booking.professional || booking.professional.toString() !== actorId.toString())) {
+      throw new Error('Not authorized to view this booking');
+    }
+
+    return {
+      bookingId: booking._id,
+      status: booking.status,
+      allowedTransitions: this.getAllowedTransitions(booking.status, role),
+      timeline: booking.timeline
+    };
+  }
+}
+
+const bookingStateService = new BookingStateService();
+
+bookingStateService.BOOKING_STATUSES = BOOKING_STATUSES;
+bookingStateService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+bookingStateService.ON_SITE_STATUSES = ON_SITE_STATUSES;
+bookingStateService.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+module.exports = bookingStateService;
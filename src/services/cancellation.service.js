@@ -0,0 +1,307 @@
+// services/cancellation.service.js
+const mongoose = require('mongoose');
+const Booking = require('../models/booking.model');
+const Professional = require('../models/professional.model');
+const Payment = require('../models/payment.model');
+const ScheduleService = require('./schedule.service');
+const BookingStateService = require('./booking-state.service');
+const PricingService = require('./pricing.service');
+const config = require('../config/config');
+
+const ROLE_MODEL_MAP = {
+  user: 'User',
+  professional: 'Professional',
+  admin: 'Admin'
+};
+
+class CancellationService {
+
+  /**
+   * Work out which cancellation rule applies and the resulting fee.
+   * Only customers pay a fee; professional, admin and system cancellations are always free.
+   */
+  calculateCancellationFee(booking, role, now = new Date()) {
+    const policy = config.cancellation;
+    const amount = booking.totalAmount || 0;
+    const hoursBeforeScheduled = booking.scheduledDate
+      ? Math.round(((new Date(booking.scheduledDate) - now) / (1000 * 60 * 60)) * 100) / 100
+      : null;
+
+    let rule;
+    let feePercentage = 0;
+
+    if (role === 'professional') {
+      rule = 'professional_cancelled';
+    } else if (role === 'admin') {
+      rule = 'admin_cancelled';
+    } else if (role === 'system') {
+      rule = 'system_cancelled';
+    } else if (booking.status === 'pending') {
+      rule = 'before_acceptance';
+    } else if (booking.status === 'accepted') {
+      if (hoursBeforeScheduled !== null && hoursBeforeScheduled >= policy.freeWindowHours) {
+        rule = 'accepted_outside_window';
+      } else {
+        rule = 'accepted_within_window';
+        feePercentage = policy.lateCancellationPercent;
+      }
+    } else if (booking.status === 'en_route' ||
+               (booking.status === 'in_progress' && !booking.tracking?.arrivedAt)) {
+      rule = 'en_route';
+      feePercentage = policy.enRoutePercent;
+    } else {
+      rule = 'arrived';
+      feePercentage = policy.arrivedPercent;
+    }
+
+    let fee = 0;
+    if (feePercentage > 0 && amount > 0) {
+      fee = Math.max(policy.minimumFee, (amount * feePercentage) / 100);
+      fee = Math.round(Math.min(fee, amount) * 100) / 100;
+    }
+
+    return {
+      rule,
+      feePercentage,
+      fee,
+      hoursBeforeScheduled,
+      refundableAmount: Math.round((amount - fee) * 100) / 100
+    };
+  }
+
+  /**
+   * Check that the caller is a party to the booking and that it can still be cancelled
+   */
+  assertCancellable(booking, actorId, role) {
+    if (BookingStateService.TERMINAL_STATUSES.includes(booking.status)) {
+      throw new Error(`Booking is already ${booking.status}, cannot cancel`);
+    }
+
+    BookingStateService.assertTransition(booking, 'cancelled', role);
+
+    if (role === 'user' && booking.user.toString() !== actorId.toString()) {
+      throw new Error('Not authorized to cancel this booking');
+    }
+
+    if (role === 'professional' &&
+        (!booking.professional || booking.professional.toString() !== actorId.toString())) {
+      throw new Error('Not authorized to cancel this booking');
+    }
+  }
+
+  /**
+   * Preview the fee a cancellation would incur without changing anything
+   */
+  async getCancellationQuote(bookingId, actorId, role) {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    this.assertCancellable(booking, actorId, role);
+
+    return {
+      bookingId: booking._id,
+      status: booking.status,
+      totalAmount: booking.totalAmount,
+      ...this.calculateCancellationFee(booking, role)
+    };
+  }
+
+  /**
+   * Cancel a booking, release the professional, refund any captured payment and notify the other party
+   */
+  async cancelBooking(bookingId, actorId, role, reason) {
+    console.log(`🛑 [CANCELLATION-SERVICE] ${role} ${actorId} cancelling booking ${bookingId}`);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let booking;
+    let quote;
+
+    try {
+      booking = await Booking.findById(bookingId).session(session);
+      if (!booking) {
+        throw new Error('Booking not found');
+      }
+
+      this.assertCancellable(booking, actorId, role);
+
+      quote = this.calculateCancellationFee(booking, role);
+
+      console.log('💰 [CANCELLATION-SERVICE] Cancellation quote:', quote);
+
+      BookingStateService.transition(booking, 'cancelled', { actorId, role, note: reason });
+      booking.cancelledAt = new Date();
+      booking.cancelledBy = actorId;
+      booking.cancelledByModel = ROLE_MODEL_MAP[role];
+      booking.cancellationReason = reason || '';
+      booking.cancellation = {
+        rule: quote.rule,
+        feePercentage: quote.feePercentage,
+        fee: quote.fee,
+        hoursBeforeScheduled: quote.hoursBeforeScheduled,
+        refundAmount: 0,
+        refundStatus: 'not_applicable'
+      };
+
+      if (booking.tracking) {
+        booking.tracking.isActive = false;
+        booking.tracking.liveTrackingEnabled = false;
+        booking.tracking.trackingEnded = new Date();
+      }
+
+      await booking.save({ session });
+
+      if (booking.professional) {
+        await Professional.findByIdAndUpdate(
+          booking.professional,
+          {
+            isAvailable: true,
+            $unset: { currentBooking: 1 }
+          },
+          { session }
+        );
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      console.error('❌ [CANCELLATION-SERVICE] Error cancelling booking:', error);
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    ScheduleService.updateAppointmentStatus(booking).catch(error => {
+      console.error('⚠️ [CANCELLATION-SERVICE] Schedule sync failed (non-critical):', error.message);
+    });
+
+    // An unpaid booking gives back its promo use and wallet credit; a paid one is refunded below
+    try {
+      await PricingService.releaseBooking(booking);
+    } catch (error) {
+      console.error('❌ [CANCELLATION-SERVICE] Releasing promo and wallet credit failed:', error);
+    }
+
+    await this.settlePayment(booking, quote);
+
+    setTimeout(() => {
+      this.notifyBookingCancelled(booking, role);
+    }, 100);
+
+    return booking;
+  }
+
+  /**
+   * Refund an already captured payment minus the cancellation fee.
+   * Cash payments cannot go back through the gateway; their refund only reverses commission pro rata.
+   */
+  async settlePayment(booking, quote) {
+    const payment = await Payment.findOne({
+      booking: booking._id,
+      status: { $in: ['completed', 'partially_refunded'] }
+    });
+
+    if (!payment) {
+      return booking;
+    }
+
+    const refundAmount = Math.round(Math.min(payment.refundableAmount, quote.refundableAmount) * 100) / 100;
+
+    booking.cancellation.payment = payment._id;
+    booking.cancellation.refundAmount = refundAmount;
+
+    if (refundAmount <= 0) {
+      await booking.save();
+      return booking;
+    }
+
+    try {
+      const PaymentService = require('./payment.service');
+      const { payment: refunded, refund } = await PaymentService.processRefund(
+        payment._id,
+        refundAmount,
+        `Booking cancelled (${quote.rule})`,
+        {},
+        { reasonCode: 'booking_cancelled' }
+      );
+
+      // Nothing left to collect from the professional once the whole commission is reversed
+      if (refunded.commissionStatus === 'pending' && refunded.netPlatformCommission <= 0 &&
+          refunded.paymentMethod === 'cash') {
+        refunded.commissionStatus = 'waived';
+        await refunded.save();
+      }
+
+      booking.cancellation.refundId = refund.gatewayRefundId || refund._id.toString();
+      booking.cancellation.refundStatus = refund.status;
+      booking.paymentStatus = refunded.status === 'refunded' ? 'refunded'
+        : refunded.status === 'partially_refunded' ? 'partially_refunded' : booking.paymentStatus;
+
+      console.log(`↩️ [CANCELLATION-SERVICE] Refund of ${refundAmount} ${refund.status} for booking ${booking._id}`);
+    } catch (error) {
+      console.error('❌ [CANCELLATION-SERVICE] Refund failed:', error);
+      booking.cancellation.refundStatus = 'failed';
+      booking.cancellation.refundError = error.message;
+    }
+
+    await booking.save();
+    return booking;
+  }
+
+  /**
+   * Notify the party that did not cancel over socket rooms and FCM
+   */
+  notifyBookingCancelled(booking, cancelledByRole) {
+    const cancellationData = {
+      bookingId: booking._id,
+      status: 'cancelled',
+      cancelledBy: cancelledByRole,
+      reason: booking.cancellationReason,
+      cancelledAt: booking.cancelledAt,
+      fee: booking.cancellation?.fee || 0,
+      refundAmount: booking.cancellation?.refundAmount || 0,
+      refundStatus: booking.cancellation?.refundStatus
+    };
+
+    const recipients = [];
+    if (cancelledByRole !== 'user') recipients.push(booking.user);
+    if (cancelledByRole !== 'professional' && booking.professional) recipients.push(booking.professional);
+
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      const io = EnhancedSocketService.getIO();
+
+      recipients.forEach(recipientId => {
+        io.to(`user:${recipientId}`).emit('booking_cancelled', cancellationData);
+      });
+
+      io.to(`booking:${booking._id}`).emit('booking_update', cancellationData);
+      io.to(`tracking:${booking._id}`).emit('tracking_session_ended', {
+        bookingId: booking._id,
+        reason: 'booking_cancelled'
+      });
+    } catch (error) {
+      console.error('[CANCELLATION-SERVICE] Error sending socket notifications:', error);
+    }
+
+    try {
+      const NotificationService = require('./notification.service');
+      recipients.forEach(recipientId => {
+        NotificationService.sendNotification(recipientId, 'BOOKING_CANCELLED', {
+          bookingId: booking._id,
+          cancelledBy: cancelledByRole,
+          reason: booking.cancellationReason
+        });
+      });
+    } catch (error) {
+      console.error('[CANCELLATION-SERVICE] Error sending push notifications:', error);
+    }
+
+    console.log(`[CANCELLATION-SERVICE] Cancellation notifications sent for ${booking._id}`);
+  }
+}
+
+module.exports = new CancellationService();
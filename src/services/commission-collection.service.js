@@ -0,0 +1,599 @@
+// services/commission-collection.service.js
+const mongoose = require('mongoose');
+const Payment = require('../models/payment.model');
+const Professional = require('../models/professional.model');
+const Booking = require('../models/booking.model');
+const Lease = require('../models/lease.model');
+const LedgerService = require('./ledger.service');
+const AuditService = require('./audit.service');
+const { ACTIVE_STATUSES } = require('./booking-state.service');
+const config = require('../config/config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+const SYSTEM_CONTEXT = { actorRole: 'system' };
+const DUNNING_LEASE = 'commission-dunning';
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Commission the professional owes on payments they collected themselves (cash, direct UPI)
+const pendingDuesQuery = (extra = {}) => ({
+  commissionStatus: 'pending',
+  commissionDueDate: { $ne: null },
+  status: { $in: DUE_PAYMENT_STATUSES },
+  ...extra
+});
+
+/**
+ * Collection of commission on cash jobs. A background job (start()) reminds professionals before
+ * and after the due date, charges late fees, settles overdue dues from what the platform owes the
+ * professional for online jobs, and keeps professionals with old dues off new jobs
+ * (commissionHold 'unavailable') or suspends them ('suspended'). Settling the overdue dues lifts
+ * the hold. Thresholds are in config.commissionCollection.
+ */
+class CommissionCollectionService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  // --- Dues ---
+
+  /**
+   * Whole days since the due date; negative before it
+   */
+  daysOverdue(dueDate, now = new Date()) {
+    return Math.floor((now.getTime() - new Date(dueDate).getTime()) / DAY_MS);
+  }
+
+  formatDue(payment, now = new Date()) {
+    return {
+      id: payment._id,
+      bookingId: payment.booking?._id || payment.booking,
+      paymentMethod: payment.paymentMethod,
+      commission: payment.netPlatformCommission,
+      lateFees: payment.commissionLateFeeTotal,
+      amount: payment.commissionOutstanding,
+      dueDate: payment.commissionDueDate,
+      isOverdue: now > new Date(payment.commissionDueDate),
+      daysOverdue: Math.max(0, this.daysOverdue(payment.commissionDueDate, now)),
+      paymentDate: payment.completedAt
+    };
+  }
+
+  /**
+   * What the platform owes the professional before their unpaid commission, which is how much
+   * of it can be offset
+   */
+  async getOffsetAvailable(professionalId) {
+    const balances = await LedgerService.getBalances(professionalId);
+    return Math.max(0, round(balances.balance + balances.commissionDue));
+  }
+
+  /**
+   * A professional's unpaid commission, oldest due first
+   */
+  async getCommissionDues(professionalId, now = new Date()) {
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      throw new Error('Invalid professional ID');
+    }
+
+    const [payments, professional, offsetAvailable] = await Promise.all([
+      Payment.find(pendingDuesQuery({ professional: professionalId })).sort({ commissionDueDate: 1 }),
+      Professional.findById(professionalId).select('name employeeId phone status isAvailable commissionHold').lean(),
+      this.getOffsetAvailable(professionalId)
+    ]);
+    if (!professional) {
+      throw new Error('Professional not found');
+    }
+
+    const dues = payments.map(payment => this.formatDue(payment, now));
+    const overdue = dues.filter(due => due.isOverdue);
+    const sum = (rows, key) => round(rows.reduce((total, row) => total + row[key], 0));
+
+    return {
+      professional: {
+        id: professional._id,
+        name: professional.name,
+        employeeId: professional.employeeId,
+        status: professional.status,
+        isAvailable: professional.isAvailable
+      },
+      totalCommissionDue: sum(dues, 'amount'),
+      overdueAmount: sum(overdue, 'amount'),
+      lateFees: sum(dues, 'lateFees'),
+      pendingPayments: dues.length,
+      overduePayments: overdue.length,
+      oldestDueDate: dues[0]?.dueDate || null,
+      maxDaysOverdue: overdue.length ? overdue[0].daysOverdue : 0,
+      offsetAvailable,
+      hold: professional.commissionHold?.level ? professional.commissionHold : null,
+      dues
+    };
+  }
+
+  /**
+   * Dues across all professionals for the admin dashboard: totals, ageing buckets and one row
+   * per professional, most overdue first
+   */
+  async getDuesDashboard({ overdueOnly, hold, page = 1, limit = 50 } = {}, now = new Date()) {
+    if (hold && !['unavailable', 'suspended', 'none'].includes(hold)) {
+      throw new Error('Invalid hold filter, expected unavailable, suspended or none');
+    }
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const outstanding = {
+      $add: [
+        { $subtract: ['$platformCommission', { $ifNull: ['$reversedCommission', 0] }] },
+        { $sum: { $ifNull: ['$commissionLateFees.amount', []] } }
+      ]
+    };
+    const daysOverdue = {
+      $floor: { $divide: [{ $subtract: [now, '$commissionDueDate'] }, DAY_MS] }
+    };
+
+    const [summary] = await Payment.aggregate([
+      { $match: pendingDuesQuery() },
+      { $project: { professional: 1, outstanding, daysOverdue, lateFees: { $sum: { $ifNull: ['$commissionLateFees.amount', []] } } } },
+      {
+        $facet: {
+          totals: [{
+            $group: {
+              _id: null,
+              totalDue: { $sum: '$outstanding' },
+              overdueAmount: { $sum: { $cond: [{ $gte: ['$daysOverdue', 0] }, '$outstanding', 0] } },
+              lateFees: { $sum: '$lateFees' },
+              payments: { $sum: 1 }
+            }
+          }],
+          ageing: [{
+            $bucket: {
+              groupBy: '$daysOverdue',
+              boundaries: [Number.MIN_SAFE_INTEGER, 0, 8, 31],
+              default: 'over_30',
+              output: { amount: { $sum: '$outstanding' }, payments: { $sum: 1 } }
+            }
+          }],
+          professionals: [{
+            $group: {
+              _id: '$professional',
+              totalDue: { $sum: '$outstanding' },
+              overdueAmount: { $sum: { $cond: [{ $gte: ['$daysOverdue', 0] }, '$outstanding', 0] } },
+              lateFees: { $sum: '$lateFees' },
+              payments: { $sum: 1 },
+              maxDaysOverdue: { $max: '$daysOverdue' }
+            }
+          }]
+        }
+      }
+    ]);
+
+    const holds = await Professional.find({ 'commissionHold.level': { $exists: true } })
+      .select('commissionHold')
+      .lean();
+    const holdByProfessional = new Map(holds.map(professional => [professional._id.toString(), professional.commissionHold]));
+
+    let rows = summary.professionals
+      .map(row => ({
+        professional: row._id,
+        totalDue: round(row.totalDue),
+        overdueAmount: round(row.overdueAmount),
+        lateFees: round(row.lateFees),
+        payments: row.payments,
+        maxDaysOverdue: Math.max(0, row.maxDaysOverdue),
+        hold: holdByProfessional.get(row._id.toString()) || null
+      }))
+      .filter(row => !overdueOnly || row.overdueAmount > 0)
+      .filter(row => !hold || (hold === 'none' ? !row.hold : row.hold?.level === hold))
+      .sort((a, b) => b.maxDaysOverdue - a.maxDaysOverdue || b.overdueAmount - a.overdueAmount);
+
+    const total = rows.length;
+    rows = rows.slice((page - 1) * limit, page * limit);
+
+    const professionals = await Professional.find({ _id: { $in: rows.map(row => row.professional) } })
+      .select('name employeeId phone status isAvailable')
+      .lean();
+    const professionalById = new Map(professionals.map(professional => [professional._id.toString(), professional]));
+
+    const bucketLabels = { [Number.MIN_SAFE_INTEGER]: 'not_due', 0: 'days_0_7', 8: 'days_8_30', over_30: 'over_30' };
+    const [totals] = summary.totals;
+
+    return {
+      generatedAt: now,
+      totals: {
+        totalDue: round(totals?.totalDue),
+        overdueAmount: round(totals?.overdueAmount),
+        lateFees: round(totals?.lateFees),
+        payments: totals?.payments || 0,
+        professionals: summary.professionals.length,
+        onHold: {
+          unavailable: holds.filter(professional => professional.commissionHold.level === 'unavailable').length,
+          suspended: holds.filter(professional => professional.commissionHold.level === 'suspended').length
+        }
+      },
+      ageing: Object.fromEntries(summary.ageing.map(bucket => [
+        bucketLabels[bucket._id],
+        { amount: round(bucket.amount), payments: bucket.payments }
+      ])),
+      professionals: rows.map(row => {
+        const professional = professionalById.get(row.professional.toString());
+        return {
+          ...row,
+          name: professional?.name,
+          employeeId: professional?.employeeId,
+          phone: professional?.phone,
+          status: professional?.status,
+          isAvailable: professional?.isAvailable
+        };
+      }),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // --- Settlement ---
+
+  /**
+   * Mark dues collected, oldest first. Offsets only settle whole payments that the professional's
+   * online earnings cover. Returns what was settled.
+   */
+  async settleDues(professionalId, { method = 'direct', paymentIds, overdueOnly = false } = {}, context = SYSTEM_CONTEXT, now = new Date()) {
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      throw new Error('Invalid professional ID');
+    }
+    if (!['direct', 'offset'].includes(method)) {
+      throw new Error('Invalid settlement method, expected direct or offset');
+    }
+
+    const query = pendingDuesQuery({ professional: professionalId });
+    if (paymentIds) {
+      query._id = { $in: paymentIds };
+    }
+    if (overdueOnly) {
+      query.commissionDueDate = { $lt: now };
+    }
+
+    const payments = await Payment.find(query).sort({ commissionDueDate: 1 });
+    let remaining = method === 'offset' ? await this.getOffsetAvailable(professionalId) : Infinity;
+    const settled = [];
+
+    for (const payment of payments) {
+      const amount = payment.commissionOutstanding;
+      if (method === 'offset' && amount > remaining) continue;
+
+      payment.commissionStatus = 'collected';
+      payment.commissionCollectionMethod = method;
+      payment.commissionCollectedAt = now;
+      await payment.save();
+
+      remaining = round(remaining - amount);
+      settled.push({ id: payment._id, bookingId: payment.booking, amount });
+    }
+
+    const amount = round(settled.reduce((sum, due) => sum + due.amount, 0));
+
+    if (settled.length) {
+      console.log(`💸 [COMMISSION-COLLECTION] Settled ₹${amount} for professional ${professionalId} (${method})`);
+      await AuditService.record({
+        action: `commission.settle_${method}`,
+        target: { type: 'Professional', id: professionalId },
+        metadata: { amount, payments: settled.map(due => due.id) },
+        context
+      });
+      await this.reviewHold(professionalId, context, now);
+    }
+
+    return { method, settled, amount };
+  }
+
+  // --- Dunning ---
+
+  /**
+   * Late fees a payment should have been charged by `now`: the first once lateFeeAfterDays
+   * overdue, then one every lateFeeRepeatDays, up to lateFeeMaxCharges
+   */
+  lateFeesDue(payment, now = new Date()) {
+    const { lateFeeFlat, lateFeePercent, lateFeeAfterDays, lateFeeRepeatDays, lateFeeMaxCharges } = config.commissionCollection;
+    const amount = round(lateFeeFlat + payment.netPlatformCommission * lateFeePercent / 100);
+    const days = this.daysOverdue(payment.commissionDueDate, now);
+
+    if (amount <= 0 || payment.netPlatformCommission <= 0 || days < lateFeeAfterDays) {
+      return 0;
+    }
+
+    const charges = lateFeeRepeatDays > 0 ? 1 + Math.floor((days - lateFeeAfterDays) / lateFeeRepeatDays) : 1;
+    return Math.max(0, Math.min(charges, lateFeeMaxCharges) - (payment.commissionLateFees || []).length);
+  }
+
+  async chargeLateFees(payment, now = new Date()) {
+    const count = this.lateFeesDue(payment, now);
+    if (count === 0) return 0;
+
+    const { lateFeeFlat, lateFeePercent } = config.commissionCollection;
+    const amount = round(lateFeeFlat + payment.netPlatformCommission * lateFeePercent / 100);
+    const charged = (payment.commissionLateFees || []).length;
+
+    // Each fee is claimed by its position, so a fee another instance charged first is not pushed again
+    let claimed = 0;
+    while (claimed < count) {
+      const result = await Payment.updateOne(
+        { _id: payment._id, [`commissionLateFees.${charged + claimed}`]: { $exists: false } },
+        { $push: { commissionLateFees: { amount, chargedAt: now } } }
+      );
+      if (result.modifiedCount === 0) break;
+      claimed++;
+    }
+    if (claimed === 0) return 0;
+
+    // Not saved through the document, so post the fees to the ledger here
+    try {
+      await LedgerService.syncPayment(await Payment.findById(payment._id));
+    } catch (error) {
+      console.error(`🚨 [LEDGER] Failed to post late fees of payment ${payment._id}:`, error.message);
+    }
+
+    console.log(`⏰ [COMMISSION-COLLECTION] Late fee ₹${round(amount * claimed)} on payment ${payment._id}`);
+    return round(amount * claimed);
+  }
+
+  /**
+   * The reminder offset a payment has reached and not been reminded about. Missed earlier
+   * offsets are skipped, so a professional gets one reminder per run at most.
+   */
+  reminderDue(payment, now = new Date()) {
+    const days = this.daysOverdue(payment.commissionDueDate, now);
+    const reached = config.commissionCollection.reminderOffsetsDays.filter(offset => days >= offset);
+    if (reached.length === 0) return null;
+
+    const latest = Math.max(...reached);
+    const sent = (payment.commissionReminders || []).map(reminder => reminder.offsetDays);
+    return sent.length && Math.max(...sent) >= latest ? null : latest;
+  }
+
+  reminderMessage(dues, overdue) {
+    const appName = config.appName || 'Service Platform';
+    if (overdue) {
+      return `${appName}: commission of ₹${dues.overdueAmount} is overdue since ${new Date(dues.oldestDueDate).toLocaleDateString('en-IN')}` +
+        (dues.lateFees > 0 ? `, including ₹${dues.lateFees} late fees` : '') +
+        '. Please pay it in the app to keep receiving jobs.';
+    }
+    return `${appName}: commission of ₹${dues.totalCommissionDue} is due by ${new Date(dues.oldestDueDate).toLocaleDateString('en-IN')}. Please pay it in the app.`;
+  }
+
+  /**
+   * One reminder covering all of the professional's dues: push always, SMS once overdue. Each
+   * payment's offset is claimed before sending, and nothing is sent when another run claimed them
+   * all. Returns the channels used, or null when nothing was sent.
+   */
+  async sendReminder(professional, dues, payments, now = new Date()) {
+    const claimed = [];
+    for (const { payment, offsetDays } of payments) {
+      const result = await Payment.updateOne(
+        { _id: payment._id, 'commissionReminders.offsetDays': { $not: { $gte: offsetDays } } },
+        { $push: { commissionReminders: { offsetDays, channels: [], sentAt: now } } }
+      );
+      if (result.modifiedCount > 0) claimed.push({ payment, offsetDays });
+    }
+    if (claimed.length === 0) return null;
+
+    const overdue = dues.overdueAmount > 0;
+    const channels = [];
+
+    try {
+      const NotificationService = require('./notification.service');
+      const sent = await NotificationService.sendNotification(professional._id, overdue ? 'COMMISSION_OVERDUE' : 'COMMISSION_DUE', {
+        amount: overdue ? dues.overdueAmount : dues.totalCommissionDue,
+        dueDate: dues.oldestDueDate,
+        lateFees: dues.lateFees
+      });
+      if (sent !== false) channels.push('push');
+    } catch (error) {
+      console.error('[COMMISSION-COLLECTION] Error sending reminder push notification:', error.message);
+    }
+
+    if (overdue && config.commissionCollection.smsReminders && professional.phone) {
+      try {
+        const SMSService = require('./sms.service');
+        await new SMSService().sendSMS(professional.phone, this.reminderMessage(dues, overdue));
+        channels.push('sms');
+      } catch (error) {
+        console.error('[COMMISSION-COLLECTION] Error sending reminder SMS:', error.message);
+      }
+    }
+
+    for (const { payment, offsetDays } of claimed) {
+      await Payment.updateOne(
+        { _id: payment._id, 'commissionReminders.offsetDays': offsetDays },
+        { $set: { 'commissionReminders.$.channels': channels } }
+      );
+    }
+
+    console.log(`📨 [COMMISSION-COLLECTION] Reminded professional ${professional._id} (${channels.join(', ') || 'no channel'})`);
+    return channels;
+  }
+
+  /**
+   * Hold the professional's dues call for: none, off new jobs, or suspended, by how overdue the
+   * oldest unpaid commission is
+   */
+  holdLevel(maxDaysOverdue) {
+    const { unavailableAfterDays, suspendAfterDays } = config.commissionCollection;
+    if (suspendAfterDays > 0 && maxDaysOverdue >= suspendAfterDays) return 'suspended';
+    if (unavailableAfterDays > 0 && maxDaysOverdue >= unavailableAfterDays) return 'unavailable';
+    return null;
+  }
+
+  /**
+   * Apply, change or lift the professional's commission hold to match their dues. Suspension
+   * waits while the professional is on a job, since a suspended account cannot finish it.
+   */
+  async reviewHold(professionalId, context = SYSTEM_CONTEXT, now = new Date()) {
+    const dues = await this.getCommissionDues(professionalId, now);
+    const professional = await Professional.findById(professionalId).select('name phone status isAvailable commissionHold');
+    const current = professional.commissionHold?.level || null;
+    let level = this.holdLevel(dues.overduePayments ? dues.maxDaysOverdue : -1);
+
+    if (level === 'suspended' && current !== 'suspended' &&
+        await Booking.exists({ professional: professionalId, status: { $in: ACTIVE_STATUSES } })) {
+      level = 'unavailable';
+    }
+
+    if (level === current) {
+      if (level && professional.isAvailable) {
+        await Professional.updateOne({ _id: professionalId }, { $set: { isAvailable: false } });
+      }
+      return level;
+    }
+
+    const update = {};
+    if (level) {
+      update.$set = {
+        isAvailable: false,
+        'commissionHold.level': level,
+        'commissionHold.since': current ? professional.commissionHold.since : now,
+        'commissionHold.overdueAmount': dues.overdueAmount,
+        'commissionHold.oldestDueDate': dues.oldestDueDate
+      };
+      if (level === 'suspended') {
+        update.$set.status = 'suspended';
+        update.$set['commissionHold.previousStatus'] = professional.status;
+      } else if (current === 'suspended') {
+        update.$set.status = professional.commissionHold.previousStatus || 'verified';
+        update.$unset = { 'commissionHold.previousStatus': 1 };
+      }
+    } else {
+      update.$unset = { commissionHold: 1 };
+      if (current === 'suspended' && professional.status === 'suspended') {
+        update.$set = { status: professional.commissionHold.previousStatus || 'verified' };
+      }
+    }
+
+    await Professional.updateOne({ _id: professionalId }, update);
+
+    await AuditService.record({
+      action: level ? 'professional.commission_hold' : 'professional.commission_hold_lifted',
+      target: { type: 'Professional', id: professionalId },
+      metadata: { from: current, to: level, overdueAmount: dues.overdueAmount, maxDaysOverdue: dues.maxDaysOverdue },
+      context
+    });
+
+    try {
+      const NotificationService = require('./notification.service');
+      await NotificationService.sendNotification(professionalId, level ? 'COMMISSION_HOLD' : 'COMMISSION_HOLD_LIFTED', {
+        level,
+        amount: dues.overdueAmount
+      });
+    } catch (error) {
+      console.error('[COMMISSION-COLLECTION] Error sending hold notification:', error.message);
+    }
+
+    console.log(`🚦 [COMMISSION-COLLECTION] Professional ${professionalId} hold ${current || 'none'} -> ${level || 'none'}`);
+    return level;
+  }
+
+  /**
+   * One professional's dunning step: late fees, offset of overdue dues, a reminder if one is
+   * due, then the hold
+   */
+  async processProfessional(professionalId, now = new Date()) {
+    const result = { lateFees: 0, offset: 0, reminded: false, hold: null };
+
+    const payments = await Payment.find(pendingDuesQuery({ professional: professionalId })).sort({ commissionDueDate: 1 });
+    for (const payment of payments) {
+      result.lateFees = round(result.lateFees + await this.chargeLateFees(payment, now));
+    }
+
+    if (config.commissionCollection.autoOffset && payments.some(payment => payment.commissionDueDate < now)) {
+      const { amount } = await this.settleDues(professionalId, { method: 'offset', overdueOnly: true }, SYSTEM_CONTEXT, now);
+      result.offset = amount;
+    }
+
+    const remaining = await Payment.find(pendingDuesQuery({ professional: professionalId })).sort({ commissionDueDate: 1 });
+    const reminders = remaining
+      .map(payment => ({ payment, offsetDays: this.reminderDue(payment, now) }))
+      .filter(reminder => reminder.offsetDays !== null);
+
+    if (reminders.length) {
+      const professional = await Professional.findById(professionalId).select('phone').lean();
+      const dues = await this.getCommissionDues(professionalId, now);
+      result.reminded = Boolean(await this.sendReminder(professional, dues, reminders, now));
+    }
+
+    result.hold = await this.reviewHold(professionalId, SYSTEM_CONTEXT, now);
+    return result;
+  }
+
+  /**
+   * Dunning run over every professional with dues inside the reminder window or a hold to review.
+   * One instance runs at a time: the run holds a lease for up to a job interval.
+   */
+  async runDunning(now = new Date()) {
+    if (this.running) {
+      return null;
+    }
+    this.running = true;
+
+    const summary = { professionals: 0, lateFees: 0, offset: 0, reminders: 0, held: 0, failed: 0 };
+    let owner = null;
+
+    try {
+      owner = await Lease.acquire(DUNNING_LEASE, config.commissionCollection.jobIntervalMinutes * 60 * 1000);
+      if (!owner) {
+        return null;
+      }
+
+      const earliestOffset = Math.min(0, ...config.commissionCollection.reminderOffsetsDays);
+      const [withDues, withHolds] = await Promise.all([
+        Payment.distinct('professional', pendingDuesQuery({
+          commissionDueDate: { $lte: new Date(now.getTime() - earliestOffset * DAY_MS) }
+        })),
+        Professional.distinct('_id', { 'commissionHold.level': { $exists: true } })
+      ]);
+
+      const professionalIds = [...new Set([...withDues, ...withHolds].map(id => id.toString()))];
+
+      for (const professionalId of professionalIds) {
+        try {
+          const result = await this.processProfessional(professionalId, now);
+          summary.professionals++;
+          summary.lateFees = round(summary.lateFees + result.lateFees);
+          summary.offset = round(summary.offset + result.offset);
+          if (result.reminded) summary.reminders++;
+          if (result.hold) summary.held++;
+        } catch (error) {
+          summary.failed++;
+          console.error(`🚨 [COMMISSION-COLLECTION] Dunning failed for professional ${professionalId}:`, error.message);
+        }
+      }
+
+      console.log('📊 [COMMISSION-COLLECTION] Dunning run:', summary);
+      return summary;
+    } finally {
+      if (owner) await Lease.release(DUNNING_LEASE, owner);
+      this.running = false;
+    }
+  }
+
+  // --- Background job ---
+
+  start() {
+    if (this.timer || !config.commissionCollection.jobEnabled) {
+      return;
+    }
+
+    const run = () => this.runDunning().catch(error => {
+      console.error('🚨 [COMMISSION-COLLECTION] Dunning run failed:', error);
+    });
+
+    this.timer = setInterval(run, config.commissionCollection.jobIntervalMinutes * 60 * 1000);
+    this.timer.unref();
+    run();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new CommissionCollectionService();
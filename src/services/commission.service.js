@@ -0,0 +1,247 @@
+// services/commission.service.js
+const mongoose = require('mongoose');
+const CommissionRule = require('../models/commission-rule.model');
+const Booking = require('../models/booking.model');
+const Payment = require('../models/payment.model');
+const AuditService = require('./audit.service');
+const config = require('../config/config');
+
+const CONDITION_KEYS = ['categories', 'cities', 'tiers', 'paymentMethods', 'isEmergency'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Platform commission rules. A payment gets the rate of the best rule in effect that matches
+ * its booking; precedence is:
+ *   1. promotional rules over standard ones
+ *   2. higher priority
+ *   3. more specific (more conditions set)
+ *   4. most recent effectiveFrom
+ * When nothing matches, config.commission.defaultPercent applies.
+ */
+class CommissionService {
+
+  /**
+   * Facts about a booking that rules can match on. `at` decides which rules are in effect.
+   */
+  async getBookingContext(bookingOrId, paymentMethod, at = new Date()) {
+    const booking = await Booking.findById(bookingOrId?._id || bookingOrId)
+      .select('service professional isEmergency')
+      .populate('service', 'category')
+      .populate('professional', 'city tier')
+      .lean();
+
+    return {
+      category: booking?.service?.category,
+      city: booking?.professional?.city,
+      tier: booking?.professional?.tier || 'standard',
+      isEmergency: Boolean(booking?.isEmergency),
+      paymentMethod,
+      at
+    };
+  }
+
+  matches(rule, context) {
+    const conditions = rule.conditions || {};
+    const city = context.city?.trim().toLowerCase();
+
+    if (conditions.categories?.length && !conditions.categories.includes(context.category)) return false;
+    if (conditions.cities?.length && !conditions.cities.some(ruleCity => ruleCity.trim().toLowerCase() === city)) return false;
+    if (conditions.tiers?.length && !conditions.tiers.includes(context.tier)) return false;
+    if (conditions.paymentMethods?.length && !conditions.paymentMethods.includes(context.paymentMethod)) return false;
+    if (typeof conditions.isEmergency === 'boolean' && conditions.isEmergency !== Boolean(context.isEmergency)) return false;
+
+    return true;
+  }
+
+  specificity(rule) {
+    const conditions = rule.conditions || {};
+    return CONDITION_KEYS.filter(key => (
+      key === 'isEmergency' ? typeof conditions.isEmergency === 'boolean' : conditions[key]?.length > 0
+    )).length;
+  }
+
+  compareRules(a, b) {
+    return ((b.kind === 'promotional') - (a.kind === 'promotional')) ||
+      ((b.priority || 0) - (a.priority || 0)) ||
+      (this.specificity(b) - this.specificity(a)) ||
+      (new Date(b.effectiveFrom) - new Date(a.effectiveFrom));
+  }
+
+  inEffectQuery(at) {
+    return {
+      isActive: true,
+      effectiveFrom: { $lte: at },
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gt: at } }]
+    };
+  }
+
+  toSnapshot(rule) {
+    if (!rule) {
+      return {
+        name: 'Default commission',
+        kind: 'default',
+        ratePercent: config.commission.defaultPercent,
+        resolvedAt: new Date()
+      };
+    }
+
+    return {
+      rule: rule._id,
+      name: rule.name,
+      kind: rule.kind,
+      ratePercent: rule.ratePercent,
+      resolvedAt: new Date()
+    };
+  }
+
+  /**
+   * Commission rule snapshot (rule, name, kind, ratePercent) for a context from getBookingContext()
+   */
+  async resolve(context) {
+    const at = context.at || new Date();
+    const rules = await CommissionRule.find(this.inEffectQuery(at)).lean();
+    const [rule] = rules
+      .filter(candidate => this.matches(candidate, context))
+      .sort((a, b) => this.compareRules(a, b));
+
+    return this.toSnapshot(rule);
+  }
+
+  /**
+   * Promo discount and wallet credit a booking's payment gets, in the shape of Payment.discounts
+   */
+  bookingDiscounts(booking) {
+    return {
+      promo: booking?.pricing?.promo,
+      promoCode: booking?.pricing?.promoCode,
+      promoDiscount: round(booking?.pricing?.promoDiscount),
+      walletCredit: round(booking?.pricing?.walletCredit),
+      resolvedAt: new Date()
+    };
+  }
+
+  /**
+   * Payment breakdown for a booking under the rule that applies to it. Commission is charged on
+   * the amount after the booking's promo discount; wallet credit only changes how much of it is
+   * still due. The returned commissionRule and discounts are meant to be stored on the Payment
+   * as-is.
+   */
+  async calculateBreakdown(booking, { serviceAmount, additionalCharges = [], paymentMethod } = {}) {
+    const additionalAmount = additionalCharges.reduce((sum, charge) => sum + (charge.amount || 0), 0);
+    const grossAmount = round(serviceAmount + additionalAmount);
+
+    const discounts = this.bookingDiscounts(booking);
+    discounts.promoDiscount = Math.min(discounts.promoDiscount, grossAmount);
+    const totalAmount = round(grossAmount - discounts.promoDiscount);
+    discounts.walletCredit = Math.min(discounts.walletCredit, totalAmount);
+
+    const commissionRule = await this.resolve(await this.getBookingContext(booking, paymentMethod));
+    const platformCommission = round(totalAmount * commissionRule.ratePercent / 100);
+
+    return {
+      serviceAmount: round(serviceAmount),
+      additionalAmount: round(additionalAmount),
+      grossAmount,
+      promoDiscount: discounts.promoDiscount,
+      totalAmount,
+      walletCredit: discounts.walletCredit,
+      amountDue: round(totalAmount - discounts.walletCredit),
+      platformCommission,
+      professionalPayout: round(totalAmount - platformCommission),
+      commissionRate: commissionRule.ratePercent / 100,
+      commissionRule,
+      discounts
+    };
+  }
+
+  // --- Rule management ---
+
+  async listRules({ status, kind } = {}) {
+    const now = new Date();
+    const query = {};
+
+    if (kind) query.kind = kind;
+    if (status === 'active') Object.assign(query, this.inEffectQuery(now));
+    if (status === 'scheduled') Object.assign(query, { isActive: true, effectiveFrom: { $gt: now } });
+    if (status === 'expired') query.effectiveTo = { $lte: now };
+    if (status === 'disabled') query.isActive = false;
+
+    const rules = await CommissionRule.find(query).lean();
+    return rules.sort((a, b) => this.compareRules(a, b));
+  }
+
+  async getRule(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid commission rule ID');
+    }
+
+    const rule = await CommissionRule.findById(id);
+    if (!rule) {
+      throw new Error('Commission rule not found');
+    }
+    return rule;
+  }
+
+  async createRule(data, adminId, auditContext = {}) {
+    const rule = await CommissionRule.create({ ...data, createdBy: adminId, updatedBy: adminId });
+
+    await AuditService.record({
+      action: 'commission_rule.create',
+      target: { type: 'CommissionRule', id: rule._id },
+      before: null,
+      after: rule,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    console.log(`💹 [COMMISSION-SERVICE] Rule "${rule.name}" created at ${rule.ratePercent}%`);
+    return rule;
+  }
+
+  /**
+   * Payments keep their own snapshot, so editing a rule only affects payments created afterwards
+   */
+  async updateRule(id, data, adminId, auditContext = {}) {
+    const rule = await this.getRule(id);
+    const before = rule.toObject();
+
+    rule.set({ ...data, updatedBy: adminId });
+    await rule.save();
+
+    await AuditService.record({
+      action: 'commission_rule.update',
+      target: { type: 'CommissionRule', id: rule._id },
+      before,
+      after: rule,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    return rule;
+  }
+
+  /**
+   * Rules already applied to a payment are kept for reference; end them with effectiveTo or
+   * isActive: false instead
+   */
+  async deleteRule(id, adminId, auditContext = {}) {
+    const rule = await this.getRule(id);
+
+    if (await Payment.exists({ 'commissionRule.rule': rule._id })) {
+      throw new Error('Commission rule has been applied to payments and cannot be deleted; disable it instead');
+    }
+
+    await rule.deleteOne();
+
+    await AuditService.record({
+      action: 'commission_rule.delete',
+      target: { type: 'CommissionRule', id: rule._id },
+      before: rule,
+      after: null,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    return rule;
+  }
+}
+
+module.exports = new CommissionService();
@@ -0,0 +1,429 @@
+// services/dispatch.service.js
+const Booking = require('../models/booking.model');
+const Professional = require('../models/professional.model');
+const MatchingService = require('./matching.service');
+const CancellationService = require('./cancellation.service');
+const EtaService = require('./eta.service');
+const ScheduleService = require('./schedule.service');
+const config = require('../config/config');
+
+// Pending offer timers keyed by booking ID
+const offerTimers = new Map();
+
+class DispatchService {
+
+  getRadiusWaves(booking) {
+    return booking.isEmergency
+      ? config.dispatch.emergencyRadiusWavesKm
+      : config.dispatch.radiusWavesKm;
+  }
+
+  /**
+   * Start offering a freshly created booking to professionals, best match first
+   */
+  async startDispatch(bookingId) {
+    console.log(`📡 [DISPATCH-SERVICE] Starting dispatch for booking ${bookingId}`);
+
+    await Booking.updateOne(
+      { _id: bookingId, status: 'pending' },
+      {
+        $set: {
+          'dispatch.status': 'searching',
+          'dispatch.wave': 0,
+          'dispatch.startedAt': new Date()
+        }
+      }
+    );
+
+    return this.offerNext(bookingId);
+  }
+
+  /**
+   * Offer the booking to the best remaining candidate, widening the radius wave by wave.
+   * When every wave is exhausted the booking is cancelled.
+   */
+  async offerNext(bookingId) {
+    const booking = await Booking.findById(bookingId).populate('service', 'name category estimatedDuration');
+    if (!booking || booking.status !== 'pending' || booking.dispatch?.currentOffer?.professional) {
+      return null;
+    }
+
+    const waves = this.getRadiusWaves(booking);
+    const attempted = booking.dispatch.attempts.map(attempt => attempt.professional);
+
+    for (let wave = booking.dispatch.wave || 0; wave < waves.length; wave++) {
+      const candidates = await this.rankCandidates(booking, waves[wave], attempted);
+
+      if (candidates.length > 0) {
+        return this.makeOffer(booking, candidates[0], wave, waves[wave]);
+      }
+
+      console.log(`🔭 [DISPATCH-SERVICE] No candidates within ${waves[wave]} km for booking ${bookingId}`);
+    }
+
+    return this.exhaustDispatch(booking);
+  }
+
+  /**
+   * Available professionals in the radius ranked by MatchingService score. For a booking holding
+   * a time slot, only those free at that time, the one holding it first.
+   */
+  async rankCandidates(booking, radiusKm, excludeIds = []) {
+    let professionals = await Professional.find({
+      _id: { $nin: excludeIds },
+      specializations: booking.service.category,
+      isAvailable: true,
+      status: 'verified',
+      'commissionHold.level': null,
+      currentLocation: {
+        $near: {
+          $geometry: {
+            type: 'Point',
+            coordinates: booking.location.coordinates
+          },
+          $maxDistance: radiusKm * 1000
+        }
+      }
+    }).limit(config.dispatch.candidatesPerWave);
+
+    const holderId = booking.slot?.professional?.toString();
+    if (holderId) {
+      professionals = await this.freeForSlot(booking, professionals);
+    }
+
+    const scored = await Promise.all(
+      professionals.map(async professional => ({
+        professional,
+        distance: Math.round(MatchingService.calculateDistance(
+          professional.currentLocation.coordinates,
+          booking.location.coordinates
+        ) * 100) / 100,
+        score: Math.round(await MatchingService.calculateMatchScore(
+          professional,
+          booking,
+          { maxDistanceKm: radiusKm }
+        ) * 100) / 100
+      }))
+    );
+
+    const isHolder = (candidate) => (candidate.professional._id.toString() === holderId ? 1 : 0);
+    return scored.sort((a, b) => (isHolder(b) - isHolder(a)) || (b.score - a.score));
+  }
+
+  async freeForSlot(booking, professionals) {
+    const free = await Promise.all(professionals.map(async professional => {
+      if (professional._id.equals(booking.slot.professional)) return true;
+
+      const availability = await ScheduleService.checkAvailability(
+        professional._id,
+        booking.scheduledDate,
+        booking.service?.estimatedDuration,
+        { excludeBookingId: booking._id }
+      );
+      return availability.available;
+    }));
+
+    return professionals.filter((professional, index) => free[index]);
+  }
+
+  /**
+   * Record the offer on the booking and start its accept timer.
+   * The update only applies while the booking is still pending with no open offer.
+   */
+  async makeOffer(booking, candidate, wave, radiusKm) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.dispatch.offerTimeoutSeconds * 1000);
+    const professionalId = candidate.professional._id;
+
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: 'pending',
+        'dispatch.currentOffer.professional': { $exists: false }
+      },
+      {
+        $set: {
+          'dispatch.status': 'offered',
+          'dispatch.wave': wave,
+          'dispatch.radiusKm': radiusKm,
+          'dispatch.currentOffer': { professional: professionalId, offeredAt: now, expiresAt }
+        },
+        $push: {
+          'dispatch.attempts': {
+            professional: professionalId,
+            wave,
+            radiusKm,
+            distance: candidate.distance,
+            score: candidate.score,
+            offeredAt: now,
+            outcome: 'offered'
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    console.log(`📨 [DISPATCH-SERVICE] Booking ${booking._id} offered to ${professionalId} (wave ${wave}, score ${candidate.score})`);
+
+    this.scheduleTimeout(booking._id, professionalId, expiresAt);
+    this.notifyOffer(booking, candidate, expiresAt);
+
+    return updated;
+  }
+
+  scheduleTimeout(bookingId, professionalId, expiresAt) {
+    this.clearTimer(bookingId);
+
+    const delay = Math.max(0, new Date(expiresAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      offerTimers.delete(bookingId.toString());
+      this.handleTimeout(bookingId, professionalId).catch(error => {
+        console.error('❌ [DISPATCH-SERVICE] Error handling offer timeout:', error);
+      });
+    }, delay);
+
+    offerTimers.set(bookingId.toString(), timer);
+  }
+
+  clearTimer(bookingId) {
+    const timer = offerTimers.get(bookingId.toString());
+    if (timer) {
+      clearTimeout(timer);
+      offerTimers.delete(bookingId.toString());
+    }
+  }
+
+  /**
+   * Close the open offer for a professional. Returns false if the offer was
+   * already accepted, declined or timed out.
+   */
+  async closeOffer(bookingId, professionalId, outcome, reason) {
+    const result = await Booking.updateOne(
+      {
+        _id: bookingId,
+        status: 'pending',
+        'dispatch.currentOffer.professional': professionalId
+      },
+      {
+        $set: {
+          'dispatch.status': 'searching',
+          'dispatch.attempts.$[attempt].outcome': outcome,
+          'dispatch.attempts.$[attempt].respondedAt': new Date(),
+          ...(reason && { 'dispatch.attempts.$[attempt].declineReason': reason })
+        },
+        $unset: { 'dispatch.currentOffer': 1 }
+      },
+      {
+        arrayFilters: [{ 'attempt.professional': professionalId, 'attempt.outcome': 'offered' }]
+      }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  async handleTimeout(bookingId, professionalId) {
+    const closed = await this.closeOffer(bookingId, professionalId, 'timeout');
+    if (!closed) return;
+
+    console.log(`⏰ [DISPATCH-SERVICE] Offer for booking ${bookingId} to ${professionalId} timed out`);
+
+    this.notifyOfferClosed(bookingId, professionalId, 'timeout');
+    await this.offerNext(bookingId);
+  }
+
+  /**
+   * Professional turns down the booking currently offered to them
+   */
+  async declineOffer(bookingId, professionalId, reason) {
+    console.log(`🙅 [DISPATCH-SERVICE] Professional ${professionalId} declining booking ${bookingId}`);
+
+    const booking = await Booking.findById(bookingId).select('status dispatch');
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    const closed = await this.closeOffer(bookingId, professionalId, 'declined', reason);
+    if (!closed) {
+      throw new Error('Not authorized: this booking is not currently offered to you');
+    }
+
+    this.clearTimer(bookingId);
+
+    setTimeout(() => {
+      this.offerNext(bookingId).catch(error => {
+        console.error('❌ [DISPATCH-SERVICE] Error offering booking to next professional:', error);
+      });
+    }, 100);
+
+    return { bookingId, declined: true };
+  }
+
+  /**
+   * Called from the accept transaction. Checks that the accepting professional holds the
+   * current offer and marks it accepted on the (unsaved) booking document.
+   * Bookings created before sequential dispatch have no dispatch status and are left alone.
+   */
+  markAccepted(booking, professionalId) {
+    if (!booking.dispatch?.status) return;
+
+    const offer = booking.dispatch.currentOffer;
+    if (!offer?.professional || offer.professional.toString() !== professionalId.toString()) {
+      throw new Error('Booking is not currently offered to you');
+    }
+
+    if (offer.expiresAt && offer.expiresAt < new Date()) {
+      throw new Error('Booking offer has already expired');
+    }
+
+    const attempt = booking.dispatch.attempts.find(item =>
+      item.professional.toString() === professionalId.toString() && item.outcome === 'offered'
+    );
+    if (attempt) {
+      attempt.outcome = 'accepted';
+      attempt.respondedAt = new Date();
+    }
+
+    booking.dispatch.status = 'assigned';
+    booking.dispatch.currentOffer = undefined;
+    booking.dispatch.endedAt = new Date();
+  }
+
+  /**
+   * No professional took the booking in any wave: cancel it so the customer is notified
+   */
+  async exhaustDispatch(booking) {
+    console.log(`🚫 [DISPATCH-SERVICE] No professional accepted booking ${booking._id}, cancelling`);
+
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'pending' },
+      { $set: { 'dispatch.status': 'exhausted', 'dispatch.endedAt': new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return null;
+    }
+
+    return CancellationService.cancelBooking(
+      booking._id,
+      null,
+      'system',
+      'No professional was available to accept your booking'
+    );
+  }
+
+  /**
+   * Re-arm offer timers after a restart. Offers that expired while the server was down time out immediately.
+   */
+  async resumeDispatches() {
+    const bookings = await Booking.find({
+      status: 'pending',
+      'dispatch.status': { $in: ['searching', 'offered'] }
+    }).select('dispatch');
+
+    for (const booking of bookings) {
+      const offer = booking.dispatch.currentOffer;
+      if (offer?.professional) {
+        this.scheduleTimeout(booking._id, offer.professional, offer.expiresAt);
+      } else {
+        this.offerNext(booking._id).catch(error => {
+          console.error('❌ [DISPATCH-SERVICE] Error resuming dispatch:', error);
+        });
+      }
+    }
+
+    console.log(`📡 [DISPATCH-SERVICE] Resumed dispatch for ${bookings.length} bookings`);
+  }
+
+  /**
+   * Time out offers past their expiry whose timer is gone, e.g. because the instance that made
+   * them stopped. closeOffer is conditional, so racing the owning instance's timer is harmless.
+   */
+  async sweepExpiredOffers() {
+    const bookings = await Booking.find({
+      status: 'pending',
+      'dispatch.currentOffer.expiresAt': { $lt: new Date() }
+    }).select('dispatch.currentOffer');
+
+    for (const booking of bookings) {
+      try {
+        await this.handleTimeout(booking._id, booking.dispatch.currentOffer.professional);
+      } catch (error) {
+        console.error(`❌ [DISPATCH-SERVICE] Error timing out offer for booking ${booking._id}:`, error);
+      }
+    }
+
+    return bookings.length;
+  }
+
+  // --- Background job ---
+
+  start() {
+    if (this.sweepTimer) {
+      return;
+    }
+
+    const run = () => this.sweepExpiredOffers().catch(error => {
+      console.error('❌ [DISPATCH-SERVICE] Offer sweep failed:', error);
+    });
+
+    this.sweepTimer = setInterval(run, config.dispatch.sweepIntervalSeconds * 1000);
+    this.sweepTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  notifyOffer(booking, candidate, expiresAt) {
+    const professionalId = candidate.professional._id;
+
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      const io = EnhancedSocketService.getIO();
+
+      io.to(`user:${professionalId}`).emit('new_booking_available', {
+        bookingId: booking._id,
+        service: booking.service,
+        location: booking.location,
+        scheduledDate: booking.scheduledDate,
+        totalAmount: booking.totalAmount,
+        isEmergency: booking.isEmergency,
+        distance: candidate.distance,
+        eta: EtaService.estimateFromDistance(candidate.distance),
+        offerExpiresAt: expiresAt,
+        offerTimeoutSeconds: config.dispatch.offerTimeoutSeconds
+      });
+    } catch (error) {
+      console.error('[DISPATCH-SERVICE] Error sending offer over socket:', error);
+    }
+
+    try {
+      const NotificationService = require('./notification.service');
+      NotificationService.sendNotification(professionalId, 'NEW_BOOKING_REQUEST', {
+        bookingId: booking._id,
+        serviceName: booking.service?.name,
+        offerExpiresAt: expiresAt
+      });
+    } catch (error) {
+      console.error('[DISPATCH-SERVICE] Error sending offer push notification:', error);
+    }
+  }
+
+  notifyOfferClosed(bookingId, professionalId, reason) {
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      const io = EnhancedSocketService.getIO();
+
+      io.to(`user:${professionalId}`).emit('booking_offer_closed', { bookingId, reason });
+    } catch (error) {
+      console.error('[DISPATCH-SERVICE] Error sending offer closed notification:', error);
+    }
+  }
+}
+
+module.exports = new DispatchService();
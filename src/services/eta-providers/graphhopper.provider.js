@@ -0,0 +1,45 @@
+// services/eta-providers/graphhopper.provider.js
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Road travel time from a GraphHopper server or the hosted GraphHopper API (with a key)
+ */
+class GraphHopperEtaProvider {
+  constructor() {
+    this.name = 'graphhopper';
+  }
+
+  isConfigured() {
+    return Boolean(config.eta.routingUrl);
+  }
+
+  /**
+   * Driving time between two [longitude, latitude] points. Resolves to { seconds, meters }.
+   */
+  async route(from, to) {
+    // GraphHopper takes repeated point=lat,lng parameters
+    const params = new URLSearchParams([
+      ['point', `${from[1]},${from[0]}`],
+      ['point', `${to[1]},${to[0]}`],
+      ['profile', config.eta.routingProfile || 'car'],
+      ['calc_points', 'false']
+    ]);
+    if (config.eta.routingApiKey) {
+      params.append('key', config.eta.routingApiKey);
+    }
+
+    const response = await axios.get(`${config.eta.routingUrl.replace(/\/$/, '')}/route?${params}`, {
+      timeout: config.eta.routingTimeoutMs
+    });
+
+    const path = response.data?.paths?.[0];
+    if (!path) {
+      throw new Error(`GraphHopper returned ${response.data?.message || 'no route'}`);
+    }
+
+    return { seconds: path.time / 1000, meters: path.distance };
+  }
+}
+
+module.exports = GraphHopperEtaProvider;
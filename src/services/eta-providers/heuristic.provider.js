@@ -0,0 +1,105 @@
+// services/eta-providers/heuristic.provider.js
+const Booking = require('../../models/booking.model');
+const GeospatialService = require('../geospatial.service');
+const config = require('../../config/config');
+
+/**
+ * Travel time without a routing server: the straight-line distance times a detour factor, at
+ * the speed professionals have averaged on their way to bookings at that hour of day. The
+ * hourly speeds come from the travel recorded on arrival (services/location-history.service.js)
+ * and are reloaded in the background, so estimates never wait on the database.
+ */
+class HeuristicEtaProvider {
+  constructor() {
+    this.name = 'heuristic';
+    this.hourlySpeeds = {};
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  localHour(date) {
+    return parseInt(new Intl.DateTimeFormat('en-US', {
+      timeZone: config.eta.timezone,
+      hour: '2-digit',
+      hourCycle: 'h23'
+    }).format(date));
+  }
+
+  /**
+   * Average km/h per hour of setting off, over trips that arrived in the last historyDays
+   */
+  async loadSpeeds() {
+    const { historyDays, minTrips, timezone } = config.eta;
+    const since = new Date(Date.now() - historyDays * 24 * 60 * 60 * 1000);
+
+    const rows = await Booking.aggregate([
+      {
+        $match: {
+          'tracking.arrivedAt': { $gte: since },
+          'tracking.startedAt': { $ne: null },
+          'tracking.distanceTravelled': { $gt: 0 },
+          'tracking.totalTravelTime': { $gt: 0 }
+        }
+      },
+      {
+        $group: {
+          _id: { $hour: { date: '$tracking.startedAt', timezone } },
+          distanceKm: { $sum: '$tracking.distanceTravelled' },
+          minutes: { $sum: '$tracking.totalTravelTime' },
+          trips: { $sum: 1 }
+        }
+      }
+    ]);
+
+    this.hourlySpeeds = Object.fromEntries(rows
+      .filter(row => row.trips >= minTrips)
+      .map(row => [row._id, row.distanceKm / (row.minutes / 60)]));
+    return this.hourlySpeeds;
+  }
+
+  /**
+   * Reload the hourly speeds once they are older than historyRefreshMinutes. Never rejects; on
+   * failure the speeds already loaded stay in use until the next refresh is due.
+   */
+  refreshSpeeds() {
+    if (this.loading) return this.loading;
+    if (Date.now() - this.loadedAt < config.eta.historyRefreshMinutes * 60 * 1000) {
+      return Promise.resolve(this.hourlySpeeds);
+    }
+
+    this.loadedAt = Date.now();
+    this.loading = this.loadSpeeds()
+      .catch(error => {
+        console.error('⚠️ [ETA] Historical speeds not loaded:', error.message);
+        return this.hourlySpeeds;
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+    return this.loading;
+  }
+
+  speedAt(at = new Date()) {
+    this.refreshSpeeds();
+    return this.hourlySpeeds[this.localHour(at)] || config.eta.defaultSpeedKmh;
+  }
+
+  /**
+   * Travel time for a straight-line distance, setting off at `at`. Returns { seconds, meters }.
+   */
+  estimate(distanceKm, at = new Date()) {
+    const roadKm = distanceKm * config.eta.detourFactor;
+    return { seconds: (roadKm / this.speedAt(at)) * 3600, meters: roadKm * 1000 };
+  }
+
+  async route(from, to, { at } = {}) {
+    const distanceKm = GeospatialService.calculateDistance(from[1], from[0], to[1], to[0]);
+    return this.estimate(distanceKm, at);
+  }
+}
+
+module.exports = HeuristicEtaProvider;
@@ -0,0 +1,39 @@
+// services/eta-providers/osrm.provider.js
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Road travel time from an OSRM server (or anything answering its /route/v1 API)
+ */
+class OsrmEtaProvider {
+  constructor() {
+    this.name = 'osrm';
+  }
+
+  isConfigured() {
+    return Boolean(config.eta.routingUrl);
+  }
+
+  /**
+   * Driving time between two [longitude, latitude] points. Resolves to { seconds, meters }.
+   */
+  async route(from, to) {
+    const profile = config.eta.routingProfile || 'driving';
+    const response = await axios.get(
+      `${config.eta.routingUrl.replace(/\/$/, '')}/route/v1/${profile}/${from.join(',')};${to.join(',')}`,
+      {
+        params: { overview: 'false', alternatives: 'false', steps: 'false' },
+        timeout: config.eta.routingTimeoutMs
+      }
+    );
+
+    const route = response.data?.routes?.[0];
+    if (response.data?.code !== 'Ok' || !route) {
+      throw new Error(`OSRM returned ${response.data?.code || 'no route'}`);
+    }
+
+    return { seconds: route.duration, meters: route.distance };
+  }
+}
+
+module.exports = OsrmEtaProvider;
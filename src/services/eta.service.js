@@ -0,0 +1,183 @@
+// services/eta.service.js
+const Booking = require('../models/booking.model');
+const OsrmEtaProvider = require('./eta-providers/osrm.provider');
+const GraphHopperEtaProvider = require('./eta-providers/graphhopper.provider');
+const HeuristicEtaProvider = require('./eta-providers/heuristic.provider');
+const GeospatialService = require('./geospatial.service');
+const config = require('../config/config');
+
+const providers = {
+  osrm: new OsrmEtaProvider(),
+  graphhopper: new GraphHopperEtaProvider(),
+  heuristic: new HeuristicEtaProvider()
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const toMinutes = (seconds) => (seconds > 0 ? Math.max(1, Math.round(seconds / 60)) : 0);
+
+/**
+ * Single place travel times are estimated. The configured routing provider is asked first and
+ * the heuristic answers when it is not set up or fails. Location updates go through refresh(),
+ * which throttles recalculation per booking and tells the customer when the expected arrival
+ * moves by a lot.
+ */
+class EtaService {
+
+  getProvider(name) {
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Unknown ETA provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * The configured provider first, then the heuristic. A provider without a routing URL is skipped.
+   */
+  getProviderChain() {
+    return [...new Set([config.eta.provider, 'heuristic'])]
+      .map(name => this.getProvider(name))
+      .filter(provider => provider.isConfigured());
+  }
+
+  /**
+   * Travel time between two [longitude, latitude] points, setting off at `at`.
+   * Resolves to { minutes, distanceKm, provider }; distanceKm is along the road.
+   */
+  async estimate(from, to, { at = new Date() } = {}) {
+    let lastError;
+    for (const provider of this.getProviderChain()) {
+      try {
+        const { seconds, meters } = await provider.route(from, to, { at });
+        return { minutes: toMinutes(seconds), distanceKm: round(meters / 1000), provider: provider.name };
+      } catch (error) {
+        console.error(`⚠️ [ETA] ${provider.name} provider failed:`, error.message);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  /**
+   * Minutes to cover a straight-line distance, from the heuristic alone. For lists and other
+   * places that cannot wait on a routing server.
+   */
+  estimateFromDistance(distanceKm, { at = new Date() } = {}) {
+    return toMinutes(providers.heuristic.estimate(distanceKm, at).seconds);
+  }
+
+  /**
+   * Put a fresh estimate from `origin` on the booking document. The caller saves it.
+   */
+  applyEstimate(booking, estimate, origin, at = new Date()) {
+    booking.tracking.eta = estimate.minutes;
+    booking.tracking.etaCalculatedAt = at;
+    booking.tracking.etaOrigin = origin;
+    booking.tracking.etaProvider = estimate.provider;
+    return booking;
+  }
+
+  /**
+   * ETA for a location update from the professional. It is worked out again once
+   * minRecalcSeconds have passed or the professional has moved minRecalcMeters since the last
+   * estimate; in between the last one stands. A new estimate is saved on the booking and, if it
+   * moves the expected arrival enough, pushed to the customer.
+   * Resolves to { eta, provider, recalculated }.
+   */
+  async refresh(booking, coordinates, { force = false } = {}) {
+    if (['arrived', 'in_progress'].includes(booking.status) || !booking.location?.coordinates) {
+      return { eta: 0, provider: null, recalculated: false };
+    }
+
+    const tracking = booking.tracking || {};
+    const now = new Date();
+
+    if (!force && tracking.eta != null && tracking.etaCalculatedAt && tracking.etaOrigin?.length === 2) {
+      const seconds = (now - tracking.etaCalculatedAt) / 1000;
+      const [originLongitude, originLatitude] = tracking.etaOrigin;
+      const movedMeters = GeospatialService.calculateDistance(
+        originLatitude, originLongitude, coordinates[1], coordinates[0]
+      ) * 1000;
+
+      if (seconds < config.eta.minRecalcSeconds && movedMeters < config.eta.minRecalcMeters) {
+        return { eta: tracking.eta, provider: tracking.etaProvider || null, recalculated: false };
+      }
+    }
+
+    const estimate = await this.estimate(coordinates, booking.location.coordinates, { at: now });
+    await Booking.updateOne({ _id: booking._id }, {
+      $set: {
+        'tracking.eta': estimate.minutes,
+        'tracking.etaCalculatedAt': now,
+        'tracking.etaOrigin': coordinates,
+        'tracking.etaProvider': estimate.provider
+      }
+    });
+
+    try {
+      await this.notifyIfChanged(booking, new Date(now.getTime() + estimate.minutes * 60 * 1000), estimate.minutes);
+    } catch (error) {
+      console.error('❌ [ETA] Error sending ETA change:', error.message);
+    }
+
+    return { eta: estimate.minutes, provider: estimate.provider, recalculated: true };
+  }
+
+  /**
+   * Tell the customer when the expected arrival is notifyChangeMinutes or more away from the
+   * one they were last given. Without one yet, the new arrival only becomes that baseline.
+   */
+  async notifyIfChanged(booking, arrival, eta) {
+    if (booking.status !== 'en_route') {
+      return false;
+    }
+
+    const previous = booking.tracking?.etaNotifiedArrival || null;
+    if (previous && Math.abs(arrival - previous) < config.eta.notifyChangeMinutes * 60 * 1000) {
+      return false;
+    }
+
+    // Only the update that moves the baseline sends the push
+    const result = await Booking.updateOne(
+      { _id: booking._id, 'tracking.etaNotifiedArrival': previous },
+      { $set: { 'tracking.etaNotifiedArrival': arrival } }
+    );
+    if (result.modifiedCount === 0 || !previous) {
+      return false;
+    }
+
+    const userId = booking.user?._id || booking.user;
+    const data = {
+      bookingId: booking._id,
+      eta,
+      expectedArrival: arrival,
+      previousArrival: previous,
+      changeMinutes: Math.round((arrival - previous) / (60 * 1000))
+    };
+
+    console.log(`⏱️ [ETA] Booking ${booking._id}: arrival moved ${data.changeMinutes} minutes, now ${eta} minutes away`);
+
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      const io = EnhancedSocketService.getIO();
+
+      io.to(`booking:${booking._id}`).emit('eta_update', data);
+      io.to(`tracking:${booking._id}`).emit('eta_update', data);
+      io.to(`user:${userId}`).emit('eta_update', data);
+    } catch (error) {
+      console.error('❌ [ETA] Error sending ETA update over socket:', error.message);
+    }
+
+    const NotificationService = require('./notification.service');
+    NotificationService.sendNotification(userId, 'ETA_CHANGED', {
+      bookingId: booking._id.toString(),
+      eta,
+      changeMinutes: data.changeMinutes
+    });
+
+    return true;
+  }
+}
+
+module.exports = new EtaService();
@@ -0,0 +1,244 @@
+// services/geofence.service.js
+const Booking = require('../models/booking.model');
+const Service = require('../models/service.model');
+const GeospatialService = require('./geospatial.service');
+const BookingStateService = require('./booking-state.service');
+const config = require('../config/config');
+
+const { ACTIVE_STATUSES } = BookingStateService;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const OFF_SITE_FLAGS = {
+  start: 'started_off_site',
+  complete: 'completed_off_site'
+};
+
+/**
+ * Geofence around each booking location. Location updates from the professional move them in or
+ * out of it; entering while en route marks the booking arrived and leaving raises left_site.
+ * Starting or completing work away from the address and short visits are flagged on the
+ * booking for review.
+ */
+class GeofenceService {
+
+  distanceMeters(booking, coordinates) {
+    const [longitude, latitude] = coordinates;
+    const [siteLongitude, siteLatitude] = booking.location.coordinates;
+    return GeospatialService.calculateDistance(latitude, longitude, siteLatitude, siteLongitude) * 1000;
+  }
+
+  /**
+   * The side of the fence a fix puts the professional on, or null when its accuracy leaves it
+   * open. Between the arrival and departure radii nothing changes, so jitter at the edge does
+   * not flip the state.
+   */
+  classify(distanceMeters, accuracy) {
+    const { arrivalRadiusMeters, departureRadiusMeters, maxAccuracyMeters } = config.geofence;
+    const uncertainty = accuracy || 0;
+
+    if (uncertainty > maxAccuracyMeters) return null;
+    if (distanceMeters <= arrivalRadiusMeters && distanceMeters + uncertainty <= departureRadiusMeters) {
+      return 'inside';
+    }
+    if (distanceMeters - uncertainty > departureRadiusMeters) return 'outside';
+    return null;
+  }
+
+  /**
+   * Feed a location update from the professional on an active booking. Returns the event it
+   * raised, 'arrived' or 'left_site', or null.
+   */
+  async check(booking, professionalId, { coordinates, accuracy }) {
+    if (!ACTIVE_STATUSES.includes(booking.status) || !booking.location?.coordinates) {
+      return null;
+    }
+
+    const distanceMeters = this.distanceMeters(booking, coordinates);
+    const side = this.classify(distanceMeters, accuracy);
+    const current = booking.geofence?.state || 'outside';
+    const pendingCount = booking.geofence?.pendingCount || 0;
+
+    if (!side) {
+      return null;
+    }
+
+    // Inside already, but the arrival was not made (it failed, or the professional was inside
+    // before setting off): every confirmed fix while en route tries it again
+    const arrivalDue = side === 'inside' && booking.status === 'en_route';
+
+    if (side === current && !arrivalDue) {
+      if (pendingCount) {
+        await Booking.updateOne({ _id: booking._id }, { $set: { 'geofence.pendingCount': 0 } });
+      }
+      return null;
+    }
+
+    if (side !== current && pendingCount + 1 < config.geofence.confirmations) {
+      await Booking.updateOne(
+        { _id: booking._id, 'geofence.state': { $ne: side } },
+        { $set: { 'geofence.pendingCount': pendingCount + 1 } }
+      );
+      return null;
+    }
+
+    const event = side === 'inside' ? 'arrived' : 'left_site';
+    const now = new Date();
+
+    // Only the update that flips the state records the visit or departure
+    const result = await Booking.updateOne(
+      { _id: booking._id, 'geofence.state': { $ne: side } },
+      side === 'inside'
+        ? {
+          $set: { 'geofence.state': 'inside', 'geofence.pendingCount': 0 },
+          $push: { 'geofence.visits': { enteredAt: now } }
+        }
+        : {
+          $set: { 'geofence.state': 'outside', 'geofence.pendingCount': 0, 'geofence.visits.$[open].leftAt': now },
+          ...(booking.status === 'in_progress' && {
+            $push: {
+              'geofence.flags': {
+                type: 'left_during_service',
+                distanceMeters: Math.round(distanceMeters),
+                createdAt: now
+              }
+            }
+          })
+        },
+      side === 'inside' ? {} : { arrayFilters: [{ 'open.leftAt': { $exists: false } }] }
+    );
+
+    if (result.modifiedCount === 0 && !arrivalDue) {
+      return null;
+    }
+
+    console.log(`📍 [GEOFENCE] Booking ${booking._id}: ${event} (${Math.round(distanceMeters)} m from site)`);
+
+    if (arrivalDue) {
+      // Required here: BookingService uses this service on start and completion. If it throws,
+      // the booking stays en route and the next fix inside tries again.
+      const BookingService = require('./BookingService');
+      await BookingService.professionalArrived(
+        booking._id,
+        professionalId,
+        { type: 'Point', coordinates },
+        { role: 'system', note: 'Arrived inside the geofence' }
+      );
+    }
+
+    this.notify(booking, professionalId, {
+      bookingId: booking._id,
+      event,
+      distanceMeters: Math.round(distanceMeters),
+      at: now
+    });
+
+    return event;
+  }
+
+  notify(booking, professionalId, data) {
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      const io = EnhancedSocketService.getIO();
+      const userId = booking.user?._id || booking.user;
+
+      io.to(`booking:${booking._id}`).emit('geofence_event', data);
+      io.to(`tracking:${booking._id}`).emit('geofence_event', data);
+      io.to(`user:${userId}`).emit('geofence_event', data);
+      io.to(`user:${professionalId}`).emit('geofence_event', data);
+    } catch (error) {
+      console.error('❌ [GEOFENCE] Error sending geofence event:', error.message);
+    }
+  }
+
+  /**
+   * Where the professional is when starting or completing work: the location they sent, or
+   * their last tracked location if it is recent
+   */
+  currentLocation(booking, location) {
+    const sent = BookingStateService.normalizeLocation(location);
+    if (sent) return sent.coordinates;
+
+    const last = booking.tracking?.lastLocation;
+    const maxAge = config.geofence.locationMaxAgeMinutes * 60 * 1000;
+    if (last?.coordinates?.length === 2 && last.timestamp && Date.now() - new Date(last.timestamp) <= maxAge) {
+      return last.coordinates;
+    }
+    return null;
+  }
+
+  /**
+   * Flag starting ('start') or completing ('complete') work far from the booking address. The
+   * caller saves the booking. Returns a warning for the professional, or null when on site or
+   * when there is no location to go by.
+   */
+  checkOnSite(booking, location, stage) {
+    const coordinates = this.currentLocation(booking, location);
+    if (!coordinates || !booking.location?.coordinates) {
+      return null;
+    }
+
+    const distanceMeters = Math.round(this.distanceMeters(booking, coordinates));
+    if (distanceMeters <= config.geofence.offSiteWarningMeters) {
+      return null;
+    }
+
+    const action = stage === 'start' ? 'Starting' : 'Completing';
+    const warning = {
+      code: OFF_SITE_FLAGS[stage],
+      distanceMeters,
+      message: `${action} this service ${distanceMeters} m from the customer's address. This booking has been flagged for review.`
+    };
+
+    booking.geofence.flags.push({ type: OFF_SITE_FLAGS[stage], distanceMeters });
+    booking.$locals.geofenceWarning = warning;
+
+    return warning;
+  }
+
+  /**
+   * Minutes the professional spent inside the geofence up to `until`. Without geofence visits,
+   * the time from arrival.
+   */
+  timeOnSite(booking, until = new Date()) {
+    const visits = booking.geofence?.visits || [];
+
+    if (visits.length) {
+      const ms = visits.reduce((total, visit) => total + ((visit.leftAt || until) - visit.enteredAt), 0);
+      return round(ms / (60 * 1000));
+    }
+
+    const arrivedAt = booking.tracking?.arrivedAt;
+    return arrivedAt ? round((until - arrivedAt) / (60 * 1000)) : null;
+  }
+
+  /**
+   * On completion: record time on site and flag it when it is short for the service. The
+   * caller saves the booking.
+   */
+  async recordTimeOnSite(booking, { session } = {}) {
+    const minutes = this.timeOnSite(booking, booking.completedAt || new Date());
+    if (minutes === null) {
+      return booking;
+    }
+
+    booking.geofence.timeOnSiteMinutes = minutes;
+
+    const serviceId = booking.service?._id || booking.service;
+    const service = booking.service?.estimatedDuration
+      ? booking.service
+      : await Service.findById(serviceId).select('estimatedDuration').session(session || null);
+    const expected = service?.estimatedDuration;
+
+    if (expected && minutes < expected * config.geofence.minTimeOnSiteRatio) {
+      booking.geofence.flags.push({
+        type: 'short_time_on_site',
+        note: `${Math.round(minutes)} of an estimated ${expected} minutes on site`
+      });
+    }
+
+    return booking;
+  }
+}
+
+module.exports = new GeofenceService();
@@ -274,21 +274,22 @@ class GeospatialService {
   }
   
   /**
-   * Estimate ETA based on distance
+   * Estimate ETA from the straight-line distance, without asking the routing provider
+   * (see services/eta.service.js)
    * @param {Array} startCoords - [longitude, latitude] of start location
    * @param {Array} endCoords - [longitude, latitude] of end location
-   * @param {number} averageSpeed - Average speed in km/h
    * @returns {number} ETA in minutes
    */
-  estimateETA(startCoords, endCoords, averageSpeed = 30) {
+  estimateETA(startCoords, endCoords) {
     try {
       const distance = this.calculateDistance(
         startCoords[1], startCoords[0],
         endCoords[1], endCoords[0]
       );
       
-      // Calculate time in minutes based on distance and average speed
-      return Math.round((distance / averageSpeed) * 60);
+      // Required here: the ETA service uses this one for distances
+      const EtaService = require('./eta.service');
+      return EtaService.estimateFromDistance(distance);
     } catch (error) {
       logger.error(`Error estimating ETA: ${error.message}`);
       return null;
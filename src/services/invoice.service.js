@@ -0,0 +1,324 @@
+// services/invoice.service.js
+const mongoose = require('mongoose');
+const Invoice = require('../models/invoice.model');
+const Counter = require('../models/counter.model');
+const Payment = require('../models/payment.model');
+const Booking = require('../models/booking.model');
+const User = require('../models/user.model');
+const Professional = require('../models/professional.model');
+const TaxService = require('./tax.service');
+const config = require('../config/config');
+const { STATES, SAC_CODES, DEFAULT_SAC_CODE } = require('../config/gst');
+
+const INVOICED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const COMPONENTS = ['CGST', 'SGST', 'IGST'];
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const round = (amount) => toPaise(amount) / 100;
+
+const normaliseState = (state) => (state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+// Longest names first so 'West Bengal' is not mistaken for a shorter name inside it
+const STATE_NAMES = Object.values(STATES).sort((a, b) => b.length - a.length);
+
+/**
+ * GST tax invoices for customer payments and credit notes for their refunds. The platform
+ * invoices the service it arranged (the professional is named as the service provider) and
+ * booking prices include GST, which is split out per line.
+ *
+ * Numbers are sequential per type and financial year, e.g. INV/25-26/00042. A number is taken
+ * from a Counter in the same transaction that writes the document, so an aborted or duplicate
+ * issue gives its number back and the sequence has no gaps.
+ */
+class InvoiceService {
+
+  // --- Parties and place of supply ---
+
+  stateCode(state) {
+    const normalised = normaliseState(state);
+    const entry = Object.entries(STATES).find(([, name]) => normaliseState(name) === normalised);
+    return entry ? entry[0] : null;
+  }
+
+  findStateInText(text) {
+    const normalised = normaliseState(text);
+    return normalised ? STATE_NAMES.find(name => normalised.includes(normaliseState(name))) : undefined;
+  }
+
+  /**
+   * Services on property are supplied where the property is: the state named in the booking
+   * address, else the customer's saved address, else the platform's own state
+   */
+  placeOfSupply(booking, user) {
+    const savedAddress = user?.addresses?.find(address => address.isDefault) || user?.addresses?.[0];
+    const state = this.findStateInText(booking?.location?.address) ||
+      savedAddress?.state ||
+      config.tax.platformState;
+
+    return { state, stateCode: this.stateCode(state) };
+  }
+
+  supplier() {
+    return {
+      name: config.tax.platformLegalName || config.appName || 'Service Platform',
+      gstin: config.tax.platformGstin,
+      address: config.tax.platformAddress,
+      state: config.tax.platformState,
+      stateCode: this.stateCode(config.tax.platformState)
+    };
+  }
+
+  formatNumber(type, financialYear, sequence) {
+    const prefix = type === 'credit_note' ? config.tax.creditNotePrefix : config.tax.invoicePrefix;
+    return `${prefix}/${financialYear.label.slice(2)}/${String(sequence).padStart(5, '0')}`;
+  }
+
+  // --- Amounts ---
+
+  buildItem(description, sacCode, amount, supplyType) {
+    const { taxableValue, lines } = TaxService.splitGst(amount, supplyType, config.tax.serviceGstRatePercent);
+    return { description, sacCode, quantity: 1, taxableValue, taxLines: lines, total: round(amount) };
+  }
+
+  sumTotals(items) {
+    const totals = { taxableValue: 0, CGST: 0, SGST: 0, IGST: 0, totalTax: 0, total: 0 };
+
+    for (const item of items) {
+      totals.taxableValue = round(totals.taxableValue + item.taxableValue);
+      totals.total = round(totals.total + item.total);
+      for (const line of item.taxLines) {
+        totals[line.component] = round(totals[line.component] + line.amount);
+        totals.totalTax = round(totals.totalTax + line.amount);
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Service line plus one line per additional charge. When the itemised charges no longer add
+   * up to what was paid for them, they are shown as one line. A promo discount is a negative
+   * line; wallet credit is a way of paying, so it does not appear.
+   */
+  invoiceLines(payment, booking) {
+    const lines = [{
+      description: `${booking?.service?.name || 'Home service'} service`,
+      amount: payment.serviceAmount
+    }];
+
+    const charges = (payment.additionalCharges || []).filter(charge => charge.amount > 0);
+    const chargesTotal = charges.reduce((sum, charge) => sum + charge.amount, 0);
+
+    if (charges.length && toPaise(chargesTotal) === toPaise(payment.additionalAmount)) {
+      lines.push(...charges.map(charge => ({
+        description: charge.description || 'Additional charge',
+        amount: charge.amount
+      })));
+    } else if (payment.additionalAmount > 0) {
+      lines.push({ description: 'Additional charges', amount: payment.additionalAmount });
+    }
+
+    if (payment.discounts?.promoDiscount > 0) {
+      lines.push({
+        description: `Promo discount (${payment.discounts.promoCode})`,
+        amount: -Math.min(payment.discounts.promoDiscount, payment.serviceAmount + payment.additionalAmount)
+      });
+    }
+
+    return lines;
+  }
+
+  // --- Issuing ---
+
+  /**
+   * Create the document for `key` once, numbering it inside a transaction. `build` returns the
+   * document without its number and is only called when nothing was issued for the key yet.
+   */
+  async issue(key, build) {
+    const existing = await Invoice.findOne({ key });
+    if (existing) return existing;
+
+    const document = await build();
+    const financialYear = TaxService.financialYear(document.issuedAt);
+    const session = await mongoose.startSession();
+    let invoice;
+
+    try {
+      await session.withTransaction(async () => {
+        const sequence = await Counter.next(`${document.type}:${financialYear.label}`, session);
+        [invoice] = await Invoice.create([{
+          ...document,
+          key,
+          financialYear: financialYear.label,
+          sequence,
+          number: this.formatNumber(document.type, financialYear, sequence)
+        }], { session });
+      });
+    } catch (error) {
+      // Issued by a concurrent request; the transaction gave our number back
+      if (error.code === 11000) {
+        return Invoice.findOne({ key });
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    console.log(`🧾 [INVOICE-SERVICE] Issued ${document.type} ${invoice.number} (${key})`);
+    return invoice;
+  }
+
+  async issueInvoice(payment) {
+    const invoice = await this.issue(`invoice:${payment._id}`, async () => {
+      const [booking, user, professional] = await Promise.all([
+        Booking.findById(payment.booking).select('service location').populate('service', 'name category').lean(),
+        User.findById(payment.user).select('name phone email addresses').lean(),
+        Professional.findById(payment.professional).select('name employeeId').lean()
+      ]);
+
+      const placeOfSupply = this.placeOfSupply(booking, user);
+      const supplyType = TaxService.supplyType(placeOfSupply.state);
+      const sacCode = SAC_CODES[booking?.service?.category] || DEFAULT_SAC_CODE;
+      const items = this.invoiceLines(payment, booking)
+        .map(line => this.buildItem(line.description, sacCode, line.amount, supplyType));
+
+      return {
+        type: 'invoice',
+        issuedAt: new Date(),
+        payment: payment._id,
+        booking: payment.booking,
+        user: payment.user,
+        professional: payment.professional,
+        supplier: this.supplier(),
+        customer: {
+          name: user?.name,
+          phone: user?.phone,
+          email: user?.email,
+          address: booking?.location?.address,
+          state: placeOfSupply.state,
+          stateCode: placeOfSupply.stateCode
+        },
+        serviceProvider: { name: professional?.name, employeeId: professional?.employeeId },
+        placeOfSupply,
+        supplyType,
+        items,
+        totals: this.sumTotals(items),
+        paymentMethod: payment.paymentMethod
+      };
+    });
+
+    if (payment.invoice?.invoiceNumber !== invoice.number) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { 'invoice.invoiceNumber': invoice.number, 'invoice.generatedAt': invoice.issuedAt } }
+      );
+    }
+    return invoice;
+  }
+
+  /**
+   * Credit note for a processed refund. Its tax is split from the refund amount at the invoice's
+   * rate; the refund that completes a full refund gets whatever the invoice has left, so the
+   * credit notes add up to the invoice exactly.
+   */
+  async issueCreditNote(payment, refund, invoice) {
+    return this.issue(`credit_note:${payment._id}:${refund._id || 'legacy'}`, async () => {
+      const previous = await Invoice.find({ originalInvoice: invoice._id, type: 'credit_note' }).lean();
+      const credited = this.sumTotals(previous.flatMap(creditNote => creditNote.items));
+      const [invoiceItem] = invoice.items;
+      const ratePercent = invoiceItem.taxLines.reduce((sum, line) => sum + line.ratePercent, 0);
+
+      let item;
+      if (toPaise(credited.total + refund.amount) >= toPaise(invoice.totals.total)) {
+        const remaining = (key) => round(invoice.totals[key] - credited[key]);
+        item = {
+          taxableValue: remaining('taxableValue'),
+          taxLines: COMPONENTS
+            .filter(component => invoice.totals[component] > 0)
+            .map(component => ({
+              component,
+              ratePercent: invoiceItem.taxLines.find(line => line.component === component)?.ratePercent,
+              amount: remaining(component)
+            })),
+          total: remaining('total')
+        };
+      } else {
+        const { taxableValue, lines } = TaxService.splitGst(refund.amount, invoice.supplyType, ratePercent);
+        item = { taxableValue, taxLines: lines, total: round(refund.amount) };
+      }
+
+      return {
+        type: 'credit_note',
+        issuedAt: new Date(),
+        payment: payment._id,
+        booking: payment.booking,
+        user: payment.user,
+        professional: payment.professional,
+        refund: refund._id,
+        originalInvoice: invoice._id,
+        originalInvoiceNumber: invoice.number,
+        reason: refund.reason || refund.reasonCode,
+        supplier: invoice.supplier,
+        customer: invoice.customer,
+        serviceProvider: invoice.serviceProvider,
+        placeOfSupply: invoice.placeOfSupply,
+        supplyType: invoice.supplyType,
+        items: [{
+          description: `Refund against invoice ${invoice.number}`,
+          sacCode: invoiceItem.sacCode,
+          quantity: 1,
+          ...item
+        }],
+        totals: this.sumTotals([item]),
+        paymentMethod: payment.paymentMethod
+      };
+    });
+  }
+
+  /**
+   * Issue whatever a payment is missing: its invoice once it is paid, and a credit note per
+   * processed refund. Safe to call repeatedly.
+   */
+  async syncPayment(payment) {
+    if (!INVOICED_PAYMENT_STATUSES.includes(payment.status)) {
+      return null;
+    }
+
+    const invoice = await this.issueInvoice(payment);
+    for (const refund of payment.getProcessedRefunds()) {
+      await this.issueCreditNote(payment, refund, invoice);
+    }
+    return invoice;
+  }
+
+  // --- Customer access ---
+
+  /**
+   * The invoice and credit notes of a customer's booking. Payments completed before invoices
+   * were issued get theirs on first request.
+   */
+  async getBookingDocuments(bookingId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      throw new Error('Invalid booking ID');
+    }
+
+    const payment = await Payment.findOne({
+      booking: bookingId,
+      user: userId,
+      status: { $in: INVOICED_PAYMENT_STATUSES }
+    }).sort({ createdAt: -1 });
+    if (!payment) {
+      throw new Error('Invoice not found, the booking has no completed payment');
+    }
+
+    const invoice = await this.syncPayment(payment);
+    const creditNotes = await Invoice.find({ originalInvoice: invoice._id, type: 'credit_note' }).sort({ sequence: 1 });
+
+    return { invoice, creditNotes };
+  }
+
+  fileName(document) {
+    return `${document.number.replace(/\//g, '-')}.pdf`;
+  }
+}
+
+module.exports = new InvoiceService();
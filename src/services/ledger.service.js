@@ -0,0 +1,752 @@
+// services/ledger.service.js
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/ledger-entry.model');
+const Payment = require('../models/payment.model');
+const Withdrawal = require('../models/withdrawal.model');
+
+// Accounts whose balance is credits minus debits; every other account is debits minus credits
+const CREDIT_NORMAL_ACCOUNTS = ['earnings', 'adjustments', 'platform_revenue', 'payouts_payable', 'tds_payable', 'customer_wallets'];
+
+const RECONCILED_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const RECONCILED_WITHDRAWAL_STATUSES = Withdrawal.STATUSES;
+// Withdrawal statuses that keep the amount out of the professional's balance
+const HELD_WITHDRAWAL_STATUSES = ['pending', 'approved', 'processing', 'completed'];
+const RELEASED_WITHDRAWAL_STATUSES = ['failed', 'rejected', 'cancelled'];
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const round = (amount) => toPaise(amount) / 100;
+
+/**
+ * Double-entry ledger for professional balances. Payments, refunds, commission collection and
+ * withdrawals each post one balanced entry, keyed by a reference so posting is idempotent.
+ * Balances and statements are read from the ledger only; reconcile() checks it against
+ * Payment and Withdrawal documents.
+ */
+class LedgerService {
+
+  isCreditNormal(account) {
+    return CREDIT_NORMAL_ACCOUNTS.includes(account);
+  }
+
+  accountBalance(account, debit, credit) {
+    return round(this.isCreditNormal(account) ? credit - debit : debit - credit);
+  }
+
+  /**
+   * Cash jobs, and UPI paid straight to the professional, leave the money with the professional,
+   * who then owes the platform its commission. Only those payments get a commission due date.
+   */
+  isCollectedByProfessional(payment) {
+    return payment.paymentMethod === 'cash' ||
+      (payment.paymentMethod === 'upi' && Boolean(payment.commissionDueDate));
+  }
+
+  /**
+   * Commission and payout of a payment; `wallet` is the part of the total the customer paid from
+   * their wallet, which the platform holds rather than whoever collected the rest
+   */
+  paymentAmounts(payment) {
+    const commission = round(payment.platformCommission);
+    const payout = round(payment.professionalPayout);
+    const total = round(commission + payout);
+    return { commission, payout, total, wallet: Math.min(round(payment.discounts?.walletCredit), total) };
+  }
+
+  /**
+   * Split a refund between the professional's share and the platform's commission. Refunds keep
+   * the split they were created with; legacy refunds (refundDetails) are split pro rata here.
+   */
+  splitRefund(payment, refund) {
+    if (!refund.legacy) {
+      return {
+        refund: round(refund.amount),
+        professionalShare: round(refund.payoutReversed),
+        commissionShare: round(refund.commissionReversed),
+        walletShare: round(refund.walletAmount)
+      };
+    }
+
+    const { payout, total } = this.paymentAmounts(payment);
+    const amount = round(Math.min(refund.amount || 0, total));
+    const professionalShare = total > 0 ? round(amount * payout / total) : 0;
+    return { refund: amount, professionalShare, commissionShare: round(amount - professionalShare), walletShare: 0 };
+  }
+
+  /**
+   * Commission the platform keeps on a payment after its processed refunds
+   */
+  netCommission(payment) {
+    const reversed = payment.getProcessedRefunds()
+      .filter(refund => !refund.legacy)
+      .reduce((sum, refund) => sum + (refund.commissionReversed || 0), 0);
+    return round(this.paymentAmounts(payment).commission - reversed);
+  }
+
+  /**
+   * Write a journal entry. Zero lines are dropped and an entry with nothing left is skipped.
+   * Returns the existing entry when `reference` was already posted.
+   */
+  async post({ professional, type, reference, payment, booking, withdrawal, description, lines, postedAt, metadata }) {
+    const nonZeroLines = lines
+      .map(line => ({ account: line.account, debit: round(line.debit), credit: round(line.credit) }))
+      .filter(line => line.debit > 0 || line.credit > 0);
+
+    if (nonZeroLines.length === 0) {
+      return null;
+    }
+
+    try {
+      const entry = await LedgerEntry.create({
+        professional,
+        type,
+        reference,
+        payment,
+        booking,
+        withdrawal,
+        description,
+        lines: nonZeroLines,
+        postedAt: postedAt || new Date(),
+        metadata
+      });
+
+      console.log(`📒 [LEDGER-SERVICE] Posted ${type} ${reference}`);
+      return entry;
+    } catch (error) {
+      if (error.code === 11000) {
+        return LedgerEntry.findOne({ reference });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Net balance per account of the entries matching `match`
+   */
+  async sumAccounts(match) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: '$lines.account',
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const balances = {};
+    for (const row of rows) {
+      balances[row._id] = this.accountBalance(row._id, row.debit, row.credit);
+    }
+    return balances;
+  }
+
+  // --- Payments ---
+
+  /**
+   * Post whatever the payment's current state implies and has not been posted yet.
+   * Safe to call repeatedly; the Payment model calls it after every relevant save.
+   */
+  async syncPayment(payment) {
+    if (!RECONCILED_PAYMENT_STATUSES.includes(payment.status)) {
+      return [];
+    }
+
+    const posted = [await this.postPaymentCompleted(payment)];
+
+    for (const refund of payment.getProcessedRefunds()) {
+      posted.push(await this.postPaymentRefund(payment, refund));
+    }
+
+    if (this.isCollectedByProfessional(payment)) {
+      for (const [index, fee] of (payment.commissionLateFees || []).entries()) {
+        posted.push(await this.postLateFee(payment, fee, index));
+      }
+
+      if (payment.commissionStatus === 'collected') {
+        posted.push(await this.settleCommission(
+          payment,
+          payment.commissionCollectionMethod === 'offset' ? 'commission_offset' : 'commission_collected'
+        ));
+      } else if (payment.commissionStatus === 'waived') {
+        posted.push(await this.settleCommission(payment, 'commission_waived'));
+      }
+    }
+
+    return posted.filter(Boolean);
+  }
+
+  /**
+   * Wallet credit spent on a payment reaches the professional through the platform: it comes out
+   * of customer_wallets and, when the professional collected the rest, into their earnings
+   */
+  async postPaymentCompleted(payment) {
+    const { commission, payout, total, wallet } = this.paymentAmounts(payment);
+    const base = {
+      professional: payment.professional,
+      type: 'payment_completed',
+      reference: `payment:${payment._id}:completed`,
+      payment: payment._id,
+      booking: payment.booking,
+      postedAt: payment.completedAt,
+      metadata: { paymentMethod: payment.paymentMethod, totalAmount: payment.totalAmount }
+    };
+
+    if (this.isCollectedByProfessional(payment)) {
+      return this.post({
+        ...base,
+        description: `Commission due on ${payment.paymentMethod} payment collected by professional`,
+        lines: [
+          { account: 'commission_receivable', debit: commission },
+          { account: 'platform_revenue', credit: commission },
+          { account: 'customer_wallets', debit: wallet },
+          { account: 'earnings', credit: wallet }
+        ]
+      });
+    }
+
+    return this.post({
+      ...base,
+      description: `${payment.paymentMethod} payment collected by platform`,
+      lines: [
+        { account: 'platform_cash', debit: round(total - wallet) },
+        { account: 'customer_wallets', debit: wallet },
+        { account: 'earnings', credit: payout },
+        { account: 'platform_revenue', credit: commission }
+      ]
+    });
+  }
+
+  /**
+   * Refunds through the platform claw back the professional's share of that refund. When the
+   * professional collected the money, the refund re-bases the commission they owe and claws back
+   * only the wallet share, which the platform returns to the customer's wallet.
+   */
+  async postPaymentRefund(payment, refund) {
+    const base = {
+      professional: payment.professional,
+      reference: refund.legacy
+        ? `payment:${payment._id}:refund:${refund.gatewayRefundId || toPaise(refund.amount)}`
+        : `payment:${payment._id}:refund:${refund._id}`,
+      payment: payment._id,
+      booking: payment.booking,
+      postedAt: refund.processedAt,
+      metadata: {
+        refund: refund._id,
+        refundId: refund.gatewayRefundId,
+        reasonCode: refund.reasonCode,
+        reason: refund.reason,
+        amount: refund.amount
+      }
+    };
+
+    if (this.isCollectedByProfessional(payment)) {
+      // Late fees stand whatever happens to the commission
+      const recognised = (await this.sumAccounts({
+        payment: payment._id,
+        type: { $ne: 'commission_late_fee' }
+      })).platform_revenue || 0;
+      const difference = round(this.netCommission(payment) - recognised);
+      const { walletShare } = this.splitRefund(payment, refund);
+
+      return this.post({
+        ...base,
+        type: 'commission_adjustment',
+        description: 'Commission re-based after refund',
+        lines: [
+          ...(difference < 0
+            ? [
+              { account: 'platform_revenue', debit: -difference },
+              { account: 'commission_receivable', credit: -difference }
+            ]
+            : [
+              { account: 'commission_receivable', debit: difference },
+              { account: 'platform_revenue', credit: difference }
+            ]),
+          { account: 'adjustments', debit: walletShare },
+          { account: 'customer_wallets', credit: walletShare }
+        ]
+      });
+    }
+
+    const { refund: amount, professionalShare, commissionShare, walletShare } = this.splitRefund(payment, refund);
+
+    return this.post({
+      ...base,
+      type: 'payment_refund',
+      description: 'Refund to customer',
+      lines: [
+        { account: 'adjustments', debit: professionalShare },
+        { account: 'platform_revenue', debit: commissionShare },
+        { account: 'platform_cash', credit: round(amount - walletShare) },
+        { account: 'customer_wallets', credit: walletShare }
+      ]
+    });
+  }
+
+  /**
+   * A late fee on overdue commission adds to what the professional owes for the payment
+   */
+  async postLateFee(payment, fee, index) {
+    return this.post({
+      professional: payment.professional,
+      type: 'commission_late_fee',
+      reference: `payment:${payment._id}:late_fee:${index + 1}`,
+      payment: payment._id,
+      booking: payment.booking,
+      postedAt: fee.chargedAt,
+      description: 'Late fee on overdue commission',
+      lines: [
+        { account: 'commission_receivable', debit: fee.amount },
+        { account: 'platform_revenue', credit: fee.amount }
+      ]
+    });
+  }
+
+  /**
+   * Clear whatever the professional still owes for a payment (commission and late fees): paid
+   * (cash comes in), offset against the earnings the platform holds for them, or waived (the
+   * revenue is given up)
+   */
+  async settleCommission(payment, type) {
+    const outstanding = (await this.sumAccounts({ payment: payment._id })).commission_receivable || 0;
+    if (outstanding <= 0) {
+      return null;
+    }
+
+    const settlements = {
+      commission_collected: { account: 'platform_cash', description: 'Commission paid by professional' },
+      commission_offset: { account: 'adjustments', description: 'Commission offset against online earnings' },
+      commission_waived: { account: 'platform_revenue', description: 'Commission waived' }
+    };
+    const { account, description } = settlements[type];
+
+    return this.post({
+      professional: payment.professional,
+      type,
+      reference: `payment:${payment._id}:${type}`,
+      payment: payment._id,
+      booking: payment.booking,
+      postedAt: type === 'commission_waived' ? undefined : payment.commissionCollectedAt,
+      description,
+      lines: [
+        { account, debit: outstanding },
+        { account: 'commission_receivable', credit: outstanding }
+      ]
+    });
+  }
+
+  // --- Withdrawals ---
+
+  /**
+   * A withdrawal moves money from the professional's balance into payouts_payable from the moment
+   * it is requested; paying it out settles it from platform_cash, less any transfer fee (which the
+   * platform keeps) and TDS (owed to the government), and failing, rejecting or cancelling it
+   * releases it back. A failed withdrawal
+   * can be approved again, so holds and releases are numbered.
+   */
+  async syncWithdrawal(withdrawal) {
+    if (!RECONCILED_WITHDRAWAL_STATUSES.includes(withdrawal.status)) {
+      return [];
+    }
+
+    const existing = await LedgerEntry.find({ withdrawal: withdrawal._id }).select('type').lean();
+    const count = (type) => existing.filter(entry => entry.type === type).length;
+
+    const holds = count('withdrawal_requested');
+    const releases = count('withdrawal_released');
+    const completed = count('withdrawal_completed') > 0;
+    const held = holds - releases > 0 && !completed;
+
+    const base = {
+      professional: withdrawal.professional,
+      withdrawal: withdrawal._id,
+      metadata: { withdrawalId: withdrawal.withdrawalId, amount: withdrawal.amount }
+    };
+    const posted = [];
+
+    if (HELD_WITHDRAWAL_STATUSES.includes(withdrawal.status) && !held && !completed) {
+      posted.push(await this.post({
+        ...base,
+        type: 'withdrawal_requested',
+        reference: `withdrawal:${withdrawal._id}:requested:${holds + 1}`,
+        postedAt: holds === 0 ? withdrawal.requestedAt : (withdrawal.approvedAt || withdrawal.processedAt),
+        description: 'Withdrawal requested',
+        lines: [
+          { account: 'payouts', debit: withdrawal.amount },
+          { account: 'payouts_payable', credit: withdrawal.amount }
+        ]
+      }));
+    }
+
+    if (withdrawal.status === 'completed' && !completed) {
+      posted.push(await this.post({
+        ...base,
+        type: 'withdrawal_completed',
+        reference: `withdrawal:${withdrawal._id}:completed`,
+        postedAt: withdrawal.completedAt,
+        description: 'Withdrawal paid out',
+        metadata: {
+          ...base.metadata,
+          transactionId: withdrawal.transactionId,
+          fees: withdrawal.fees || 0,
+          taxDeducted: withdrawal.taxDeducted || 0
+        },
+        lines: [
+          { account: 'payouts_payable', debit: withdrawal.amount },
+          { account: 'platform_cash', credit: round(withdrawal.amount - (withdrawal.fees || 0) - (withdrawal.taxDeducted || 0)) },
+          { account: 'platform_revenue', credit: withdrawal.fees },
+          { account: 'tds_payable', credit: withdrawal.taxDeducted }
+        ]
+      }));
+    }
+
+    if (RELEASED_WITHDRAWAL_STATUSES.includes(withdrawal.status) && held) {
+      posted.push(await this.post({
+        ...base,
+        type: 'withdrawal_released',
+        reference: `withdrawal:${withdrawal._id}:released:${releases + 1}`,
+        postedAt: withdrawal.failedAt || withdrawal.rejectedAt || withdrawal.cancelledAt,
+        description: `Withdrawal ${withdrawal.status}, amount released`,
+        lines: [
+          { account: 'payouts_payable', debit: withdrawal.amount },
+          { account: 'payouts', credit: withdrawal.amount }
+        ]
+      }));
+    }
+
+    return posted.filter(Boolean);
+  }
+
+  // --- Balances and statements ---
+
+  formatBalances(accounts = {}) {
+    const earnings = accounts.earnings || 0;
+    const adjustments = accounts.adjustments || 0;
+    const commissionDue = accounts.commission_receivable || 0;
+    const payouts = accounts.payouts || 0;
+    const payoutsInProcessing = accounts.payouts_payable || 0;
+    const balance = round(earnings + adjustments - commissionDue - payouts);
+
+    return {
+      earnings,
+      adjustments,
+      netEarnings: round(earnings + adjustments),
+      platformFees: accounts.platform_revenue || 0,
+      commissionDue,
+      withdrawn: round(payouts - payoutsInProcessing),
+      payoutsInProcessing,
+      // What the platform owes the professional; negative when they owe commission
+      balance,
+      available: Math.max(0, balance)
+    };
+  }
+
+  async getBalances(professionalId, { asOf } = {}) {
+    const match = { professional: new mongoose.Types.ObjectId(professionalId.toString()) };
+    if (asOf) match.postedAt = { $lte: asOf };
+
+    return this.formatBalances(await this.sumAccounts(match));
+  }
+
+  /**
+   * Balances of every professional with ledger activity, keyed by professional ID
+   */
+  async getAllBalances({ asOf } = {}) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: asOf ? { postedAt: { $lte: asOf } } : {} },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { professional: '$professional', account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const accountsByProfessional = new Map();
+    for (const row of rows) {
+      const key = row._id.professional.toString();
+      if (!accountsByProfessional.has(key)) accountsByProfessional.set(key, {});
+      accountsByProfessional.get(key)[row._id.account] = this.accountBalance(row._id.account, row.debit, row.credit);
+    }
+
+    return new Map([...accountsByProfessional].map(([key, accounts]) => [key, this.formatBalances(accounts)]));
+  }
+
+  /**
+   * Effect of an entry on the professional's balance (positive when the platform owes more)
+   */
+  professionalEffect(entry) {
+    let amount = 0;
+    const accounts = {};
+
+    for (const line of entry.lines) {
+      if (!LedgerEntry.PROFESSIONAL_ACCOUNTS.includes(line.account)) continue;
+      const effect = (line.credit || 0) - (line.debit || 0);
+      accounts[line.account] = round((accounts[line.account] || 0) + effect);
+      amount += effect;
+    }
+
+    return { amount: round(amount), accounts };
+  }
+
+  /**
+   * Statement of a professional's balance between `from` and `to`, oldest entry first, with a
+   * running balance that starts from the balance before the first entry on the page
+   */
+  async getStatement(professionalId, { from, to, page = 1, limit = 50 } = {}) {
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw new Error(`Invalid ${key} date`);
+      }
+    }
+
+    const professional = new mongoose.Types.ObjectId(professionalId.toString());
+    const startDate = from ? new Date(from) : null;
+    const endDate = to ? new Date(to) : new Date();
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const query = { professional, postedAt: { $lte: endDate } };
+    if (startDate) query.postedAt.$gte = startDate;
+
+    const [openingBalance, closingBalance, total, previousEntries, entries] = await Promise.all([
+      startDate
+        ? this.getBalances(professional, { asOf: new Date(startDate.getTime() - 1) })
+        : this.formatBalances(),
+      this.getBalances(professional, { asOf: endDate }),
+      LedgerEntry.countDocuments(query),
+      LedgerEntry.find(query).sort({ postedAt: 1, _id: 1 }).limit((pageNumber - 1) * pageSize).select('lines').lean(),
+      LedgerEntry.find(query).sort({ postedAt: 1, _id: 1 }).skip((pageNumber - 1) * pageSize).limit(pageSize).lean()
+    ]);
+
+    let running = previousEntries.reduce(
+      (sum, entry) => sum + this.professionalEffect(entry).amount,
+      openingBalance.balance
+    );
+
+    const lines = entries.map(entry => {
+      const { amount, accounts } = this.professionalEffect(entry);
+      running = round(running + amount);
+
+      return {
+        _id: entry._id,
+        postedAt: entry.postedAt,
+        type: entry.type,
+        description: entry.description,
+        reference: entry.reference,
+        payment: entry.payment,
+        booking: entry.booking,
+        withdrawal: entry.withdrawal,
+        amount,
+        accounts,
+        balance: running
+      };
+    });
+
+    return {
+      period: { from: startDate, to: endDate },
+      openingBalance,
+      closingBalance,
+      entries: lines,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  // --- Reconciliation ---
+
+  /**
+   * Per-account balances a payment should have produced, from the Payment document alone
+   */
+  expectedPaymentBalances(payment) {
+    const { commission, payout, total, wallet } = this.paymentAmounts(payment);
+
+    const refunded = payment.getProcessedRefunds()
+      .map(refund => this.splitRefund(payment, refund))
+      .reduce((sum, split) => ({
+        refund: sum.refund + split.refund,
+        professionalShare: sum.professionalShare + split.professionalShare,
+        commissionShare: sum.commissionShare + split.commissionShare,
+        walletShare: sum.walletShare + split.walletShare
+      }), { refund: 0, professionalShare: 0, commissionShare: 0, walletShare: 0 });
+    const customerWallets = round(refunded.walletShare - wallet);
+
+    if (this.isCollectedByProfessional(payment)) {
+      const owed = round(this.netCommission(payment) + (payment.commissionLateFeeTotal || 0));
+      const offset = payment.commissionStatus === 'collected' && payment.commissionCollectionMethod === 'offset';
+      return {
+        commission_receivable: payment.commissionStatus === 'pending' ? owed : 0,
+        platform_revenue: payment.commissionStatus === 'waived' ? 0 : owed,
+        platform_cash: payment.commissionStatus === 'collected' && !offset ? owed : 0,
+        customer_wallets: customerWallets,
+        earnings: wallet,
+        adjustments: round((offset ? -owed : 0) - refunded.walletShare)
+      };
+    }
+
+    return {
+      commission_receivable: 0,
+      platform_revenue: round(commission - refunded.commissionShare),
+      platform_cash: round(total - wallet - (refunded.refund - refunded.walletShare)),
+      customer_wallets: customerWallets,
+      earnings: payout,
+      adjustments: round(-refunded.professionalShare)
+    };
+  }
+
+  expectedWithdrawalBalances(withdrawal) {
+    const amount = round(withdrawal.amount);
+    const fees = round(withdrawal.fees);
+    const taxDeducted = round(withdrawal.taxDeducted);
+    const completed = withdrawal.status === 'completed';
+    return {
+      payouts: HELD_WITHDRAWAL_STATUSES.includes(withdrawal.status) ? amount : 0,
+      payouts_payable: HELD_WITHDRAWAL_STATUSES.includes(withdrawal.status) && !completed ? amount : 0,
+      platform_cash: completed ? round(fees + taxDeducted - amount) : 0,
+      platform_revenue: completed ? fees : 0,
+      tds_payable: completed ? taxDeducted : 0
+    };
+  }
+
+  /**
+   * Ledger balances per document, for the documents referenced by `field` ('payment' or 'withdrawal')
+   */
+  async sumAccountsBy(field, ids) {
+    const rows = await LedgerEntry.aggregate([
+      { $match: { [field]: { $in: ids } } },
+      { $unwind: '$lines' },
+      {
+        $group: {
+          _id: { document: `$${field}`, account: '$lines.account' },
+          debit: { $sum: '$lines.debit' },
+          credit: { $sum: '$lines.credit' }
+        }
+      }
+    ]);
+
+    const result = new Map();
+    for (const row of rows) {
+      const key = row._id.document.toString();
+      if (!result.has(key)) result.set(key, {});
+      result.get(key)[row._id.account] = this.accountBalance(row._id.account, row.debit, row.credit);
+    }
+    return result;
+  }
+
+  compareBalances(expected, actual = {}) {
+    return Object.entries(expected)
+      .filter(([account, amount]) => toPaise(amount) !== toPaise(actual[account]))
+      .map(([account, amount]) => ({
+        account,
+        expected: amount,
+        actual: actual[account] || 0,
+        difference: round((actual[account] || 0) - amount)
+      }));
+  }
+
+  /**
+   * Check every completed/refunded payment and every withdrawal in the period against the
+   * ledger. With `repair`, missing postings are made from the documents' current state and the
+   * affected documents are checked again; differences that remain need a manual look.
+   */
+  async reconcile({ professional, from, to, repair = false } = {}) {
+    if (professional && !mongoose.Types.ObjectId.isValid(professional)) {
+      throw new Error('Invalid professional');
+    }
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && isNaN(new Date(value).getTime())) {
+        throw new Error(`Invalid ${key} date`);
+      }
+    }
+
+    const baseQuery = {};
+    if (professional) baseQuery.professional = professional;
+    if (from || to) {
+      baseQuery.createdAt = {};
+      if (from) baseQuery.createdAt.$gte = new Date(from);
+      if (to) baseQuery.createdAt.$lte = new Date(to);
+    }
+
+    const [payments, withdrawals] = await Promise.all([
+      Payment.find({ ...baseQuery, status: { $in: RECONCILED_PAYMENT_STATUSES } }),
+      Withdrawal.find({ ...baseQuery, status: { $in: RECONCILED_WITHDRAWAL_STATUSES } })
+    ]);
+
+    const check = async () => {
+      const [paymentBalances, withdrawalBalances] = await Promise.all([
+        this.sumAccountsBy('payment', payments.map(payment => payment._id)),
+        this.sumAccountsBy('withdrawal', withdrawals.map(withdrawal => withdrawal._id))
+      ]);
+
+      const mismatches = [];
+      for (const payment of payments) {
+        const differences = this.compareBalances(
+          this.expectedPaymentBalances(payment),
+          paymentBalances.get(payment._id.toString())
+        );
+        if (differences.length > 0) {
+          mismatches.push({ kind: 'payment', document: payment, differences });
+        }
+      }
+      for (const withdrawal of withdrawals) {
+        const differences = this.compareBalances(
+          this.expectedWithdrawalBalances(withdrawal),
+          withdrawalBalances.get(withdrawal._id.toString())
+        );
+        if (differences.length > 0) {
+          mismatches.push({ kind: 'withdrawal', document: withdrawal, differences });
+        }
+      }
+      return mismatches;
+    };
+
+    let mismatches = await check();
+    let repaired = 0;
+
+    if (repair && mismatches.length > 0) {
+      for (const { kind, document } of mismatches) {
+        const posted = kind === 'payment'
+          ? await this.syncPayment(document)
+          : await this.syncWithdrawal(document);
+        repaired += posted.length;
+      }
+      mismatches = await check();
+      console.log(`🔧 [LEDGER-SERVICE] Reconciliation repair posted ${repaired} entries`);
+    }
+
+    // Ledger entries pointing at payments that are no longer completed or refunded
+    const orphanQuery = { payment: { $exists: true, $nin: payments.map(payment => payment._id) } };
+    if (professional) orphanQuery.professional = new mongoose.Types.ObjectId(professional.toString());
+    if (from || to) orphanQuery.postedAt = baseQuery.createdAt;
+    const orphanPaymentIds = await LedgerEntry.distinct('payment', orphanQuery);
+    const stillReconciled = await Payment.find({
+      _id: { $in: orphanPaymentIds },
+      status: { $in: RECONCILED_PAYMENT_STATUSES }
+    }).distinct('_id');
+    const orphans = orphanPaymentIds.filter(id => !stillReconciled.some(other => other.equals(id)));
+
+    return {
+      checked: { payments: payments.length, withdrawals: withdrawals.length },
+      repaired,
+      balanced: mismatches.length === 0 && orphans.length === 0,
+      mismatches: mismatches.map(({ kind, document, differences }) => ({
+        kind,
+        id: document._id,
+        professional: document.professional,
+        booking: document.booking,
+        status: document.status,
+        differences
+      })),
+      orphanPayments: orphans
+    };
+  }
+}
+
+module.exports = new LedgerService();
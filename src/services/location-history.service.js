@@ -0,0 +1,211 @@
+// services/location-history.service.js
+const mongoose = require('mongoose');
+const LocationBreadcrumb = require('../models/location-breadcrumb.model');
+const GeospatialService = require('./geospatial.service');
+const { ACTIVE_STATUSES } = require('./booking-state.service');
+const polyline = require('../utils/polyline');
+const config = require('../config/config');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// A device clock this far out is not trusted; the point is stamped with the server time instead
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const PHASES = ['all', 'travel', 'service'];
+const FORMATS = ['points', 'polyline'];
+
+/**
+ * Breadcrumb trail of the professional on a booking: every location update while the booking is
+ * active is stored, and routes, distance travelled and travel time are worked out from the trail
+ * rather than the straight line to the customer.
+ */
+class LocationHistoryService {
+
+  reportedAt(timestamp, now = new Date()) {
+    const reported = timestamp ? new Date(timestamp) : null;
+    if (!reported || isNaN(reported.getTime()) || Math.abs(now - reported) > MAX_CLOCK_SKEW_MS) {
+      return now;
+    }
+    return reported;
+  }
+
+  /**
+   * Store a location update from the professional assigned to `booking`. Updates for bookings
+   * that are not active are ignored.
+   */
+  async record(booking, professionalId, { coordinates, accuracy, heading, speed, timestamp }, source = 'socket') {
+    if (!ACTIVE_STATUSES.includes(booking.status)) {
+      return null;
+    }
+
+    return LocationBreadcrumb.create({
+      recordedAt: this.reportedAt(timestamp),
+      meta: {
+        booking: booking._id,
+        professional: professionalId
+      },
+      location: { type: 'Point', coordinates },
+      accuracy: accuracy ?? undefined,
+      heading: heading ?? undefined,
+      speed: speed ?? undefined,
+      status: booking.status,
+      source
+    });
+  }
+
+  async getBreadcrumbs(bookingId, { from, to } = {}) {
+    const query = { 'meta.booking': new mongoose.Types.ObjectId(bookingId.toString()) };
+    if (from || to) {
+      query.recordedAt = {};
+      if (from) query.recordedAt.$gte = new Date(from);
+      if (to) query.recordedAt.$lte = new Date(to);
+    }
+
+    return LocationBreadcrumb.find(query)
+      .sort({ recordedAt: 1 })
+      .select('recordedAt location accuracy heading speed status')
+      .lean();
+  }
+
+  segmentKm(from, to) {
+    const [fromLng, fromLat] = from.location.coordinates;
+    const [toLng, toLat] = to.location.coordinates;
+    return GeospatialService.calculateDistance(fromLat, fromLng, toLat, toLng);
+  }
+
+  /**
+   * The breadcrumbs that make up the path: inaccurate fixes, jitter while standing still and
+   * impossible jumps are dropped
+   */
+  cleanPath(breadcrumbs) {
+    const { maxAccuracyMeters, minSegmentMeters, maxSpeedKmh } = config.tracking;
+    const path = [];
+
+    for (const breadcrumb of breadcrumbs) {
+      if (breadcrumb.accuracy > maxAccuracyMeters) continue;
+
+      const last = path[path.length - 1];
+      if (last) {
+        const km = this.segmentKm(last, breadcrumb);
+        const hours = (new Date(breadcrumb.recordedAt) - new Date(last.recordedAt)) / (60 * 60 * 1000);
+        if (km * 1000 < minSegmentMeters) continue;
+        if (hours > 0 && km / hours > maxSpeedKmh) continue;
+      }
+
+      path.push(breadcrumb);
+    }
+
+    return path;
+  }
+
+  /**
+   * Distance along the path, time from its first to its last point and average speed
+   */
+  summarise(path) {
+    let distanceKm = 0;
+    for (let i = 1; i < path.length; i++) {
+      distanceKm += this.segmentKm(path[i - 1], path[i]);
+    }
+
+    const durationMinutes = path.length > 1
+      ? (new Date(path[path.length - 1].recordedAt) - new Date(path[0].recordedAt)) / (60 * 1000)
+      : 0;
+
+    return {
+      distanceKm: round(distanceKm),
+      durationMinutes: round(durationMinutes),
+      averageSpeedKmh: durationMinutes > 0 ? round(distanceKm / (durationMinutes / 60)) : 0,
+      points: path.length
+    };
+  }
+
+  /**
+   * Every nth point so the route has at most `max`, always keeping the last
+   */
+  thin(path, max = config.tracking.maxRoutePoints) {
+    if (path.length <= max) return path;
+
+    const step = (path.length - 1) / (max - 1);
+    return Array.from({ length: max }, (_, i) => path[Math.round(i * step)]);
+  }
+
+  /**
+   * Time range of a phase of the booking: travel is setting off to arriving, service is
+   * arriving to completion. Open phases run to now.
+   */
+  phaseRange(booking, phase) {
+    const tracking = booking.tracking || {};
+    if (phase === 'travel') {
+      return { from: tracking.startedAt, to: tracking.arrivedAt };
+    }
+    if (phase === 'service') {
+      return { from: tracking.arrivedAt, to: booking.completedAt };
+    }
+    return {};
+  }
+
+  /**
+   * The route the professional took on a booking, as points or an encoded polyline
+   */
+  async getRoute(booking, { phase = 'all', format = 'points' } = {}) {
+    if (!PHASES.includes(phase)) {
+      throw new Error(`Invalid phase: expected one of ${PHASES.join(', ')}`);
+    }
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid format: expected one of ${FORMATS.join(', ')}`);
+    }
+
+    const range = this.phaseRange(booking, phase);
+    // A phase that has not started yet has no route
+    const breadcrumbs = phase !== 'all' && !range.from
+      ? []
+      : await this.getBreadcrumbs(booking._id, range);
+    const path = this.cleanPath(breadcrumbs);
+    const route = this.thin(path);
+
+    return {
+      bookingId: booking._id,
+      phase,
+      format,
+      from: range.from || path[0]?.recordedAt || null,
+      to: range.to || path[path.length - 1]?.recordedAt || null,
+      destination: booking.location?.coordinates,
+      summary: { ...this.summarise(path), recorded: breadcrumbs.length },
+      ...(format === 'polyline'
+        ? { polyline: polyline.encode(route.map(point => point.location.coordinates)) }
+        : {
+          points: route.map(point => ({
+            coordinates: point.location.coordinates,
+            recordedAt: point.recordedAt,
+            speed: point.speed,
+            heading: point.heading,
+            accuracy: point.accuracy
+          }))
+        })
+    };
+  }
+
+  /**
+   * Set the booking's distance travelled, travel time and average speed from its trail between
+   * setting off and arriving. Call on arrival, before saving the booking. Without a usable trail
+   * only the travel time is set.
+   */
+  async recordTravel(booking) {
+    const { startedAt, arrivedAt } = booking.tracking || {};
+    if (!startedAt || !arrivedAt) return booking;
+
+    const path = this.cleanPath(await this.getBreadcrumbs(booking._id, { from: startedAt, to: arrivedAt }));
+    const totalTravelTime = round((arrivedAt - startedAt) / (60 * 1000));
+
+    booking.tracking.totalTravelTime = totalTravelTime;
+    if (path.length > 1) {
+      const { distanceKm } = this.summarise(path);
+      booking.tracking.distanceTravelled = distanceKm;
+      booking.tracking.averageSpeed = totalTravelTime > 0 ? round(distanceKm / (totalTravelTime / 60)) : 0;
+    }
+
+    return booking;
+  }
+}
+
+module.exports = new LocationHistoryService();
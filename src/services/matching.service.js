@@ -44,21 +44,21 @@ class MatchingService {
   }
   
 
-  static async calculateMatchScore(professional, booking) {
+  static async calculateMatchScore(professional, booking, { maxDistanceKm = 10 } = {}) {
     let score = 0;
     
-    // Distance score (closer = better)
+    // Distance score (closer = better), relative to the search radius
     const distance = this.calculateDistance(
       professional.currentLocation.coordinates,
       booking.location.coordinates
     );
-    score += (10 - Math.min(distance, 10)) * 10; // Max 100 points
+    score += (1 - Math.min(distance, maxDistanceKm) / maxDistanceKm) * 100; // Max 100 points
 
     // Rating score
-    score += (professional.ratings.average || 0) * 20; // Max 100 points
+    score += (professional.ratings?.average || 0) * 20; // Max 100 points
 
     // Experience score
-    score += Math.min(professional.experience, 5) * 10; // Max 50 points
+    score += Math.min(professional.experience || 0, 5) * 10; // Max 50 points
 
     // Recent completion rate
     const completionRate = await this.getRecentCompletionRate(professional._id);
@@ -84,10 +84,10 @@ class MatchingService {
   }
 
   static calculateDistance(coords1, coords2) {
-    // Haversine formula implementation
+    // Haversine formula implementation, coordinates are GeoJSON [longitude, latitude]
     const R = 6371; // Earth's radius in km
-    const [lat1, lon1] = coords1;
-    const [lat2, lon2] = coords2;
+    const [lon1, lat1] = coords1;
+    const [lon2, lat2] = coords2;
     
     const dLat = this.toRad(lat2 - lat1);
     const dLon = this.toRad(lon2 - lon1);
@@ -104,3 +104,5 @@ class MatchingService {
     return value * Math.PI / 180;
   }
 }
+
+module.exports = MatchingService;
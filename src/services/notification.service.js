@@ -107,12 +107,104 @@ class NotificationService {
                     body: 'Your service has been completed. Please rate your experience.'
                 };
             
+            case 'ETA_CHANGED':
+                return {
+                    title: data.changeMinutes > 0 ? 'Professional Running Late' : 'Professional Arriving Sooner',
+                    body: `Your service professional is now about ${data.eta} minutes away`
+                };
+            
             case 'PROFESSIONAL_ARRIVED':
                 return {
                     title: 'Professional Arrived',
                     body: 'Your service professional has arrived at the location.'
                 };
             
+            case 'BOOKING_CANCELLED':
+                return {
+                    title: 'Booking Cancelled',
+                    body: data.reason
+                        ? `Your booking was cancelled: ${data.reason}`
+                        : 'Your booking has been cancelled.'
+                };
+            
+            case 'RESCHEDULE_REQUESTED':
+                return {
+                    title: 'Reschedule Requested',
+                    body: `A new time has been proposed for your booking: ${new Date(data.scheduledDate).toLocaleString()}`
+                };
+            
+            case 'RESCHEDULE_ACCEPTED':
+                return {
+                    title: 'Reschedule Accepted',
+                    body: `Your booking has been moved to ${new Date(data.scheduledDate).toLocaleString()}`
+                };
+            
+            case 'RESCHEDULE_REJECTED':
+                return {
+                    title: 'Reschedule Declined',
+                    body: 'Your reschedule request was declined. The original time still applies.'
+                };
+            
+            case 'REFUND_INITIATED':
+                return {
+                    title: 'Refund Initiated',
+                    body: `Your refund of ₹${data.amount} has been initiated`
+                };
+            
+            case 'REFUND_PROCESSED':
+                return {
+                    title: 'Refund Processed',
+                    body: `₹${data.amount} has been refunded to you`
+                };
+            
+            case 'REFUND_FAILED':
+                return {
+                    title: 'Refund Failed',
+                    body: `Your refund of ₹${data.amount} could not be processed. Our team will follow up.`
+                };
+            
+            case 'REFERRAL_REWARD':
+                return {
+                    title: 'Referral Reward',
+                    body: `${data.name || 'Your friend'} completed their first booking. ₹${data.amount} has been added to your wallet`
+                };
+            
+            case 'REFERRAL_BONUS':
+                return {
+                    title: 'Welcome Credit',
+                    body: `₹${data.amount} has been added to your wallet for joining through a referral`
+                };
+            
+            case 'NEW_REVIEW':
+                return {
+                    title: 'New Review Received',
+                    body: `A customer rated your service ${data.score}/5`
+                };
+            
+            case 'COMMISSION_DUE':
+                return {
+                    title: 'Commission Due',
+                    body: `Platform commission of ₹${data.amount} is due by ${new Date(data.dueDate).toLocaleDateString()}`
+                };
+            
+            case 'COMMISSION_OVERDUE':
+                return {
+                    title: 'Commission Overdue',
+                    body: `Platform commission of ₹${data.amount} is overdue${data.lateFees > 0 ? ` (includes ₹${data.lateFees} late fees)` : ''}. Please pay it to keep receiving jobs.`
+                };
+            
+            case 'COMMISSION_HOLD':
+                return {
+                    title: data.level === 'suspended' ? 'Account Suspended' : 'New Jobs Paused',
+                    body: `Overdue commission of ₹${data.amount} is unpaid. ${data.level === 'suspended' ? 'Your account is suspended' : 'You will not receive new jobs'} until it is settled.`
+                };
+            
+            case 'COMMISSION_HOLD_LIFTED':
+                return {
+                    title: 'Commission Settled',
+                    body: 'Your overdue commission is settled. You can go online and receive jobs again.'
+                };
+            
             case 'PROFESSIONAL_LOCATION':
                 return {
                     title: 'Professional Location Update',
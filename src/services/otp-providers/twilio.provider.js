@@ -0,0 +1,64 @@
+// services/otp-providers/twilio.provider.js
+const twilio = require('twilio');
+
+/**
+ * OTP delivery and verification through Twilio Verify. Twilio generates and checks the code.
+ */
+class TwilioOtpProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.client = null;
+  }
+
+  isConfigured() {
+    return Boolean(
+      process.env.TWILIO_ACCOUNT_SID &&
+      process.env.TWILIO_AUTH_TOKEN &&
+      process.env.TWILIO_VERIFY_SID
+    );
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+    return this.client;
+  }
+
+  /**
+   * Start a Verify verification and remember its SID on the session
+   */
+  async send(phone, session) {
+    console.log(`📱 [TWILIO] Sending OTP to: ${phone}`);
+
+    const verification = await this.getClient().verify.v2
+      .services(process.env.TWILIO_VERIFY_SID)
+      .verifications.create({ to: phone, channel: 'sms' });
+
+    console.log(`✅ [TWILIO] OTP sent successfully. SID: ${verification.sid}`);
+
+    session.providerSessionId = verification.sid;
+    return session;
+  }
+
+  async verify(phone, code) {
+    console.log(`🔍 [TWILIO] Verifying OTP for: ${phone}`);
+
+    try {
+      const verificationCheck = await this.getClient().verify.v2
+        .services(process.env.TWILIO_VERIFY_SID)
+        .verificationChecks.create({ to: phone, code: code.toString() });
+
+      return verificationCheck.status === 'approved';
+    } catch (error) {
+      // Twilio answers 404 / 60200 when the verification expired or was already used
+      if (error.status === 404 || error.code === 60200) {
+        console.log('❌ [TWILIO] Invalid or expired OTP');
+        return false;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = TwilioOtpProvider;
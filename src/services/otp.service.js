@@ -1,43 +1,222 @@
-const twilio = require('twilio');
+// services/otp.service.js
+const OtpSession = require('../models/otp.model');
+const TwilioOtpProvider = require('./otp-providers/twilio.provider');
+const LocalOtpProvider = require('./otp-providers/local.provider');
+const config = require('../config/config');
 
-const accountSid = process.env.TWILIO_ACCOUNT_SID;
-const authToken = process.env.TWILIO_AUTH_TOKEN;
-const verifySid = process.env.TWILIO_VERIFY_SID; // Ensure you have this in .env
-const client = twilio(accountSid, authToken);
+const providers = {
+  twilio: new TwilioOtpProvider(),
+  local: new LocalOtpProvider()
+};
 
-// ✅ Send OTP using Twilio Verify API
-const sendOtp = async (phoneNumber) => {
-  try {
-    // Ensure phone number is formatted correctly
-    const formattedPhone = phoneNumber.startsWith('+') ? phoneNumber : `+91${phoneNumber}`;
+/**
+ * Single entry point for sending and verifying OTPs (login and service completion).
+ * Expiry, attempt limits, lockouts and resend limits are enforced here for every provider;
+ * the session remembers which provider issued the code so verification goes back to it.
+ */
+class OtpService {
 
-    console.log(`Sending OTP to: ${formattedPhone}`);
+  formatPhone(phoneNumber) {
+    const phone = phoneNumber.toString().trim();
+    return phone.startsWith('+') ? phone : `+91${phone}`;
+  }
 
-    const verification = await client.verify.v2.services(verifySid)
-      .verifications.create({ to: formattedPhone, channel: 'sms' });
+  getProvider(name) {
+    const provider = providers[name];
+    if (!provider) {
+      throw new Error(`Unknown OTP provider: ${name}`);
+    }
+    return provider;
+  }
 
-    return { sessionId: verification.sid };
-  } catch (error) {
-    console.error('Error sending OTP:', error);
-    throw new Error('Failed to send OTP. Please try again.');
+  /**
+   * Primary provider first, then the fallback. A provider missing credentials is skipped.
+   */
+  getProviderChain() {
+    const chain = [config.otp.provider];
+    if (config.otp.fallbackProvider && config.otp.fallbackProvider !== 'none' &&
+        config.otp.fallbackProvider !== config.otp.provider) {
+      chain.push(config.otp.fallbackProvider);
+    }
+
+    return chain
+      .map(name => this.getProvider(name))
+      .filter(provider => provider.isConfigured());
+  }
+
+  /**
+   * Called at startup: logged local codes would mean no login OTP is ever sent, so they are
+   * only allowed when the environment says it is not a deployment
+   */
+  assertSafeConfig() {
+    const usesLocal = [config.otp.provider, config.otp.fallbackProvider].includes('local');
+    if (usesLocal && config.otp.logCodes && !['development', 'test'].includes(process.env.NODE_ENV)) {
+      throw new Error('OTP_LOG_CODES=true writes OTPs to the log instead of sending them; set NODE_ENV to development or test to use it');
+    }
+  }
+
+  /**
+   * Newest session for a phone and purpose, whatever its status
+   */
+  async getLatestSession(phone, purpose) {
+    return OtpSession.findOne({ phone, purpose }).sort({ createdAt: -1 });
   }
-};
 
-// ✅ Verify OTP using Twilio Verify API
-const verifyOtp = async (phoneNumber, code) => {
-  try {
-    const formattedPhone = phoneNumber.startsWith('+') ? phoneNumber : `+91${phoneNumber}`;
+  /**
+   * Refuse to send while the last code is within its resend cooldown, while the phone is locked
+   * after running out of attempts, or once it has had maxSendsPerWindow codes in the window
+   */
+  async assertCanSend(phone, purpose) {
+    const { resendCooldownSeconds, lockMinutes, maxSendsPerWindow, sendWindowMinutes } = config.otp;
+    const now = Date.now();
 
-    console.log(`Verifying OTP for: ${formattedPhone}`);
+    const latest = await this.getLatestSession(phone, purpose);
 
-    const verificationCheck = await client.verify.v2.services(verifySid)
-      .verificationChecks.create({ to: formattedPhone, code });
+    if (latest?.status === 'locked') {
+      const lockedUntil = (latest.lockedAt || latest.updatedAt).getTime() + lockMinutes * 60 * 1000;
+      if (now < lockedUntil) {
+        throw new Error(`Too many incorrect attempts. Please try again in ${Math.ceil((lockedUntil - now) / 60000)} minutes`);
+      }
+    }
 
-    return verificationCheck.status === 'approved';
-  } catch (error) {
-    console.error('Error verifying OTP:', error);
-    throw new Error('Invalid OTP or expired. Please try again.');
+    if (latest?.lastSentAt) {
+      const secondsSinceLast = (now - latest.lastSentAt.getTime()) / 1000;
+      if (secondsSinceLast < resendCooldownSeconds) {
+        throw new Error(`Please wait ${Math.ceil(resendCooldownSeconds - secondsSinceLast)} seconds before requesting a new OTP`);
+      }
+    }
+
+    const windowStart = new Date(now - sendWindowMinutes * 60 * 1000);
+    const recent = await OtpSession.find({ phone, createdAt: { $gte: windowStart } })
+      .sort({ createdAt: 1 })
+      .limit(maxSendsPerWindow)
+      .select('createdAt');
+
+    if (recent.length >= maxSendsPerWindow) {
+      const retryAt = recent[0].createdAt.getTime() + sendWindowMinutes * 60 * 1000;
+      throw new Error(`Too many OTP requests. Please try again in ${Math.ceil((retryAt - now) / 60000)} minutes`);
+    }
   }
-};
 
-module.exports = { sendOtp, verifyOtp };
+  /**
+   * Send an OTP. Returns { sessionId, provider, expiresIn } where sessionId is ours, not the provider's.
+   */
+  async sendOtp(phoneNumber, { purpose = 'login' } = {}) {
+    const phone = this.formatPhone(phoneNumber);
+    const { expiryMinutes, maxAttempts } = config.otp;
+
+    await this.assertCanSend(phone, purpose);
+
+    const chain = this.getProviderChain();
+    if (chain.length === 0) {
+      throw new Error('No OTP provider is configured');
+    }
+
+    let lastError;
+    for (const provider of chain) {
+      const session = new OtpSession({
+        phone,
+        purpose,
+        provider: provider.name,
+        maxAttempts,
+        expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
+        lastSentAt: new Date()
+      });
+
+      try {
+        await provider.send(phone, session);
+      } catch (error) {
+        console.error(`❌ [OTP-SERVICE] ${provider.name} failed to send OTP:`, error.message);
+        lastError = error;
+        continue;
+      }
+
+      // Only the newest code for a phone and purpose stays valid
+      await OtpSession.updateMany(
+        { phone, purpose, status: 'pending' },
+        { $set: { status: 'expired' } }
+      );
+      await session.save();
+
+      console.log(`✅ [OTP-SERVICE] ${purpose} OTP sent to ${phone} via ${provider.name}`);
+
+      return {
+        sessionId: session._id.toString(),
+        provider: provider.name,
+        expiresIn: expiryMinutes * 60
+      };
+    }
+
+    throw new Error(`Failed to send OTP: ${lastError?.message || 'unknown error'}`);
+  }
+
+  /**
+   * Check a code against the newest session. Returns true when the code is correct.
+   * Each check claims an attempt with a conditional update before the provider is asked, and
+   * only one check can move the session to verified, so parallel requests get neither extra
+   * attempts nor a second use of the same code.
+   */
+  async verifyOtp(phoneNumber, code, { purpose = 'login' } = {}) {
+    const phone = this.formatPhone(phoneNumber);
+    const tooManyAttempts = new Error('Too many incorrect attempts. Please request a new OTP');
+
+    const session = await this.getLatestSession(phone, purpose);
+    if (session?.status === 'locked') {
+      throw tooManyAttempts;
+    }
+    if (session?.status !== 'pending') {
+      return false;
+    }
+
+    if (session.expiresAt < new Date()) {
+      await OtpSession.updateOne({ _id: session._id, status: 'pending' }, { $set: { status: 'expired' } });
+      return false;
+    }
+
+    const maxAttempts = session.maxAttempts || config.otp.maxAttempts;
+    const claimed = await OtpSession.findOneAndUpdate(
+      { _id: session._id, status: 'pending', attempts: { $lt: maxAttempts } },
+      { $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      // Attempts ran out or another request finished the session first
+      const current = await OtpSession.findById(session._id).select('status');
+      if (current && ['pending', 'locked'].includes(current.status)) {
+        throw tooManyAttempts;
+      }
+      return false;
+    }
+
+    let isValid = await this.getProvider(claimed.provider).verify(phone, code, claimed);
+
+    if (isValid) {
+      const result = await OtpSession.updateOne(
+        { _id: claimed._id, status: 'pending' },
+        { $set: { status: 'verified', verifiedAt: new Date() } }
+      );
+      isValid = result.modifiedCount > 0;
+    } else if (claimed.attempts >= maxAttempts) {
+      await OtpSession.updateOne(
+        { _id: claimed._id, status: 'pending' },
+        { $set: { status: 'locked', lockedAt: new Date() } }
+      );
+    }
+
+    console.log(`${isValid ? '✅' : '❌'} [OTP-SERVICE] ${purpose} OTP for ${phone} ${isValid ? 'verified' : 'rejected'} (${claimed.provider})`);
+
+    return isValid;
+  }
+
+  /**
+   * Map OTP errors to HTTP status codes for the auth and booking controllers
+   */
+  getErrorStatus(error) {
+    if (error.message.includes('Please wait') || error.message.includes('Too many')) return 429;
+    if (error.message.includes('No OTP provider') || error.message.includes('Failed to send')) return 503;
+    return 500;
+  }
+}
+
+module.exports = new OtpService();
@@ -6,6 +6,9 @@ const Booking = require('../models/booking.model');
 const Professional = require('../models/professional.model');
 const User = require('../models/user.model');
 const logger = require('../config/logger');
+const AuditService = require('./audit.service');
+const CommissionService = require('./commission.service');
+const LedgerService = require('./ledger.service');
 
 class PaymentService {
   constructor() {
@@ -48,18 +51,29 @@ class PaymentService {
         throw new Error('Payment already processed for this booking');
       }
       
-      // Calculate amounts
-      const additionalAmount = additionalCharges.reduce((sum, charge) => sum + charge.amount, 0);
-      const totalAmount = serviceAmount + additionalAmount;
-      const platformCommission = totalAmount * 0.15;
-      const professionalPayout = totalAmount - platformCommission;
+      // Calculate amounts under the commission rule that applies to this booking
+      const {
+        additionalAmount,
+        promoDiscount,
+        totalAmount,
+        walletCredit,
+        amountDue,
+        platformCommission,
+        professionalPayout,
+        commissionRule,
+        discounts
+      } = await CommissionService.calculateBreakdown(booking, { serviceAmount, additionalCharges, paymentMethod });
       
       console.log('💰 [PAYMENT-SERVICE] Payment breakdown:', {
         serviceAmount,
         additionalAmount,
+        promoDiscount,
         totalAmount,
+        walletCredit,
+        amountDue,
         platformCommission,
-        professionalPayout
+        professionalPayout,
+        commissionRule: `${commissionRule.name} (${commissionRule.ratePercent}%)`
       });
       
       // Create payment record
@@ -72,6 +86,8 @@ class PaymentService {
         totalAmount,
         platformCommission,
         professionalPayout,
+        commissionRule,
+        discounts,
         paymentMethod,
         paymentType: this.getPaymentType(paymentMethod),
         additionalCharges: additionalCharges.map(charge => ({
@@ -86,7 +102,9 @@ class PaymentService {
       // Create payment order based on method
       let paymentOrder = null;
       
-      if (paymentMethod === 'online') {
+      if (amountDue <= 0) {
+        paymentOrder = await this.processWalletPayment(payment);
+      } else if (paymentMethod === 'online') {
         paymentOrder = await this.createRazorpayOrder(payment);
       } else if (paymentMethod === 'upi') {
         paymentOrder = await this.createUPIPaymentRequest(payment);
@@ -102,9 +120,14 @@ class PaymentService {
         breakdown: {
           serviceAmount,
           additionalAmount,
+          promoCode: discounts.promoCode,
+          promoDiscount,
           totalAmount,
-          platformCommission: Math.round(platformCommission * 100) / 100,
-          professionalPayout: Math.round(professionalPayout * 100) / 100
+          walletCredit,
+          amountDue,
+          platformCommission,
+          professionalPayout,
+          commissionRate: commissionRule.ratePercent / 100
         }
       };
       
@@ -120,7 +143,7 @@ class PaymentService {
   async createRazorpayOrder(payment) {
     try {
       const order = await this.razorpay.orders.create({
-        amount: Math.round(payment.totalAmount * 100), // Convert to paise
+        amount: Math.round(payment.amountDue * 100), // Convert to paise
         currency: 'INR',
         receipt: `booking_${payment.booking}`,
         payment_capture: 1,
@@ -186,6 +209,12 @@ class PaymentService {
         throw new Error('Invalid payment signature');
       }
       
+      // Already captured (webhook first, or a repeated call) or refunded since: leave it as it is
+      if (!['pending', 'processing', 'failed'].includes(payment.status)) {
+        console.log(`ℹ️ [PAYMENT-SERVICE] Payment ${payment._id} already ${payment.status}`);
+        return payment;
+      }
+      
       // Mark payment as completed
       payment.razorpayPaymentId = razorpay_payment_id;
       payment.razorpaySignature = razorpay_signature;
@@ -194,10 +223,11 @@ class PaymentService {
       
       await payment.save();
       
-      // Update booking payment status
-      await Booking.findByIdAndUpdate(payment.booking, {
-        paymentStatus: 'paid'
-      });
+      // Update booking payment status; the booking's own status is left to the state machine
+      await Booking.updateOne(
+        { _id: payment.booking, paymentStatus: { $in: ['pending', 'failed'] } },
+        { paymentStatus: 'paid' }
+      );
       
       console.log('✅ [PAYMENT-SERVICE] Payment verified and completed');
       
@@ -223,7 +253,7 @@ class PaymentService {
       // For now, we'll create a UPI deep link
       
       const upiId = process.env.BUSINESS_UPI_ID || 'business@paytm';
-      const amount = payment.totalAmount;
+      const amount = payment.amountDue;
       const transactionNote = `Payment for Booking ${payment.booking}`;
       
       // Generate UPI deep link
@@ -237,7 +267,7 @@ class PaymentService {
       return {
         upiLink,
         qrCode: `https://api.qrserver.com/v1/create-qr-code/?size=300x300&data=${encodeURIComponent(upiLink)}`,
-        amount: payment.totalAmount,
+        amount: payment.amountDue,
         businessUPI: upiId,
         transactionRef: payment._id.toString()
       };
@@ -275,7 +305,7 @@ class PaymentService {
       }, 1000);
       
       return {
-        cashAmount: payment.totalAmount,
+        cashAmount: payment.amountDue,
         commissionDue: payment.platformCommission,
         commissionDueDate: payment.commissionDueDate,
         message: 'Cash payment completed. Professional needs to pay platform commission.'
@@ -287,6 +317,34 @@ class PaymentService {
     }
   }
   
+  /**
+   * Complete a payment the customer's wallet credit covers in full; nothing is left to collect
+   */
+  async processWalletPayment(payment) {
+    payment.status = 'completed';
+    payment.completedAt = new Date();
+    
+    await payment.save();
+    
+    await Booking.findByIdAndUpdate(payment.booking, {
+      paymentStatus: 'paid'
+    });
+    
+    console.log('👛 [PAYMENT-SERVICE] Payment covered by wallet credit');
+    
+    if (LedgerService.isCollectedByProfessional(payment)) {
+      setTimeout(() => {
+        this.scheduleCommissionCollection(payment._id);
+      }, 1000);
+    }
+    
+    return {
+      amountDue: 0,
+      walletCredit: payment.discounts.walletCredit,
+      message: 'Paid in full from wallet credit.'
+    };
+  }
+  
   /**
    * Verify UPI payment manually
    */
@@ -424,17 +482,19 @@ class PaymentService {
         return;
       }
       
-      // Send reminder to professional about commission due
+      // Tell the professional what they owe; reminders, late fees and holds are handled by
+      // the dunning job in CommissionCollectionService
       console.log('📅 [PAYMENT-SERVICE] Commission collection scheduled for:', {
         professional: payment.professional.name,
         amount: payment.platformCommission,
         dueDate: payment.commissionDueDate
       });
       
-      // In a real app, you would:
-      // 1. Send notification to professional
-      // 2. Add to admin dashboard for tracking
-      // 3. Set up automated reminders
+      const NotificationService = require('./notification.service');
+      await NotificationService.sendNotification(payment.professional._id, 'COMMISSION_DUE', {
+        amount: payment.platformCommission,
+        dueDate: payment.commissionDueDate
+      });
       
     } catch (error) {
       console.error('❌ [PAYMENT-SERVICE] Commission scheduling failed:', error);
@@ -454,48 +514,114 @@ class PaymentService {
   }
   
   /**
-   * Process refund
+   * Refund part or all of a payment. A payment can be refunded several times until nothing
+   * refundable is left. Online payments are refunded through Razorpay; a refund Razorpay still
+   * reports as pending is completed by the refund.processed webhook. Returns { payment, refund }.
    */
-  async processRefund(paymentId, refundAmount, reason) {
+  async processRefund(paymentId, refundAmount, reason, auditContext = {}, { reasonCode = 'other' } = {}) {
     try {
       const payment = await Payment.findById(paymentId);
       
       if (!payment) {
         throw new Error('Payment not found');
       }
+
+      const auditBefore = payment.toObject();
       
-      if (payment.status !== 'completed') {
+      if (!['completed', 'partially_refunded'].includes(payment.status)) {
         throw new Error('Can only refund completed payments');
       }
       
-      if (refundAmount > payment.totalAmount) {
-        throw new Error('Refund amount cannot exceed payment amount');
+      const amount = Math.round(Number(refundAmount) * 100) / 100;
+      if (!(amount > 0)) {
+        throw new Error('Invalid refund amount');
       }
       
-      let refundResult = null;
+      if (amount > payment.refundableAmount) {
+        throw new Error(`Refund amount cannot exceed the refundable amount of ${payment.refundableAmount}`);
+      }
       
-      if (payment.paymentMethod === 'online' && payment.razorpayPaymentId) {
-        // Process Razorpay refund
-        refundResult = await this.razorpay.payments.refund(payment.razorpayPaymentId, {
-          amount: Math.round(refundAmount * 100),
-          notes: { reason }
-        });
+      if (!Payment.REFUND_REASON_CODES.includes(reasonCode)) {
+        throw new Error('Invalid refund reason code');
       }
       
-      // Update payment record
-      payment.refundDetails = {
-        amount: refundAmount,
+      // Reserve the amount first; the version check stops two refunds racing past the limit
+      payment.refunds.push({
+        amount,
+        reasonCode,
         reason,
-        processedAt: new Date(),
-        refundId: refundResult?.id || `REFUND_${Date.now()}`
-      };
-      payment.status = 'refunded';
+        initiatedBy: { role: auditContext.actorRole || 'system', id: auditContext.actorId },
+        status: 'pending',
+        ...payment.calculateRefundReversal(amount)
+      });
+      const refund = payment.refunds[payment.refunds.length - 1];
+      payment.increment();
+      
+      try {
+        await payment.save();
+      } catch (error) {
+        if (error.name === 'VersionError') {
+          throw new Error('Payment was changed by another refund, try again');
+        }
+        throw error;
+      }
+      
+      // The wallet's share goes back to the wallet (see PricingService.syncPayment)
+      const gatewayAmount = Math.round((amount - refund.walletAmount) * 100) / 100;
+      
+      if (payment.paymentMethod === 'online' && payment.razorpayPaymentId && gatewayAmount > 0) {
+        try {
+          const gatewayRefund = await this.razorpay.payments.refund(payment.razorpayPaymentId, {
+            amount: Math.round(gatewayAmount * 100),
+            notes: { reason, reasonCode, refund_id: refund._id.toString() }
+          });
+          
+          refund.gatewayRefundId = gatewayRefund.id;
+          if (gatewayRefund.status === 'processed') {
+            refund.status = 'processed';
+            refund.processedAt = new Date();
+          }
+        } catch (error) {
+          refund.status = 'failed';
+          refund.failureReason = error.error?.description || error.message;
+        }
+      } else {
+        // Cash and direct UPI are paid back outside the platform, and wallet credit by crediting
+        // the wallet; recording it is the refund
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+      }
       
       await payment.save();
+      await this.syncBookingPaymentStatus(payment);
+
+      await AuditService.record({
+        action: 'payment.refund',
+        target: { type: 'Payment', id: payment._id },
+        before: auditBefore,
+        after: payment,
+        paths: ['status', 'refundedAmount', 'reversedCommission', 'reversedPayout'],
+        metadata: {
+          booking: payment.booking,
+          refund: refund._id,
+          amount,
+          walletAmount: refund.walletAmount,
+          reasonCode,
+          refundStatus: refund.status,
+          razorpayRefundId: refund.gatewayRefundId
+        },
+        context: auditContext
+      });
       
-      console.log('↩️ [PAYMENT-SERVICE] Refund processed:', refundAmount);
+      this.notifyRefund(payment, refund);
       
-      return payment;
+      if (refund.status === 'failed') {
+        throw new Error(`Refund failed at the gateway: ${refund.failureReason}`);
+      }
+      
+      console.log(`↩️ [PAYMENT-SERVICE] Refund ${refund._id} of ${amount} ${refund.status}`);
+      
+      return { payment, refund };
       
     } catch (error) {
       console.error('❌ [PAYMENT-SERVICE] Refund processing failed:', error);
@@ -503,6 +629,106 @@ class PaymentService {
     }
   }
   
+  /**
+   * Update a gateway refund from Razorpay (webhook). Returns false when nothing changed.
+   */
+  async applyGatewayRefundStatus(payment, refund, status, failureReason) {
+    if (refund.status === status || refund.status !== 'pending') {
+      return false;
+    }
+    
+    refund.status = status;
+    if (status === 'processed') {
+      refund.processedAt = new Date();
+    } else {
+      refund.failureReason = failureReason;
+    }
+    
+    await payment.save();
+    await this.syncBookingPaymentStatus(payment);
+    
+    // Cancellation refunds are tracked on the booking as well
+    await Booking.updateOne(
+      { _id: payment.booking, 'cancellation.refundId': { $in: [refund.gatewayRefundId, refund._id.toString()] } },
+      { 'cancellation.refundStatus': status }
+    );
+    
+    this.notifyRefund(payment, refund);
+    return true;
+  }
+  
+  async syncBookingPaymentStatus(payment) {
+    const paymentStatus = {
+      completed: 'paid',
+      partially_refunded: 'partially_refunded',
+      refunded: 'refunded'
+    }[payment.status];
+    
+    if (paymentStatus) {
+      await Booking.updateOne({ _id: payment.booking }, { paymentStatus });
+    }
+  }
+  
+  /**
+   * Refunds of a payment as the customer sees them
+   */
+  formatRefunds(payment) {
+    return {
+      paymentId: payment._id,
+      bookingId: payment.booking?._id || payment.booking,
+      status: payment.status,
+      totalAmount: payment.totalAmount,
+      refundedAmount: payment.refundedAmount,
+      refundableAmount: payment.refundableAmount,
+      refunds: payment.refunds.map(refund => ({
+        id: refund._id,
+        amount: refund.amount,
+        reasonCode: refund.reasonCode,
+        reason: refund.reason,
+        status: refund.status,
+        gatewayRefundId: refund.gatewayRefundId,
+        failureReason: refund.failureReason,
+        requestedAt: refund.requestedAt,
+        processedAt: refund.processedAt
+      }))
+    };
+  }
+  
+  /**
+   * Tell the customer about a refund over socket and push. Never throws.
+   */
+  notifyRefund(payment, refund) {
+    const type = {
+      pending: 'REFUND_INITIATED',
+      processed: 'REFUND_PROCESSED',
+      failed: 'REFUND_FAILED'
+    }[refund.status];
+    
+    const refundData = {
+      paymentId: payment._id,
+      bookingId: payment.booking,
+      refundId: refund._id,
+      amount: refund.amount,
+      status: refund.status,
+      refundedAmount: payment.refundedAmount,
+      refundableAmount: payment.refundableAmount
+    };
+    
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      EnhancedSocketService.getIO()?.to(`user:${payment.user}`).emit('refund_update', refundData);
+    } catch (error) {
+      console.error('[PAYMENT-SERVICE] Error sending refund socket notification:', error);
+    }
+    
+    try {
+      const NotificationService = require('./notification.service');
+      NotificationService.sendNotification(payment.user, type, refundData);
+    } catch (error) {
+      console.error('[PAYMENT-SERVICE] Error sending refund push notification:', error);
+    }
+  }
+  
   /**
    * Get payment summary for a booking
    */
@@ -522,6 +748,8 @@ class PaymentService {
         totalAmount: payment.totalAmount,
         serviceAmount: payment.serviceAmount,
         additionalAmount: payment.additionalAmount,
+        discounts: payment.discounts,
+        amountDue: payment.amountDue,
         platformCommission: payment.platformCommission,
         professionalPayout: payment.professionalPayout,
         paymentMethod: payment.paymentMethod,
@@ -0,0 +1,603 @@
+// services/payout.service.js
+const mongoose = require('mongoose');
+const Withdrawal = require('../models/withdrawal.model');
+const PayoutBatch = require('../models/payout-batch.model');
+const Lease = require('../models/lease.model');
+const LedgerService = require('./ledger.service');
+const TaxService = require('./tax.service');
+const AuditService = require('./audit.service');
+const config = require('../config/config');
+const { toCsvRow, parseCsvRecords } = require('../utils/csv');
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// Longest an approval holds the professional's TDS lease, should its instance die holding it
+const TDS_LEASE_MS = 30 * 1000;
+
+const EXPORT_COLUMNS = [
+  'Payment Type',
+  'Debit Account No',
+  'Beneficiary Name',
+  'Beneficiary Account No',
+  'IFSC',
+  'Amount',
+  'Value Date',
+  'Payment Reference',
+  'Remarks'
+];
+
+// Bank confirmation files differ in their headers; these are matched case- and punctuation-insensitively
+const CONFIRMATION_COLUMNS = {
+  reference: ['paymentreference', 'reference', 'customerreference', 'referenceno', 'withdrawalid'],
+  status: ['status', 'transactionstatus', 'paymentstatus'],
+  utr: ['utr', 'utrno', 'utrnumber', 'bankreference', 'bankreferenceno'],
+  reason: ['reason', 'failurereason', 'remarks', 'statusdescription']
+};
+
+const SUCCESS_STATUSES = ['SUCCESS', 'PAID', 'PROCESSED', 'COMPLETED', 'EXECUTED'];
+const FAILURE_STATUSES = ['FAILED', 'FAILURE', 'REJECTED', 'RETURNED', 'CANCELLED'];
+
+const normaliseHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Admin side of professional withdrawals: approving, rejecting and marking them paid, and paying
+ * approved withdrawals out in batches through NEFT/IMPS bulk-upload files. Bank confirmation
+ * files settle each withdrawal in a batch as completed or failed; failing one releases the
+ * amount back to the professional's balance (see LedgerService.syncWithdrawal).
+ */
+class PayoutService {
+
+  // --- Withdrawals ---
+
+  formatWithdrawal(withdrawal) {
+    const paymentMethod = withdrawal.paymentMethod;
+
+    return {
+      id: withdrawal._id,
+      withdrawalId: withdrawal.withdrawalId,
+      professional: withdrawal.professional?._id
+        ? {
+            id: withdrawal.professional._id,
+            name: withdrawal.professional.name,
+            employeeId: withdrawal.professional.employeeId,
+            phone: withdrawal.professional.phone
+          }
+        : withdrawal.professional,
+      amount: withdrawal.amount,
+      fees: withdrawal.fees || 0,
+      taxDeducted: withdrawal.taxDeducted || 0,
+      netAmount: round(withdrawal.amount - (withdrawal.fees || 0) - (withdrawal.taxDeducted || 0)),
+      status: withdrawal.status,
+      paymentMethod: paymentMethod?._id
+        ? {
+            id: paymentMethod._id,
+            type: paymentMethod.type,
+            name: paymentMethod.name,
+            accountNumber: paymentMethod.type === 'bank_account' ? paymentMethod.getMaskedAccountNumber() : null,
+            ifscCode: paymentMethod.ifscCode,
+            bankName: paymentMethod.bankName,
+            upiId: paymentMethod.upiId
+          }
+        : paymentMethod,
+      payoutBatch: withdrawal.payoutBatch,
+      transactionId: withdrawal.transactionId,
+      remarks: withdrawal.remarks,
+      adminNotes: withdrawal.adminNotes,
+      requestedAt: withdrawal.requestedAt,
+      approvedAt: withdrawal.approvedAt,
+      approvedBy: withdrawal.approvedBy,
+      processedAt: withdrawal.processedAt,
+      completedAt: withdrawal.completedAt,
+      failedAt: withdrawal.failedAt,
+      rejectedAt: withdrawal.rejectedAt,
+      cancelledAt: withdrawal.cancelledAt
+    };
+  }
+
+  async listWithdrawals({ status, professional, batch, from, to, page = 1, limit = 50 } = {}) {
+    const query = {};
+
+    if (status) {
+      const statuses = status.split(',');
+      if (statuses.some(value => !Withdrawal.STATUSES.includes(value))) {
+        throw new Error(`Invalid status, expected one of ${Withdrawal.STATUSES.join(', ')}`);
+      }
+      query.status = { $in: statuses };
+    }
+    for (const [key, value] of Object.entries({ professional, batch })) {
+      if (!value) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error(`Invalid ${key} ID`);
+      }
+      query[key === 'batch' ? 'payoutBatch' : key] = new mongoose.Types.ObjectId(value);
+    }
+    if (from || to) {
+      query.requestedAt = {};
+      for (const [key, value] of Object.entries({ from, to })) {
+        if (!value) continue;
+        if (isNaN(new Date(value).getTime())) {
+          throw new Error(`Invalid ${key} date`);
+        }
+        query.requestedAt[key === 'from' ? '$gte' : '$lte'] = new Date(value);
+      }
+    }
+
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [withdrawals, total, totals] = await Promise.all([
+      Withdrawal.find(query)
+        .populate('professional', 'name employeeId phone')
+        .populate('paymentMethod')
+        .sort({ requestedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Withdrawal.countDocuments(query),
+      Withdrawal.aggregate([
+        { $match: query },
+        { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    return {
+      withdrawals: withdrawals.map(withdrawal => this.formatWithdrawal(withdrawal)),
+      totals: Object.fromEntries(totals.map(row => [row._id, { count: row.count, amount: round(row.amount) }])),
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async getWithdrawal(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid withdrawal ID');
+    }
+
+    const withdrawal = await Withdrawal.findById(id)
+      .populate('professional', 'name employeeId phone')
+      .populate('paymentMethod')
+      .populate('payoutBatch', 'batchNumber mode status');
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+
+    const balances = await LedgerService.getBalances(withdrawal.professional._id);
+
+    return { ...this.formatWithdrawal(withdrawal), balances };
+  }
+
+  async findWithdrawal(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid withdrawal ID');
+    }
+
+    const withdrawal = await Withdrawal.findById(id).lean();
+    if (!withdrawal) {
+      throw new Error('Withdrawal not found');
+    }
+    return withdrawal;
+  }
+
+  // A 'processing' withdrawal in a batch is with the bank; only one without a batch predates approvals
+  assertNotWithBank(withdrawal, action) {
+    if (withdrawal.status === 'processing' && withdrawal.payoutBatch) {
+      throw new Error(`Withdrawal is with the bank in a payout batch and cannot be ${action}`);
+    }
+  }
+
+  /**
+   * Approve a withdrawal for payout. `fees` is a transfer fee kept by the platform and taken off
+   * what is paid out, as is TDS (worked out here, see TaxService.withdrawalTds). A failed
+   * withdrawal's amount was released, so approving it again holds the amount again and needs the
+   * balance for it. TDS depends on the professional's other withdrawals in the financial year, so
+   * approvals for the same professional and year hold a lease and take turns.
+   */
+  async approve(id, adminId, { fees, adminNotes } = {}, context = {}) {
+    const withdrawal = await this.findWithdrawal(id);
+    this.assertNotWithBank(withdrawal, 'approved');
+
+    const now = new Date();
+    const lease = `tds:${withdrawal.professional}:${TaxService.financialYear(now).label}`;
+    const owner = await Lease.acquire(lease, TDS_LEASE_MS);
+    if (!owner) {
+      throw new Error('Another withdrawal of this professional is being approved, please try again');
+    }
+
+    try {
+      return await this.approveWithTds(withdrawal, adminId, { fees, adminNotes }, context, now);
+    } finally {
+      await Lease.release(lease, owner);
+    }
+  }
+
+  async approveWithTds(withdrawal, adminId, { fees, adminNotes }, context, now) {
+    const id = withdrawal._id;
+
+    const { taxDeducted, tds } = await TaxService.withdrawalTds(withdrawal, now);
+    if (fees !== undefined && (fees < 0 || fees + taxDeducted >= withdrawal.amount)) {
+      throw new Error(`Invalid fees, together with TDS of ${taxDeducted} they must be less than the withdrawal amount`);
+    }
+
+    if (withdrawal.status === 'failed') {
+      const { available } = await LedgerService.getBalances(withdrawal.professional);
+      if (withdrawal.amount > available) {
+        throw new Error(`Insufficient balance to approve again: available balance is ${available}`);
+      }
+    }
+
+    const approved = await Withdrawal.markAsApproved(id, adminId, { fees, taxDeducted, tds, adminNotes }, context);
+
+    // Two approvals racing past the balance check would leave the balance negative; undo this one
+    if (withdrawal.status === 'failed') {
+      const { balance } = await LedgerService.getBalances(withdrawal.professional);
+      if (balance < 0) {
+        await Withdrawal.markAsFailed(id, adminId, withdrawal.remarks, context);
+        throw new Error('Insufficient balance to approve again: the balance was used by another withdrawal');
+      }
+    }
+
+    console.log(`✅ [PAYOUT-SERVICE] Withdrawal ${approved.withdrawalId} approved`);
+    return approved;
+  }
+
+  async reject(id, adminId, reason, context = {}) {
+    if (!reason?.trim()) {
+      throw new Error('Invalid rejection, a reason is required');
+    }
+
+    const withdrawal = await this.findWithdrawal(id);
+    this.assertNotWithBank(withdrawal, 'rejected');
+
+    const rejected = await Withdrawal.markAsRejected(id, adminId, reason.trim(), context);
+    console.log(`🚫 [PAYOUT-SERVICE] Withdrawal ${rejected.withdrawalId} rejected`);
+    return rejected;
+  }
+
+  /**
+   * Record a payout made outside a batch file (or confirmed by the bank some other way)
+   */
+  async markPaid(id, adminId, transactionId, context = {}) {
+    if (!transactionId?.trim()) {
+      throw new Error('Invalid payout, the bank transaction reference (UTR) is required');
+    }
+
+    await this.findWithdrawal(id);
+    const completed = await Withdrawal.markAsCompleted(id, adminId, transactionId.trim(), context);
+
+    await this.refreshBatchStatus(completed.payoutBatch);
+    console.log(`💸 [PAYOUT-SERVICE] Withdrawal ${completed.withdrawalId} marked paid (${completed.transactionId})`);
+    return completed;
+  }
+
+  async markFailed(id, adminId, reason, context = {}) {
+    if (!reason?.trim()) {
+      throw new Error('Invalid failure, a reason is required');
+    }
+
+    await this.findWithdrawal(id);
+    const failed = await Withdrawal.markAsFailed(id, adminId, reason.trim(), context);
+
+    await this.refreshBatchStatus(failed.payoutBatch);
+    console.log(`❌ [PAYOUT-SERVICE] Withdrawal ${failed.withdrawalId} marked failed`);
+    return failed;
+  }
+
+  // --- Batches ---
+
+  /**
+   * Put approved withdrawals into a new batch and mark them processing. Without `withdrawalIds`
+   * every approved withdrawal that fits the mode is taken. Only bank accounts can be paid by
+   * NEFT/IMPS, and IMPS is capped at config.payouts.impsMaxAmount; other withdrawals are left
+   * approved and reported as skipped.
+   */
+  async createBatch({ withdrawalIds, mode = config.payouts.defaultMode, notes } = {}, adminId, context = {}) {
+    if (!PayoutBatch.MODES.includes(mode)) {
+      throw new Error(`Invalid mode, expected one of ${PayoutBatch.MODES.join(', ')}`);
+    }
+    if (withdrawalIds && withdrawalIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new Error('Invalid withdrawal ID');
+    }
+
+    const query = { status: 'approved' };
+    if (withdrawalIds) query._id = { $in: withdrawalIds };
+
+    const candidates = await Withdrawal.find(query).populate('paymentMethod').sort({ approvedAt: 1 });
+    const skipped = [];
+    const eligible = [];
+
+    if (withdrawalIds) {
+      const found = new Set(candidates.map(withdrawal => withdrawal._id.toString()));
+      for (const id of withdrawalIds.filter(id => !found.has(id.toString()))) {
+        skipped.push({ withdrawal: id, reason: 'Not found or not approved' });
+      }
+    }
+
+    for (const withdrawal of candidates) {
+      const netAmount = round(withdrawal.amount - (withdrawal.fees || 0) - (withdrawal.taxDeducted || 0));
+
+      if (withdrawal.paymentMethod?.type !== 'bank_account') {
+        skipped.push({ withdrawal: withdrawal._id, reason: 'Not a bank account, pay it out and mark it paid' });
+      } else if (mode === 'IMPS' && netAmount > config.payouts.impsMaxAmount) {
+        skipped.push({ withdrawal: withdrawal._id, reason: `Above the IMPS limit of ${config.payouts.impsMaxAmount}` });
+      } else {
+        eligible.push({ withdrawal, netAmount });
+      }
+    }
+
+    if (eligible.length === 0) {
+      throw new Error('Invalid batch, there are no approved withdrawals that can be paid by ' + mode);
+    }
+
+    const batch = await PayoutBatch.create({ mode, notes, createdBy: adminId });
+
+    for (const { withdrawal, netAmount } of eligible) {
+      try {
+        await Withdrawal.markAsProcessing(withdrawal._id, adminId, batch._id, context);
+        batch.withdrawals.push(withdrawal._id);
+        batch.totalAmount = round(batch.totalAmount + netAmount);
+      } catch (error) {
+        // Rejected or paid by someone else since it was read
+        skipped.push({ withdrawal: withdrawal._id, reason: error.message });
+      }
+    }
+
+    if (batch.withdrawals.length === 0) {
+      await PayoutBatch.deleteOne({ _id: batch._id });
+      throw new Error('Invalid batch, every withdrawal was changed by another request');
+    }
+
+    batch.count = batch.withdrawals.length;
+    await batch.save();
+
+    await AuditService.record({
+      action: 'payout_batch.create',
+      target: { type: 'PayoutBatch', id: batch._id },
+      metadata: { batchNumber: batch.batchNumber, mode, count: batch.count, totalAmount: batch.totalAmount, skipped: skipped.length },
+      context
+    });
+
+    console.log(`📦 [PAYOUT-SERVICE] Batch ${batch.batchNumber}: ${batch.count} withdrawals, ${batch.totalAmount} by ${mode}`);
+    return { batch, skipped };
+  }
+
+  async listBatches({ status, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (status) {
+      if (!PayoutBatch.STATUSES.includes(status)) {
+        throw new Error(`Invalid status, expected one of ${PayoutBatch.STATUSES.join(', ')}`);
+      }
+      query.status = status;
+    }
+
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(query)
+        .select('-confirmations.results')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PayoutBatch.countDocuments(query)
+    ]);
+
+    return {
+      batches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  async findBatch(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid payout batch ID');
+    }
+
+    const batch = await PayoutBatch.findById(id);
+    if (!batch) {
+      throw new Error('Payout batch not found');
+    }
+    return batch;
+  }
+
+  async getBatch(id) {
+    const batch = await this.findBatch(id);
+    await batch.populate('createdBy exportedBy', 'name email');
+
+    const withdrawals = await Withdrawal.find({ _id: { $in: batch.withdrawals } })
+      .populate('professional', 'name employeeId phone')
+      .populate('paymentMethod');
+
+    return {
+      ...batch.toObject(),
+      withdrawals: withdrawals.map(withdrawal => this.formatWithdrawal(withdrawal))
+    };
+  }
+
+  formatValueDate(date) {
+    return [
+      String(date.getDate()).padStart(2, '0'),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      date.getFullYear()
+    ].join('/');
+  }
+
+  /**
+   * Bank bulk-upload CSV for a batch, one transfer per withdrawal. The withdrawal ID is the
+   * payment reference, which the bank echoes back in its confirmation file. Exporting again
+   * gives the same transfers, for withdrawals still waiting on the bank.
+   */
+  async exportBatch(id, adminId, context = {}) {
+    const batch = await this.findBatch(id);
+    if (!config.payouts.debitAccountNumber) {
+      throw new Error('Payout debit account is not configured (PAYOUT_DEBIT_ACCOUNT_NUMBER)');
+    }
+
+    const withdrawals = await Withdrawal.find({ payoutBatch: batch._id, status: 'processing' })
+      .populate('professional', 'name')
+      .populate('paymentMethod');
+    if (withdrawals.length === 0) {
+      throw new Error('Invalid export, no withdrawal in this batch is waiting on the bank');
+    }
+
+    const valueDate = this.formatValueDate(new Date());
+    let csv = toCsvRow(EXPORT_COLUMNS);
+
+    for (const withdrawal of withdrawals) {
+      const paymentMethod = withdrawal.paymentMethod;
+      const accountNumber = paymentMethod?.getDecryptedAccountNumber();
+      if (!accountNumber || !paymentMethod.ifscCode) {
+        throw new Error(`Bank details of withdrawal ${withdrawal.withdrawalId} could not be read`);
+      }
+
+      csv += toCsvRow([
+        batch.mode,
+        config.payouts.debitAccountNumber,
+        paymentMethod.accountHolderName || withdrawal.professional?.name,
+        accountNumber,
+        paymentMethod.ifscCode.toUpperCase(),
+        round(withdrawal.amount - (withdrawal.fees || 0) - (withdrawal.taxDeducted || 0)).toFixed(2),
+        valueDate,
+        withdrawal.withdrawalId,
+        `Payout ${batch.batchNumber}`
+      ]);
+    }
+
+    batch.exportedAt = new Date();
+    batch.exportedBy = adminId;
+    batch.exportCount += 1;
+    if (batch.status === 'created') batch.status = 'exported';
+    await batch.save();
+
+    await AuditService.record({
+      action: 'payout_batch.export',
+      target: { type: 'PayoutBatch', id: batch._id },
+      metadata: { batchNumber: batch.batchNumber, rows: withdrawals.length, exportCount: batch.exportCount },
+      context
+    });
+
+    return { fileName: `${batch.batchNumber}.csv`, csv };
+  }
+
+  readConfirmationRow(record) {
+    const values = {};
+    for (const [header, value] of Object.entries(record)) {
+      const normalised = normaliseHeader(header);
+      for (const [field, aliases] of Object.entries(CONFIRMATION_COLUMNS)) {
+        if (values[field] === undefined && aliases.includes(normalised)) {
+          values[field] = value;
+        }
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Settle a batch from the bank's confirmation file: successful transfers complete their
+   * withdrawal with the UTR as transaction ID, failed ones fail it and release the amount.
+   * Rows for withdrawals already settled are skipped, so the same file can be imported twice.
+   */
+  async importConfirmation(id, csvText, { fileName } = {}, adminId, context = {}) {
+    const batch = await this.findBatch(id);
+
+    const records = parseCsvRecords(csvText || '');
+    if (records.length === 0) {
+      throw new Error('Invalid confirmation file, it has no rows');
+    }
+    const rows = records.map(record => this.readConfirmationRow(record));
+    if (!rows.some(row => row.reference !== undefined && row.status !== undefined)) {
+      throw new Error('Invalid confirmation file, it needs payment reference and status columns');
+    }
+
+    const withdrawals = await Withdrawal.find({ _id: { $in: batch.withdrawals } }).lean();
+    const byReference = new Map(withdrawals.map(withdrawal => [withdrawal.withdrawalId, withdrawal]));
+    const summary = { completed: 0, failed: 0, skipped: 0, unmatched: 0 };
+    const results = [];
+
+    for (const row of rows) {
+      const bankStatus = (row.status || '').toUpperCase();
+      const withdrawal = byReference.get(row.reference);
+      const result = { reference: row.reference, bankStatus, utr: row.utr, withdrawal: withdrawal?._id };
+
+      if (!withdrawal) {
+        result.outcome = 'unmatched';
+        result.message = 'No withdrawal in this batch has this reference';
+      } else if (withdrawal.status !== 'processing' || String(withdrawal.payoutBatch) !== String(batch._id)) {
+        result.outcome = 'skipped';
+        result.message = `Withdrawal is already ${withdrawal.status}`;
+      } else if (SUCCESS_STATUSES.includes(bankStatus)) {
+        if (!row.utr) {
+          result.outcome = 'skipped';
+          result.message = 'Paid without a UTR';
+        } else {
+          result.outcome = 'completed';
+        }
+      } else if (FAILURE_STATUSES.includes(bankStatus)) {
+        result.outcome = 'failed';
+      } else {
+        result.outcome = 'skipped';
+        result.message = 'Not settled at the bank yet';
+      }
+
+      try {
+        if (result.outcome === 'completed') {
+          await Withdrawal.markAsCompleted(withdrawal._id, adminId, row.utr, context);
+        } else if (result.outcome === 'failed') {
+          const reason = row.reason
+            ? `The bank could not pay this withdrawal: ${row.reason}`
+            : 'The bank could not pay this withdrawal, the amount is back in your balance.';
+          await Withdrawal.markAsFailed(withdrawal._id, adminId, reason, context);
+        }
+        // A file listing the same reference twice only settles it once
+        if (['completed', 'failed'].includes(result.outcome)) {
+          withdrawal.status = result.outcome;
+        }
+      } catch (error) {
+        result.outcome = 'skipped';
+        result.message = error.message;
+      }
+
+      summary[result.outcome] += 1;
+      results.push(result);
+    }
+
+    batch.confirmations.push({ fileName, importedBy: adminId, ...summary, results });
+    await batch.save();
+    await this.refreshBatchStatus(batch._id);
+
+    await AuditService.record({
+      action: 'payout_batch.confirmation_import',
+      target: { type: 'PayoutBatch', id: batch._id },
+      metadata: { batchNumber: batch.batchNumber, fileName, ...summary },
+      context
+    });
+
+    console.log(`🏦 [PAYOUT-SERVICE] Batch ${batch.batchNumber} confirmation: ` +
+      `${summary.completed} completed, ${summary.failed} failed, ${summary.skipped} skipped, ${summary.unmatched} unmatched`);
+
+    return { batch: await PayoutBatch.findById(batch._id).lean(), summary, results };
+  }
+
+  /**
+   * A batch is reconciled once none of its withdrawals is still waiting on the bank
+   */
+  async refreshBatchStatus(batchId) {
+    if (!batchId) return null;
+
+    const batch = await PayoutBatch.findById(batchId);
+    if (!batch) return null;
+
+    const waiting = await Withdrawal.countDocuments({ payoutBatch: batch._id, status: 'processing' });
+    const status = waiting === 0
+      ? 'reconciled'
+      : (waiting < batch.count ? 'partially_reconciled' : batch.status);
+
+    if (status !== batch.status) {
+      batch.status = status;
+      batch.reconciledAt = status === 'reconciled' ? new Date() : undefined;
+      await batch.save();
+    }
+    return batch;
+  }
+}
+
+module.exports = new PayoutService();
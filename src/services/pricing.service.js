@@ -0,0 +1,279 @@
+// services/pricing.service.js
+const mongoose = require('mongoose');
+const Booking = require('../models/booking.model');
+const Payment = require('../models/payment.model');
+const PriceQuote = require('../models/price-quote.model');
+const PromoService = require('./promo.service');
+const SurgeService = require('./surge.service');
+const WalletService = require('./wallet.service');
+const ReferralService = require('./referral.service');
+const config = require('../config/config');
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const round = (amount) => toPaise(amount) / 100;
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * Booking prices. The pipeline is: service price, plus surge, plus the emergency fee, less the
+ * promo discount (giving the booking's totalAmount), less wallet credit (giving what is left to
+ * pay). A price quote holds everything up to the promo discount for config.pricing.quoteValidityMinutes.
+ *
+ * A booking reserves its promo code and takes its wallet credit when it is made. Cancelling it
+ * before payment gives both back; once paid, the promo counts as used, any wallet credit the
+ * final bill did not need is returned, and refunds return the wallet's share of the refund.
+ */
+class PricingService {
+
+  /**
+   * Fixed and hourly services start at their amount (one hour), range services at their minimum
+   */
+  basePrice(service) {
+    const pricing = service?.pricing;
+    const amount = pricing?.type === 'range' ? pricing.minAmount : pricing?.amount;
+    return round(amount || pricing?.basePrice || service?.price || 0);
+  }
+
+  /**
+   * Service price, surge and emergency fee for a booking at `coordinates` for `scheduledDate`
+   */
+  async priceService({ service, coordinates, scheduledDate, isEmergency = false, now = new Date() }) {
+    const basePrice = this.basePrice(service);
+    const { multiplier, factors, capped, override } = await SurgeService.getSurge({
+      coordinates,
+      category: service.category,
+      scheduledDate,
+      now
+    });
+    const surgeAmount = round(basePrice * (multiplier - 1));
+    const emergencyFee = isEmergency ? round(config.pricing.emergencyFee) : 0;
+
+    return {
+      basePrice,
+      surge: { multiplier, amount: surgeAmount, factors, capped, override },
+      emergencyFee,
+      subtotal: round(basePrice + surgeAmount + emergencyFee)
+    };
+  }
+
+  /**
+   * Price a booking of `service` for a customer without changing anything. `price` is a held
+   * price from a quote; without it the service is priced now. Throws 'Invalid promo code: <reason>'
+   * when `promoCode` does not apply.
+   */
+  async quote({ service, userId, coordinates, scheduledDate, isEmergency = false, promoCode, useWallet = false, price, session } = {}) {
+    const { basePrice, surge, emergencyFee, subtotal } = price ||
+      await this.priceService({ service, coordinates, scheduledDate, isEmergency });
+
+    let promo = null;
+    let promoDiscount = 0;
+    if (promoCode) {
+      ({ promo, discount: promoDiscount } = await PromoService.evaluate(promoCode, {
+        userId,
+        category: service.category,
+        amount: subtotal,
+        session
+      }));
+    }
+
+    const totalAmount = round(subtotal - promoDiscount);
+    const walletBalance = await WalletService.getBalance(userId, session);
+    const walletCredit = useWallet
+      ? round(Math.min(walletBalance, totalAmount * config.pricing.walletMaxPercent / 100))
+      : 0;
+
+    return {
+      basePrice,
+      surge,
+      emergencyFee,
+      subtotal,
+      promo: promo?._id,
+      promoCode: promo?.code,
+      promoDiscount,
+      totalAmount,
+      walletBalance,
+      walletCredit,
+      payable: round(totalAmount - walletCredit)
+    };
+  }
+
+  /**
+   * Quote a booking and hold its price. Returns the quote with quoteId and expiresAt; pass the
+   * quoteId when booking to get the held price.
+   */
+  async createQuote(userId, { service, location, scheduledDate, isEmergency = false, promoCode, useWallet = false }) {
+    const quote = await this.quote({
+      service,
+      userId,
+      coordinates: location.coordinates,
+      scheduledDate,
+      isEmergency,
+      promoCode,
+      useWallet
+    });
+
+    const priceQuote = await PriceQuote.create({
+      user: userId,
+      service: service._id,
+      location: { type: 'Point', coordinates: location.coordinates },
+      geohash: SurgeService.cellFor(location.coordinates),
+      scheduledDate,
+      isEmergency,
+      price: {
+        basePrice: quote.basePrice,
+        surge: quote.surge,
+        emergencyFee: quote.emergencyFee,
+        subtotal: quote.subtotal
+      },
+      expiresAt: new Date(Date.now() + config.pricing.quoteValidityMinutes * 60 * 1000)
+    });
+
+    return { ...quote, quoteId: priceQuote._id, expiresAt: priceQuote.expiresAt };
+  }
+
+  /**
+   * Use a quote for a new booking inside its transaction. The booking must be for the quoted
+   * service, emergency flag and area, and for the quoted time unless it is an emergency (those
+   * are for as soon as possible). Returns the held price.
+   */
+  async claimQuote(quoteId, booking, session) {
+    if (!mongoose.Types.ObjectId.isValid(quoteId)) {
+      throw new Error('Invalid price quote ID');
+    }
+
+    const now = new Date();
+    const priceQuote = await PriceQuote.findOne({ _id: quoteId, user: booking.user }).session(session);
+
+    if (!priceQuote) {
+      throw new Error('Invalid price quote: not found');
+    }
+    if (priceQuote.usedAt) {
+      throw new Error('Invalid price quote: already used');
+    }
+    if (priceQuote.expiresAt <= now) {
+      throw new Error('Invalid price quote: expired, get a new quote');
+    }
+    if (!priceQuote.service.equals(booking.service) ||
+        priceQuote.isEmergency !== Boolean(booking.isEmergency) ||
+        (!booking.isEmergency && priceQuote.scheduledDate.getTime() !== new Date(booking.scheduledDate).getTime()) ||
+        priceQuote.geohash !== SurgeService.cellFor(booking.location.coordinates)) {
+      throw new Error('Invalid price quote: the booking does not match the quote');
+    }
+
+    const claimed = await PriceQuote.updateOne(
+      { _id: priceQuote._id, usedAt: null },
+      { usedAt: now, booking: booking._id },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) {
+      throw new Error('Invalid price quote: already used');
+    }
+
+    return priceQuote.toObject().price;
+  }
+
+  /**
+   * Price a new booking inside its transaction, at the quoted price when `quoteId` is given:
+   * reserve the promo code and take the wallet credit. Returns the quote; store it on the
+   * booking as its pricing.
+   */
+  async applyToBooking(booking, service, { promoCode, useWallet, quoteId }, session) {
+    const price = quoteId ? await this.claimQuote(quoteId, booking, session) : undefined;
+    const quote = await this.quote({
+      service,
+      userId: booking.user,
+      coordinates: booking.location.coordinates,
+      scheduledDate: booking.scheduledDate,
+      isEmergency: booking.isEmergency,
+      promoCode,
+      useWallet,
+      price,
+      session
+    });
+    if (quoteId) {
+      quote.quote = quoteId;
+    }
+
+    if (quote.promo) {
+      await PromoService.reserve(
+        { _id: quote.promo, code: quote.promoCode },
+        { userId: booking.user, bookingId: booking._id, discount: quote.promoDiscount },
+        session
+      );
+    }
+
+    if (quote.walletCredit > 0) {
+      await WalletService.debit(booking.user, quote.walletCredit, {
+        type: 'booking_payment',
+        reference: `booking:${booking._id}:wallet`,
+        booking: booking._id,
+        description: 'Wallet credit applied to booking'
+      }, session);
+    }
+
+    return quote;
+  }
+
+  /**
+   * Give back the promo use and wallet credit of a booking that ended without being paid for.
+   * A paid booking keeps them; its refunds return the wallet's share instead.
+   */
+  async releaseBooking(booking) {
+    if (!booking.pricing?.promo && !(booking.pricing?.walletCredit > 0)) {
+      return;
+    }
+    if (await Payment.exists({ booking: booking._id, status: { $in: PAID_STATUSES } })) {
+      return;
+    }
+
+    await PromoService.release(booking._id);
+    await WalletService.credit(booking.user?._id || booking.user, booking.pricing.walletCredit, {
+      type: 'booking_release',
+      reference: `booking:${booking._id}:wallet_release`,
+      booking: booking._id,
+      description: 'Wallet credit returned, booking did not go ahead'
+    });
+  }
+
+  /**
+   * Promo, wallet and referral effects of a payment. Safe to call repeatedly; the Payment model
+   * calls it after every save that matters to the ledger.
+   */
+  async syncPayment(payment) {
+    if (!PAID_STATUSES.includes(payment.status)) {
+      return;
+    }
+
+    const booking = await Booking.findById(payment.booking).select('user pricing').lean();
+
+    await PromoService.redeem(payment.booking);
+
+    // The final bill came to less than the credit taken at booking time
+    const unusedCredit = round((booking?.pricing?.walletCredit || 0) - (payment.discounts?.walletCredit || 0));
+    if (unusedCredit > 0) {
+      await WalletService.credit(payment.user, unusedCredit, {
+        type: 'booking_release',
+        reference: `booking:${payment.booking}:wallet_release`,
+        booking: payment.booking,
+        payment: payment._id,
+        description: 'Unused wallet credit returned'
+      });
+    }
+
+    for (const refund of payment.getProcessedRefunds()) {
+      if (refund.walletAmount > 0) {
+        await WalletService.credit(payment.user, refund.walletAmount, {
+          type: 'refund',
+          reference: `refund:${refund._id}`,
+          booking: payment.booking,
+          payment: payment._id,
+          description: 'Refund of wallet credit'
+        });
+      }
+    }
+
+    await ReferralService.rewardFirstBooking(payment);
+  }
+}
+
+module.exports = new PricingService();
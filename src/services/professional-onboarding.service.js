@@ -8,6 +8,7 @@ const createError = require('http-errors');
 const ServiceCreationService = require('../services/service-creation.service');
 const SMSService = require('./sms.service');
 const User = require('../models/user.model'); // Add this line
+const AuditService = require('./audit.service');
 
 class ProfessionalOnboardingService {
   constructor() {
@@ -33,7 +34,8 @@ class ProfessionalOnboardingService {
             address: data.address,
             city: data.city,
             state: data.state,
-            pincode: data.pincode
+            pincode: data.pincode,
+            panNumber: data.panNumber
           };
           break;
         case 'specializations':
@@ -197,7 +199,7 @@ class ProfessionalOnboardingService {
     throw error;
   }
 }
-  async verifyDocument(professionalId, documentId, adminId, isValid, remarks) {
+  async verifyDocument(professionalId, documentId, adminId, isValid, remarks, auditContext = {}) {
     try {
       // Fetch current state
       const professional = await Professional.findById(professionalId);
@@ -295,6 +297,27 @@ class ProfessionalOnboardingService {
           } 
         }
       );
+
+      await AuditService.record({
+        action: isValid ? 'document.approve' : 'document.reject',
+        target: { type: 'Professional', id: professional._id },
+        before: {
+          document: { status: document.status, remarks: document.remarks },
+          documentsStatus: { [document.type]: professional.documentsStatus?.[document.type] },
+          status: professional.status,
+          onboardingStep: professional.onboardingStep,
+          employeeId: professional.employeeId
+        },
+        after: {
+          document: { status: documentStatus, remarks: remarks || document.remarks },
+          documentsStatus: { [document.type]: documentStatus },
+          status: newStatus,
+          onboardingStep: newOnboardingStep,
+          employeeId: newEmployeeId
+        },
+        metadata: { documentId, documentType: document.type },
+        context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+      });
   
       // Send notifications asynchronously
       const notificationPromises = [
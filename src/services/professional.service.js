@@ -148,7 +148,7 @@ class ProfessionalService {
     if (bookings.length > 0) {
       const completed = bookings.filter(b => b.status === 'completed');
       const cancelled = bookings.filter(b => b.status === 'cancelled');
-      const ratings = completed.map(b => b.rating).filter(r => r);
+      const ratings = completed.map(b => b.rating?.score).filter(r => r);
       
       metrics.completionRate = (completed.length / bookings.length) * 100;
       metrics.averageRating = ratings.length ? 
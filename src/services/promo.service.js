@@ -0,0 +1,293 @@
+// services/promo.service.js
+const mongoose = require('mongoose');
+const PromoCode = require('../models/promo-code.model');
+const PromoRedemption = require('../models/promo-redemption.model');
+const Booking = require('../models/booking.model');
+const AuditService = require('./audit.service');
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const round = (amount) => toPaise(amount) / 100;
+
+// Redemptions that use up one of the code's limits
+const COUNTED_STATUSES = ['reserved', 'redeemed'];
+// Bookings that did not go ahead do not make a customer a repeat customer
+const NOT_TAKEN_PLACE_STATUSES = ['cancelled', 'no_show'];
+
+/**
+ * Promo codes: checking a code against a booking, reserving it for the booking and giving the use
+ * back when the booking is cancelled, plus admin management.
+ *
+ * The global limit is enforced with a conditional increment of redemptionCount, so concurrent
+ * bookings cannot overrun it; the per-user limit is checked by counting the customer's
+ * redemptions.
+ */
+class PromoService {
+
+  normaliseCode(code) {
+    return (code || '').toString().trim().toUpperCase();
+  }
+
+  calculateDiscount(promo, amount) {
+    let discount = promo.discountType === 'percent'
+      ? amount * promo.value / 100
+      : promo.value;
+
+    if (promo.discountType === 'percent' && promo.maxDiscount != null) {
+      discount = Math.min(discount, promo.maxDiscount);
+    }
+    return round(Math.min(discount, amount));
+  }
+
+  /**
+   * The discount `code` gives a customer on a booking of `amount` in `category`. Throws
+   * 'Invalid promo code: <reason>' when the code does not apply.
+   */
+  async evaluate(code, { userId, category, amount, now = new Date(), session } = {}) {
+    const promo = await PromoCode.findOne({ code: this.normaliseCode(code) }).session(session || null);
+
+    if (!promo || !promo.isActive) {
+      throw new Error('Invalid promo code: no such code');
+    }
+    if (promo.startsAt > now) {
+      throw new Error('Invalid promo code: not active yet');
+    }
+    if (promo.expiresAt && promo.expiresAt <= now) {
+      throw new Error('Invalid promo code: expired');
+    }
+    if (promo.categories?.length && !promo.categories.includes(category)) {
+      throw new Error('Invalid promo code: not valid for this service');
+    }
+    if (amount < promo.minOrderValue) {
+      throw new Error(`Invalid promo code: needs a booking of at least ₹${promo.minOrderValue}`);
+    }
+    if (promo.usageLimit != null && promo.redemptionCount >= promo.usageLimit) {
+      throw new Error('Invalid promo code: fully redeemed');
+    }
+
+    const used = await PromoRedemption.countDocuments({
+      promo: promo._id,
+      user: userId,
+      status: { $in: COUNTED_STATUSES }
+    }).session(session || null);
+    if (used >= promo.perUserLimit) {
+      throw new Error('Invalid promo code: already used');
+    }
+
+    if (promo.firstBookingOnly) {
+      const hasBooked = await Booking.exists({
+        user: userId,
+        status: { $nin: NOT_TAKEN_PLACE_STATUSES }
+      }).session(session || null);
+      if (hasBooked) {
+        throw new Error('Invalid promo code: only valid on your first booking');
+      }
+    }
+
+    const discount = this.calculateDiscount(promo, amount);
+    if (discount <= 0) {
+      throw new Error('Invalid promo code: no discount on this booking');
+    }
+
+    return { promo, discount };
+  }
+
+  /**
+   * Take one use of the promo for a booking, inside the booking's transaction
+   */
+  async reserve(promo, { userId, bookingId, discount }, session) {
+    const claimed = await PromoCode.findOneAndUpdate(
+      {
+        _id: promo._id,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: ['$redemptionCount', '$usageLimit'] } }
+        ]
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true, session }
+    );
+    if (!claimed) {
+      throw new Error('Invalid promo code: fully redeemed');
+    }
+
+    const [redemption] = await PromoRedemption.create([{
+      promo: promo._id,
+      code: promo.code,
+      user: userId,
+      booking: bookingId,
+      discount
+    }], { session });
+
+    return redemption;
+  }
+
+  /**
+   * Give the use back when a booking is cancelled before it was paid for
+   */
+  async release(bookingId) {
+    const redemption = await PromoRedemption.findOneAndUpdate(
+      { booking: bookingId, status: 'reserved' },
+      { status: 'released', releasedAt: new Date() },
+      { new: true }
+    );
+    if (!redemption) {
+      return null;
+    }
+
+    await PromoCode.updateOne(
+      { _id: redemption.promo, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    );
+    console.log(`🏷️ [PROMO-SERVICE] Released ${redemption.code} from booking ${bookingId}`);
+    return redemption;
+  }
+
+  /**
+   * Mark the promo as used for good once the booking is paid
+   */
+  async redeem(bookingId) {
+    return PromoRedemption.findOneAndUpdate(
+      { booking: bookingId, status: 'reserved' },
+      { status: 'redeemed', redeemedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  // --- Management ---
+
+  async listPromoCodes({ status, page = 1, limit = 50 } = {}) {
+    const now = new Date();
+    const query = {};
+
+    if (status === 'active') {
+      Object.assign(query, {
+        isActive: true,
+        startsAt: { $lte: now },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      });
+    }
+    if (status === 'scheduled') Object.assign(query, { isActive: true, startsAt: { $gt: now } });
+    if (status === 'expired') query.expiresAt = { $lte: now };
+    if (status === 'disabled') query.isActive = false;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [total, promoCodes] = await Promise.all([
+      PromoCode.countDocuments(query),
+      PromoCode.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean()
+    ]);
+
+    return {
+      promoCodes,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  async getPromoCode(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid promo code ID');
+    }
+
+    const promo = await PromoCode.findById(id);
+    if (!promo) {
+      throw new Error('Promo code not found');
+    }
+    return promo;
+  }
+
+  /**
+   * A promo code with its redemptions by status and the discount given so far
+   */
+  async getPromoCodeDetails(id) {
+    const promo = await this.getPromoCode(id);
+
+    const rows = await PromoRedemption.aggregate([
+      { $match: { promo: promo._id } },
+      { $group: { _id: '$status', count: { $sum: 1 }, discount: { $sum: '$discount' } } }
+    ]);
+
+    const redemptions = Object.fromEntries(
+      PromoRedemption.STATUSES.map(status => [status, { count: 0, discount: 0 }])
+    );
+    for (const row of rows) {
+      redemptions[row._id] = { count: row.count, discount: round(row.discount) };
+    }
+
+    return { promoCode: promo, redemptions };
+  }
+
+  async createPromoCode(data, adminId, auditContext = {}) {
+    const code = this.normaliseCode(data.code);
+    if (await PromoCode.exists({ code })) {
+      throw new Error(`Promo code ${code} already exists`);
+    }
+
+    const promo = await PromoCode.create({ ...data, code, createdBy: adminId, updatedBy: adminId });
+
+    await AuditService.record({
+      action: 'promo_code.create',
+      target: { type: 'PromoCode', id: promo._id },
+      before: null,
+      after: promo,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    console.log(`🏷️ [PROMO-SERVICE] Promo code ${promo.code} created`);
+    return promo;
+  }
+
+  /**
+   * Bookings keep the discount they were given, so edits only affect new bookings
+   */
+  async updatePromoCode(id, data, adminId, auditContext = {}) {
+    const promo = await this.getPromoCode(id);
+    const before = promo.toObject();
+
+    promo.set({ ...data, updatedBy: adminId });
+    await promo.save();
+
+    await AuditService.record({
+      action: 'promo_code.update',
+      target: { type: 'PromoCode', id: promo._id },
+      before,
+      after: promo,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    return promo;
+  }
+
+  /**
+   * Codes used by a booking are kept for reference; disable them with isActive: false instead
+   */
+  async deletePromoCode(id, adminId, auditContext = {}) {
+    const promo = await this.getPromoCode(id);
+
+    if (await PromoRedemption.exists({ promo: promo._id })) {
+      throw new Error('Promo code has been used by bookings and cannot be deleted; disable it instead');
+    }
+
+    await promo.deleteOne();
+
+    await AuditService.record({
+      action: 'promo_code.delete',
+      target: { type: 'PromoCode', id: promo._id },
+      before: promo,
+      after: null,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    return promo;
+  }
+}
+
+module.exports = new PromoService();
@@ -1,74 +1,347 @@
+// services/rating.service.js
+const mongoose = require('mongoose');
+const Booking = require('../models/booking.model');
+const Professional = require('../models/professional.model');
+const User = require('../models/user.model');
+const config = require('../config/config');
+const logger = require('../config/logger');
+
 class RatingService {
-    static async updateProfessionalRating(professionalId) {
-      try {
-        const bookings = await Booking.find({
-          professional: professionalId,
-          status: 'completed',
-          rating: { $exists: true }
-        });
-  
-        if (!bookings.length) return null;
-  
-        // Calculate weighted average based on recency
-        const weightedRatings = bookings.map(booking => {
-          const ageInDays = (Date.now() - booking.updatedAt) / (1000 * 60 * 60 * 24);
-          const weight = Math.exp(-0.1 * ageInDays); // Exponential decay
-          return {
-            rating: booking.rating,
-            weight
-          };
-        });
-  
-        const totalWeight = weightedRatings.reduce((sum, item) => sum + item.weight, 0);
-        const weightedAverage = weightedRatings.reduce(
-          (sum, item) => sum + item.rating * item.weight,
-          0
-        ) / totalWeight;
-  
-        await Professional.findByIdAndUpdate(professionalId, {
-          'ratings.average': Number(weightedAverage.toFixed(2)),
-          'ratings.count': bookings.length
-        });
-  
-        return weightedAverage;
-      } catch (error) {
-        logger.error('Error updating professional rating:', error);
-        throw error;
+  /**
+   * Weight of a review given its age: halves every `halfLifeDays`
+   */
+  static getDecayWeight(createdAt, now = Date.now()) {
+    const ageInDays = Math.max(0, (now - new Date(createdAt).getTime()) / (1000 * 60 * 60 * 24));
+    return Math.pow(0.5, ageInDays / config.ratings.halfLifeDays);
+  }
+
+  static validateScore(score) {
+    const value = Number(score);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw new Error('Invalid rating: must be a whole number between 1 and 5');
+    }
+    return value;
+  }
+
+  /**
+   * Customer reviews the professional for a completed booking
+   */
+  static async rateBooking(bookingId, userId, score, review) {
+    const value = this.validateScore(score);
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (booking.user.toString() !== userId.toString()) {
+      throw new Error('Not authorized to rate this booking');
+    }
+
+    if (booking.status !== 'completed') {
+      throw new Error('Only completed bookings can be rated');
+    }
+
+    if (!booking.professional) {
+      throw new Error('Booking has no professional to rate');
+    }
+
+    if (booking.rating?.score) {
+      throw new Error('Booking has already been rated');
+    }
+
+    const rating = {
+      score: value,
+      review: review ? review.trim() : undefined,
+      createdAt: new Date()
+    };
+
+    // Conditional, so of two reviews sent together only the first is kept
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'completed', 'rating.score': { $exists: false } },
+      {
+        $set: {
+          'rating.score': rating.score,
+          'rating.createdAt': rating.createdAt,
+          ...(rating.review && { 'rating.review': rating.review })
+        }
       }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('Booking has already been rated');
+    }
+    booking.rating = rating;
+
+    await this.updateProfessionalRating(booking.professional);
+
+    try {
+      const NotificationService = require('./notification.service');
+      NotificationService.sendNotification(booking.professional, 'NEW_REVIEW', {
+        bookingId: booking._id,
+        score: value
+      });
+    } catch (error) {
+      logger.error('Error sending review notification:', error);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Professional posts (or edits) a public reply to the customer's review
+   */
+  static async replyToReview(bookingId, professionalId, text) {
+    if (!text || !text.trim()) {
+      throw new Error('Reply text is required');
+    }
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (!booking.professional || booking.professional.toString() !== professionalId.toString()) {
+      throw new Error('Not authorized to reply to this review');
+    }
+
+    if (!booking.rating?.score) {
+      throw new Error('Booking has not been reviewed yet');
+    }
+
+    const now = new Date();
+    booking.rating.reply = {
+      text: text.trim(),
+      createdAt: booking.rating.reply?.createdAt || now,
+      updatedAt: now
+    };
+    await booking.save();
+
+    return booking;
+  }
+
+  /**
+   * Professional rates the customer for a completed booking
+   */
+  static async rateCustomer(bookingId, professionalId, score, review) {
+    const value = this.validateScore(score);
+
+    const booking = await Booking.findById(bookingId);
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    if (!booking.professional || booking.professional.toString() !== professionalId.toString()) {
+      throw new Error('Not authorized to rate this customer');
+    }
+
+    if (booking.status !== 'completed') {
+      throw new Error('Only completed bookings can be rated');
     }
-  
-    static async getRatingBreakdown(professionalId) {
-      try {
-        const bookings = await Booking.find({
-          professional: professionalId,
-          status: 'completed',
-          rating: { $exists: true }
-        });
-  
-        const breakdown = {
-          5: 0, 4: 0, 3: 0, 2: 0, 1: 0
-        };
-  
-        bookings.forEach(booking => {
-          breakdown[booking.rating]++;
-        });
-  
-        return {
-          breakdown,
-          total: bookings.length,
-          average: await this.updateProfessionalRating(professionalId)
-        };
-      } catch (error) {
-        logger.error('Error getting rating breakdown:', error);
-        throw error;
+
+    if (booking.customerRating?.score) {
+      throw new Error('Customer has already been rated for this booking');
+    }
+
+    const customerRating = {
+      score: value,
+      review: review ? review.trim() : undefined,
+      createdAt: new Date()
+    };
+
+    const result = await Booking.updateOne(
+      { _id: booking._id, status: 'completed', 'customerRating.score': { $exists: false } },
+      {
+        $set: {
+          'customerRating.score': customerRating.score,
+          'customerRating.createdAt': customerRating.createdAt,
+          ...(customerRating.review && { 'customerRating.review': customerRating.review })
+        }
+      }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('Customer has already been rated for this booking');
+    }
+    booking.customerRating = customerRating;
+
+    await this.updateUserRating(booking.user);
+
+    return booking;
+  }
+
+  /**
+   * Recalculate the time-decayed average, count and star breakdown for a professional
+   */
+  static async updateProfessionalRating(professionalId) {
+    try {
+      const bookings = await Booking.find({
+        professional: professionalId,
+        status: 'completed',
+        'rating.score': { $exists: true }
+      }).select('rating');
+
+      const breakdown = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+      const now = Date.now();
+      let weightedSum = 0;
+      let totalWeight = 0;
+      let sum = 0;
+
+      bookings.forEach(booking => {
+        const { score, createdAt } = booking.rating;
+        const weight = this.getDecayWeight(createdAt || booking._id.getTimestamp(), now);
+
+        breakdown[score]++;
+        weightedSum += score * weight;
+        totalWeight += weight;
+        sum += score;
+      });
+
+      const ratings = {
+        average: totalWeight > 0 ? Number((weightedSum / totalWeight).toFixed(2)) : 0,
+        simpleAverage: bookings.length ? Number((sum / bookings.length).toFixed(2)) : 0,
+        count: bookings.length,
+        breakdown,
+        lastCalculatedAt: new Date()
+      };
+
+      await Professional.findByIdAndUpdate(professionalId, { ratings });
+
+      return ratings;
+    } catch (error) {
+      logger.error('Error updating professional rating:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalculate the customer's rating from the ratings professionals gave them
+   */
+  static async updateUserRating(userId) {
+    try {
+      const bookings = await Booking.find({
+        user: userId,
+        'customerRating.score': { $exists: true }
+      }).select('customerRating');
+
+      const now = Date.now();
+      let weightedSum = 0;
+      let totalWeight = 0;
+
+      bookings.forEach(booking => {
+        const weight = this.getDecayWeight(booking.customerRating.createdAt, now);
+        weightedSum += booking.customerRating.score * weight;
+        totalWeight += weight;
+      });
+
+      const rating = totalWeight > 0 ? Number((weightedSum / totalWeight).toFixed(2)) : 0;
+
+      await User.findByIdAndUpdate(userId, {
+        rating,
+        ratingCount: bookings.length
+      });
+
+      return rating;
+    } catch (error) {
+      logger.error('Error updating user rating:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Star breakdown for a professional, computed from the completed bookings
+   */
+  static async getRatingBreakdown(professionalId) {
+    try {
+      const professional = await Professional.findById(professionalId).select('name ratings');
+      if (!professional) {
+        throw new Error('Professional not found');
       }
+
+      const counts = await Booking.aggregate([
+        {
+          $match: {
+            professional: new mongoose.Types.ObjectId(professionalId),
+            status: 'completed',
+            'rating.score': { $exists: true }
+          }
+        },
+        { $group: { _id: '$rating.score', count: { $sum: 1 } } }
+      ]);
+
+      const breakdown = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+      counts.forEach(({ _id, count }) => {
+        breakdown[_id] = count;
+      });
+
+      const total = Object.values(breakdown).reduce((sum, count) => sum + count, 0);
+
+      return {
+        professionalId: professional._id,
+        average: professional.ratings?.average || 0,
+        simpleAverage: professional.ratings?.simpleAverage || 0,
+        total,
+        breakdown,
+        percentages: Object.fromEntries(
+          Object.entries(breakdown).map(([star, count]) => [
+            star,
+            total ? Math.round((count / total) * 1000) / 10 : 0
+          ])
+        )
+      };
+    } catch (error) {
+      logger.error('Error getting rating breakdown:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Public, paginated list of reviews for a professional
+   */
+  static async getProfessionalReviews(professionalId, { page = 1, limit = 10, score } = {}) {
+    const query = {
+      professional: professionalId,
+      status: 'completed',
+      'rating.score': { $exists: true }
+    };
+
+    if (score) {
+      query['rating.score'] = parseInt(score);
     }
+
+    const pageNumber = Math.max(1, parseInt(page));
+    const pageSize = Math.min(50, Math.max(1, parseInt(limit)));
+
+    const [total, bookings] = await Promise.all([
+      Booking.countDocuments(query),
+      Booking.find(query)
+        .select('rating service user completedAt')
+        .populate('service', 'name category')
+        .populate('user', 'name')
+        .sort({ 'rating.createdAt': -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .lean()
+    ]);
+
+    const reviews = bookings.map(booking => ({
+      bookingId: booking._id,
+      score: booking.rating.score,
+      review: booking.rating.review,
+      createdAt: booking.rating.createdAt,
+      reply: booking.rating.reply?.text ? booking.rating.reply : null,
+      service: booking.service,
+      // Only show the customer's first name on public reviews
+      customerName: booking.user?.name ? booking.user.name.split(' ')[0] : 'Customer'
+    }));
+
+    return {
+      reviews,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
   }
+}
 
-  module.exports = {
-    MatchingService,
-    TrackingService,
-    PaymentService,
-    RatingService,
-    NotificationService
-  };
\ No newline at end of file
+module.exports = RatingService;
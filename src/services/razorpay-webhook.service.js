@@ -0,0 +1,496 @@
+// services/razorpay-webhook.service.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/webhook-event.model');
+const Payment = require('../models/payment.model');
+const Booking = require('../models/booking.model');
+const Transaction = require('../models/transaction.model');
+const AuditService = require('./audit.service');
+const config = require('../config/config');
+
+const PROVIDER = 'razorpay';
+
+const toRupees = (paise) => Math.round(paise || 0) / 100;
+const toPaise = (rupees) => Math.round((rupees || 0) * 100);
+
+// Razorpay payment methods -> Transaction.paymentMethod
+const TRANSACTION_METHODS = {
+  upi: 'upi',
+  netbanking: 'net_banking',
+  wallet: 'wallet'
+};
+
+/**
+ * Razorpay webhook processing. Every delivery is stored as a WebhookEvent keyed by Razorpay's
+ * event id, so redeliveries are acknowledged without being applied twice. The handlers themselves
+ * only move a payment or refund forward (pending/failed -> completed -> refunded), which keeps a
+ * replayed or out-of-order event harmless as well.
+ */
+class RazorpayWebhookService {
+  constructor() {
+    this.handlers = {
+      'payment.captured': (body, context) => this.handleCaptured(body.payload.payment.entity, body.event, context),
+      'order.paid': (body, context) => this.handleCaptured(body.payload.payment.entity, body.event, context),
+      'payment.failed': (body, context) => this.handleFailed(body.payload.payment.entity, context),
+      'refund.processed': (body, context) => this.handleRefundProcessed(body.payload.refund.entity, context),
+      'refund.failed': (body) => this.handleRefundFailed(body.payload.refund.entity)
+    };
+  }
+
+  /**
+   * Razorpay signs the raw request body with the webhook secret (HMAC-SHA256, hex)
+   */
+  verifySignature(rawBody, signature, secret = config.razorpay.webhookSecret) {
+    if (!secret) {
+      throw new Error('Razorpay webhook secret is not configured');
+    }
+    if (!rawBody || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  /**
+   * Razorpay sends x-razorpay-event-id on every delivery; the body hash stands in when it is missing
+   */
+  getEventId(headerValue, rawBody) {
+    return headerValue || `body_${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+  }
+
+  /**
+   * Store and process one delivery. Returns { duplicate: true } for events already handled
+   * (or being handled right now). Throws when processing fails so Razorpay retries the delivery.
+   */
+  async receive(eventId, body, context = {}) {
+    let record;
+
+    try {
+      record = await WebhookEvent.create({
+        provider: PROVIDER,
+        eventId,
+        event: body.event,
+        payload: body
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Seen before: only take it again if the earlier attempt failed or died half-way
+      const staleBefore = new Date(Date.now() - config.razorpay.webhookStaleMinutes * 60 * 1000);
+      record = await WebhookEvent.findOneAndUpdate(
+        {
+          provider: PROVIDER,
+          eventId,
+          $or: [
+            { status: 'failed' },
+            { status: 'processing', updatedAt: { $lt: staleBefore } }
+          ]
+        },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+      );
+
+      if (!record) {
+        const existing = await WebhookEvent.findOne({ provider: PROVIDER, eventId }).select('status outcome');
+        console.log(`🔁 [RAZORPAY-WEBHOOK] Duplicate event ${eventId} (${existing?.status}) ignored`);
+        return { duplicate: true, event: existing };
+      }
+    }
+
+    return this.process(record, context);
+  }
+
+  /**
+   * Apply a stored event and record the outcome on it
+   */
+  async process(record, context = {}) {
+    const handler = this.handlers[record.event];
+
+    try {
+      const result = handler
+        ? await handler(record.payload, context)
+        : { ignored: true, outcome: 'unhandled_event' };
+
+      record.status = result.ignored ? 'ignored' : 'processed';
+      record.outcome = result.outcome;
+      record.payment = result.payment?._id;
+      record.lastError = undefined;
+      record.processedAt = new Date();
+      await record.save();
+
+      console.log(`🪝 [RAZORPAY-WEBHOOK] ${record.event} ${record.eventId}: ${result.outcome}`);
+      return { duplicate: false, event: record };
+    } catch (error) {
+      record.status = 'failed';
+      record.lastError = error.message;
+      await record.save();
+
+      console.error(`❌ [RAZORPAY-WEBHOOK] ${record.event} ${record.eventId} failed:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Process a stored event again, whatever its status (admin replay)
+   */
+  async replay(id, context = {}) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid webhook event ID');
+    }
+
+    const record = await WebhookEvent.findById(id);
+    if (!record) {
+      throw new Error('Webhook event not found');
+    }
+
+    record.status = 'processing';
+    record.attempts += 1;
+    await record.save();
+
+    return this.process(record, context);
+  }
+
+  async listEvents({ status, event, payment, page = 1, limit = 50 } = {}) {
+    const query = { provider: PROVIDER };
+
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (payment) {
+      if (!mongoose.Types.ObjectId.isValid(payment)) {
+        throw new Error('Invalid payment ID');
+      }
+      query.payment = payment;
+    }
+
+    page = Math.max(parseInt(page) || 1, 1);
+    limit = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(query)
+        .select('-payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    };
+  }
+
+  // --- Event handlers ---
+
+  async findPayment(paymentEntity) {
+    return Payment.findOne({
+      $or: [
+        { razorpayPaymentId: paymentEntity.id },
+        ...(paymentEntity.order_id ? [{ razorpayOrderId: paymentEntity.order_id }] : [])
+      ]
+    });
+  }
+
+  addAttempt(payment, status, entity, errorMessage) {
+    payment.paymentAttempts.push({
+      attemptedAt: new Date(),
+      method: 'razorpay_webhook',
+      status,
+      errorMessage,
+      gatewayResponse: entity
+    });
+  }
+
+  transactionMethod(paymentEntity) {
+    if (paymentEntity.method === 'card') {
+      return paymentEntity.card?.type === 'debit' ? 'debit_card' : 'credit_card';
+    }
+    return TRANSACTION_METHODS[paymentEntity.method] || 'other';
+  }
+
+  /**
+   * One Transaction per Razorpay payment or refund id; later events update its status
+   */
+  async upsertTransaction(gatewayTransactionId, fields) {
+    const existing = await Transaction.findOne({ gatewayTransactionId });
+    if (existing) {
+      existing.set(fields);
+      return existing.save();
+    }
+
+    try {
+      return await Transaction.create({ gatewayTransactionId, paymentGateway: PROVIDER, ...fields });
+    } catch (error) {
+      // Another delivery created it in the meantime
+      if (error.code !== 11000) throw error;
+      return this.upsertTransaction(gatewayTransactionId, fields);
+    }
+  }
+
+  /**
+   * payment.captured and order.paid: both carry the payment entity and both complete the payment
+   */
+  async handleCaptured(paymentEntity, eventName, context) {
+    const payment = await this.findPayment(paymentEntity);
+    if (!payment) {
+      return { ignored: true, outcome: 'payment_not_found' };
+    }
+
+    // Wallet credit is not charged through the gateway
+    if (paymentEntity.amount !== toPaise(payment.amountDue)) {
+      console.error(`🚨 [RAZORPAY-WEBHOOK] Captured ${toRupees(paymentEntity.amount)} for payment ${payment._id} of ${payment.amountDue}`);
+      this.addAttempt(payment, 'amount_mismatch', paymentEntity, `Captured amount ${toRupees(paymentEntity.amount)} does not match ${payment.amountDue}`);
+      await payment.save();
+      return { ignored: true, outcome: 'amount_mismatch', payment };
+    }
+
+    let outcome = 'already_completed';
+
+    if (['pending', 'processing', 'failed'].includes(payment.status)) {
+      const before = payment.toObject();
+
+      payment.razorpayPaymentId = paymentEntity.id;
+      payment.status = 'completed';
+      payment.completedAt = new Date();
+      this.addAttempt(payment, 'captured', paymentEntity);
+      await payment.save();
+
+      await AuditService.record({
+        action: 'payment.capture',
+        target: { type: 'Payment', id: payment._id },
+        before,
+        after: payment,
+        paths: ['status', 'razorpayPaymentId', 'completedAt'],
+        metadata: { booking: payment.booking, source: 'razorpay_webhook', event: eventName },
+        context
+      });
+
+      outcome = 'payment_completed';
+    }
+
+    // Brought in line even when the payment was already completed by /razorpay/verify
+    if (payment.status === 'completed') {
+      await Booking.updateOne(
+        { _id: payment.booking, paymentStatus: { $in: ['pending', 'failed'] } },
+        { paymentStatus: 'paid' }
+      );
+    }
+
+    await this.upsertTransaction(paymentEntity.id, {
+      booking: payment.booking,
+      professional: payment.professional,
+      user: payment.user,
+      amount: payment.amountDue,
+      platformFee: payment.platformCommission,
+      payoutAmount: payment.professionalPayout,
+      paymentMethod: this.transactionMethod(paymentEntity),
+      gatewayFee: toRupees(paymentEntity.fee),
+      taxAmount: toRupees(paymentEntity.tax),
+      status: 'completed',
+      type: 'payment',
+      processedAt: new Date(),
+      metadata: { payment: payment._id, razorpayOrderId: paymentEntity.order_id }
+    });
+
+    return { outcome, payment };
+  }
+
+  /**
+   * A failed attempt. The customer may still pay the same order with another attempt, which
+   * arrives as payment.captured and completes the payment.
+   */
+  async handleFailed(paymentEntity, context) {
+    const payment = await this.findPayment(paymentEntity);
+    if (!payment) {
+      return { ignored: true, outcome: 'payment_not_found' };
+    }
+
+    const errorMessage = paymentEntity.error_description || paymentEntity.error_code || 'Payment failed';
+    this.addAttempt(payment, 'failed', paymentEntity, errorMessage);
+
+    let outcome = 'attempt_recorded';
+
+    if (['pending', 'processing'].includes(payment.status)) {
+      payment.status = 'failed';
+      outcome = 'payment_failed';
+    }
+    await payment.save();
+
+    if (outcome === 'payment_failed') {
+      await Booking.updateOne(
+        { _id: payment.booking, paymentStatus: 'pending' },
+        { paymentStatus: 'failed' }
+      );
+    }
+
+    await this.upsertTransaction(paymentEntity.id, {
+      booking: payment.booking,
+      professional: payment.professional,
+      user: payment.user,
+      amount: payment.amountDue,
+      platformFee: payment.platformCommission,
+      payoutAmount: payment.professionalPayout,
+      paymentMethod: this.transactionMethod(paymentEntity),
+      status: 'failed',
+      type: 'payment',
+      notes: errorMessage,
+      processedAt: new Date(),
+      metadata: { payment: payment._id, razorpayOrderId: paymentEntity.order_id }
+    });
+
+    return { outcome, payment };
+  }
+
+  /**
+   * The payment refund a Razorpay refund belongs to: by the refund id we put in its notes, then by
+   * gateway refund id (the webhook can arrive before processRefund has stored the id)
+   */
+  findRefund(payment, refundEntity) {
+    const localId = refundEntity.notes?.refund_id;
+    return payment.refunds.find(refund => (
+      (localId && refund._id.toString() === localId) || refund.gatewayRefundId === refundEntity.id
+    ));
+  }
+
+  /**
+   * refund.processed completes refunds started through PaymentService.processRefund. Refunds
+   * made from the Razorpay dashboard arrive only here and are recorded as new refunds.
+   */
+  async handleRefundProcessed(refundEntity, context) {
+    const payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id });
+    if (!payment) {
+      return { ignored: true, outcome: 'payment_not_found' };
+    }
+
+    const PaymentService = require('./payment.service');
+    const amount = toRupees(refundEntity.amount);
+    let refund = this.findRefund(payment, refundEntity);
+    let outcome = 'already_refunded';
+
+    if (refund) {
+      if (!refund.gatewayRefundId) {
+        refund.gatewayRefundId = refundEntity.id;
+      }
+      if (await PaymentService.applyGatewayRefundStatus(payment, refund, 'processed')) {
+        outcome = 'refund_processed';
+      } else if (payment.isModified()) {
+        await payment.save();
+      }
+    } else if (payment.getProcessedRefunds().some(item => item.legacy && item.gatewayRefundId === refundEntity.id)) {
+      refund = payment.getProcessedRefunds()[0];
+    } else {
+      if (!['completed', 'partially_refunded'].includes(payment.status) || toPaise(amount) > toPaise(payment.refundableAmount)) {
+        this.addAttempt(payment, 'refund_unapplied', refundEntity, `Refund ${refundEntity.id} of ${amount} exceeds what is refundable on this ${payment.status} payment`);
+        await payment.save();
+        return { ignored: true, outcome: 'refund_not_applicable', payment };
+      }
+
+      const before = payment.toObject();
+
+      payment.refunds.push({
+        amount,
+        reasonCode: 'gateway_initiated',
+        reason: refundEntity.notes?.reason || 'Refunded from Razorpay',
+        initiatedBy: { role: 'system' },
+        status: 'processed',
+        gatewayRefundId: refundEntity.id,
+        processedAt: new Date(),
+        ...payment.calculateRefundReversal(amount),
+        // Paid back in full by the gateway, none of it goes to the wallet
+        walletAmount: 0
+      });
+      refund = payment.refunds[payment.refunds.length - 1];
+      this.addAttempt(payment, 'refunded', refundEntity);
+      await payment.save();
+
+      await PaymentService.syncBookingPaymentStatus(payment);
+      PaymentService.notifyRefund(payment, refund);
+
+      await AuditService.record({
+        action: 'payment.refund',
+        target: { type: 'Payment', id: payment._id },
+        before,
+        after: payment,
+        paths: ['status', 'refundedAmount', 'reversedCommission', 'reversedPayout'],
+        metadata: {
+          booking: payment.booking,
+          refund: refund._id,
+          amount,
+          reasonCode: refund.reasonCode,
+          source: 'razorpay_webhook',
+          razorpayRefundId: refundEntity.id
+        },
+        context
+      });
+
+      outcome = 'refund_recorded';
+    }
+
+    const original = await Transaction.findOne({ gatewayTransactionId: payment.razorpayPaymentId, type: 'payment' });
+
+    await this.upsertTransaction(refundEntity.id, {
+      booking: payment.booking,
+      professional: payment.professional,
+      user: payment.user,
+      amount,
+      // Commission and payout this refund reverses
+      platformFee: refund.commissionReversed || 0,
+      payoutAmount: refund.payoutReversed || 0,
+      paymentMethod: original?.paymentMethod || 'other',
+      status: 'completed',
+      type: 'refund',
+      refundReason: refund.reason,
+      refundedAt: new Date(),
+      originalTransaction: original?._id,
+      processedAt: new Date(),
+      metadata: { payment: payment._id, refund: refund._id }
+    });
+
+    if (original) {
+      const refunded = await Transaction.find({ originalTransaction: original._id, type: 'refund', status: 'completed' }).select('amount');
+      original.refundedAmount = refunded.reduce((sum, item) => sum + item.amount, 0);
+      original.refundedAt = new Date();
+      original.status = toPaise(original.refundedAmount) >= toPaise(original.amount) ? 'refunded' : 'partially_refunded';
+      await original.save();
+    }
+
+    return { outcome, payment };
+  }
+
+  /**
+   * refund.failed releases the amount a pending refund had reserved
+   */
+  async handleRefundFailed(refundEntity) {
+    const payment = await Payment.findOne({ razorpayPaymentId: refundEntity.payment_id });
+    if (!payment) {
+      return { ignored: true, outcome: 'payment_not_found' };
+    }
+
+    const refund = this.findRefund(payment, refundEntity);
+    if (!refund) {
+      return { ignored: true, outcome: 'refund_not_found', payment };
+    }
+
+    if (!refund.gatewayRefundId) {
+      refund.gatewayRefundId = refundEntity.id;
+    }
+
+    const PaymentService = require('./payment.service');
+    const changed = await PaymentService.applyGatewayRefundStatus(
+      payment,
+      refund,
+      'failed',
+      refundEntity.error_description || 'Refund failed at Razorpay'
+    );
+
+    return { outcome: changed ? 'refund_failed' : `refund_already_${refund.status}`, payment };
+  }
+}
+
+module.exports = new RazorpayWebhookService();
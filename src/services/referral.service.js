@@ -0,0 +1,192 @@
+// services/referral.service.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const Payment = require('../models/payment.model');
+const WalletTransaction = require('../models/wallet-transaction.model');
+const WalletService = require('./wallet.service');
+const config = require('../config/config');
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+// No 0/O or 1/I, so codes survive being read out
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Referral codes and credits. A customer can enter someone's code when signing up, or later
+ * until their first booking is paid for. When that first booking is paid, both get wallet credit.
+ */
+class ReferralService {
+
+  generateCode(name) {
+    const prefix = (name || '').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 4);
+    const suffix = Array.from(crypto.randomBytes(6), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `${prefix}${suffix}`;
+  }
+
+  /**
+   * The customer's referral code, created on first use
+   */
+  async getReferralCode(userId) {
+    const user = await User.findById(userId).select('name referralCode');
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (user.referralCode) {
+      return user.referralCode;
+    }
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      try {
+        const updated = await User.findOneAndUpdate(
+          { _id: userId, referralCode: null },
+          { referralCode: this.generateCode(user.name) },
+          { new: true }
+        );
+        // Another request set one first
+        return updated?.referralCode || (await User.findById(userId).select('referralCode')).referralCode;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+    throw new Error('Could not generate a referral code, try again');
+  }
+
+  async hasPaidBooking(userId) {
+    return Boolean(await Payment.exists({ user: userId, status: { $in: PAID_STATUSES } }));
+  }
+
+  /**
+   * Record that `userId` was referred by the owner of `code`
+   */
+  async applyReferralCode(userId, code) {
+    const referralCode = (code || '').toString().trim().toUpperCase();
+    const referrer = referralCode && await User.findOne({ referralCode }).select('_id name');
+
+    if (!referrer) {
+      throw new Error('Invalid referral code');
+    }
+    if (referrer._id.equals(userId)) {
+      throw new Error('Invalid referral code: you cannot refer yourself');
+    }
+    if (await this.hasPaidBooking(userId)) {
+      throw new Error('Invalid referral code: referral codes can only be used before your first booking');
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId, referredBy: null },
+      { referredBy: referrer._id, referredAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error('Invalid referral code: a referral code was already applied');
+    }
+
+    console.log(`🤝 [REFERRAL-SERVICE] User ${userId} referred by ${referrer._id}`);
+    return { referrer: { _id: referrer._id, name: referrer.name } };
+  }
+
+  /**
+   * Credit the referrer and the referred customer when a referred customer's first booking is
+   * paid. Called for every paid payment; anything but the first paid booking of a referred,
+   * not yet rewarded customer is ignored.
+   */
+  async rewardFirstBooking(payment) {
+    if (!PAID_STATUSES.includes(payment.status)) {
+      return null;
+    }
+
+    const user = await User.findById(payment.user).select('name referredBy referralRewardedAt').lean();
+    if (!user?.referredBy || user.referralRewardedAt) {
+      return null;
+    }
+
+    const earlierBooking = await Payment.exists({
+      user: user._id,
+      booking: { $ne: payment.booking },
+      status: { $in: PAID_STATUSES }
+    });
+    if (earlierBooking) {
+      return null;
+    }
+
+    const rewardedAt = new Date();
+    const claimed = await User.updateOne(
+      { _id: user._id, referralRewardedAt: null },
+      { referralRewardedAt: rewardedAt }
+    );
+    if (claimed.modifiedCount === 0) {
+      return null;
+    }
+
+    const details = { booking: payment.booking, payment: payment._id };
+    let referrerCredit;
+    let refereeCredit;
+    try {
+      referrerCredit = await WalletService.credit(user.referredBy, config.referrals.referrerCredit, {
+        ...details,
+        type: 'referral_reward',
+        reference: `referral:${user._id}:referrer`,
+        description: `${user.name || 'A friend you referred'} completed their first booking`
+      });
+      refereeCredit = await WalletService.credit(user._id, config.referrals.refereeCredit, {
+        ...details,
+        type: 'referral_bonus',
+        reference: `referral:${user._id}:referee`,
+        description: 'Welcome credit for joining through a referral'
+      });
+    } catch (error) {
+      // Let the next sync of a paid payment try again; credits are idempotent by reference,
+      // so one that went through is not paid twice
+      await User.updateOne(
+        { _id: user._id, referralRewardedAt: rewardedAt },
+        { $unset: { referralRewardedAt: 1 } }
+      );
+      throw error;
+    }
+
+    try {
+      const NotificationService = require('./notification.service');
+      if (referrerCredit) {
+        NotificationService.sendNotification(user.referredBy, 'REFERRAL_REWARD', {
+          amount: referrerCredit.amount,
+          name: user.name
+        });
+      }
+      if (refereeCredit) {
+        NotificationService.sendNotification(user._id, 'REFERRAL_BONUS', { amount: refereeCredit.amount });
+      }
+    } catch (error) {
+      console.error('[REFERRAL-SERVICE] Error sending referral notifications:', error);
+    }
+
+    console.log(`🎁 [REFERRAL-SERVICE] Referral credits issued for user ${user._id}`);
+    return { referrerCredit, refereeCredit };
+  }
+
+  /**
+   * The customer's code, what a referral earns and how their referrals are doing
+   */
+  async getReferralSummary(userId) {
+    const referralCode = await this.getReferralCode(userId);
+    const [referred, rewarded, earned] = await Promise.all([
+      User.countDocuments({ referredBy: userId }),
+      User.countDocuments({ referredBy: userId, referralRewardedAt: { $ne: null } }),
+      WalletTransaction.aggregate([
+        { $match: { user: new mongoose.Types.ObjectId(userId.toString()), type: 'referral_reward' } },
+        { $group: { _id: null, amount: { $sum: '$amount' } } }
+      ])
+    ]);
+
+    return {
+      referralCode,
+      referrerCredit: config.referrals.referrerCredit,
+      refereeCredit: config.referrals.refereeCredit,
+      referred,
+      rewarded,
+      pending: referred - rewarded,
+      earned: Math.round((earned[0]?.amount || 0) * 100) / 100
+    };
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,236 @@
+// services/report.service.js
+const ExcelJS = require('exceljs');
+const { toCsvRow } = require('../utils/csv');
+const config = require('../config/config');
+
+const definitions = [
+  require('./reports/bookings.report'),
+  require('./reports/revenue.report'),
+  require('./reports/cancellations.report'),
+  require('./reports/professional-utilisation.report'),
+  require('./reports/payout-liabilities.report'),
+  require('./reports/support-sla.report'),
+  require('./reports/professional-onboarding.report')
+];
+
+const TIME_FRAMES = ['today', 'week', 'month', 'quarter', 'year', 'custom'];
+
+const XLSX_FORMATS = {
+  currency: '#,##0.00',
+  percent: '0.0',
+  date: 'yyyy-mm-dd hh:mm'
+};
+
+/**
+ * Report engine for the admin dashboard. Every report is a definition in services/reports/
+ * ({ type, title, filters, columns, rows }); JSON, CSV and XLSX are all produced from it,
+ * so the three outputs cannot drift apart.
+ */
+class ReportService {
+  constructor() {
+    this.definitions = new Map(definitions.map(definition => [definition.type, definition]));
+  }
+
+  listReports() {
+    return [...this.definitions.values()].map(definition => ({
+      type: definition.type,
+      title: definition.title,
+      description: definition.description,
+      pointInTime: Boolean(definition.pointInTime),
+      filters: Object.entries(definition.filters).map(([key, spec]) => ({
+        key,
+        values: spec.values,
+        default: spec.default
+      }))
+    }));
+  }
+
+  getDefinition(type) {
+    const definition = this.definitions.get(type);
+    if (!definition) {
+      throw new Error(`Unknown report type: ${type}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Resolve timeFrame (week, month, ...) or an explicit from/to into a date range.
+   * Defaults to the last month, like the dashboard always has.
+   */
+  resolvePeriod({ timeFrame, from, to } = {}) {
+    if (timeFrame && !TIME_FRAMES.includes(timeFrame)) {
+      throw new Error(`Invalid timeFrame: ${timeFrame}`);
+    }
+
+    if (from || to || timeFrame === 'custom') {
+      const startDate = from ? new Date(from) : new Date(0);
+      const endDate = to ? new Date(to) : new Date();
+
+      if (isNaN(startDate.getTime()) || isNaN(endDate.getTime())) {
+        throw new Error('Invalid from/to date');
+      }
+      if (startDate > endDate) {
+        throw new Error('Invalid period: from is after to');
+      }
+
+      return { timeFrame: 'custom', startDate, endDate };
+    }
+
+    const endDate = new Date();
+    const startDate = new Date(endDate);
+
+    switch (timeFrame) {
+      case 'today': startDate.setHours(0, 0, 0, 0); break;
+      case 'week': startDate.setDate(endDate.getDate() - 7); break;
+      case 'quarter': startDate.setMonth(endDate.getMonth() - 3); break;
+      case 'year': startDate.setFullYear(endDate.getFullYear() - 1); break;
+      default: startDate.setMonth(endDate.getMonth() - 1);
+    }
+
+    return { timeFrame: timeFrame || 'month', startDate, endDate };
+  }
+
+  resolveFilters(definition, query = {}) {
+    const filters = {};
+
+    for (const [key, spec] of Object.entries(definition.filters)) {
+      const value = typeof query[key] === 'string' && query[key] !== '' ? query[key] : spec.default;
+      if (value === undefined) continue;
+
+      if (spec.values && !spec.values.includes(value)) {
+        throw new Error(`Invalid ${key}: expected one of ${spec.values.join(', ')}`);
+      }
+      filters[key] = value;
+    }
+
+    return filters;
+  }
+
+  buildContext(type, query) {
+    const definition = this.getDefinition(type);
+    const period = this.resolvePeriod(query);
+    const filters = this.resolveFilters(definition, query);
+    const columns = typeof definition.columns === 'function'
+      ? definition.columns({ filters })
+      : definition.columns;
+
+    return { definition, columns, filters, ...period };
+  }
+
+  /**
+   * Run a report and return it as JSON with column metadata and totals
+   */
+  async run(type, query = {}) {
+    const context = this.buildContext(type, query);
+    const { definition, columns, filters, timeFrame, startDate, endDate } = context;
+    const maxRows = config.reports.maxJsonRows;
+
+    const rows = [];
+    const totals = {};
+    let truncated = false;
+
+    for await (const row of await definition.rows(context)) {
+      for (const column of columns) {
+        if (column.total) totals[column.key] = (totals[column.key] || 0) + (row[column.key] || 0);
+      }
+
+      if (rows.length < maxRows) {
+        rows.push(row);
+      } else {
+        truncated = true;
+      }
+    }
+
+    for (const key of Object.keys(totals)) {
+      totals[key] = Math.round(totals[key] * 100) / 100;
+    }
+
+    return {
+      type: definition.type,
+      title: definition.title,
+      period: {
+        timeFrame,
+        from: definition.pointInTime ? null : startDate,
+        to: endDate
+      },
+      filters,
+      columns: columns.map(({ key, header, type: columnType }) => ({ key, header, type: columnType })),
+      rows,
+      totals,
+      truncated
+    };
+  }
+
+  getExportFilename(context, format) {
+    const day = (date) => date.toISOString().slice(0, 10);
+    const range = context.definition.pointInTime
+      ? `as_of_${day(context.endDate)}`
+      : `${day(context.startDate)}_to_${day(context.endDate)}`;
+
+    return `${context.definition.type}_${range}.${format}`;
+  }
+
+  /**
+   * Stream a report to an HTTP response as CSV or XLSX. Validation happens before any
+   * header is written, so bad input still gets a JSON error.
+   */
+  async export(type, query, format, res) {
+    if (!['csv', 'xlsx'].includes(format)) {
+      throw new Error('Invalid format: expected csv or xlsx');
+    }
+
+    const context = this.buildContext(type, query);
+    const rows = await context.definition.rows(context);
+    const filename = this.getExportFilename(context, format);
+
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return this.writeCsv(context, rows, res);
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    return this.writeXlsx(context, rows, res);
+  }
+
+  async writeCsv({ columns }, rows, stream) {
+    stream.write(toCsvRow(columns.map(column => column.header)));
+
+    let count = 0;
+    for await (const row of rows) {
+      stream.write(toCsvRow(columns.map(column => row[column.key])));
+      count++;
+    }
+
+    stream.end();
+    return count;
+  }
+
+  async writeXlsx({ definition, columns }, rows, stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    // Sheet names are limited to 31 characters and may not contain []:*?/\
+    const sheet = workbook.addWorksheet(definition.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+
+    sheet.columns = columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: Math.max(12, column.header.length + 2),
+      style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : undefined
+    }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+
+    let count = 0;
+    for await (const row of rows) {
+      sheet.addRow(row).commit();
+      count++;
+    }
+
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+}
+
+module.exports = new ReportService();
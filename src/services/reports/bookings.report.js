@@ -0,0 +1,104 @@
+// services/reports/bookings.report.js
+const Booking = require('../../models/booking.model');
+const Service = require('../../models/service.model');
+const Professional = require('../../models/professional.model');
+const { BOOKING_STATUSES } = require('../booking-state.service');
+const { exactMatch, round, countIf, sumIf } = require('./helpers');
+
+const GROUP_FIELDS = {
+  status: '$status',
+  category: { $ifNull: ['$serviceInfo.category', 'uncategorised'] },
+  city: { $ifNull: ['$professionalInfo.city', 'unassigned'] }
+};
+
+const GROUP_HEADERS = {
+  status: 'Status',
+  category: 'Category',
+  city: 'City'
+};
+
+module.exports = {
+  type: 'bookings',
+  title: 'Bookings',
+  description: 'Bookings created in the period, grouped by status, service category or city (the professional\'s city)',
+  filters: {
+    groupBy: { values: Object.keys(GROUP_FIELDS), default: 'status' },
+    status: { values: BOOKING_STATUSES },
+    category: {},
+    city: {},
+    isEmergency: { values: ['true', 'false'] }
+  },
+
+  columns({ filters }) {
+    return [
+      { key: 'group', header: GROUP_HEADERS[filters.groupBy], type: 'string' },
+      { key: 'bookings', header: 'Bookings', type: 'number', total: true },
+      { key: 'completed', header: 'Completed', type: 'number', total: true },
+      { key: 'cancelled', header: 'Cancelled', type: 'number', total: true },
+      { key: 'noShow', header: 'No-shows', type: 'number', total: true },
+      { key: 'emergency', header: 'Emergency', type: 'number', total: true },
+      { key: 'completedValue', header: 'Completed value', type: 'currency', total: true },
+      { key: 'averageValue', header: 'Average completed value', type: 'currency' }
+    ];
+  },
+
+  async rows({ startDate, endDate, filters }) {
+    const match = { createdAt: { $gte: startDate, $lte: endDate } };
+    if (filters.status) match.status = filters.status;
+    if (filters.isEmergency) match.isEmergency = filters.isEmergency === 'true';
+
+    const lookupMatch = {};
+    if (filters.category) lookupMatch['serviceInfo.category'] = filters.category;
+    if (filters.city) lookupMatch['professionalInfo.city'] = exactMatch(filters.city);
+
+    const isCompleted = { $eq: ['$status', 'completed'] };
+
+    const groups = await Booking.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: Service.collection.name,
+          localField: 'service',
+          foreignField: '_id',
+          pipeline: [{ $project: { category: 1 } }],
+          as: 'serviceInfo'
+        }
+      },
+      {
+        $lookup: {
+          from: Professional.collection.name,
+          localField: 'professional',
+          foreignField: '_id',
+          pipeline: [{ $project: { city: 1 } }],
+          as: 'professionalInfo'
+        }
+      },
+      { $unwind: { path: '$serviceInfo', preserveNullAndEmptyArrays: true } },
+      { $unwind: { path: '$professionalInfo', preserveNullAndEmptyArrays: true } },
+      { $match: lookupMatch },
+      {
+        $group: {
+          _id: GROUP_FIELDS[filters.groupBy],
+          bookings: { $sum: 1 },
+          completed: countIf(isCompleted),
+          cancelled: countIf({ $eq: ['$status', 'cancelled'] }),
+          noShow: countIf({ $eq: ['$status', 'no_show'] }),
+          emergency: countIf({ $eq: ['$isEmergency', true] }),
+          completedValue: sumIf(isCompleted, { $ifNull: ['$totalAmount', 0] })
+        }
+      },
+      { $sort: { bookings: -1, _id: 1 } }
+    ]);
+
+    return groups.map(group => ({
+      group: group._id,
+      bookings: group.bookings,
+      completed: group.completed,
+      cancelled: group.cancelled,
+      noShow: group.noShow,
+      emergency: group.emergency,
+      completedValue: round(group.completedValue),
+      averageValue: group.completed ? round(group.completedValue / group.completed) : null
+    }));
+  }
+};
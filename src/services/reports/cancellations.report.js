@@ -0,0 +1,68 @@
+// services/reports/cancellations.report.js
+const Booking = require('../../models/booking.model');
+const { round, countIf } = require('./helpers');
+
+// cancelledByModel is unset for system cancellations (e.g. dispatch found nobody)
+const CANCELLED_BY_MODELS = {
+  user: 'User',
+  professional: 'Professional',
+  admin: 'Admin',
+  system: null
+};
+
+module.exports = {
+  type: 'cancellations',
+  title: 'Cancellations and reasons',
+  description: 'Bookings cancelled in the period by who cancelled, the fee rule applied and the stated reason',
+  filters: {
+    cancelledBy: { values: Object.keys(CANCELLED_BY_MODELS) }
+  },
+
+  columns: [
+    { key: 'cancelledBy', header: 'Cancelled by', type: 'string' },
+    { key: 'rule', header: 'Fee rule', type: 'string' },
+    { key: 'reason', header: 'Reason', type: 'string' },
+    { key: 'cancellations', header: 'Cancellations', type: 'number', total: true },
+    { key: 'feesCharged', header: 'Fees charged', type: 'currency', total: true },
+    { key: 'refundAmount', header: 'Refund amount', type: 'currency', total: true },
+    { key: 'failedRefunds', header: 'Failed refunds', type: 'number', total: true }
+  ],
+
+  async rows({ startDate, endDate, filters }) {
+    const match = {
+      status: 'cancelled',
+      cancelledAt: { $gte: startDate, $lte: endDate }
+    };
+    if (filters.cancelledBy) {
+      match.cancelledByModel = CANCELLED_BY_MODELS[filters.cancelledBy];
+    }
+
+    const groups = await Booking.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            cancelledBy: { $toLower: { $ifNull: ['$cancelledByModel', 'system'] } },
+            rule: { $ifNull: ['$cancellation.rule', 'unknown'] },
+            reason: { $toLower: { $trim: { input: { $ifNull: ['$cancellationReason', ''] } } } }
+          },
+          cancellations: { $sum: 1 },
+          feesCharged: { $sum: { $ifNull: ['$cancellation.fee', 0] } },
+          refundAmount: { $sum: { $ifNull: ['$cancellation.refundAmount', 0] } },
+          failedRefunds: countIf({ $eq: ['$cancellation.refundStatus', 'failed'] })
+        }
+      },
+      { $sort: { cancellations: -1, '_id.cancelledBy': 1 } }
+    ]);
+
+    return groups.map(group => ({
+      cancelledBy: group._id.cancelledBy,
+      rule: group._id.rule,
+      reason: group._id.reason || '(none given)',
+      cancellations: group.cancellations,
+      feesCharged: round(group.feesCharged),
+      refundAmount: round(group.refundAmount),
+      failedRefunds: group.failedRefunds
+    }));
+  }
+};
@@ -0,0 +1,33 @@
+// services/reports/helpers.js
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match for free-text fields such as city
+const exactMatch = (value) => ({ $regex: `^${escapeRegex(value.trim())}$`, $options: 'i' });
+
+const round = (value, decimals = 2) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Percentage 0-100 with one decimal, null when there is nothing to divide by
+const percent = (part, whole) => (whole ? round((part / whole) * 100, 1) : null);
+
+// Aggregation expression: 1 when `condition` holds, else 0, for counting inside $group
+const countIf = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+const sumIf = (condition, value) => ({ $sum: { $cond: [condition, value, 0] } });
+
+// Aggregation expression: hours between two date expressions
+const hoursBetween = (from, to) => ({ $divide: [{ $subtract: [to, from] }, 1000 * 60 * 60] });
+
+module.exports = {
+  escapeRegex,
+  exactMatch,
+  round,
+  percent,
+  countIf,
+  sumIf,
+  hoursBetween
+};
@@ -0,0 +1,69 @@
+// services/reports/payout-liabilities.report.js
+const Professional = require('../../models/professional.model');
+const LedgerService = require('../ledger.service');
+const { exactMatch, round } = require('./helpers');
+
+module.exports = {
+  type: 'payout_liabilities',
+  title: 'Payout liabilities',
+  description: 'What the platform owes each professional as of the end of the period, from the ledger: earnings ' +
+    'and adjustments not yet withdrawn, against commission the professional still owes the platform',
+  // Balances are cumulative up to endDate; the start of the period is ignored
+  pointInTime: true,
+  filters: {
+    city: {},
+    // Hide professionals whose balances are all zero
+    includeSettled: { values: ['true', 'false'], default: 'false' }
+  },
+
+  columns: [
+    { key: 'name', header: 'Professional', type: 'string' },
+    { key: 'employeeId', header: 'Employee ID', type: 'string' },
+    { key: 'city', header: 'City', type: 'string' },
+    { key: 'earnings', header: 'Earnings', type: 'currency', total: true },
+    { key: 'adjustments', header: 'Adjustments', type: 'currency', total: true },
+    { key: 'withdrawn', header: 'Withdrawn', type: 'currency', total: true },
+    { key: 'withdrawalsInProcessing', header: 'Withdrawals awaiting payout', type: 'currency', total: true },
+    { key: 'payable', header: 'Payable to professional', type: 'currency', total: true },
+    { key: 'commissionDue', header: 'Commission due', type: 'currency', total: true },
+    { key: 'netLiability', header: 'Net liability', type: 'currency', total: true }
+  ],
+
+  async *rows({ endDate, filters }) {
+    const balances = await LedgerService.getAllBalances({ asOf: endDate });
+
+    const query = {};
+    if (filters.city) query.city = exactMatch(filters.city);
+    if (filters.includeSettled !== 'true') {
+      query._id = { $in: [...balances.keys()] };
+    }
+
+    const cursor = Professional.find(query)
+      .select('name employeeId city')
+      .sort({ name: 1 })
+      .lean()
+      .cursor();
+
+    for await (const professional of cursor) {
+      const balance = balances.get(professional._id.toString()) || LedgerService.formatBalances();
+      const payable = balance.netEarnings - balance.withdrawn - balance.payoutsInProcessing;
+
+      if (filters.includeSettled !== 'true' && round(payable) === 0 && round(balance.commissionDue) === 0) {
+        continue;
+      }
+
+      yield {
+        name: professional.name,
+        employeeId: professional.employeeId,
+        city: professional.city,
+        earnings: balance.earnings,
+        adjustments: balance.adjustments,
+        withdrawn: balance.withdrawn,
+        withdrawalsInProcessing: balance.payoutsInProcessing,
+        payable: round(payable),
+        commissionDue: balance.commissionDue,
+        netLiability: balance.balance
+      };
+    }
+  }
+};
@@ -0,0 +1,31 @@
+// services/reports/professional-onboarding.report.js
+const Professional = require('../../models/professional.model');
+
+module.exports = {
+  type: 'professional_onboarding',
+  title: 'Professional onboarding',
+  description: 'Registrations and onboarding outcomes in the period',
+  filters: {},
+
+  columns: [
+    { key: 'totalProfessionals', header: 'Total professionals', type: 'number' },
+    { key: 'newRegistrations', header: 'New registrations', type: 'number' },
+    { key: 'completedOnboarding', header: 'Completed onboarding', type: 'number' },
+    { key: 'pendingVerification', header: 'Pending verification', type: 'number' },
+    { key: 'rejected', header: 'Rejected', type: 'number' }
+  ],
+
+  async rows({ startDate, endDate }) {
+    const inPeriod = { $gte: startDate, $lte: endDate };
+
+    const [totalProfessionals, newRegistrations, completedOnboarding, pendingVerification, rejected] = await Promise.all([
+      Professional.countDocuments(),
+      Professional.countDocuments({ createdAt: inPeriod }),
+      Professional.countDocuments({ status: 'verified', updatedAt: inPeriod }),
+      Professional.countDocuments({ status: 'under_review' }),
+      Professional.countDocuments({ status: 'rejected', updatedAt: inPeriod })
+    ]);
+
+    return [{ totalProfessionals, newRegistrations, completedOnboarding, pendingVerification, rejected }];
+  }
+};
@@ -0,0 +1,107 @@
+// services/reports/professional-utilisation.report.js
+const Booking = require('../../models/booking.model');
+const Professional = require('../../models/professional.model');
+const { exactMatch, round, percent, countIf, sumIf, hoursBetween } = require('./helpers');
+
+const PROFESSIONAL_STATUSES = Professional.schema.path('status').enumValues;
+
+module.exports = {
+  type: 'professional_utilisation',
+  title: 'Professional utilisation',
+  description: 'Per professional: jobs scheduled in the period, completion, hours on site, dispatch offers and acceptance',
+  filters: {
+    status: { values: PROFESSIONAL_STATUSES, default: 'verified' },
+    city: {}
+  },
+
+  columns: [
+    { key: 'name', header: 'Professional', type: 'string' },
+    { key: 'employeeId', header: 'Employee ID', type: 'string' },
+    { key: 'city', header: 'City', type: 'string' },
+    { key: 'isAvailable', header: 'Available now', type: 'boolean' },
+    { key: 'assigned', header: 'Jobs assigned', type: 'number', total: true },
+    { key: 'completed', header: 'Completed', type: 'number', total: true },
+    { key: 'cancelled', header: 'Cancelled', type: 'number', total: true },
+    { key: 'noShow', header: 'No-shows', type: 'number', total: true },
+    { key: 'completionRate', header: 'Completion rate (%)', type: 'percent' },
+    { key: 'hoursOnSite', header: 'Hours on site', type: 'number', total: true },
+    { key: 'offers', header: 'Offers received', type: 'number', total: true },
+    { key: 'offersAccepted', header: 'Offers accepted', type: 'number', total: true },
+    { key: 'acceptanceRate', header: 'Acceptance rate (%)', type: 'percent' },
+    { key: 'averageRating', header: 'Average rating', type: 'number' },
+    { key: 'completedValue', header: 'Completed value', type: 'currency', total: true }
+  ],
+
+  async *rows({ startDate, endDate, filters }) {
+    const isCompleted = { $eq: ['$status', 'completed'] };
+
+    const [jobs, offers] = await Promise.all([
+      Booking.aggregate([
+        { $match: { professional: { $exists: true, $ne: null }, scheduledDate: { $gte: startDate, $lte: endDate } } },
+        {
+          $group: {
+            _id: '$professional',
+            assigned: { $sum: 1 },
+            completed: countIf(isCompleted),
+            cancelled: countIf({ $eq: ['$status', 'cancelled'] }),
+            noShow: countIf({ $eq: ['$status', 'no_show'] }),
+            // Time from arrival (or work start) to completion
+            hoursOnSite: sumIf(
+              { $and: [isCompleted, { $gt: ['$completedAt', null] }, { $gt: ['$tracking.arrivedAt', null] }] },
+              hoursBetween('$tracking.arrivedAt', '$completedAt')
+            ),
+            completedValue: sumIf(isCompleted, { $ifNull: ['$totalAmount', 0] })
+          }
+        }
+      ]),
+      Booking.aggregate([
+        { $match: { 'dispatch.attempts.offeredAt': { $gte: startDate, $lte: endDate } } },
+        { $unwind: '$dispatch.attempts' },
+        { $match: { 'dispatch.attempts.offeredAt': { $gte: startDate, $lte: endDate } } },
+        {
+          $group: {
+            _id: '$dispatch.attempts.professional',
+            offers: { $sum: 1 },
+            offersAccepted: countIf({ $eq: ['$dispatch.attempts.outcome', 'accepted'] })
+          }
+        }
+      ])
+    ]);
+
+    const jobsByProfessional = new Map(jobs.map(entry => [entry._id.toString(), entry]));
+    const offersByProfessional = new Map(offers.map(entry => [entry._id.toString(), entry]));
+
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.city) query.city = exactMatch(filters.city);
+
+    const cursor = Professional.find(query)
+      .select('name employeeId city isAvailable ratings')
+      .sort({ name: 1 })
+      .lean()
+      .cursor();
+
+    for await (const professional of cursor) {
+      const job = jobsByProfessional.get(professional._id.toString()) || {};
+      const offer = offersByProfessional.get(professional._id.toString()) || {};
+
+      yield {
+        name: professional.name,
+        employeeId: professional.employeeId,
+        city: professional.city,
+        isAvailable: Boolean(professional.isAvailable),
+        assigned: job.assigned || 0,
+        completed: job.completed || 0,
+        cancelled: job.cancelled || 0,
+        noShow: job.noShow || 0,
+        completionRate: percent(job.completed || 0, job.assigned || 0),
+        hoursOnSite: round(job.hoursOnSite || 0, 1),
+        offers: offer.offers || 0,
+        offersAccepted: offer.offersAccepted || 0,
+        acceptanceRate: percent(offer.offersAccepted || 0, offer.offers || 0),
+        averageRating: round(professional.ratings?.average || 0, 2),
+        completedValue: round(job.completedValue || 0)
+      };
+    }
+  }
+};
@@ -0,0 +1,90 @@
+// services/reports/revenue.report.js
+const Payment = require('../../models/payment.model');
+const config = require('../../config/config');
+const { round, countIf, sumIf } = require('./helpers');
+
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+module.exports = {
+  type: 'revenue',
+  title: 'Revenue and commission',
+  description: 'Collected payments per day, ISO week or month with refunds, platform commission and professional payouts',
+  filters: {
+    interval: { values: Object.keys(INTERVAL_FORMATS), default: 'day' },
+    paymentMethod: { values: ['online', 'cash', 'upi'] }
+  },
+
+  columns: [
+    { key: 'period', header: 'Period', type: 'string' },
+    { key: 'payments', header: 'Payments', type: 'number', total: true },
+    { key: 'grossAmount', header: 'Gross amount', type: 'currency', total: true },
+    { key: 'refunds', header: 'Refunds', type: 'number', total: true },
+    { key: 'refundedAmount', header: 'Refunded amount', type: 'currency', total: true },
+    { key: 'netAmount', header: 'Net amount', type: 'currency', total: true },
+    { key: 'platformCommission', header: 'Platform commission', type: 'currency', total: true },
+    { key: 'professionalPayout', header: 'Professional payout', type: 'currency', total: true },
+    { key: 'cashCommissionPending', header: 'Cash commission pending', type: 'currency', total: true }
+  ],
+
+  async rows({ startDate, endDate, filters }) {
+    const match = {
+      createdAt: { $gte: startDate, $lte: endDate },
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+    };
+    if (filters.paymentMethod) match.paymentMethod = filters.paymentMethod;
+
+    const isCompleted = { $in: ['$status', ['completed', 'partially_refunded']] };
+    // Payments refunded before multi-refunds existed only have refundDetails
+    const refundedAmount = {
+      $max: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$refundDetails.amount', 0] }]
+    };
+    // Partial refunds reverse commission and payout pro rata; full refunds leave nothing
+    const netCommission = { $subtract: ['$platformCommission', { $ifNull: ['$reversedCommission', 0] }] };
+    const netPayout = { $subtract: ['$professionalPayout', { $ifNull: ['$reversedPayout', 0] }] };
+
+    const periods = await Payment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: INTERVAL_FORMATS[filters.interval],
+              date: '$createdAt',
+              timezone: config.reports.timezone
+            }
+          },
+          payments: { $sum: 1 },
+          grossAmount: { $sum: '$totalAmount' },
+          refunds: countIf({ $gt: [refundedAmount, 0] }),
+          refundedAmount: { $sum: refundedAmount },
+          platformCommission: sumIf(isCompleted, netCommission),
+          professionalPayout: sumIf(isCompleted, netPayout),
+          cashCommissionPending: sumIf({
+            $and: [
+              isCompleted,
+              { $eq: ['$paymentMethod', 'cash'] },
+              { $eq: ['$commissionStatus', 'pending'] }
+            ]
+          }, netCommission)
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return periods.map(period => ({
+      period: period._id,
+      payments: period.payments,
+      grossAmount: round(period.grossAmount),
+      refunds: period.refunds,
+      refundedAmount: round(period.refundedAmount),
+      netAmount: round(period.grossAmount - period.refundedAmount),
+      platformCommission: round(period.platformCommission),
+      professionalPayout: round(period.professionalPayout),
+      cashCommissionPending: round(period.cashCommissionPending)
+    }));
+  }
+};
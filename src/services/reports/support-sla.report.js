@@ -0,0 +1,131 @@
+// services/reports/support-sla.report.js
+const Ticket = require('../../models/ticket.model');
+const TicketReply = require('../../models/ticketReply.model');
+const config = require('../../config/config');
+const { round, percent, countIf, hoursBetween } = require('./helpers');
+
+const GROUP_FIELDS = {
+  priority: '$priority',
+  category: { $ifNull: ['$category', 'uncategorised'] },
+  userRole: '$userRole'
+};
+
+const GROUP_HEADERS = {
+  priority: 'Priority',
+  category: 'Category',
+  userRole: 'Raised by'
+};
+
+// Aggregation expression: SLA target in hours for the ticket's priority
+const targetHours = (targets) => ({
+  $switch: {
+    branches: Object.entries(targets).map(([priority, hours]) => ({
+      case: { $eq: ['$priority', priority] },
+      then: hours
+    })),
+    default: targets.medium
+  }
+});
+
+module.exports = {
+  type: 'support_sla',
+  title: 'Support ticket SLA',
+  description: 'Tickets opened in the period: first admin response and resolution times against the SLA targets ' +
+    'in config.reports.supportSla. Unanswered or open tickets past their target count as breaches.',
+  filters: {
+    groupBy: { values: Object.keys(GROUP_FIELDS), default: 'priority' },
+    priority: { values: ['low', 'medium', 'high'] },
+    category: {},
+    userRole: { values: ['user', 'professional'] }
+  },
+
+  columns({ filters }) {
+    return [
+      { key: 'group', header: GROUP_HEADERS[filters.groupBy], type: 'string' },
+      { key: 'tickets', header: 'Tickets', type: 'number', total: true },
+      { key: 'open', header: 'Open', type: 'number', total: true },
+      { key: 'closed', header: 'Closed', type: 'number', total: true },
+      { key: 'avgFirstResponseHours', header: 'Avg first response (h)', type: 'number' },
+      { key: 'firstResponseBreaches', header: 'First response breaches', type: 'number', total: true },
+      { key: 'firstResponseCompliance', header: 'First response within SLA (%)', type: 'percent' },
+      { key: 'avgResolutionHours', header: 'Avg resolution (h)', type: 'number' },
+      { key: 'resolutionBreaches', header: 'Resolution breaches', type: 'number', total: true },
+      { key: 'resolutionCompliance', header: 'Resolved within SLA (%)', type: 'percent' }
+    ];
+  },
+
+  async rows({ startDate, endDate, filters }) {
+    const { firstResponseHours, resolutionHours } = config.reports.supportSla;
+
+    const match = { createdAt: { $gte: startDate, $lte: endDate } };
+    if (filters.priority) match.priority = filters.priority;
+    if (filters.category) match.category = filters.category;
+    if (filters.userRole) match.userRole = filters.userRole;
+
+    // Elapsed hours so far for tickets still waiting, so they can breach too
+    const responseHours = {
+      $ifNull: ['$firstResponseHours', hoursBetween('$createdAt', '$$NOW')]
+    };
+    const resolvedHours = {
+      $ifNull: ['$resolutionHours', hoursBetween('$createdAt', '$$NOW')]
+    };
+
+    const groups = await Ticket.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: TicketReply.collection.name,
+          let: { ticketId: '$_id' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$ticket', '$$ticketId'] }, userRole: 'admin' } },
+            { $sort: { createdAt: 1 } },
+            { $limit: 1 },
+            { $project: { createdAt: 1 } }
+          ],
+          as: 'firstResponse'
+        }
+      },
+      {
+        $addFields: {
+          firstResponseHours: {
+            $let: {
+              vars: { reply: { $first: '$firstResponse' } },
+              in: {
+                $cond: [{ $ifNull: ['$$reply', false] }, hoursBetween('$createdAt', '$$reply.createdAt'), null]
+              }
+            }
+          },
+          resolutionHours: {
+            $cond: [{ $ifNull: ['$closedAt', false] }, hoursBetween('$createdAt', '$closedAt'), null]
+          }
+        }
+      },
+      {
+        $group: {
+          _id: GROUP_FIELDS[filters.groupBy],
+          tickets: { $sum: 1 },
+          open: countIf({ $ne: ['$status', 'closed'] }),
+          closed: countIf({ $eq: ['$status', 'closed'] }),
+          avgFirstResponseHours: { $avg: '$firstResponseHours' },
+          firstResponseBreaches: countIf({ $gt: [responseHours, targetHours(firstResponseHours)] }),
+          avgResolutionHours: { $avg: '$resolutionHours' },
+          resolutionBreaches: countIf({ $gt: [resolvedHours, targetHours(resolutionHours)] })
+        }
+      },
+      { $sort: { tickets: -1, _id: 1 } }
+    ]);
+
+    return groups.map(group => ({
+      group: group._id,
+      tickets: group.tickets,
+      open: group.open,
+      closed: group.closed,
+      avgFirstResponseHours: round(group.avgFirstResponseHours, 1),
+      firstResponseBreaches: group.firstResponseBreaches,
+      firstResponseCompliance: percent(group.tickets - group.firstResponseBreaches, group.tickets),
+      avgResolutionHours: round(group.avgResolutionHours, 1),
+      resolutionBreaches: group.resolutionBreaches,
+      resolutionCompliance: percent(group.tickets - group.resolutionBreaches, group.tickets)
+    }));
+  }
+};
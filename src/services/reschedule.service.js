@@ -0,0 +1,357 @@
+// services/reschedule.service.js
+const Booking = require('../models/booking.model');
+const ScheduleService = require('./schedule.service');
+const SlotService = require('./slot.service');
+const config = require('../config/config');
+
+const ROLE_MODEL_MAP = {
+  user: 'User',
+  professional: 'Professional'
+};
+
+class RescheduleService {
+
+  /**
+   * Make sure the caller is the customer or the assigned professional
+   */
+  assertParticipant(booking, actorId, role) {
+    const isCustomer = role === 'user' && booking.user._id.toString() === actorId.toString();
+    const isProfessional = role === 'professional' &&
+      booking.professional && booking.professional._id.toString() === actorId.toString();
+
+    if (!isCustomer && !isProfessional) {
+      throw new Error('Not authorized to reschedule this booking');
+    }
+  }
+
+  /**
+   * Validate the requested time and the rescheduling limits for the booking
+   */
+  validateRequest(booking, newDate) {
+    const policy = config.rescheduling;
+    const now = new Date();
+
+    if (!['pending', 'accepted'].includes(booking.status)) {
+      throw new Error(`Booking is ${booking.status}, cannot reschedule`);
+    }
+
+    if (booking.isEmergency) {
+      throw new Error('Emergency bookings cannot be rescheduled');
+    }
+
+    if ((booking.rescheduleCount || 0) >= policy.maxReschedules) {
+      throw new Error(`Booking has already been rescheduled ${policy.maxReschedules} times`);
+    }
+
+    const hoursBeforeScheduled = (new Date(booking.scheduledDate) - now) / (1000 * 60 * 60);
+    if (hoursBeforeScheduled < policy.minHoursBeforeScheduled) {
+      throw new Error(`Bookings can only be rescheduled up to ${policy.minHoursBeforeScheduled} hours before the scheduled time`);
+    }
+
+    if (isNaN(newDate.getTime())) {
+      throw new Error('Invalid scheduled date');
+    }
+
+    if (newDate <= now) {
+      throw new Error('Invalid scheduled date: must be in the future');
+    }
+
+    if (newDate.getTime() === new Date(booking.scheduledDate).getTime()) {
+      throw new Error('Invalid scheduled date: same as the current schedule');
+    }
+
+    const hour = Math.floor(ScheduleService.timeToMinutes(ScheduleService.toTimeString(newDate)) / 60);
+    if (hour < 6 || hour > 22) {
+      throw new Error('Invalid scheduled date: service can only be scheduled between 6:00 AM and 10:00 PM');
+    }
+  }
+
+  /**
+   * Move any stale proposal into history so a new one can be made
+   */
+  expireStaleProposal(booking) {
+    const pending = booking.pendingReschedule;
+    if (!pending?.proposedDate || !pending.expiresAt || pending.expiresAt > new Date()) {
+      return false;
+    }
+
+    booking.reschedulingHistory.push({
+      oldDate: booking.scheduledDate,
+      newDate: pending.proposedDate,
+      rescheduledBy: pending.proposedBy,
+      rescheduledByModel: pending.proposedByModel,
+      rescheduledAt: pending.proposedAt,
+      reason: pending.reason,
+      status: 'expired',
+      respondedAt: new Date()
+    });
+    booking.pendingReschedule = undefined;
+    return true;
+  }
+
+  /**
+   * Check the assigned professional's Schedule for the new time
+   */
+  async assertProfessionalAvailable(booking, newDate) {
+    if (!booking.professional) return;
+
+    const availability = await ScheduleService.checkAvailability(
+      booking.professional._id,
+      newDate,
+      booking.service?.estimatedDuration,
+      { excludeBookingId: booking._id }
+    );
+
+    if (!availability.available) {
+      throw new Error(`Professional is not available at the requested time: ${availability.reason}`);
+    }
+  }
+
+  async loadBooking(bookingId) {
+    const booking = await Booking.findById(bookingId)
+      .populate('user', 'name phone')
+      .populate('service', 'name category estimatedDuration');
+
+    if (!booking) {
+      throw new Error('Booking not found');
+    }
+
+    return booking;
+  }
+
+  /**
+   * Propose a new time. Bookings without an assigned professional are moved straight away;
+   * otherwise the other party has to accept the proposal.
+   */
+  async proposeReschedule(bookingId, actorId, role, scheduledDate, reason) {
+    console.log(`📅 [RESCHEDULE-SERVICE] ${role} ${actorId} proposing ${scheduledDate} for booking ${bookingId}`);
+
+    const booking = await this.loadBooking(bookingId);
+    this.assertParticipant(booking, actorId, role);
+
+    this.expireStaleProposal(booking);
+
+    if (booking.pendingReschedule?.proposedDate) {
+      throw new Error('A reschedule request is already pending for this booking');
+    }
+
+    const newDate = new Date(scheduledDate);
+    this.validateRequest(booking, newDate);
+    await this.assertProfessionalAvailable(booking, newDate);
+
+    if (!booking.professional) {
+      await this.applyReschedule(booking, {
+        newDate,
+        proposedBy: actorId,
+        proposedByModel: ROLE_MODEL_MAP[role],
+        proposedAt: new Date(),
+        reason
+      });
+
+      return { booking, requiresApproval: false };
+    }
+
+    booking.pendingReschedule = {
+      proposedDate: newDate,
+      proposedBy: actorId,
+      proposedByModel: ROLE_MODEL_MAP[role],
+      reason: reason || '',
+      proposedAt: new Date(),
+      expiresAt: new Date(Date.now() + config.rescheduling.proposalExpiryHours * 60 * 60 * 1000)
+    };
+
+    await booking.save();
+
+    setTimeout(() => {
+      this.notifyReschedule(booking, 'reschedule_requested', role);
+    }, 100);
+
+    return { booking, requiresApproval: true };
+  }
+
+  /**
+   * Accept or reject the pending proposal (other party), or withdraw it (proposer)
+   */
+  async respondToReschedule(bookingId, actorId, role, action, note) {
+    console.log(`📅 [RESCHEDULE-SERVICE] ${role} ${actorId} responding '${action}' for booking ${bookingId}`);
+
+    if (!['accept', 'reject', 'withdraw'].includes(action)) {
+      throw new Error('Invalid action. Use accept, reject or withdraw');
+    }
+
+    const booking = await this.loadBooking(bookingId);
+    this.assertParticipant(booking, actorId, role);
+
+    if (this.expireStaleProposal(booking)) {
+      await booking.save();
+      throw new Error('The reschedule request has expired');
+    }
+
+    const pending = booking.pendingReschedule;
+    if (!pending?.proposedDate) {
+      throw new Error('No pending reschedule request for this booking');
+    }
+
+    const isProposer = pending.proposedBy.toString() === actorId.toString();
+
+    if (action === 'withdraw' && !isProposer) {
+      throw new Error('Not authorized: only the proposer can withdraw a reschedule request');
+    }
+
+    if (action !== 'withdraw' && isProposer) {
+      throw new Error('Not authorized: the reschedule request must be answered by the other party');
+    }
+
+    const proposal = {
+      newDate: pending.proposedDate,
+      proposedBy: pending.proposedBy,
+      proposedByModel: pending.proposedByModel,
+      proposedAt: pending.proposedAt,
+      reason: pending.reason
+    };
+    const response = {
+      respondedBy: actorId,
+      respondedByModel: ROLE_MODEL_MAP[role],
+      responseNote: note
+    };
+
+    if (action === 'accept') {
+      this.validateRequest(booking, new Date(proposal.newDate));
+      await this.assertProfessionalAvailable(booking, new Date(proposal.newDate));
+      await this.applyReschedule(booking, proposal, response);
+    } else {
+      booking.reschedulingHistory.push({
+        oldDate: booking.scheduledDate,
+        newDate: proposal.newDate,
+        rescheduledBy: proposal.proposedBy,
+        rescheduledByModel: proposal.proposedByModel,
+        rescheduledAt: proposal.proposedAt,
+        reason: proposal.reason,
+        status: action === 'reject' ? 'rejected' : 'withdrawn',
+        ...response,
+        respondedAt: new Date()
+      });
+      booking.pendingReschedule = undefined;
+      await booking.save();
+    }
+
+    setTimeout(() => {
+      this.notifyReschedule(booking, `reschedule_${action === 'accept' ? 'accepted' : action === 'reject' ? 'rejected' : 'withdrawn'}`, role);
+    }, 100);
+
+    return booking;
+  }
+
+  /**
+   * Move the booking to the new time, holding it first on the Schedule of whoever has the booking
+   */
+  async applyReschedule(booking, proposal, response = {}) {
+    const oldDate = booking.scheduledDate;
+    let heldAppointment = null;
+
+    // An accepted booking is held at the new time with its professional before it moves; this
+    // throws when their Schedule is not free then. The old time is let go once the move is saved.
+    if (booking.professional) {
+      booking.scheduledDate = proposal.newDate;
+      try {
+        await SlotService.holdWith(booking, booking.service, booking.professional._id, { customerName: booking.user?.name });
+      } catch (error) {
+        booking.scheduledDate = oldDate;
+        throw error;
+      }
+      heldAppointment = booking.slot.appointment;
+    }
+
+    // Before anyone accepts, the held slot moves too; this throws when nobody is free then
+    if (!booking.professional && booking.slot?.professional) {
+      booking.scheduledDate = proposal.newDate;
+      try {
+        await SlotService.reserve(booking, booking.service, { customerName: booking.user?.name });
+      } catch (error) {
+        booking.scheduledDate = oldDate;
+        throw error;
+      }
+    }
+
+    booking.reschedulingHistory.push({
+      oldDate,
+      newDate: proposal.newDate,
+      rescheduledBy: proposal.proposedBy,
+      rescheduledByModel: proposal.proposedByModel,
+      rescheduledAt: proposal.proposedAt,
+      reason: proposal.reason,
+      status: 'accepted',
+      ...response,
+      respondedAt: new Date()
+    });
+    booking.scheduledDate = proposal.newDate;
+    booking.rescheduleCount = (booking.rescheduleCount || 0) + 1;
+    booking.pendingReschedule = undefined;
+
+    try {
+      await booking.save();
+    } catch (error) {
+      if (heldAppointment) {
+        await SlotService.release(booking._id, { only: heldAppointment }).catch(releaseError => {
+          console.error('❌ [RESCHEDULE-SERVICE] Error releasing slot hold:', releaseError);
+        });
+      }
+      throw error;
+    }
+
+    if (heldAppointment) {
+      try {
+        await SlotService.confirmHold(booking);
+      } catch (error) {
+        console.error('⚠️ [RESCHEDULE-SERVICE] Schedule sync failed (non-critical):', error.message);
+      }
+    }
+
+    console.log(`✅ [RESCHEDULE-SERVICE] Booking ${booking._id} moved from ${oldDate.toISOString()} to ${booking.scheduledDate.toISOString()}`);
+
+    return booking;
+  }
+
+  /**
+   * Tell the other party about a reschedule proposal or response over socket rooms and FCM
+   */
+  notifyReschedule(booking, event, actorRole) {
+    const recipientId = actorRole === 'user'
+      ? booking.professional?._id || booking.professional
+      : booking.user._id;
+
+    const payload = {
+      bookingId: booking._id,
+      event,
+      scheduledDate: booking.scheduledDate,
+      pendingReschedule: booking.pendingReschedule?.proposedDate ? booking.pendingReschedule : null,
+      rescheduleCount: booking.rescheduleCount
+    };
+
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      const io = EnhancedSocketService.getIO();
+
+      if (recipientId) {
+        io.to(`user:${recipientId}`).emit(event, payload);
+      }
+      io.to(`booking:${booking._id}`).emit('booking_update', payload);
+    } catch (error) {
+      console.error('[RESCHEDULE-SERVICE] Error sending socket notifications:', error);
+    }
+
+    if (!recipientId) return;
+
+    try {
+      const NotificationService = require('./notification.service');
+      NotificationService.sendNotification(recipientId, event.toUpperCase(), {
+        bookingId: booking._id,
+        scheduledDate: booking.pendingReschedule?.proposedDate || booking.scheduledDate
+      });
+    } catch (error) {
+      console.error('[RESCHEDULE-SERVICE] Error sending push notifications:', error);
+    }
+  }
+}
+
+module.exports = new RescheduleService();
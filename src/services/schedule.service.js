@@ -0,0 +1,300 @@
+// services/schedule.service.js
+const Schedule = require('../models/schedule.model');
+const Booking = require('../models/booking.model');
+const { ACTIVE_STATUSES } = require('./booking-state.service');
+const config = require('../config/config');
+
+const DEFAULT_DURATION_MINUTES = 60;
+const DAY_MINUTES = 24 * 60;
+
+// Intl formatters by timezone, built once
+const formatters = new Map();
+
+// Booking status -> cached appointment status on the Schedule document
+const APPOINTMENT_STATUS_MAP = {
+  pending: 'pending',
+  accepted: 'confirmed',
+  en_route: 'confirmed',
+  arrived: 'in_progress',
+  in_progress: 'in_progress',
+  completed: 'completed',
+  cancelled: 'cancelled',
+  no_show: 'cancelled'
+};
+
+class ScheduleService {
+
+  /**
+   * Calendar day (YYYY-MM-DD) and "HH:MM" of a time in the schedule timezone
+   * (config.slots.timezone). Working hours, blocks and appointments are wall-clock times there,
+   * and each day's Schedule is stored at UTC midnight of its calendar day.
+   */
+  localParts(date) {
+    const timeZone = config.slots.timezone;
+    if (!formatters.has(timeZone)) {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }));
+    }
+
+    const parts = Object.fromEntries(
+      formatters.get(timeZone).formatToParts(new Date(date)).map(part => [part.type, part.value])
+    );
+    return { dateKey: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+  }
+
+  /**
+   * Calendar day (YYYY-MM-DD) a booking time falls on
+   */
+  toDateKey(date) {
+    return this.localParts(date).dateKey;
+  }
+
+  /**
+   * "HH:MM" representation of a booking time, as used by Schedule working hours and blocks
+   */
+  toTimeString(date) {
+    return this.localParts(date).time;
+  }
+
+  /**
+   * The time `minutes` after midnight of a YYYY-MM-DD day; Invalid Date for a day that does not exist
+   */
+  timeOnDay(dateKey, minutes) {
+    const [year, month, day] = String(dateKey).split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+    const calendarDay = new Date(Date.UTC(year, month - 1, day));
+    if (isNaN(wallClock) || calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== day) {
+      return new Date(NaN);
+    }
+
+    // Take off the timezone's offset, read at the first guess and again at the result in case
+    // the offset changes in between (daylight saving)
+    let time = wallClock;
+    for (let i = 0; i < 2; i++) {
+      const local = this.localParts(time);
+      const [localYear, localMonth, localDay] = local.dateKey.split('-').map(Number);
+      const offset = Date.UTC(localYear, localMonth - 1, localDay, 0, this.timeToMinutes(local.time)) -
+        Math.floor(time / 60000) * 60000;
+      time = wallClock - offset;
+    }
+    return new Date(time);
+  }
+
+  timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  minutesToTime(totalMinutes) {
+    const hours = String(Math.floor(totalMinutes / 60)).padStart(2, '0');
+    const minutes = String(totalMinutes % 60).padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+
+  overlaps(startA, endA, startB, endB) {
+    return startA < endB && startB < endA;
+  }
+
+  /**
+   * Find the Schedule document for a professional on a calendar day.
+   * Schedule dates are stored as UTC midnight of the day the professional picked.
+   */
+  async getScheduleForDate(professionalId, date, { create = false } = {}) {
+    const startOfDay = new Date(`${this.toDateKey(date)}T00:00:00.000Z`);
+
+    let schedule = await Schedule.findOne({
+      professional: professionalId,
+      date: {
+        $gte: startOfDay,
+        $lt: new Date(startOfDay.getTime() + 24 * 60 * 60 * 1000)
+      }
+    });
+
+    if (!schedule && create) {
+      // Upserted, so two requests creating the same day both end up with the one document
+      // instead of the second failing on the unique { professional, date } index
+      const dayOfWeek = startOfDay.getUTCDay();
+      schedule = await Schedule.findOneAndUpdate(
+        { professional: professionalId, date: startOfDay },
+        {
+          $setOnInsert: {
+            dayOfWeek,
+            workingHours: {
+              startTime: '09:00',
+              endTime: '18:00',
+              isWorkingDay: dayOfWeek !== 0 && dayOfWeek !== 6
+            }
+          }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Working hours that apply when the professional has not set up the day yet
+   */
+  getDefaultDay(date) {
+    const dayOfWeek = new Date(`${this.toDateKey(date)}T00:00:00.000Z`).getUTCDay();
+    return {
+      workingHours: {
+        startTime: '09:00',
+        endTime: '18:00',
+        isWorkingDay: dayOfWeek !== 0 && dayOfWeek !== 6
+      },
+      blockedTimes: [],
+      isHoliday: false,
+      appointments: []
+    };
+  }
+
+  /**
+   * Check a professional's Schedule for a time window: working hours, holidays,
+   * blocked times, cached appointments and live bookings.
+   */
+  async checkAvailability(professionalId, startDate, durationMinutes = DEFAULT_DURATION_MINUTES, options = {}) {
+    const { excludeBookingId } = options;
+    const schedule = (await this.getScheduleForDate(professionalId, startDate)) || this.getDefaultDay(startDate);
+
+    if (schedule.isHoliday) {
+      return { available: false, reason: schedule.holidayReason ? `Holiday: ${schedule.holidayReason}` : 'Holiday' };
+    }
+
+    if (!schedule.workingHours?.isWorkingDay) {
+      return { available: false, reason: 'Non-working day' };
+    }
+
+    const start = this.timeToMinutes(this.toTimeString(startDate));
+    const end = start + durationMinutes;
+
+    if (start < this.timeToMinutes(schedule.workingHours.startTime) ||
+        end > this.timeToMinutes(schedule.workingHours.endTime)) {
+      return { available: false, reason: 'Outside working hours' };
+    }
+
+    const blocked = (schedule.blockedTimes || []).find(block =>
+      this.overlaps(start, end, this.timeToMinutes(block.startTime), this.timeToMinutes(block.endTime))
+    );
+    if (blocked) {
+      return { available: false, reason: `Time slot is blocked (${blocked.reason})` };
+    }
+
+    const excluded = excludeBookingId ? excludeBookingId.toString() : null;
+
+    const cachedConflict = (schedule.appointments || []).find(appointment =>
+      appointment.status !== 'cancelled' &&
+      appointment.status !== 'completed' &&
+      (!excluded || appointment.bookingId?.toString() !== excluded) &&
+      appointment.startTime && appointment.endTime &&
+      this.overlaps(start, end, this.timeToMinutes(appointment.startTime), this.timeToMinutes(appointment.endTime))
+    );
+    if (cachedConflict) {
+      return { available: false, reason: 'Time slot already booked', conflictingBooking: cachedConflict.bookingId };
+    }
+
+    // The appointment cache can lag behind, so also check the bookings themselves
+    const dateKey = this.toDateKey(startDate);
+    const dayStart = this.timeOnDay(dateKey, 0);
+    const dayEnd = this.timeOnDay(dateKey, DAY_MINUTES);
+
+    const query = {
+      professional: professionalId,
+      scheduledDate: { $gte: dayStart, $lt: dayEnd },
+      status: { $in: ['pending', ...ACTIVE_STATUSES] }
+    };
+    if (excluded) {
+      query._id = { $ne: excluded };
+    }
+
+    const bookings = await Booking.find(query).populate('service', 'estimatedDuration');
+
+    const bookingConflict = bookings.find(booking => {
+      const bookingStart = this.timeToMinutes(this.toTimeString(booking.scheduledDate));
+      const bookingEnd = bookingStart + (booking.service?.estimatedDuration || DEFAULT_DURATION_MINUTES);
+      return this.overlaps(start, end, bookingStart, bookingEnd);
+    });
+    if (bookingConflict) {
+      return { available: false, reason: 'Time slot already booked', conflictingBooking: bookingConflict._id };
+    }
+
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Write (or move) the cached appointment for a booking onto the professional's Schedule
+   */
+  async upsertAppointment(booking, details = {}) {
+    if (!booking.professional) return null;
+
+    const professionalId = booking.professional._id || booking.professional;
+    const durationMinutes = details.durationMinutes || booking.service?.estimatedDuration || DEFAULT_DURATION_MINUTES;
+    const start = this.timeToMinutes(this.toTimeString(booking.scheduledDate));
+
+    const schedule = await this.getScheduleForDate(professionalId, booking.scheduledDate, { create: true });
+
+    schedule.appointments = schedule.appointments.filter(
+      appointment => appointment.bookingId?.toString() !== booking._id.toString()
+    );
+    schedule.appointments.push({
+      bookingId: booking._id,
+      startTime: this.minutesToTime(start),
+      endTime: this.minutesToTime(Math.min(start + durationMinutes, DAY_MINUTES - 1)),
+      customerName: details.customerName || booking.user?.name || 'Customer',
+      serviceType: details.serviceType || booking.service?.name || 'Service',
+      status: APPOINTMENT_STATUS_MAP[booking.status] || 'pending',
+      address: booking.location?.address
+    });
+
+    await schedule.save();
+
+    // A slot held with another professional before anyone accepted (services/slot.service.js)
+    // moves to this one
+    await Schedule.updateMany(
+      { _id: { $ne: schedule._id }, 'appointments.bookingId': booking._id },
+      { $pull: { appointments: { bookingId: booking._id } } }
+    );
+
+    return schedule;
+  }
+
+  /**
+   * Drop the cached appointment for a booking from the Schedule of a given day
+   */
+  async removeAppointment(professionalId, bookingId, date) {
+    const schedule = await this.getScheduleForDate(professionalId, date);
+    if (!schedule) return null;
+
+    schedule.appointments = schedule.appointments.filter(
+      appointment => appointment.bookingId?.toString() !== bookingId.toString()
+    );
+    await schedule.save();
+    return schedule;
+  }
+
+  /**
+   * Keep the cached appointment status in step with the booking status
+   */
+  async updateAppointmentStatus(booking) {
+    // Until someone accepts, the appointment is the slot held with booking.slot.professional
+    const professionalId = booking.professional?._id || booking.professional || booking.slot?.professional;
+    if (!professionalId) return null;
+
+    const status = APPOINTMENT_STATUS_MAP[booking.status];
+
+    return Schedule.updateOne(
+      { professional: professionalId, 'appointments.bookingId': booking._id },
+      { $set: { 'appointments.$.status': status } }
+    );
+  }
+}
+
+module.exports = new ScheduleService();
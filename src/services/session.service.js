@@ -0,0 +1,280 @@
+// services/session.service.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const AuthSession = require('../models/session.model');
+const User = require('../models/user.model');
+const Professional = require('../models/professional.model');
+const Admin = require('../models/admin.model');
+const config = require('../config/config');
+
+const ROLE_MODEL_MAP = {
+  user: User,
+  professional: Professional,
+  admin: Admin
+};
+
+const ROLE_MODEL_NAME_MAP = {
+  user: 'User',
+  professional: 'Professional',
+  admin: 'Admin'
+};
+
+// Only write lastSeenAt when it is older than this, so every request does not hit the database
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+class SessionService {
+
+  hashToken(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  getJwtSecret() {
+    return config.jwt.secret;
+  }
+
+  getClientInfo(req = {}) {
+    const headers = req.headers || {};
+    return {
+      ip: req.ip || headers['x-forwarded-for'] || req.connection?.remoteAddress,
+      device: {
+        name: req.body?.deviceName || headers['x-device-name'],
+        platform: req.body?.platform || headers['x-device-platform'],
+        userAgent: headers['user-agent']
+      }
+    };
+  }
+
+  signAccessToken(session) {
+    return jwt.sign(
+      { ...session.claims, role: session.role, sid: session._id.toString() },
+      this.getJwtSecret(),
+      { expiresIn: config.jwt.accessExpiresIn, issuer: config.jwt.issuer }
+    );
+  }
+
+  /**
+   * Refresh tokens are JWTs too; the random jti is the part that rotates.
+   */
+  signRefreshToken(session) {
+    const jti = crypto.randomBytes(32).toString('hex');
+    const refreshToken = jwt.sign(
+      { sid: session._id.toString(), typ: 'refresh' },
+      this.getJwtSecret(),
+      { expiresIn: config.jwt.refreshExpiresIn, issuer: config.jwt.issuer, jwtid: jti }
+    );
+
+    session.refreshTokenHash = this.hashToken(jti);
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+    return refreshToken;
+  }
+
+  buildTokenResponse(session, refreshToken) {
+    const accessToken = this.signAccessToken(session);
+    return {
+      token: accessToken,
+      accessToken,
+      refreshToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      sessionId: session._id
+    };
+  }
+
+  /**
+   * Open a session after a successful login and issue its first token pair
+   */
+  async createSession(subject, role, claims, req) {
+    const { ip, device } = this.getClientInfo(req);
+
+    const session = new AuthSession({
+      subject: subject._id,
+      subjectModel: ROLE_MODEL_NAME_MAP[role],
+      role,
+      claims,
+      ip,
+      device,
+      lastSeenAt: new Date(),
+      // Placeholders, replaced by signRefreshToken below
+      refreshTokenHash: 'pending',
+      expiresAt: new Date()
+    });
+
+    const refreshToken = this.signRefreshToken(session);
+    await session.save();
+
+    console.log(`🔑 [SESSION-SERVICE] Session ${session._id} opened for ${role} ${subject._id}`);
+
+    return this.buildTokenResponse(session, refreshToken);
+  }
+
+  /**
+   * Close the live sockets of revoked sessions. Required here: the socket service checks
+   * sessions through this one.
+   */
+  disconnectSockets(sessionIds) {
+    try {
+      const EnhancedSocketService = require('./socket.service');
+      EnhancedSocketService.disconnectSessions(sessionIds.map(sessionId => sessionId.toString()));
+    } catch (error) {
+      console.error('⚠️ [SESSION-SERVICE] Failed to disconnect sockets:', error.message);
+    }
+  }
+
+  /**
+   * Revoke a session whose refresh token was presented after it had been rotated, and reject
+   * the refresh
+   */
+  async rejectReuse(sessionId) {
+    await AuthSession.updateOne(
+      { _id: sessionId, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' }
+    );
+    this.disconnectSockets([sessionId]);
+
+    console.warn(`🚨 [SESSION-SERVICE] Refresh token reuse on session ${sessionId}, session revoked`);
+    throw new Error('Refresh token reuse detected, session revoked');
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Presenting a token that has already been
+   * rotated means it leaked, so the whole session is revoked. The rotation only goes through
+   * while the stored hash is still this token's, so of two refreshes with the same token one
+   * wins and the other counts as reuse.
+   */
+  async refresh(refreshToken, req) {
+    let decoded;
+    try {
+      decoded = jwt.verify(refreshToken, this.getJwtSecret(), { issuer: config.jwt.issuer });
+    } catch (error) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    if (decoded.typ !== 'refresh' || !decoded.sid || !decoded.jti) {
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const session = await AuthSession.findById(decoded.sid);
+    if (!session || !session.isActive) {
+      throw new Error('Session has been revoked or has expired');
+    }
+
+    const presentedHash = this.hashToken(decoded.jti);
+    if (session.refreshTokenHash !== presentedHash) {
+      await this.rejectReuse(session._id);
+    }
+
+    const Model = ROLE_MODEL_MAP[session.role];
+    const subject = await Model.findById(session.subject).select('status');
+    if (!subject) {
+      throw new Error('Account not found');
+    }
+
+    if (subject.status === 'suspended') {
+      session.revokedAt = new Date();
+      session.revokedReason = 'account_suspended';
+      await session.save();
+      this.disconnectSockets([session._id]);
+      throw new Error('Account is suspended');
+    }
+
+    const { ip, device } = this.getClientInfo(req);
+    const newRefreshToken = this.signRefreshToken(session);
+    const now = new Date();
+
+    const rotated = await AuthSession.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: { $exists: false } },
+      {
+        $set: {
+          refreshTokenHash: session.refreshTokenHash,
+          expiresAt: session.expiresAt,
+          lastRefreshedAt: now,
+          lastSeenAt: now,
+          ...(ip && { ip }),
+          ...(device.userAgent && { 'device.userAgent': device.userAgent })
+        },
+        $inc: { refreshCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await this.rejectReuse(session._id);
+    }
+
+    return this.buildTokenResponse(rotated, newRefreshToken);
+  }
+
+  /**
+   * Used by the auth middleware: make sure the session behind an access token is still live
+   */
+  async assertSessionActive(sessionId, subjectId) {
+    const session = await AuthSession.findById(sessionId).select('subject revokedAt expiresAt lastSeenAt');
+
+    if (!session || !session.isActive || session.subject.toString() !== subjectId.toString()) {
+      throw new Error('Session has been revoked or has expired');
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+      AuthSession.updateOne({ _id: session._id }, { lastSeenAt: new Date() }).catch(error => {
+        console.error('⚠️ [SESSION-SERVICE] Failed to update lastSeenAt:', error.message);
+      });
+    }
+
+    return session;
+  }
+
+  async listSessions(subjectId, role, currentSessionId) {
+    const sessions = await AuthSession.find({
+      subject: subjectId,
+      role,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .select('device ip lastSeenAt lastRefreshedAt createdAt expiresAt')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      ...session,
+      current: currentSessionId ? session._id.toString() === currentSessionId.toString() : false
+    }));
+  }
+
+  async revokeSession(subjectId, role, sessionId, reason = 'revoked_by_user') {
+    const result = await AuthSession.updateOne(
+      { _id: sessionId, subject: subjectId, role, revokedAt: { $exists: false } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new Error('Session not found');
+    }
+
+    this.disconnectSockets([sessionId]);
+
+    console.log(`🚪 [SESSION-SERVICE] Session ${sessionId} revoked (${reason})`);
+    return { sessionId, revoked: true };
+  }
+
+  /**
+   * Log out everywhere, optionally keeping the session making the request
+   */
+  async revokeAllSessions(subjectId, role, { exceptSessionId } = {}) {
+    const query = { subject: subjectId, role, revokedAt: { $exists: false } };
+    if (exceptSessionId) {
+      query._id = { $ne: exceptSessionId };
+    }
+
+    const sessionIds = await AuthSession.find(query).distinct('_id');
+    const result = await AuthSession.updateMany({ ...query, _id: { $in: sessionIds } }, {
+      revokedAt: new Date(),
+      revokedReason: 'logout_all'
+    });
+    this.disconnectSockets(sessionIds);
+
+    console.log(`🚪 [SESSION-SERVICE] Revoked ${result.modifiedCount} sessions for ${role} ${subjectId}`);
+    return { revokedCount: result.modifiedCount };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,355 @@
+// services/slot.service.js
+const mongoose = require('mongoose');
+const Professional = require('../models/professional.model');
+const Schedule = require('../models/schedule.model');
+const Booking = require('../models/booking.model');
+const ScheduleService = require('./schedule.service');
+const EtaService = require('./eta.service');
+const GeospatialService = require('./geospatial.service');
+const { ACTIVE_STATUSES } = require('./booking-state.service');
+const config = require('../config/config');
+
+const DEFAULT_DURATION_MINUTES = 60;
+const DAY_MINUTES = 24 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Bookable time slots for a service at the customer's location. A slot is open while at least
+ * one qualified professional nearby is free for the whole service: inside working hours, clear
+ * of blocked times and holidays, and clear of their other appointments by the travel buffer.
+ * Booking a slot holds it on one of those professionals' schedules with a conditional update,
+ * so two bookings cannot both take the last free professional.
+ */
+class SlotService {
+
+  durationOf(service) {
+    return service?.estimatedDuration || DEFAULT_DURATION_MINUTES;
+  }
+
+  assertBookableDay(dateKey) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey || '') || isNaN(ScheduleService.timeOnDay(dateKey, 0))) {
+      throw new Error('Invalid date format. Use YYYY-MM-DD');
+    }
+
+    const today = ScheduleService.timeOnDay(ScheduleService.toDateKey(new Date()), 0);
+    const day = ScheduleService.timeOnDay(dateKey, 0);
+    if (day < today) {
+      throw new Error('Invalid date: it is in the past');
+    }
+    if (day - today > config.slots.horizonDays * DAY_MS) {
+      throw new Error(`Invalid date: slots can be booked up to ${config.slots.horizonDays} days ahead`);
+    }
+  }
+
+  /**
+   * Qualified professionals within the search radius, nearest first, each with the travel buffer
+   * to keep around their other appointments
+   */
+  async findProfessionals(service, coordinates) {
+    const professionals = await Professional.find({
+      specializations: service.category,
+      status: 'verified',
+      'commissionHold.level': null,
+      currentLocation: {
+        $near: {
+          $geometry: { type: 'Point', coordinates },
+          $maxDistance: config.slots.searchRadiusKm * 1000
+        }
+      }
+    })
+      .select('_id currentLocation')
+      .limit(config.slots.maxProfessionals);
+
+    return professionals.map(professional => ({
+      professionalId: professional._id,
+      bufferMinutes: this.travelBuffer(professional.currentLocation, coordinates)
+    }));
+  }
+
+  /**
+   * Minutes to keep free around an appointment for the professional to travel from where they are
+   */
+  travelBuffer(currentLocation, coordinates) {
+    if (!currentLocation?.coordinates) {
+      return config.slots.minTravelBufferMinutes;
+    }
+
+    const [longitude, latitude] = currentLocation.coordinates;
+    const distanceKm = GeospatialService.calculateDistance(latitude, longitude, coordinates[1], coordinates[0]);
+    return Math.max(config.slots.minTravelBufferMinutes, EtaService.estimateFromDistance(distanceKm));
+  }
+
+  /**
+   * Each professional's day: their Schedule (or the default day) and the times already taken,
+   * in minutes from midnight. Bookings are read as well as the appointment cache, which can lag.
+   */
+  async loadDays(professionalIds, dateKey, { excludeBookingId } = {}) {
+    const scheduleDate = new Date(`${dateKey}T00:00:00.000Z`);
+    const dayStart = ScheduleService.timeOnDay(dateKey, 0);
+    const dayEnd = ScheduleService.timeOnDay(dateKey, DAY_MINUTES);
+    const excluded = excludeBookingId ? excludeBookingId.toString() : null;
+
+    const [schedules, bookings] = await Promise.all([
+      Schedule.find({
+        professional: { $in: professionalIds },
+        date: { $gte: scheduleDate, $lt: new Date(scheduleDate.getTime() + DAY_MS) }
+      }),
+      Booking.find({
+        professional: { $in: professionalIds },
+        scheduledDate: { $gte: dayStart, $lt: dayEnd },
+        status: { $in: ['pending', ...ACTIVE_STATUSES] },
+        ...(excluded && { _id: { $ne: excluded } })
+      })
+        .select('professional scheduledDate service')
+        .populate('service', 'estimatedDuration')
+    ]);
+
+    const days = new Map(professionalIds.map(id => [
+      id.toString(),
+      { schedule: ScheduleService.getDefaultDay(dayStart), taken: [] }
+    ]));
+
+    for (const schedule of schedules) {
+      const day = days.get(schedule.professional.toString());
+      day.schedule = schedule;
+      day.taken = schedule.appointments
+        .filter(appointment =>
+          appointment.status !== 'cancelled' &&
+          appointment.status !== 'completed' &&
+          appointment.startTime && appointment.endTime &&
+          (!excluded || appointment.bookingId?.toString() !== excluded)
+        )
+        .map(appointment => ({
+          start: ScheduleService.timeToMinutes(appointment.startTime),
+          end: ScheduleService.timeToMinutes(appointment.endTime)
+        }));
+    }
+
+    for (const booking of bookings) {
+      const start = ScheduleService.timeToMinutes(ScheduleService.toTimeString(booking.scheduledDate));
+      days.get(booking.professional.toString()).taken.push({
+        start,
+        end: start + this.durationOf(booking.service)
+      });
+    }
+
+    return days;
+  }
+
+  isFree(day, start, durationMinutes, bufferMinutes) {
+    const { schedule, taken } = day;
+    const end = start + durationMinutes;
+
+    if (schedule.isHoliday || !schedule.workingHours?.isWorkingDay) return false;
+    if (start < ScheduleService.timeToMinutes(schedule.workingHours.startTime) ||
+        end > ScheduleService.timeToMinutes(schedule.workingHours.endTime)) {
+      return false;
+    }
+
+    const blocked = (schedule.blockedTimes || []).some(block => ScheduleService.overlaps(
+      start, end, ScheduleService.timeToMinutes(block.startTime), ScheduleService.timeToMinutes(block.endTime)
+    ));
+    if (blocked) return false;
+
+    return !taken.some(time => ScheduleService.overlaps(start - bufferMinutes, end + bufferMinutes, time.start, time.end));
+  }
+
+  /**
+   * Open slots for a service on a day, every intervalMinutes from minLeadMinutes from now, with
+   * the number of professionals free for each
+   */
+  async getSlots(service, { date, coordinates }) {
+    this.assertBookableDay(date);
+
+    const durationMinutes = this.durationOf(service);
+    const professionals = await this.findProfessionals(service, coordinates);
+    const days = await this.loadDays(professionals.map(professional => professional.professionalId), date);
+    const earliest = new Date(Date.now() + config.slots.minLeadMinutes * 60 * 1000);
+
+    const slots = [];
+    for (let start = 0; start + durationMinutes <= DAY_MINUTES; start += config.slots.intervalMinutes) {
+      const startsAt = ScheduleService.timeOnDay(date, start);
+      if (startsAt < earliest) continue;
+
+      const available = professionals.filter(({ professionalId, bufferMinutes }) =>
+        this.isFree(days.get(professionalId.toString()), start, durationMinutes, bufferMinutes)
+      ).length;
+
+      if (available > 0) {
+        slots.push({
+          start: startsAt,
+          end: new Date(startsAt.getTime() + durationMinutes * 60 * 1000),
+          startTime: ScheduleService.minutesToTime(start),
+          endTime: ScheduleService.minutesToTime(start + durationMinutes),
+          available
+        });
+      }
+    }
+
+    return {
+      serviceId: service._id,
+      date,
+      durationMinutes,
+      professionalsNearby: professionals.length,
+      slots
+    };
+  }
+
+  /**
+   * Hold the booking's time with the nearest professional free for it, and set booking.slot.
+   * The hold is a pending appointment on their Schedule, pushed only while nothing there is in
+   * the way, so concurrent bookings cannot both take the same free time. A booking that already
+   * holds a slot (being rescheduled) lets the old one go once the new one is held.
+   * The caller saves the booking, and releases the hold if it cannot.
+   */
+  async reserve(booking, service, details = {}) {
+    const dateKey = ScheduleService.toDateKey(booking.scheduledDate);
+    const start = ScheduleService.timeToMinutes(ScheduleService.toTimeString(booking.scheduledDate));
+    const durationMinutes = this.durationOf(service);
+
+    const professionals = await this.findProfessionals(service, booking.location.coordinates);
+    const days = await this.loadDays(
+      professionals.map(professional => professional.professionalId),
+      dateKey,
+      { excludeBookingId: booking._id }
+    );
+
+    for (const { professionalId, bufferMinutes } of professionals) {
+      if (!this.isFree(days.get(professionalId.toString()), start, durationMinutes, bufferMinutes)) {
+        continue;
+      }
+
+      const appointmentId = await this.hold(booking, service, { professionalId, start, durationMinutes, bufferMinutes }, details);
+      if (!appointmentId) continue;
+
+      const previous = booking.slot?.appointment;
+      booking.slot = {
+        professional: professionalId,
+        appointment: appointmentId,
+        startTime: ScheduleService.minutesToTime(start),
+        endTime: ScheduleService.minutesToTime(start + durationMinutes),
+        bufferMinutes,
+        reservedAt: new Date()
+      };
+
+      if (previous) {
+        await this.release(booking._id, { keep: appointmentId });
+      }
+
+      console.log(`🗓️ [SLOT-SERVICE] Booking ${booking._id} holds ${dateKey} ${booking.slot.startTime} with ${professionalId}`);
+      return booking.slot;
+    }
+
+    throw new Error('Selected time slot is not available. Please pick another slot');
+  }
+
+  /**
+   * Hold the booking's time with the professional taking it (accepting it, or keeping it when it
+   * is rescheduled), and set booking.slot. Conditional like reserve(); throws when their Schedule
+   * is not free then. Holds the booking has elsewhere stay until the caller has saved the booking
+   * and calls confirmHold(), or releases this one with release(bookingId, { only }) if it cannot.
+   */
+  async holdWith(booking, service, professionalId, details = {}) {
+    const start = ScheduleService.timeToMinutes(ScheduleService.toTimeString(booking.scheduledDate));
+    const durationMinutes = this.durationOf(service);
+
+    const professional = await Professional.findById(professionalId).select('currentLocation');
+    const bufferMinutes = this.travelBuffer(professional?.currentLocation, booking.location.coordinates);
+
+    const appointmentId = await this.hold(booking, service, { professionalId, start, durationMinutes, bufferMinutes }, details);
+    if (!appointmentId) {
+      throw new Error('Professional is not available at the booking time');
+    }
+
+    booking.slot = {
+      professional: professionalId,
+      appointment: appointmentId,
+      startTime: ScheduleService.minutesToTime(start),
+      endTime: ScheduleService.minutesToTime(start + durationMinutes),
+      bufferMinutes,
+      reservedAt: new Date()
+    };
+
+    console.log(`🗓️ [SLOT-SERVICE] Booking ${booking._id} holds ${ScheduleService.toDateKey(booking.scheduledDate)} ${booking.slot.startTime} with ${professionalId}`);
+    return booking.slot;
+  }
+
+  /**
+   * Once the booking is saved with its hold from holdWith(), drop its other holds and give the
+   * one kept the booking's status
+   */
+  async confirmHold(booking) {
+    await this.release(booking._id, { keep: booking.slot.appointment });
+    await ScheduleService.updateAppointmentStatus(booking);
+  }
+
+  /**
+   * Push the hold onto the professional's Schedule if the time is still free there. Returns the
+   * new appointment's ID, or null when something got in first.
+   */
+  async hold(booking, service, { professionalId, start, durationMinutes, bufferMinutes }, details = {}) {
+    const schedule = await ScheduleService.getScheduleForDate(professionalId, booking.scheduledDate, { create: true });
+    const appointmentId = new mongoose.Types.ObjectId();
+
+    const startTime = ScheduleService.minutesToTime(start);
+    const endTime = ScheduleService.minutesToTime(Math.min(start + durationMinutes, DAY_MINUTES - 1));
+    const clearFrom = ScheduleService.minutesToTime(Math.max(start - bufferMinutes, 0));
+    const clearUntil = ScheduleService.minutesToTime(Math.min(start + durationMinutes + bufferMinutes, DAY_MINUTES - 1));
+
+    // "HH:MM" strings compare in time order
+    const result = await Schedule.updateOne(
+      {
+        _id: schedule._id,
+        isHoliday: { $ne: true },
+        'workingHours.isWorkingDay': true,
+        'workingHours.startTime': { $lte: startTime },
+        'workingHours.endTime': { $gte: endTime },
+        blockedTimes: {
+          $not: { $elemMatch: { startTime: { $lt: endTime }, endTime: { $gt: startTime } } }
+        },
+        appointments: {
+          $not: {
+            $elemMatch: {
+              bookingId: { $ne: booking._id },
+              status: { $nin: ['cancelled', 'completed'] },
+              startTime: { $lt: clearUntil },
+              endTime: { $gt: clearFrom }
+            }
+          }
+        }
+      },
+      {
+        $push: {
+          appointments: {
+            _id: appointmentId,
+            bookingId: booking._id,
+            startTime,
+            endTime,
+            customerName: details.customerName || booking.user?.name || 'Customer',
+            serviceType: service.name || 'Service',
+            status: 'pending',
+            address: booking.location?.address
+          }
+        }
+      }
+    );
+
+    return result.modifiedCount > 0 ? appointmentId : null;
+  }
+
+  /**
+   * Drop the booking's slot holds, except the appointment `keep`, or only the appointment `only`
+   */
+  async release(bookingId, { keep, only } = {}) {
+    return Schedule.updateMany(
+      { 'appointments.bookingId': bookingId },
+      {
+        $pull: {
+          appointments: { bookingId, ...(keep && { _id: { $ne: keep } }), ...(only && { _id: only }) }
+        }
+      }
+    );
+  }
+}
+
+module.exports = new SlotService();
@@ -0,0 +1,281 @@
+// services/socket-registry.service.js
+const os = require('os');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const redisClient = require('../config/redis');
+const logger = require('../config/logger');
+const config = require('../config/config');
+
+const STARTUP_CONNECT_ATTEMPTS = 5;
+
+/**
+ * The subset of Redis hash commands the registry uses, kept in this process for a single instance
+ */
+class MemoryHashes {
+  constructor() {
+    this.hashes = new Map();
+  }
+
+  hash(key) {
+    if (!this.hashes.has(key)) this.hashes.set(key, new Map());
+    return this.hashes.get(key);
+  }
+
+  async hSet(key, field, value) {
+    this.hash(key).set(field, value);
+  }
+
+  async hGet(key, field) {
+    return this.hash(key).get(field) ?? null;
+  }
+
+  async hDel(key, fields) {
+    [].concat(fields).forEach(field => this.hash(key).delete(field));
+  }
+
+  async hGetAll(key) {
+    return Object.fromEntries(this.hash(key));
+  }
+}
+
+/**
+ * Who is connected to Socket.IO and who is in a tracking session, shared by every instance of
+ * the server. With config.socket.redisAdapter the registries are Redis hashes and room
+ * broadcasts reach sockets on other instances through the Redis adapter; otherwise both stay in
+ * this process.
+ *
+ * Entries record the instance holding the socket. Each instance keeps a heartbeat, and entries
+ * of an instance that stopped beating (it crashed without cleaning up) are dropped when read.
+ */
+class SocketRegistry {
+  constructor() {
+    this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}:${process.pid}`;
+    this.store = new MemoryHashes();
+    this.usesRedis = false;
+    this.clients = [];
+    this.heartbeat = null;
+  }
+
+  key(name) {
+    return `${config.socket.keyPrefix}:${name}`;
+  }
+
+  /**
+   * Put `io` on the Redis adapter and move the registries to Redis, when configured. Falls back
+   * to this process if Redis cannot be reached. Never rejects.
+   */
+  async attach(io) {
+    if (!config.socket.redisAdapter || this.usesRedis) {
+      return this.usesRedis;
+    }
+
+    // Give up on startup after a few attempts rather than holding every socket back; once
+    // connected, keep reconnecting
+    let connected = false;
+    const reconnectStrategy = (retries) => {
+      if (!connected && retries >= STARTUP_CONNECT_ATTEMPTS) {
+        return new Error('Redis unreachable');
+      }
+      return Math.min(retries * 100, 3000);
+    };
+
+    const pubClient = redisClient.duplicate({ socket: { reconnectStrategy } });
+    const subClient = redisClient.duplicate({ socket: { reconnectStrategy } });
+    [pubClient, subClient].forEach(client => {
+      client.on('error', (error) => logger.error('Socket.IO Redis client error:', error));
+    });
+
+    try {
+      await Promise.all([pubClient.connect(), subClient.connect()]);
+      connected = true;
+    } catch (error) {
+      logger.error('Could not connect the Socket.IO Redis adapter, running single-instance:', error);
+      await Promise.allSettled([pubClient.disconnect(), subClient.disconnect()]);
+      return false;
+    }
+
+    io.adapter(createAdapter(pubClient, subClient, { key: config.socket.keyPrefix }));
+
+    this.clients = [pubClient, subClient];
+    this.store = pubClient;
+    this.usesRedis = true;
+
+    await this.beat();
+    this.heartbeat = setInterval(() => {
+      this.beat().catch(error => logger.error('Socket.IO heartbeat failed:', error));
+    }, config.socket.heartbeatSeconds * 1000);
+    this.heartbeat.unref();
+
+    logger.info(`Socket.IO Redis adapter attached (instance ${this.instanceId})`);
+    return true;
+  }
+
+  async beat() {
+    await this.store.hSet(this.key('instances'), this.instanceId, Date.now().toString());
+  }
+
+  /**
+   * Instances whose heartbeat is current. Stale instances are removed on the way.
+   */
+  async liveInstances() {
+    if (!this.usesRedis) {
+      return new Set([this.instanceId]);
+    }
+
+    const heartbeats = await this.store.hGetAll(this.key('instances'));
+    const cutoff = Date.now() - config.socket.instanceTtlSeconds * 1000;
+    const live = new Set();
+    const stale = [];
+
+    for (const [instanceId, beatAt] of Object.entries(heartbeats)) {
+      if (Number(beatAt) >= cutoff) live.add(instanceId);
+      else stale.push(instanceId);
+    }
+
+    if (stale.length) {
+      await this.store.hDel(this.key('instances'), stale);
+    }
+    return live;
+  }
+
+  /**
+   * Entries of a registry hash held by live instances, keyed by field. Entries of dead
+   * instances are removed.
+   */
+  async entries(name) {
+    const [raw, live] = await Promise.all([
+      this.store.hGetAll(this.key(name)),
+      this.liveInstances()
+    ]);
+    const entries = {};
+    const dead = [];
+
+    for (const [field, value] of Object.entries(raw)) {
+      const entry = JSON.parse(value);
+      if (live.has(entry.instanceId)) entries[field] = entry;
+      else dead.push(field);
+    }
+
+    if (dead.length) {
+      await this.store.hDel(this.key(name), dead);
+    }
+    return entries;
+  }
+
+  async getEntry(name, field) {
+    const value = await this.store.hGet(this.key(name), field);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async setEntry(name, field, entry) {
+    await this.store.hSet(this.key(name), field, JSON.stringify({ ...entry, instanceId: this.instanceId }));
+  }
+
+  // ===== Connections, one per user (the latest socket) =====
+
+  async addConnection(userId, { socketId, role, userData, connectedAt = new Date() }) {
+    await this.setEntry('connections', userId, {
+      socketId,
+      role,
+      userData,
+      connectedAt,
+      lastActivity: connectedAt
+    });
+  }
+
+  async touchConnection(userId, socketId, lastActivity = new Date()) {
+    const connection = await this.getEntry('connections', userId);
+    if (connection?.socketId === socketId) {
+      await this.setEntry('connections', userId, { ...connection, lastActivity });
+    }
+  }
+
+  /**
+   * Remove the user's connection if it is still `socketId`; a newer socket of the same user,
+   * possibly on another instance, is left alone
+   */
+  async removeConnection(userId, socketId) {
+    const connection = await this.getEntry('connections', userId);
+    if (connection?.socketId === socketId) {
+      await this.store.hDel(this.key('connections'), userId);
+    }
+  }
+
+  async hasConnection(userId) {
+    const connection = await this.getEntry('connections', userId);
+    return Boolean(connection) && (await this.liveInstances()).has(connection.instanceId);
+  }
+
+  async listConnections() {
+    const connections = await this.entries('connections');
+    return Object.entries(connections).map(([userId, connection]) => ({ userId, ...connection }));
+  }
+
+  // ===== Tracking sessions, one per user and booking =====
+
+  async addSession(userId, bookingId, { userRole, socketId, room, startedAt = new Date() }) {
+    await this.setEntry('sessions', `${userId}:${bookingId}`, {
+      bookingId,
+      userId,
+      userRole,
+      socketId,
+      room,
+      startedAt
+    });
+  }
+
+  /**
+   * Remove a tracking session, returning it, or null if there was none
+   */
+  async removeSession(userId, bookingId) {
+    const field = `${userId}:${bookingId}`;
+    const session = await this.getEntry('sessions', field);
+    if (session) {
+      await this.store.hDel(this.key('sessions'), field);
+    }
+    return session;
+  }
+
+  /**
+   * Remove the tracking sessions a socket started, returning them
+   */
+  async removeSocketSessions(userId, socketId) {
+    const sessions = await this.entries('sessions');
+    const fields = Object.keys(sessions)
+      .filter(field => field.startsWith(`${userId}:`) && sessions[field].socketId === socketId);
+
+    if (fields.length) {
+      await this.store.hDel(this.key('sessions'), fields);
+    }
+    return fields.map(field => sessions[field]);
+  }
+
+  async listSessions() {
+    return Object.values(await this.entries('sessions'));
+  }
+
+  /**
+   * Remove this instance's entries and close the Redis clients, on shutdown
+   */
+  async close() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+
+    for (const name of ['connections', 'sessions']) {
+      const raw = await this.store.hGetAll(this.key(name));
+      const own = Object.keys(raw).filter(field => JSON.parse(raw[field]).instanceId === this.instanceId);
+      if (own.length) {
+        await this.store.hDel(this.key(name), own);
+      }
+    }
+
+    if (this.usesRedis) {
+      await this.store.hDel(this.key('instances'), this.instanceId);
+      await Promise.allSettled(this.clients.map(client => client.quit()));
+      this.clients = [];
+      this.store = new MemoryHashes();
+      this.usesRedis = false;
+    }
+  }
+}
+
+module.exports = new SocketRegistry();
@@ -4,16 +4,28 @@ const jwt = require('jsonwebtoken');
 const Professional = require('../models/professional.model');
 const User = require('../models/user.model');
 const Booking = require('../models/booking.model');
+const LocationHistoryService = require('./location-history.service');
+const SocketRegistry = require('./socket-registry.service');
+const GeofenceService = require('./geofence.service');
+const EtaService = require('./eta.service');
+const SessionService = require('./session.service');
 const logger = require('../config/logger');
+const config = require('../config/config');
 
 let io;
-const activeConnections = new Map();
-const trackingSessions = new Map();
+// Settles once the Redis adapter is attached (or not configured); sockets wait for it so they
+// are registered in the right place
+let registryReady = Promise.resolve();
 
 /**
  * FIXED: Initialize socket.io with proper CORS and auth
  */
 const initializeSocket = (server) => {
+  if (io) {
+    console.log('ℹ️ Socket.IO Service already initialized');
+    return io;
+  }
+
   console.log('🚀 Initializing Enhanced Socket.IO Service...');
   
   io = socketIO(server, {
@@ -30,9 +42,13 @@ const initializeSocket = (server) => {
     allowEIO3: true // Support older versions
   });
 
+  // Rooms and registries shared with the other instances through Redis
+  registryReady = SocketRegistry.attach(io);
+
   // FIXED: Enhanced authentication middleware
   io.use(async (socket, next) => {
     try {
+      await registryReady;
       console.log('🔐 Authenticating socket connection...');
       
       // Extract token from multiple sources
@@ -67,6 +83,14 @@ const initializeSocket = (server) => {
         return next(new Error('User not found'));
       }
 
+      // Same rule as the HTTP auth middleware: tokens bound to a session die with it
+      if (decoded.sid) {
+        await SessionService.assertSessionActive(decoded.sid, userData._id);
+        socket.sessionId = decoded.sid;
+      } else if (config.jwt.requireSession) {
+        return next(new Error('Session required, please log in again'));
+      }
+
       socket.userData = {
         _id: userData._id,
         name: userData.name || 'Unknown User',
@@ -88,18 +112,20 @@ const initializeSocket = (server) => {
     console.log(`🔗 User connected: ${socket.userId} (${socket.userRole}) - Socket: ${socket.id}`);
 
     // Store active connection
-    activeConnections.set(socket.userId, {
+    SocketRegistry.addConnection(socket.userId, {
       socketId: socket.id,
-      socket: socket,
       role: socket.userRole,
       userData: socket.userData,
-      connectedAt: new Date(),
-      lastActivity: new Date()
-    });
+      connectedAt: new Date()
+    }).catch(error => console.error('❌ Error registering connection:', error.message));
 
     // Join user's personal room
     socket.join(`user:${socket.userId}`);
     socket.join(`role:${socket.userRole}`);
+    // Lets a revoked session's sockets be dropped on every instance
+    if (socket.sessionId) {
+      socket.join(`session:${socket.sessionId}`);
+    }
 
     // Send connection confirmation
     socket.emit('connected', {
@@ -119,11 +145,13 @@ const initializeSocket = (server) => {
       handleDisconnection(socket, reason);
     });
 
-    // Update last activity on any event
+    // Update last activity on any event, written back at most every activityWriteSeconds
+    let activityWrittenAt = Date.now();
     socket.onAny(() => {
-      if (activeConnections.has(socket.userId)) {
-        activeConnections.get(socket.userId).lastActivity = new Date();
-      }
+      if (Date.now() - activityWrittenAt < config.socket.activityWriteSeconds * 1000) return;
+      activityWrittenAt = Date.now();
+      SocketRegistry.touchConnection(socket.userId, socket.id)
+        .catch(error => console.error('❌ Error updating connection activity:', error.message));
     });
   });
 
@@ -242,15 +270,10 @@ const setupTrackingEvents = (socket) => {
       socket.join(trackingRoom);
 
       // Store tracking session
-      const sessionKey = `${socket.userId}:${bookingId}`;
-      trackingSessions.set(sessionKey, {
-        bookingId: bookingId,
-        userId: socket.userId,
+      await SocketRegistry.addSession(socket.userId, bookingId, {
         userRole: socket.userRole,
         socketId: socket.id,
-        startedAt: new Date(),
-        room: trackingRoom,
-        booking: booking
+        room: trackingRoom
       });
 
       // Prepare tracking data based on role
@@ -282,7 +305,7 @@ const setupTrackingEvents = (socket) => {
             booking.location.coordinates[1],
             booking.location.coordinates[0]
           );
-          trackingData.initialETA = calculateETA(distance);
+          trackingData.initialETA = (await EtaService.refresh(booking, booking.professional.currentLocation.coordinates)).eta;
           trackingData.initialDistance = distance;
         }
       }
@@ -297,13 +320,12 @@ const setupTrackingEvents = (socket) => {
   });
 
   // End tracking session
-  socket.on('end_tracking_session', (data) => {
+  socket.on('end_tracking_session', async (data) => {
     try {
       const { bookingId } = data;
-      const sessionKey = `${socket.userId}:${bookingId}`;
+      const session = await SocketRegistry.removeSession(socket.userId, bookingId);
       
-      if (trackingSessions.has(sessionKey)) {
-        trackingSessions.delete(sessionKey);
+      if (session) {
         socket.leave(`tracking:${bookingId}`);
         socket.emit('tracking_session_ended', { bookingId, endedAt: new Date() });
         console.log(`🛑 Tracking session ended for booking: ${bookingId}`);
@@ -380,8 +402,13 @@ const setupLocationEvents = (socket) => {
         booking.location.coordinates[0]
       );
 
-      const currentSpeed = speed && speed > 1 ? speed : 30; // km/h
-      const eta = Math.round((distance / currentSpeed) * 60); // minutes
+      // Throttled; saves the ETA and tells the customer about large changes
+      let eta = booking.tracking?.eta ?? null;
+      try {
+        ({ eta } = await EtaService.refresh(booking, coordinates));
+      } catch (etaError) {
+        console.error('⚠️ ETA not updated (non-critical):', etaError.message);
+      }
 
       console.log('📏 Calculated distance:', distance.toFixed(2), 'km');
       console.log('⏱️ Calculated ETA:', eta, 'minutes');
@@ -411,7 +438,6 @@ const setupLocationEvents = (socket) => {
             heading: heading || 0,
             speed: speed || 0
           },
-          'tracking.eta': eta,
           'tracking.distance': distance,
           'tracking.lastUpdate': new Date()
         });
@@ -420,10 +446,21 @@ const setupLocationEvents = (socket) => {
         console.error('⚠️ Database update failed (non-critical):', dbError.message);
       }
 
+      try {
+        await LocationHistoryService.record(booking, socket.userId, { coordinates, accuracy, heading, speed, timestamp });
+      } catch (historyError) {
+        console.error('⚠️ Breadcrumb not recorded (non-critical):', historyError.message);
+      }
+
+      try {
+        await GeofenceService.check(booking, socket.userId, { coordinates, accuracy });
+      } catch (geofenceError) {
+        console.error('⚠️ Geofence check failed (non-critical):', geofenceError.message);
+      }
+
       // Broadcast to booking room (reaches all participants)
       const roomName = `booking:${bookingId}`;
-      const socketsInRoom = await io.in(roomName).fetchSockets();
-      console.log(`📤 Broadcasting to ${socketsInRoom.length} clients in room: ${roomName}`);
+      console.log(`📤 Broadcasting to room: ${roomName}`);
 
       io.to(roomName).emit('professionalLocationUpdate', locationUpdate);
 
@@ -521,20 +558,37 @@ const setupLocationEvents = (socket) => {
   // ===== LOCATION HISTORY REQUEST =====
   socket.on('request_location_history', async (data) => {
     try {
-      const { bookingId, limit = 50 } = data;
-      
-      // In a production app, you'd fetch this from a location history collection
-      // For now, we'll just acknowledge the request
+      const { bookingId, format = 'points', phase = 'all' } = data || {};
       console.log(`📜 Location history requested for booking: ${bookingId}`);
-      
-      socket.emit('location_history_response', {
-        bookingId: bookingId,
-        message: 'Location history feature coming soon',
-        locations: []
-      });
+
+      if (!bookingId) {
+        socket.emit('location_error', { message: 'Booking ID is required' });
+        return;
+      }
+
+      const booking = await Booking.findById(bookingId);
+      if (!booking) {
+        socket.emit('location_error', { message: 'Booking not found' });
+        return;
+      }
+
+      const isAuthorized =
+        (socket.userRole === 'user' && booking.user.toString() === socket.userId) ||
+        (socket.userRole === 'professional' && booking.professional && booking.professional.toString() === socket.userId);
+
+      if (!isAuthorized) {
+        socket.emit('location_error', { message: 'Not authorized for this booking' });
+        return;
+      }
+
+      const route = await LocationHistoryService.getRoute(booking, { format, phase });
+      socket.emit('location_history_response', route);
 
     } catch (error) {
       console.error('❌ Error fetching location history:', error);
+      socket.emit('location_error', {
+        message: error.message.startsWith('Invalid') ? error.message : 'Failed to retrieve location history'
+      });
     }
   });
 };
@@ -649,13 +703,11 @@ const handleDisconnection = async (socket, reason) => {
     console.log(`🔌 User disconnected: ${socket.userData?.name || socket.userId} (${socket.userRole})`);
     console.log(`Reason: ${reason}`);
 
-    // Clean up tracking sessions for this user
-    const userSessions = Array.from(trackingSessions.entries())
-      .filter(([key]) => key.startsWith(`${socket.userId}:`));
+    // Clean up tracking sessions this socket started
+    const userSessions = await SocketRegistry.removeSocketSessions(socket.userId, socket.id);
 
-    for (const [sessionKey, session] of userSessions) {
+    for (const session of userSessions) {
       console.log(`🛑 Ending tracking session: ${session.bookingId}`);
-      trackingSessions.delete(sessionKey);
       
       // Notify others in the room
       io.to(`booking:${session.bookingId}`).emit('participant_disconnected', {
@@ -667,7 +719,7 @@ const handleDisconnection = async (socket, reason) => {
     }
 
     // Remove from active connections
-    activeConnections.delete(socket.userId);
+    await SocketRegistry.removeConnection(socket.userId, socket.id);
 
     console.log(`✅ Cleanup completed for ${socket.userData?.name || socket.userId}`);
 
@@ -691,16 +743,6 @@ const calculateDistance = (lat1, lon1, lat2, lon2) => {
   return Math.round(R * c * 100) / 100;
 };
 
-/**
- * Calculate ETA based on distance and speed
- */
-const calculateETA = (distance, averageSpeed = 30) => {
-  if (!distance || distance <= 0) return 0;
-  const timeInHours = distance / averageSpeed;
-  const timeInMinutes = Math.round(timeInHours * 60);
-  return Math.max(1, timeInMinutes);
-};
-
 /**
  * Get IO instance for external use
  */
@@ -711,12 +753,20 @@ const getIO = () => {
   return io;
 };
 
+/**
+ * Drop the sockets opened with a session's tokens, on every instance, once it is revoked
+ */
+const disconnectSessions = (sessionIds) => {
+  if (!io || sessionIds.length === 0) return;
+  io.in(sessionIds.map(sessionId => `session:${sessionId}`)).disconnectSockets(true);
+};
+
 /**
  * Send tracking update to specific user
  */
-const sendTrackingUpdate = (userId, data) => {
+const sendTrackingUpdate = async (userId, data) => {
   try {
-    if (io && activeConnections.has(userId)) {
+    if (io && await SocketRegistry.hasConnection(userId)) {
       io.to(`user:${userId}`).emit('tracking_update', data);
       console.log(`📤 Tracking update sent to user: ${userId}`);
       return true;
@@ -747,29 +797,33 @@ const sendBookingUpdate = (bookingId, data) => {
 };
 
 /**
- * Get active connections (for monitoring)
+ * Get active connections across all instances (for monitoring)
  */
-const getActiveConnections = () => {
-  return Array.from(activeConnections.entries()).map(([userId, connection]) => ({
-    userId,
+const getActiveConnections = async () => {
+  const connections = await SocketRegistry.listConnections();
+  return connections.map(connection => ({
+    userId: connection.userId,
     role: connection.role,
     userData: connection.userData,
     connectedAt: connection.connectedAt,
     lastActivity: connection.lastActivity,
-    socketId: connection.socketId
+    socketId: connection.socketId,
+    instanceId: connection.instanceId
   }));
 };
 
 /**
- * Get active tracking sessions (for monitoring)
+ * Get active tracking sessions across all instances (for monitoring)
  */
-const getActiveTrackingSessions = () => {
-  return Array.from(trackingSessions.values()).map(session => ({
+const getActiveTrackingSessions = async () => {
+  const sessions = await SocketRegistry.listSessions();
+  return sessions.map(session => ({
     bookingId: session.bookingId,
     userId: session.userId,
     userRole: session.userRole,
     startedAt: session.startedAt,
-    room: session.room
+    room: session.room,
+    instanceId: session.instanceId
   }));
 };
 
@@ -863,12 +917,19 @@ const notifyServiceCompletion = (bookingId, completionData) => {
 /**
  * Health check function
  */
-const getHealthStatus = () => {
+const getHealthStatus = async () => {
+  const [connections, sessions] = await Promise.all([
+    SocketRegistry.listConnections(),
+    SocketRegistry.listSessions()
+  ]);
+
   return {
     status: 'healthy',
     timestamp: new Date(),
-    activeConnections: activeConnections.size,
-    activeTrackingSessions: trackingSessions.size,
+    instanceId: SocketRegistry.instanceId,
+    adapter: SocketRegistry.usesRedis ? 'redis' : 'memory',
+    activeConnections: connections.length,
+    activeTrackingSessions: sessions.length,
     memoryUsage: process.memoryUsage(),
     uptime: process.uptime()
   };
@@ -892,9 +953,9 @@ const cleanup = () => {
       io.close();
     }
     
-    // Clear data structures
-    activeConnections.clear();
-    trackingSessions.clear();
+    // Drop this instance's connections and sessions from the registries
+    SocketRegistry.close()
+      .catch(error => console.error(`❌ Error clearing socket registry: ${error.message}`));
     
     console.log('✅ Socket service cleanup completed');
     
@@ -907,6 +968,7 @@ const cleanup = () => {
 module.exports = {
   initializeSocket,
   getIO,
+  disconnectSessions,
   sendTrackingUpdate,
   sendBookingUpdate,
   getActiveConnections,
@@ -918,8 +980,7 @@ module.exports = {
   cleanup,
   
   // Utility functions
-  calculateDistance,
-  calculateETA
+  calculateDistance
 };
 
 // Handle process termination
@@ -5,10 +5,12 @@ const FAQ = require('../models/faq.model');
 const FAQCategory = require('../models/faqCategory.model');
 const User = require('../models/user.model');
 const Professional = require('../models/professional.model');
+const Admin = require('../models/admin.model');
 const Feedback = require('../models/feedback.model');
 const ChatSession = require('../models/chatSession.model');
 const ChatMessage = require('../models/chatMessage.model');
 const NotificationService = require('./notification.service');
+const AuditService = require('./audit.service');
 const { uploadToS3 } = require('../utils/fileUpload');
 const logger = require('../config/logger');
 
@@ -351,6 +353,44 @@ async replyToTicket(ticketId, message, userId, role) {
 }
 
 
+ /**
+ * Assign a ticket to an admin
+ * @param {string} ticketId - Ticket ID
+ * @param {string} assigneeId - Admin to assign it to
+ * @param {Object} auditContext - Acting admin and request, for the audit log
+ * @returns {Promise<Object>} Updated ticket
+ */
+async assignTicket(ticketId, assigneeId, auditContext = {}) {
+  try {
+    const ticket = await Ticket.findById(ticketId);
+    if (!ticket) {
+      throw new Error('Ticket not found');
+    }
+
+    const assignee = await Admin.findById(assigneeId).select('name email');
+    if (!assignee) {
+      throw new Error('Admin not found');
+    }
+
+    const before = { assignedTo: ticket.assignedTo };
+    ticket.assignedTo = assignee._id;
+    await ticket.save();
+
+    await AuditService.record({
+      action: 'ticket.assign',
+      target: { type: 'Ticket', id: ticket._id },
+      before,
+      after: { assignedTo: ticket.assignedTo },
+      context: auditContext
+    });
+
+    return ticket;
+  } catch (error) {
+    logger.error('Assign ticket error:', error);
+    throw error;
+  }
+}
+
  /**
  * Close a support ticket
  * @param {string} ticketId - Ticket ID
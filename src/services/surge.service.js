@@ -0,0 +1,275 @@
+// services/surge.service.js
+const mongoose = require('mongoose');
+const Booking = require('../models/booking.model');
+const Professional = require('../models/professional.model');
+const SurgeOverride = require('../models/surge-override.model');
+const AuditService = require('./audit.service');
+const geohash = require('../utils/geohash');
+const config = require('../config/config');
+
+const roundMultiplier = (value) => Math.round(value * 100) / 100;
+
+const WEEKEND_DAYS = ['Sat', 'Sun'];
+
+/**
+ * Surge multiplier on a booking's service price. Four factors multiply together and the product
+ * is capped at config.surge.maxMultiplier:
+ *
+ * - demand: bookings still looking for a professional per available professional, in the
+ *   geohash cell of the booking location, at the time of pricing
+ * - timeOfDay: night or peak hours at the scheduled time
+ * - day: weekend or holiday at the scheduled time, whichever is higher
+ * - urgency: bookings for within config.surge.urgentWithinHours
+ *
+ * An admin override in effect when the booking is priced replaces the product, cap and all. The
+ * most specific override wins: longest matching geohash prefix, then category-specific, then
+ * the latest start.
+ */
+class SurgeService {
+
+  cellFor(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length !== 2) return null;
+    const [longitude, latitude] = coordinates;
+    return geohash.encode(latitude, longitude, config.surge.geohashPrecision);
+  }
+
+  /**
+   * Hour, weekday and calendar date of `date` in the surge timezone
+   */
+  localTime(date) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: config.surge.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23',
+        weekday: 'short'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+      hour: parseInt(parts.hour),
+      weekday: parts.weekday,
+      date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+  }
+
+  inHourRanges(hour, ranges) {
+    return ranges.some(([start, end]) => start <= end
+      ? hour >= start && hour < end
+      : hour >= start || hour < end);
+  }
+
+  /**
+   * Open requests and available professionals in a cell
+   */
+  async getCellDemand(cell, now = new Date()) {
+    const area = { $geoWithin: { $geometry: geohash.toPolygon(cell) } };
+    const since = new Date(now.getTime() - config.surge.demandWindowMinutes * 60 * 1000);
+
+    const [demand, supply] = await Promise.all([
+      Booking.countDocuments({
+        status: 'pending',
+        createdAt: { $gte: since },
+        location: area
+      }),
+      Professional.countDocuments({
+        isAvailable: true,
+        status: 'verified',
+        'commissionHold.level': null,
+        currentLocation: area
+      })
+    ]);
+
+    return { demand, supply, ratio: roundMultiplier(demand / Math.max(supply, 1)) };
+  }
+
+  demandMultiplier({ ratio }) {
+    return roundMultiplier(1 + Math.max(ratio - config.surge.ratioThreshold, 0) * config.surge.multiplierPerRatio);
+  }
+
+  timeOfDayMultiplier(local) {
+    if (this.inHourRanges(local.hour, config.surge.nightHours)) return config.surge.nightMultiplier;
+    if (this.inHourRanges(local.hour, config.surge.peakHours)) return config.surge.peakMultiplier;
+    return 1;
+  }
+
+  dayMultiplier(local) {
+    return Math.max(
+      config.surge.holidays.includes(local.date) ? config.surge.holidayMultiplier : 1,
+      WEEKEND_DAYS.includes(local.weekday) ? config.surge.weekendMultiplier : 1
+    );
+  }
+
+  urgencyMultiplier(scheduledDate, now) {
+    const hoursAhead = (new Date(scheduledDate) - now) / (60 * 60 * 1000);
+    return hoursAhead <= config.surge.urgentWithinHours ? config.surge.urgentMultiplier : 1;
+  }
+
+  matchLength(override, cell) {
+    if (!override.geohashes?.length) return 0;
+    if (!cell) return -1;
+    return Math.max(-1, ...override.geohashes.filter(prefix => cell.startsWith(prefix)).map(prefix => prefix.length));
+  }
+
+  /**
+   * The override in effect for a cell and category at `at`, if any
+   */
+  async findOverride(cell, category, at = new Date()) {
+    const overrides = await SurgeOverride.find({
+      isActive: true,
+      startsAt: { $lte: at },
+      $or: [{ endsAt: null }, { endsAt: { $gt: at } }]
+    }).lean();
+
+    const matching = overrides
+      .map(override => ({ override, length: this.matchLength(override, cell) }))
+      .filter(({ override, length }) => length >= 0 &&
+        (!override.categories?.length || override.categories.includes(category)));
+
+    matching.sort((a, b) =>
+      (b.length - a.length) ||
+      (Number(Boolean(b.override.categories?.length)) - Number(Boolean(a.override.categories?.length))) ||
+      (b.override.startsAt - a.override.startsAt));
+
+    return matching[0]?.override || null;
+  }
+
+  /**
+   * Surge for a booking of `category` at `coordinates` for `scheduledDate`, priced at `now`
+   */
+  async getSurge({ coordinates, category, scheduledDate, now = new Date() }) {
+    const cell = this.cellFor(coordinates);
+    const override = await this.findOverride(cell, category, now);
+
+    if (override) {
+      return {
+        multiplier: override.multiplier,
+        factors: null,
+        capped: false,
+        override: override._id,
+        cell
+      };
+    }
+
+    if (!config.surge.enabled) {
+      return { multiplier: 1, factors: null, capped: false, override: null, cell };
+    }
+
+    const local = this.localTime(new Date(scheduledDate || now));
+    const cellDemand = cell ? await this.getCellDemand(cell, now) : null;
+    const factors = {
+      demand: cellDemand ? this.demandMultiplier(cellDemand) : 1,
+      timeOfDay: this.timeOfDayMultiplier(local),
+      day: this.dayMultiplier(local),
+      urgency: this.urgencyMultiplier(scheduledDate || now, now)
+    };
+
+    const product = roundMultiplier(Object.values(factors).reduce((total, factor) => total * factor, 1));
+    const multiplier = Math.max(Math.min(product, config.surge.maxMultiplier), 1);
+
+    return {
+      multiplier,
+      factors,
+      capped: product > multiplier,
+      override: null,
+      cell,
+      cellDemand
+    };
+  }
+
+  // --- Overrides ---
+
+  async listOverrides({ status } = {}) {
+    const now = new Date();
+    const query = {};
+
+    if (status === 'active') {
+      Object.assign(query, {
+        isActive: true,
+        startsAt: { $lte: now },
+        $or: [{ endsAt: null }, { endsAt: { $gt: now } }]
+      });
+    }
+    if (status === 'scheduled') Object.assign(query, { isActive: true, startsAt: { $gt: now } });
+    if (status === 'expired') query.endsAt = { $lte: now };
+    if (status === 'disabled') query.isActive = false;
+
+    return SurgeOverride.find(query).sort({ startsAt: -1 }).lean();
+  }
+
+  async getOverride(id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Invalid surge override ID');
+    }
+
+    const override = await SurgeOverride.findById(id);
+    if (!override) {
+      throw new Error('Surge override not found');
+    }
+    return override;
+  }
+
+  async createOverride(data, adminId, auditContext = {}) {
+    const override = await SurgeOverride.create({ ...data, createdBy: adminId, updatedBy: adminId });
+
+    await AuditService.record({
+      action: 'surge_override.create',
+      target: { type: 'SurgeOverride', id: override._id },
+      before: null,
+      after: override,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    console.log(`📈 [SURGE-SERVICE] Override "${override.name}" created at ${override.multiplier}x`);
+    return override;
+  }
+
+  /**
+   * Bookings keep the price they were given, so changes only affect new quotes and bookings
+   */
+  async updateOverride(id, data, adminId, auditContext = {}) {
+    const override = await this.getOverride(id);
+    const before = override.toObject();
+
+    override.set({ ...data, updatedBy: adminId });
+    await override.save();
+
+    await AuditService.record({
+      action: 'surge_override.update',
+      target: { type: 'SurgeOverride', id: override._id },
+      before,
+      after: override,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    return override;
+  }
+
+  /**
+   * Overrides that priced a booking are kept for reference; disable them with isActive: false instead
+   */
+  async deleteOverride(id, adminId, auditContext = {}) {
+    const override = await this.getOverride(id);
+
+    if (await Booking.exists({ 'pricing.surge.override': override._id })) {
+      throw new Error('Surge override has priced bookings and cannot be deleted; disable it instead');
+    }
+
+    await override.deleteOne();
+
+    await AuditService.record({
+      action: 'surge_override.delete',
+      target: { type: 'SurgeOverride', id: override._id },
+      before: override,
+      after: null,
+      context: { actorId: adminId, actorRole: 'admin', ...auditContext }
+    });
+
+    return override;
+  }
+}
+
+module.exports = new SurgeService();
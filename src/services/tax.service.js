@@ -0,0 +1,320 @@
+// services/tax.service.js
+const mongoose = require('mongoose');
+const Payment = require('../models/payment.model');
+const Withdrawal = require('../models/withdrawal.model');
+const Professional = require('../models/professional.model');
+const config = require('../config/config');
+const { toCsvRow } = require('../utils/csv');
+
+// Financial years run 1 April to 31 March, India time
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const STATEMENT_PAYMENT_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+// Withdrawals whose TDS has been worked out and still stands
+const TDS_WITHDRAWAL_STATUSES = ['approved', 'processing', 'completed'];
+
+const round = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const normaliseState = (state) => (state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Indian taxes on the platform's money flows:
+ *   - GST on the platform commission. Commission rates include GST, so the tax is split out of
+ *     the commission: CGST + SGST when the professional is in the platform's state, IGST otherwise.
+ *   - TDS on payouts to professionals, once their payouts in a financial year go above
+ *     config.tax.tdsAnnualThreshold. Crossing the threshold deducts on the whole year to date.
+ * The computed lines are stored on Payment.tax and Withdrawal.tds/taxDeducted, and annual
+ * statements per professional are built from them.
+ */
+class TaxService {
+
+  // --- Financial years ---
+
+  financialYearStarting(startYear) {
+    return {
+      label: `${startYear}-${String(startYear + 1).slice(-2)}`,
+      start: new Date(Date.UTC(startYear, 3, 1) - IST_OFFSET_MS),
+      end: new Date(Date.UTC(startYear + 1, 3, 1) - IST_OFFSET_MS)
+    };
+  }
+
+  financialYear(date = new Date()) {
+    const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    const year = ist.getUTCFullYear();
+    return this.financialYearStarting(ist.getUTCMonth() >= 3 ? year : year - 1);
+  }
+
+  /**
+   * '2025-26' (or '2025') to the financial year's bounds
+   */
+  parseFinancialYear(label) {
+    const match = String(label || '').match(/^(\d{4})(?:-(\d{2}))?$/);
+    const startYear = match && parseInt(match[1], 10);
+    if (!match || (match[2] && match[2] !== String(startYear + 1).slice(-2))) {
+      throw new Error('Invalid financial year, expected e.g. 2025-26');
+    }
+    return this.financialYearStarting(startYear);
+  }
+
+  // --- GST ---
+
+  supplyType(professionalState) {
+    // Without the professional's state the place of supply is the platform's own state
+    if (!professionalState || normaliseState(professionalState) === normaliseState(config.tax.platformState)) {
+      return 'intra_state';
+    }
+    return 'inter_state';
+  }
+
+  /**
+   * Split GST out of a GST-inclusive amount
+   */
+  splitGst(amount, supplyType, ratePercent = config.tax.gstRatePercent) {
+    const taxableValue = round(amount * 100 / (100 + ratePercent));
+    const totalTax = round(amount - taxableValue);
+
+    const lines = supplyType === 'intra_state'
+      ? [
+          { component: 'CGST', ratePercent: ratePercent / 2, amount: round(totalTax / 2) },
+          { component: 'SGST', ratePercent: ratePercent / 2, amount: round(totalTax - round(totalTax / 2)) }
+        ]
+      : [{ component: 'IGST', ratePercent, amount: totalTax }];
+
+    return { taxableValue, totalTax, lines };
+  }
+
+  /**
+   * GST lines for a payment's commission, stored on Payment.tax
+   */
+  async paymentGst(payment) {
+    const professional = await Professional.findById(payment.professional?._id || payment.professional)
+      .select('state')
+      .lean();
+    const supplyType = this.supplyType(professional?.state);
+    const ratePercent = config.tax.gstRatePercent;
+
+    return {
+      supplyType,
+      professionalState: professional?.state,
+      ratePercent,
+      ...this.splitGst(payment.platformCommission || 0, supplyType, ratePercent),
+      computedAt: new Date()
+    };
+  }
+
+  // Lines as { CGST, SGST, IGST } amounts
+  gstComponents(lines = []) {
+    const components = { CGST: 0, SGST: 0, IGST: 0 };
+    for (const line of lines) {
+      components[line.component] = round(components[line.component] + line.amount);
+    }
+    return components;
+  }
+
+  // --- TDS ---
+
+  tdsQueryForYear(professional, financialYear) {
+    return {
+      professional,
+      status: { $in: TDS_WITHDRAWAL_STATUSES },
+      $or: [
+        { 'tds.financialYear': financialYear.label },
+        // Paid out before TDS was computed
+        { 'tds.financialYear': null, completedAt: { $gte: financialYear.start, $lt: financialYear.end } }
+      ]
+    };
+  }
+
+  /**
+   * TDS on a withdrawal being approved at `at`: nothing while the professional's payouts in the
+   * financial year stay within the threshold; after that, TDS on the year to date less what was
+   * already deducted. Returns { taxDeducted, tds } for the Withdrawal.
+   */
+  async withdrawalTds(withdrawal, at = new Date()) {
+    const financialYear = this.financialYear(at);
+    const professional = await Professional.findById(withdrawal.professional).select('panNumber').lean();
+
+    const [previous] = await Withdrawal.aggregate([
+      {
+        $match: {
+          ...this.tdsQueryForYear(new mongoose.Types.ObjectId(withdrawal.professional.toString()), financialYear),
+          _id: { $ne: withdrawal._id }
+        }
+      },
+      { $group: { _id: null, amount: { $sum: '$amount' }, taxDeducted: { $sum: '$taxDeducted' } } }
+    ]);
+
+    const panAvailable = Boolean(professional?.panNumber);
+    const ratePercent = panAvailable ? config.tax.tdsRatePercent : config.tax.tdsNoPanRatePercent;
+    const yearToDateAmount = round((previous?.amount || 0) + withdrawal.amount);
+    const previouslyDeducted = round(previous?.taxDeducted || 0);
+
+    const taxDeducted = yearToDateAmount > config.tax.tdsAnnualThreshold
+      ? Math.min(Math.max(round(yearToDateAmount * ratePercent / 100 - previouslyDeducted), 0), withdrawal.amount)
+      : 0;
+
+    return {
+      taxDeducted,
+      tds: {
+        section: config.tax.tdsSection,
+        ratePercent,
+        panAvailable,
+        financialYear: financialYear.label,
+        yearToDateAmount,
+        previouslyDeducted,
+        threshold: config.tax.tdsAnnualThreshold,
+        computedAt: new Date()
+      }
+    };
+  }
+
+  // --- Annual statements ---
+
+  /**
+   * A professional's taxes for a financial year: GST on the commission of every payment
+   * completed in the year (net of refunds), and TDS on every withdrawal paid in it.
+   */
+  async getAnnualStatement(professionalId, financialYearLabel) {
+    if (!mongoose.Types.ObjectId.isValid(professionalId)) {
+      throw new Error('Invalid professional ID');
+    }
+    const financialYear = this.parseFinancialYear(financialYearLabel);
+
+    const professional = await Professional.findById(professionalId)
+      .select('name employeeId panNumber address city state pincode email phone')
+      .lean();
+    if (!professional) {
+      throw new Error('Professional not found');
+    }
+
+    const [payments, withdrawals] = await Promise.all([
+      Payment.find({
+        professional: professional._id,
+        status: { $in: STATEMENT_PAYMENT_STATUSES },
+        completedAt: { $gte: financialYear.start, $lt: financialYear.end }
+      }).sort({ completedAt: 1 }),
+      Withdrawal.find({
+        ...this.tdsQueryForYear(professional._id, financialYear),
+        status: 'completed'
+      }).sort({ completedAt: 1 }).lean()
+    ]);
+
+    const gstRows = payments.map(payment => {
+      const supplyType = payment.tax?.supplyType || this.supplyType(professional.state);
+      const ratePercent = payment.tax?.ratePercent ?? config.tax.gstRatePercent;
+      const commission = payment.netPlatformCommission;
+      const { taxableValue, totalTax, lines } = this.splitGst(commission, supplyType, ratePercent);
+
+      return {
+        date: payment.completedAt,
+        paymentId: payment._id,
+        invoiceNumber: payment.invoice?.invoiceNumber,
+        booking: payment.booking,
+        amount: round(payment.totalAmount - (payment.refundedAmount || 0)),
+        commission,
+        taxableValue,
+        ...this.gstComponents(lines),
+        totalTax
+      };
+    });
+
+    const tdsRows = withdrawals.map(withdrawal => ({
+      date: withdrawal.completedAt,
+      withdrawalId: withdrawal.withdrawalId,
+      amount: withdrawal.amount,
+      section: withdrawal.tds?.section || config.tax.tdsSection,
+      ratePercent: withdrawal.tds?.ratePercent ?? null,
+      taxDeducted: round(withdrawal.taxDeducted),
+      fees: round(withdrawal.fees),
+      netAmount: round(withdrawal.amount - (withdrawal.fees || 0) - (withdrawal.taxDeducted || 0)),
+      transactionId: withdrawal.transactionId
+    }));
+
+    const sum = (rows, key) => round(rows.reduce((total, row) => total + (row[key] || 0), 0));
+
+    return {
+      financialYear,
+      generatedAt: new Date(),
+      platform: {
+        name: config.appName || 'Service Platform',
+        gstin: config.tax.platformGstin,
+        state: config.tax.platformState
+      },
+      professional: {
+        id: professional._id,
+        name: professional.name,
+        employeeId: professional.employeeId,
+        panNumber: professional.panNumber,
+        address: professional.address,
+        city: professional.city,
+        state: professional.state,
+        pincode: professional.pincode
+      },
+      gst: {
+        supplyType: this.supplyType(professional.state),
+        rows: gstRows,
+        totals: {
+          amount: sum(gstRows, 'amount'),
+          commission: sum(gstRows, 'commission'),
+          taxableValue: sum(gstRows, 'taxableValue'),
+          CGST: sum(gstRows, 'CGST'),
+          SGST: sum(gstRows, 'SGST'),
+          IGST: sum(gstRows, 'IGST'),
+          totalTax: sum(gstRows, 'totalTax')
+        }
+      },
+      tds: {
+        rows: tdsRows,
+        totals: {
+          amount: sum(tdsRows, 'amount'),
+          taxDeducted: sum(tdsRows, 'taxDeducted'),
+          fees: sum(tdsRows, 'fees'),
+          netAmount: sum(tdsRows, 'netAmount')
+        }
+      }
+    };
+  }
+
+  statementFileName(statement, extension) {
+    const who = statement.professional.employeeId || statement.professional.id;
+    return `tax-statement-${who}-${statement.financialYear.label}.${extension}`;
+  }
+
+  /**
+   * The statement as CSV: a GST section and a TDS section, each with a totals row
+   */
+  statementToCsv(statement) {
+    const date = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+    const { professional, financialYear, gst, tds } = statement;
+
+    let csv = toCsvRow(['Tax statement', financialYear.label]);
+    csv += toCsvRow(['Professional', professional.name]);
+    csv += toCsvRow(['Employee ID', professional.employeeId]);
+    csv += toCsvRow(['PAN', professional.panNumber || 'Not provided']);
+    csv += toCsvRow(['State', professional.state]);
+    csv += toCsvRow(['Platform GSTIN', statement.platform.gstin]);
+    csv += '\r\n';
+
+    csv += toCsvRow(['GST on platform commission']);
+    csv += toCsvRow(['Date', 'Invoice', 'Payment', 'Amount', 'Commission', 'Taxable value', 'CGST', 'SGST', 'IGST', 'Total GST']);
+    for (const row of gst.rows) {
+      csv += toCsvRow([date(row.date), row.invoiceNumber, row.paymentId, row.amount, row.commission,
+        row.taxableValue, row.CGST, row.SGST, row.IGST, row.totalTax]);
+    }
+    csv += toCsvRow(['Total', '', '', gst.totals.amount, gst.totals.commission, gst.totals.taxableValue,
+      gst.totals.CGST, gst.totals.SGST, gst.totals.IGST, gst.totals.totalTax]);
+    csv += '\r\n';
+
+    csv += toCsvRow(['TDS on payouts']);
+    csv += toCsvRow(['Date', 'Withdrawal', 'Section', 'Rate %', 'Gross amount', 'TDS', 'Fees', 'Net paid', 'Bank reference']);
+    for (const row of tds.rows) {
+      csv += toCsvRow([date(row.date), row.withdrawalId, row.section, row.ratePercent, row.amount,
+        row.taxDeducted, row.fees, row.netAmount, row.transactionId]);
+    }
+    csv += toCsvRow(['Total', '', '', '', tds.totals.amount, tds.totals.taxDeducted, tds.totals.fees, tds.totals.netAmount, '']);
+
+    return csv;
+  }
+}
+
+module.exports = new TaxService();
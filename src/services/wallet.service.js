@@ -0,0 +1,124 @@
+// services/wallet.service.js
+const mongoose = require('mongoose');
+const User = require('../models/user.model');
+const WalletTransaction = require('../models/wallet-transaction.model');
+
+const toPaise = (amount) => Math.round((amount || 0) * 100);
+const round = (amount) => toPaise(amount) / 100;
+
+/**
+ * Customer wallets. The balance lives on the User and only changes together with a
+ * WalletTransaction, in one transaction; each movement has a reference, so crediting or debiting
+ * the same thing twice does nothing the second time.
+ */
+class WalletService {
+
+  /**
+   * Move `amount` in or out of a customer's wallet. Pass `session` to take part in the caller's
+   * transaction; otherwise the movement runs in its own. Returns the transaction, or the existing
+   * one when `reference` was already applied.
+   */
+  async apply(userId, direction, amount, { type, reference, booking, payment, description }, session) {
+    const value = round(amount);
+    if (value <= 0) {
+      return null;
+    }
+
+    const run = async (activeSession) => {
+      const existing = await WalletTransaction.findOne({ reference }).session(activeSession);
+      if (existing) return existing;
+
+      const filter = { _id: userId };
+      if (direction === 'debit') filter.walletBalance = { $gte: value };
+
+      const user = await User.findOneAndUpdate(
+        filter,
+        { $inc: { walletBalance: direction === 'credit' ? value : -value } },
+        { new: true, session: activeSession }
+      );
+      if (!user) {
+        throw new Error(direction === 'debit' ? 'Invalid wallet debit: insufficient balance' : 'User not found');
+      }
+
+      const [transaction] = await WalletTransaction.create([{
+        user: userId,
+        direction,
+        type,
+        amount: value,
+        balanceAfter: round(user.walletBalance),
+        reference,
+        booking,
+        payment,
+        description
+      }], { session: activeSession });
+
+      console.log(`👛 [WALLET-SERVICE] ${direction} of ${value} for user ${userId} (${reference})`);
+      return transaction;
+    };
+
+    if (session) {
+      return run(session);
+    }
+
+    const ownSession = await mongoose.startSession();
+    try {
+      let transaction;
+      await ownSession.withTransaction(async () => {
+        transaction = await run(ownSession);
+      });
+      return transaction;
+    } catch (error) {
+      // Applied by a concurrent call
+      if (error.code === 11000) {
+        return WalletTransaction.findOne({ reference });
+      }
+      throw error;
+    } finally {
+      await ownSession.endSession();
+    }
+  }
+
+  async credit(userId, amount, details, session) {
+    return this.apply(userId, 'credit', amount, details, session);
+  }
+
+  async debit(userId, amount, details, session) {
+    return this.apply(userId, 'debit', amount, details, session);
+  }
+
+  async getBalance(userId, session) {
+    const user = await User.findById(userId).select('walletBalance').session(session || null).lean();
+    return round(user?.walletBalance);
+  }
+
+  /**
+   * Balance and transactions, newest first
+   */
+  async getWallet(userId, { page = 1, limit = 20 } = {}) {
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [balance, total, transactions] = await Promise.all([
+      this.getBalance(userId),
+      WalletTransaction.countDocuments({ user: userId }),
+      WalletTransaction.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .select('-__v')
+        .lean()
+    ]);
+
+    return {
+      balance,
+      transactions,
+      pagination: {
+        total,
+        page: pageNumber,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+}
+
+module.exports = new WalletService();
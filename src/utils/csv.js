@@ -0,0 +1,96 @@
+// utils/csv.js
+
+/**
+ * Quote a value for CSV (RFC 4180). Objects are written as JSON; text that a
+ * spreadsheet would evaluate as a formula is prefixed with a quote. Numbers, and text that is
+ * only a number or phone number (-50, +91 98765 43210), are left as they are.
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object' && typeof value.toHexString !== 'function') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  const isNumber = Number.isFinite(value) || /^[+-]?[\d ().-]+$/.test(text);
+  if (!isNumber && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+const toCsvRow = (values) => values.map(escapeCsvValue).join(',') + '\r\n';
+
+/**
+ * Parse CSV text (RFC 4180, quoted fields may contain commas, quotes and newlines) into rows of
+ * strings. Blank lines and a leading byte order mark are skipped.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  const input = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by the header names
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(name => name.trim());
+
+  return rows.map(row => Object.fromEntries(keys.map((key, index) => [key, (row[index] || '').trim()])));
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsvRow,
+  parseCsv,
+  parseCsvRecords
+};
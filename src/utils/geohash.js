@@ -0,0 +1,96 @@
+// utils/geohash.js
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point. Each extra character narrows the cell; precision 5 is about 4.9 x 4.9 km,
+ * precision 6 about 1.2 x 0.6 km.
+ */
+const encode = (latitude, longitude, precision = 5) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const coordinate = evenBit ? longitude : latitude;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coordinate >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+};
+
+/**
+ * South-west and north-east corners of a geohash cell
+ */
+const bounds = (hash) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash.toLowerCase()) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash: ${hash}`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) {
+        range[0] = mid;
+      } else {
+        range[1] = mid;
+      }
+      evenBit = !evenBit;
+    }
+  }
+
+  return {
+    minLatitude: latRange[0],
+    minLongitude: lngRange[0],
+    maxLatitude: latRange[1],
+    maxLongitude: lngRange[1]
+  };
+};
+
+/**
+ * The cell as a GeoJSON polygon, for $geoWithin queries on 2dsphere indexes
+ */
+const toPolygon = (hash) => {
+  const { minLatitude, minLongitude, maxLatitude, maxLongitude } = bounds(hash);
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [minLongitude, minLatitude],
+      [maxLongitude, minLatitude],
+      [maxLongitude, maxLatitude],
+      [minLongitude, maxLatitude],
+      [minLongitude, minLatitude]
+    ]]
+  };
+};
+
+module.exports = {
+  encode,
+  bounds,
+  toPolygon
+};
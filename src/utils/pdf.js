@@ -14,14 +14,17 @@ const config = require('../config/config');
 exports.generatePdf = async (data, type = 'invoice') => {
   return new Promise((resolve, reject) => {
     try {
+      const titles = { tax_statement: 'Tax Statement', receipt: 'Receipt', tax_invoice: 'Tax Invoice', credit_note: 'Credit Note' };
+      const title = titles[type] || 'Invoice';
+
       // Create a new PDF document
       const doc = new PDFDocument({
         size: 'A4',
         margin: 50,
         info: {
-          Title: `${type === 'invoice' ? 'Invoice' : 'Receipt'} ${data.invoiceNumber || ''}`,
+          Title: `${title} ${data.invoiceNumber || data.number || data.financialYear?.label || ''}`,
           Author: config.appName || 'Service Platform',
-          Subject: `${type === 'invoice' ? 'Invoice' : 'Receipt'} for services rendered`,
+          Subject: type === 'tax_statement' ? 'Annual GST and TDS statement' : `${title} for services rendered`,
           Keywords: 'invoice, payment, service',
           CreationDate: new Date(),
         }
@@ -49,6 +52,10 @@ exports.generatePdf = async (data, type = 'invoice') => {
         generateInvoiceTemplate(doc, data);
       } else if (type === 'receipt') {
         generateReceiptTemplate(doc, data);
+      } else if (type === 'tax_statement') {
+        generateTaxStatementTemplate(doc, data);
+      } else if (type === 'tax_invoice' || type === 'credit_note') {
+        generateGstInvoiceTemplate(doc, data);
       } else {
         // Default to invoice
         generateInvoiceTemplate(doc, data);
@@ -174,7 +181,13 @@ function generateInvoiceTemplate(doc, data) {
   doc.text(`₹${data.subtotal.toFixed(2)}`, 450, y);
   y += 20;
 
-  if (data.tax > 0) {
+  if (data.taxLines && data.taxLines.length) {
+    data.taxLines.forEach(line => {
+      doc.text(`${line.component} (${line.ratePercent}%):`, 350, y);
+      doc.text(`₹${line.amount.toFixed(2)}`, 450, y);
+      y += 20;
+    });
+  } else if (data.tax > 0) {
     doc.text(`Tax (${((data.tax / data.subtotal) * 100).toFixed(2)}%):`, 350, y);
     doc.text(`₹${data.tax.toFixed(2)}`, 450, y);
     y += 20;
@@ -183,6 +196,29 @@ function generateInvoiceTemplate(doc, data) {
   doc.font('Helvetica-Bold');
   doc.text('Total:', 350, y);
   doc.text(`₹${data.total.toFixed(2)}`, 450, y);
+
+  // Platform commission taken out of the total, with the GST it includes
+  if (data.platformCommission) {
+    y += 30;
+    doc.fontSize(12).text('Platform Commission:', 50, y);
+    y += 20;
+    doc.fontSize(10).font('Helvetica');
+    doc.text('Commission (incl. GST):', 350, y);
+    doc.text(`₹${data.platformCommission.amount.toFixed(2)}`, 450, y);
+    y += 15;
+    doc.text('Taxable value:', 350, y);
+    doc.text(`₹${data.platformCommission.taxableValue.toFixed(2)}`, 450, y);
+    y += 15;
+    data.platformCommission.taxLines.forEach(line => {
+      doc.text(`${line.component} (${line.ratePercent}%):`, 350, y);
+      doc.text(`₹${line.amount.toFixed(2)}`, 450, y);
+      y += 15;
+    });
+    doc.font('Helvetica-Bold');
+    doc.text('Your earnings:', 350, y);
+    doc.text(`₹${data.platformCommission.netEarnings.toFixed(2)}`, 450, y);
+    doc.font('Helvetica');
+  }
   
   // Add notes
   if (data.notes) {
@@ -331,6 +367,253 @@ function generateReceiptTemplate(doc, data) {
   );
 }
 
+/**
+ * Generate annual tax statement template (GST on commission and TDS on payouts)
+ * @param {PDFDocument} doc - PDFDocument instance
+ * @param {Object} data - Statement from TaxService.getAnnualStatement
+ */
+function generateTaxStatementTemplate(doc, data) {
+  const money = (value) => `₹${(value || 0).toFixed(2)}`;
+  const date = (value) => (value ? moment(value).format('DD/MM/YYYY') : '');
+  let y = 45;
+
+  // Start a new page when the next row would run into the footer
+  const ensureSpace = (height) => {
+    if (y + height > 730) {
+      doc.addPage();
+      y = 50;
+    }
+  };
+
+  const table = (columns, rows, totals) => {
+    doc.fontSize(8).font('Helvetica-Bold');
+    columns.forEach(column => doc.text(column.header, column.x, y, { width: column.width, align: column.align }));
+    y += 15;
+    doc.moveTo(50, y - 4).lineTo(550, y - 4).stroke();
+
+    doc.font('Helvetica');
+    rows.forEach(row => {
+      ensureSpace(15);
+      columns.forEach(column => doc.text(column.value(row), column.x, y, { width: column.width, align: column.align }));
+      y += 15;
+    });
+
+    ensureSpace(20);
+    doc.moveTo(50, y - 4).lineTo(550, y - 4).stroke();
+    doc.font('Helvetica-Bold');
+    columns.forEach(column => {
+      const value = column.total ? column.total(totals) : '';
+      doc.text(value, column.x, y, { width: column.width, align: column.align });
+    });
+    y += 25;
+  };
+
+  // Add title
+  doc.fontSize(20).font('Helvetica-Bold').text('TAX STATEMENT', 350, y);
+  y += 30;
+  doc.fontSize(10).font('Helvetica');
+  doc.text(`Financial Year: ${data.financialYear.label}`, 350, y);
+  y += 15;
+  doc.text(`${date(data.financialYear.start)} to ${date(new Date(data.financialYear.end.getTime() - 1))}`, 350, y);
+  y += 40;
+
+  // Add professional and platform info
+  doc.fontSize(12).font('Helvetica-Bold').text('Professional:', 50, y);
+  doc.text('Platform:', 350, y);
+  y += 20;
+  doc.fontSize(10).font('Helvetica');
+  doc.text(data.professional.name, 50, y);
+  doc.text(data.platform.name, 350, y);
+  y += 15;
+  doc.text(`PAN: ${data.professional.panNumber || 'Not provided'}`, 50, y);
+  doc.text(`GSTIN: ${data.platform.gstin || 'N/A'}`, 350, y);
+  y += 15;
+  doc.text(`State: ${data.professional.state || 'N/A'}`, 50, y);
+  doc.text(`State: ${data.platform.state}`, 350, y);
+  y += 15;
+  doc.text(`Professional ID: ${data.professional.employeeId || data.professional.id}`, 50, y);
+  y += 35;
+
+  // GST on commission
+  doc.fontSize(12).font('Helvetica-Bold').text('GST on Platform Commission', 50, y);
+  y += 15;
+  doc.fontSize(9).font('Helvetica').text(
+    data.gst.supplyType === 'intra_state' ? 'Intra-state supply: CGST and SGST' : 'Inter-state supply: IGST',
+    50, y
+  );
+  y += 20;
+  table([
+    { header: 'Date', x: 50, width: 55, value: row => date(row.date), total: () => 'Total' },
+    { header: 'Invoice', x: 105, width: 95, value: row => row.invoiceNumber || '' },
+    { header: 'Amount', x: 200, width: 55, align: 'right', value: row => money(row.amount), total: t => money(t.amount) },
+    { header: 'Commission', x: 255, width: 55, align: 'right', value: row => money(row.commission), total: t => money(t.commission) },
+    { header: 'Taxable', x: 310, width: 55, align: 'right', value: row => money(row.taxableValue), total: t => money(t.taxableValue) },
+    { header: 'CGST', x: 365, width: 45, align: 'right', value: row => money(row.CGST), total: t => money(t.CGST) },
+    { header: 'SGST', x: 410, width: 45, align: 'right', value: row => money(row.SGST), total: t => money(t.SGST) },
+    { header: 'IGST', x: 455, width: 45, align: 'right', value: row => money(row.IGST), total: t => money(t.IGST) },
+    { header: 'Total GST', x: 500, width: 50, align: 'right', value: row => money(row.totalTax), total: t => money(t.totalTax) }
+  ], data.gst.rows, data.gst.totals);
+
+  // TDS on payouts
+  ensureSpace(80);
+  doc.fontSize(12).font('Helvetica-Bold').text('TDS on Payouts', 50, y);
+  y += 20;
+  table([
+    { header: 'Date', x: 50, width: 55, value: row => date(row.date), total: () => 'Total' },
+    { header: 'Withdrawal', x: 105, width: 100, value: row => row.withdrawalId || '' },
+    { header: 'Section', x: 205, width: 45, value: row => row.section || '' },
+    { header: 'Rate', x: 250, width: 35, align: 'right', value: row => (row.ratePercent != null ? `${row.ratePercent}%` : '') },
+    { header: 'Gross', x: 285, width: 65, align: 'right', value: row => money(row.amount), total: t => money(t.amount) },
+    { header: 'TDS', x: 350, width: 60, align: 'right', value: row => money(row.taxDeducted), total: t => money(t.taxDeducted) },
+    { header: 'Fees', x: 410, width: 60, align: 'right', value: row => money(row.fees), total: t => money(t.fees) },
+    { header: 'Net Paid', x: 470, width: 80, align: 'right', value: row => money(row.netAmount), total: t => money(t.netAmount) }
+  ], data.tds.rows, data.tds.totals);
+
+  // Add footer
+  doc.fontSize(8).font('Helvetica').text(
+    'This is a computer-generated statement and does not require a physical signature.',
+    50, 750, { align: 'center', width: 500 }
+  );
+  doc.fontSize(8).text(
+    `Generated on ${moment(data.generatedAt).format('DD/MM/YYYY HH:mm:ss')}`,
+    50, 765, { align: 'center', width: 500 }
+  );
+}
+
+/**
+ * Generate GST tax invoice or credit note template
+ * @param {PDFDocument} doc - PDFDocument instance
+ * @param {Object} data - Invoice document (see models/invoice.model.js)
+ */
+function generateGstInvoiceTemplate(doc, data) {
+  const money = (value) => `₹${(value || 0).toFixed(2)}`;
+  const isCreditNote = data.type === 'credit_note';
+  const components = data.supplyType === 'intra_state' ? ['CGST', 'SGST'] : ['IGST'];
+  const rateOf = (item, component) => item.taxLines.find(line => line.component === component);
+  let y = 45;
+
+  // Add title
+  doc.fontSize(20).font('Helvetica-Bold').text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', 350, y);
+  y += 30;
+  doc.fontSize(10).font('Helvetica');
+  doc.text(`${isCreditNote ? 'Credit Note' : 'Invoice'} Number: ${data.number}`, 350, y);
+  y += 15;
+  doc.text(`Date: ${moment(data.issuedAt).format('DD/MM/YYYY')}`, 350, y);
+  y += 15;
+  if (isCreditNote) {
+    doc.text(`Against Invoice: ${data.originalInvoiceNumber}`, 350, y);
+    y += 15;
+  }
+  doc.text(`Place of Supply: ${data.placeOfSupply?.state || 'N/A'}${data.placeOfSupply?.stateCode ? ` (${data.placeOfSupply.stateCode})` : ''}`, 350, y);
+  y += 35;
+
+  // Add supplier and customer info
+  doc.fontSize(12).font('Helvetica-Bold').text('Supplier:', 50, y);
+  doc.text(isCreditNote ? 'Issued To:' : 'Bill To:', 300, y);
+  y += 20;
+  doc.fontSize(10).font('Helvetica');
+  const partyTop = y;
+  doc.text(data.supplier?.name || '', 50, y, { width: 230 });
+  doc.text(`GSTIN: ${data.supplier?.gstin || 'N/A'}`, 50, doc.y + 2, { width: 230 });
+  if (data.supplier?.address) {
+    doc.text(data.supplier.address, 50, doc.y + 2, { width: 230 });
+  }
+  doc.text(`State: ${data.supplier?.state || ''}${data.supplier?.stateCode ? ` (${data.supplier.stateCode})` : ''}`, 50, doc.y + 2, { width: 230 });
+  const supplierBottom = doc.y;
+
+  doc.text(data.customer?.name || 'Customer', 300, partyTop, { width: 250 });
+  if (data.customer?.address) {
+    doc.text(data.customer.address, 300, doc.y + 2, { width: 250 });
+  }
+  if (data.customer?.phone) {
+    doc.text(`Phone: ${data.customer.phone}`, 300, doc.y + 2, { width: 250 });
+  }
+  doc.text(`State: ${data.customer?.state || ''}${data.customer?.stateCode ? ` (${data.customer.stateCode})` : ''}`, 300, doc.y + 2, { width: 250 });
+  y = Math.max(supplierBottom, doc.y) + 15;
+
+  if (data.serviceProvider?.name) {
+    doc.fontSize(9).text(
+      `Service rendered by ${data.serviceProvider.name}${data.serviceProvider.employeeId ? ` (${data.serviceProvider.employeeId})` : ''}`,
+      50, y
+    );
+    y += 20;
+  }
+  if (isCreditNote && data.reason) {
+    doc.fontSize(9).text(`Reason: ${data.reason}`, 50, y, { width: 500 });
+    y = doc.y + 10;
+  }
+  y += 10;
+
+  // Add items table: one tax column per component that applies
+  const taxWidth = 55;
+  const taxStart = 550 - 70 - taxWidth * components.length;
+  doc.fontSize(9).font('Helvetica-Bold');
+  doc.text('Description', 50, y, { width: taxStart - 200 });
+  doc.text('SAC', taxStart - 140, y, { width: 50 });
+  doc.text('Taxable', taxStart - 85, y, { width: 80, align: 'right' });
+  components.forEach((component, index) => {
+    doc.text(component, taxStart + index * taxWidth, y, { width: taxWidth - 5, align: 'right' });
+  });
+  doc.text('Total', 480, y, { width: 70, align: 'right' });
+  y += 15;
+  doc.moveTo(50, y - 4).lineTo(550, y - 4).stroke();
+
+  doc.font('Helvetica');
+  (data.items || []).forEach(item => {
+    const rowTop = y;
+    doc.text(item.description, 50, y, { width: taxStart - 200 });
+    const rowBottom = doc.y;
+    doc.text(item.sacCode || '', taxStart - 140, rowTop, { width: 50 });
+    doc.text(money(item.taxableValue), taxStart - 85, rowTop, { width: 80, align: 'right' });
+    components.forEach((component, index) => {
+      const line = rateOf(item, component);
+      doc.text(line ? `${money(line.amount)}\n@${line.ratePercent}%` : '-', taxStart + index * taxWidth, rowTop, { width: taxWidth - 5, align: 'right' });
+    });
+    doc.text(money(item.total), 480, rowTop, { width: 70, align: 'right' });
+    y = Math.max(rowBottom, doc.y) + 8;
+  });
+
+  doc.moveTo(50, y).lineTo(550, y).stroke();
+  y += 15;
+
+  // Add tax summary
+  doc.font('Helvetica-Bold').text('Tax Summary', 300, y);
+  y += 15;
+  doc.font('Helvetica');
+  doc.text('Taxable Value:', 300, y);
+  doc.text(money(data.totals?.taxableValue), 450, y, { width: 100, align: 'right' });
+  y += 15;
+  components.forEach(component => {
+    doc.text(`${component}:`, 300, y);
+    doc.text(money(data.totals?.[component]), 450, y, { width: 100, align: 'right' });
+    y += 15;
+  });
+  doc.text('Total Tax:', 300, y);
+  doc.text(money(data.totals?.totalTax), 450, y, { width: 100, align: 'right' });
+  y += 20;
+  doc.moveTo(300, y - 5).lineTo(550, y - 5).stroke();
+  doc.fontSize(12).font('Helvetica-Bold');
+  doc.text(isCreditNote ? 'Total Credited:' : 'Total:', 300, y);
+  doc.text(money(data.totals?.total), 450, y, { width: 100, align: 'right' });
+  y += 25;
+
+  doc.fontSize(9).font('Helvetica');
+  doc.text(`Supply type: ${data.supplyType === 'intra_state' ? 'Intra-state' : 'Inter-state'}. Amounts include GST.`, 50, y);
+  if (data.paymentMethod) {
+    doc.text(`Payment method: ${data.paymentMethod.toUpperCase()}`, 50, y + 15);
+  }
+
+  // Add footer
+  doc.fontSize(8).font('Helvetica').text(
+    `This is a computer-generated ${isCreditNote ? 'credit note' : 'invoice'} and does not require a physical signature.`,
+    50, 750, { align: 'center', width: 500 }
+  );
+  doc.fontSize(8).text(
+    `Generated on ${moment().format('DD/MM/YYYY HH:mm:ss')}`,
+    50, 765, { align: 'center', width: 500 }
+  );
+}
+
 /**
  * Generate PDF and save to file
  * @param {Object} data - Data to be included in the PDF
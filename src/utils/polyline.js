@@ -0,0 +1,68 @@
+// utils/polyline.js
+
+/**
+ * Encoded polyline (Google's algorithm, 5 decimal places) of [longitude, latitude] points, the
+ * format map SDKs draw routes from. Note the encoding itself is latitude first.
+ */
+const encode = (points, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  let previousLatitude = 0;
+  let previousLongitude = 0;
+  let encoded = '';
+
+  const encodeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  for (const [longitude, latitude] of points) {
+    const lat = Math.round(latitude * factor);
+    const lng = Math.round(longitude * factor);
+    encoded += encodeValue(lat - previousLatitude) + encodeValue(lng - previousLongitude);
+    previousLatitude = lat;
+    previousLongitude = lng;
+  }
+
+  return encoded;
+};
+
+/**
+ * [longitude, latitude] points of an encoded polyline
+ */
+const decode = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let latitude = 0;
+  let longitude = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < encoded.length) {
+    latitude += decodeValue();
+    longitude += decodeValue();
+    points.push([longitude / factor, latitude / factor]);
+  }
+
+  return points;
+};
+
+module.exports = {
+  encode,
+  decode
+};